@@ -0,0 +1,172 @@
+// Self-hostable relay for shared walls. Speaks the y-websocket protocol:
+// every connection joins the room named by the URL path, the relay keeps one
+// Yjs document per room so late joiners get the current state, and presence
+// (awareness) updates are fanned out to everyone in the room.
+//
+//   npm run collab:relay                        # ws://localhost:1234
+//   PORT=4000 npm run collab:relay
+//   RELAY_DATA_DIR=./relay-data npm run collab:relay   # keep rooms across restarts
+import fs from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import { WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as syncProtocol from 'y-protocols/sync';
+import * as decoding from 'lib0/decoding';
+import * as encoding from 'lib0/encoding';
+
+const port = Number(process.env.PORT) || 1234;
+const dataDir = process.env.RELAY_DATA_DIR ? path.resolve(process.env.RELAY_DATA_DIR) : null;
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+const PING_INTERVAL_MS = 30000;
+const PERSIST_DEBOUNCE_MS = 1000;
+
+const rooms = new Map();
+
+const roomFile = (name) => path.join(dataDir, `${encodeURIComponent(name)}.bin`);
+
+const send = (conn, message) => {
+  if (conn.readyState !== conn.OPEN) return;
+  conn.send(message, (error) => {
+    if (error) conn.close();
+  });
+};
+
+const getRoom = (name) => {
+  if (rooms.has(name)) return rooms.get(name);
+
+  const doc = new Y.Doc();
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null);
+  // Each connection maps to the awareness client ids it controls, so they can
+  // be cleared when it drops.
+  const conns = new Map();
+  const room = { doc, awareness, conns, persistTimer: null };
+
+  if (dataDir && fs.existsSync(roomFile(name))) {
+    Y.applyUpdate(doc, fs.readFileSync(roomFile(name)));
+  }
+
+  doc.on('update', (update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    const message = encoding.toUint8Array(encoder);
+    conns.forEach((_, conn) => send(conn, message));
+
+    if (dataDir) {
+      clearTimeout(room.persistTimer);
+      room.persistTimer = setTimeout(() => {
+        fs.writeFileSync(roomFile(name), Y.encodeStateAsUpdate(doc));
+      }, PERSIST_DEBOUNCE_MS);
+    }
+  });
+
+  awareness.on('update', ({ added, updated, removed }, conn) => {
+    const changed = [...added, ...updated, ...removed];
+    const controlled = conns.get(conn);
+    if (controlled) {
+      added.forEach((clientId) => controlled.add(clientId));
+      removed.forEach((clientId) => controlled.delete(clientId));
+    }
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, changed));
+    const message = encoding.toUint8Array(encoder);
+    conns.forEach((_, other) => send(other, message));
+  });
+
+  rooms.set(name, room);
+  return room;
+};
+
+const closeConnection = (name, room, conn) => {
+  const controlled = room.conns.get(conn);
+  if (!controlled) return;
+  room.conns.delete(conn);
+  awarenessProtocol.removeAwarenessStates(room.awareness, [...controlled], null);
+  // Rooms are kept in memory while anyone is connected; with a data dir the
+  // last state is on disk before the room is dropped.
+  if (room.conns.size === 0) {
+    if (dataDir) {
+      clearTimeout(room.persistTimer);
+      fs.writeFileSync(roomFile(name), Y.encodeStateAsUpdate(room.doc));
+    }
+    room.doc.destroy();
+    rooms.delete(name);
+  }
+  conn.close();
+};
+
+const handleMessage = (room, conn, data) => {
+  try {
+    const decoder = decoding.createDecoder(new Uint8Array(data));
+    const encoder = encoding.createEncoder();
+    const type = decoding.readVarUint(decoder);
+    if (type === MESSAGE_SYNC) {
+      encoding.writeVarUint(encoder, MESSAGE_SYNC);
+      syncProtocol.readSyncMessage(decoder, encoder, room.doc, conn);
+      // Only reply when the message asked for something (sync step 1).
+      if (encoding.length(encoder) > 1) send(conn, encoding.toUint8Array(encoder));
+    } else if (type === MESSAGE_AWARENESS) {
+      awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), conn);
+    }
+  } catch (error) {
+    console.error('Dropped malformed message', error);
+  }
+};
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`Synapse relay: ${rooms.size} active room(s)\n`);
+});
+
+const wss = new WebSocketServer({ server });
+
+wss.on('connection', (conn, req) => {
+  conn.binaryType = 'arraybuffer';
+  const name = decodeURIComponent(new URL(req.url, 'http://relay').pathname.slice(1)) || 'default';
+  const room = getRoom(name);
+  room.conns.set(conn, new Set());
+
+  conn.on('message', (data) => handleMessage(room, conn, data));
+  conn.on('close', () => closeConnection(name, room, conn));
+
+  let alive = true;
+  conn.on('pong', () => {
+    alive = true;
+  });
+  const ping = setInterval(() => {
+    if (!alive) {
+      closeConnection(name, room, conn);
+      clearInterval(ping);
+      return;
+    }
+    alive = false;
+    conn.ping();
+  }, PING_INTERVAL_MS);
+  conn.on('close', () => clearInterval(ping));
+
+  // Start the handshake: ask for the client's state and share ours.
+  const syncEncoder = encoding.createEncoder();
+  encoding.writeVarUint(syncEncoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(syncEncoder, room.doc);
+  send(conn, encoding.toUint8Array(syncEncoder));
+
+  const states = [...room.awareness.getStates().keys()];
+  if (states.length) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(awarenessEncoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, states));
+    send(conn, encoding.toUint8Array(awarenessEncoder));
+  }
+});
+
+if (dataDir) fs.mkdirSync(dataDir, { recursive: true });
+
+server.listen(port, () => {
+  console.log(`Synapse relay listening on ws://localhost:${port}${dataDir ? ` (rooms saved in ${dataDir})` : ''}`);
+});
@@ -0,0 +1,114 @@
+// Minimal stand-in for an Ollama server, for exercising the AI features
+// without a model. Speaks the /api/generate streaming protocol: one JSON
+// object per line, `{ response, done: false }` chunks followed by a final
+// `{ done: true }`.
+//
+//   npm run mock:ollama                  # listens on http://localhost:11434
+//   PORT=11500 npm run mock:ollama
+//   MOCK_OLLAMA_FAIL=1 npm run mock:ollama   # stream an error mid-reply
+//   MOCK_OLLAMA_DELAY=0 npm run mock:ollama  # no pause between chunks
+import http from 'node:http';
+
+const port = Number(process.env.PORT) || 11434;
+const chunkDelay = Number(process.env.MOCK_OLLAMA_DELAY ?? 40);
+const shouldFail = process.env.MOCK_OLLAMA_FAIL === '1';
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const readJson = async (req) => {
+  let body = '';
+  for await (const chunk of req) {
+    body += chunk;
+  }
+  return JSON.parse(body || '{}');
+};
+
+const BRANCH_ANGLES = ['Risks of', 'Quick win for', 'Who owns', 'Metrics for', 'Next step on', 'Open question about'];
+
+// Branch prompts get a numbered list of ideas (the app strips the numbers);
+// merge prompts get the distinct non-empty lines of every "Note N:" section.
+// Either is enough to watch a reply stream in.
+const buildReply = (prompt) => {
+  const branch = prompt.match(/Suggest (\d+) follow-up ideas[\s\S]*Parent note:\n([\s\S]*)$/);
+  if (branch) {
+    const topic = branch[2].trim().split('\n')[0].slice(0, 60) || 'this note';
+    return Array.from({ length: Number(branch[1]) }, (_, index) => `${index + 1}. ${BRANCH_ANGLES[index % BRANCH_ANGLES.length]} ${topic}`).join('\n');
+  }
+  const sections = prompt.split(/\n\nNote \d+:\n/).slice(1);
+  const lines = sections.flatMap((section) => section.split('\n').map((line) => line.trim()));
+  const unique = [...new Set(lines.filter((line) => line && line !== '(empty)' && line !== '---'))];
+  return unique.length ? unique.join('\n') : 'Mock reply from the Synapse Ollama stub.';
+};
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  if (req.method === 'GET' && req.url === '/api/tags') {
+    sendJson(res, 200, { models: [{ name: 'mock:latest', model: 'mock:latest' }] });
+    return;
+  }
+
+  if (req.method !== 'POST' || req.url !== '/api/generate') {
+    sendJson(res, 404, { error: 'not found' });
+    return;
+  }
+
+  let request;
+  try {
+    request = await readJson(req);
+  } catch {
+    sendJson(res, 400, { error: 'invalid JSON body' });
+    return;
+  }
+  if (!request.model) {
+    sendJson(res, 400, { error: 'model is required' });
+    return;
+  }
+
+  const reply = buildReply(String(request.prompt ?? ''));
+  const tokens = reply.match(/\S+\s*/g) ?? [];
+  const writeLine = (payload) => res.write(`${JSON.stringify(payload)}\n`);
+
+  if (request.stream === false) {
+    sendJson(res, 200, { model: request.model, response: reply, done: true });
+    return;
+  }
+
+  res.writeHead(200, { ...corsHeaders, 'Content-Type': 'application/x-ndjson' });
+  let aborted = false;
+  req.on('close', () => {
+    aborted = true;
+  });
+
+  for (const [index, token] of tokens.entries()) {
+    if (aborted) return;
+    if (shouldFail && index === Math.floor(tokens.length / 2)) {
+      writeLine({ error: 'mock failure requested via MOCK_OLLAMA_FAIL' });
+      res.end();
+      return;
+    }
+    writeLine({ model: request.model, created_at: new Date().toISOString(), response: token, done: false });
+    await sleep(chunkDelay);
+  }
+  writeLine({ model: request.model, created_at: new Date().toISOString(), response: '', done: true, done_reason: 'stop' });
+  res.end();
+});
+
+server.listen(port, () => {
+  console.log(`Mock Ollama listening on http://localhost:${port}`);
+});
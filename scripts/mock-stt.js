@@ -0,0 +1,64 @@
+// Stand-in for a local speech-to-text server, for exercising voice input
+// without a speech model. Accepts audio POSTed to /transcribe and answers
+// each request with `{ text }`, cycling through a script of phrases.
+//
+//   npm run mock:stt                              # http://localhost:9000/transcribe
+//   PORT=9100 npm run mock:stt
+//   MOCK_STT_SCRIPT="new note|buy milk|stop dictation" npm run mock:stt
+//   MOCK_STT_FAIL=1 npm run mock:stt              # answer every request with a 500
+import http from 'node:http';
+
+const port = Number(process.env.PORT) || 9000;
+const shouldFail = process.env.MOCK_STT_FAIL === '1';
+const script = (process.env.MOCK_STT_SCRIPT ?? 'new note|this came from the speech stub|stop dictation|search for stub')
+  .split('|')
+  .map((phrase) => phrase.trim());
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { ...corsHeaders, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+let nextPhrase = 0;
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, corsHeaders);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://stt');
+  if (req.method !== 'POST' || pathname !== '/transcribe') {
+    sendJson(res, 404, { error: 'not found' });
+    return;
+  }
+
+  let bytes = 0;
+  for await (const chunk of req) {
+    bytes += chunk.length;
+  }
+  if (shouldFail) {
+    sendJson(res, 500, { error: 'mock failure requested via MOCK_STT_FAIL' });
+    return;
+  }
+  // Empty segments are silence; a real server would return no text either.
+  if (bytes === 0) {
+    sendJson(res, 200, { text: '' });
+    return;
+  }
+
+  const text = script[nextPhrase % script.length];
+  nextPhrase += 1;
+  sendJson(res, 200, { text });
+});
+
+server.listen(port, () => {
+  console.log(`Mock speech-to-text listening on http://localhost:${port}/transcribe`);
+});
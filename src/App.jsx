@@ -2,301 +2,2009 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import ReactFlow, {
   Background,
   Controls,
+  Handle,
+  Position,
   ReactFlowProvider,
   addEdge,
   applyEdgeChanges,
   applyNodeChanges,
+  MiniMap,
   useReactFlow,
+  useStore as useFlowStore,
+  useViewport,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
-import Dexie from 'dexie';
-import { create } from 'zustand';
-
-const db = new Dexie('SynapseDB');
-db.version(1).stores({ canvasState: 'id' });
-
-const DEFAULT_NOTE_SIZE = { width: 320, height: 220 };
-const MIN_NOTE_SIZE = { width: 200, height: 160 };
-const MAX_NOTE_SIZE = { width: 520, height: 460 };
-
-const makeId = () => `n-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
-
-const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
-
-const ensureNodeShape = (node, fallbackZ = 1) => {
-  const data = node?.data ?? {};
-  const width = clamp(Number(data.width) || DEFAULT_NOTE_SIZE.width, MIN_NOTE_SIZE.width, MAX_NOTE_SIZE.width);
-  const height = clamp(Number(data.height) || DEFAULT_NOTE_SIZE.height, MIN_NOTE_SIZE.height, MAX_NOTE_SIZE.height);
-  const zIndex = Number.isFinite(data.zIndex) ? data.zIndex : fallbackZ;
-
-  return {
-    type: 'sticky',
-    ...node,
-    data: {
-      text: '',
-      ...data,
-      width,
-      height,
-      zIndex,
-    },
-    style: {
-      borderRadius: 18,
-      width,
-      height,
-      zIndex,
-      ...(node?.style ?? {}),
-    },
+import { useShallow } from 'zustand/react/shallow';
+import { shallow } from 'zustand/shallow';
+import { BENCH_MAX_NOTES, buildBenchWall, discardBenchWall, runWallBenchmark } from './lib/bench.js';
+import {
+  BOOKMARK_FLY_MS,
+  DEFAULT_COLLAB_SETTINGS,
+  DEFAULT_FRAME_COLOR,
+  DEFAULT_FRAME_SIZE,
+  DEFAULT_FRAME_TITLE,
+  DEFAULT_NOTE_COLOR,
+  DEFAULT_NOTE_SIZE,
+  DEFAULT_VIEWPORT,
+  DEFAULT_VOICE_SETTINGS,
+  DEFAULT_WALL_NAME,
+  EXPORT_VERSION,
+  LAYOUT_ANIMATION_MS,
+  LONG_PRESS_MS,
+  makeBookmarkId,
+  MAX_AI_BRANCHES,
+  MAX_BOOKMARK_NAME,
+  MAX_FRAME_TITLE,
+  MAX_NOTE_TEXT,
+  MAX_TEMPLATE_NAME,
+  MEDIA_NOTE_CASCADE,
+  MEDIA_NOTE_SIZE,
+  NO_BOOKMARKS,
+  NOTE_COLORS,
+  NOTE_DETAIL_MIN_ZOOM,
+  PRESENCE_THROTTLE_MS,
+  SAVE_DEBOUNCE_MS,
+  SNAPSHOT_INTERVAL_MS,
+  TEMPLATE_DRAG_TYPE,
+  WALL_ID_PATTERN,
+} from './lib/constants.js';
+import { db } from './lib/db.js';
+import { EDGE_RELATIONS, getEdgeRelation, makeChildEdge, makeEdge, MAX_EDGE_LABEL, toFlowEdge } from './lib/edges.js';
+import {
+  blobToBase64,
+  buildMarkdownOutline,
+  buildObsidianVault,
+  buildWallSvg,
+  createZip,
+  downloadBlob,
+  EXPORT_FORMATS,
+  pickExportElements,
+  readZip,
+  svgToPngBlob,
+  toFileBase,
+} from './lib/exporters.js';
+import { IMPORT_ACCEPT, parseImportFile, planMergeImport } from './lib/importers.js';
+import { computeTreeLayout } from './lib/layout.js';
+import {
+  findLinkCandidates,
+  findLinkQuery,
+  getBacklinkIndex,
+  getNoteExcerpt,
+  makeNoteLink,
+  NO_BACKLINKS,
+  NOTE_LINK_PATTERN,
+  plainNoteLinks,
+  withPlainNoteLinks,
+} from './lib/links.js';
+import { describeMedia, formatBytes, isImageAttachment, parseLinkUrl } from './lib/media.js';
+import {
+  clamp,
+  combineNoteTexts,
+  debounce,
+  ensureNodeShape,
+  getNodeBounds,
+  getNoteHeight,
+  getNoteWidth,
+  isFrame,
+  matchesLegendFilter,
+  normalizeTags,
+  orderForFlow,
+  splitMergeMedia,
+  splitNoteText,
+  toAbsoluteNodes,
+} from './lib/nodes.js';
+import { buildBranchPrompt, buildMergePrompt, parseBranchIdeas, streamOllamaGenerate } from './lib/ollama.js';
+import { buildSnippet, findMatchRanges, getSearchTerms, searchNotes } from './lib/search.js';
+import { diffWalls, refreshSnapshots, snapshotWall } from './lib/snapshots.js';
+import { findMergeTarget, findWallChildSlot } from './lib/spatial.js';
+import { useCanvasStore } from './lib/store.js';
+import {
+  buildTemplate,
+  deleteTemplate,
+  findTemplate,
+  parseTemplateFile,
+  placeTemplate,
+  refreshTemplates,
+  saveTemplates,
+  STARTER_TEMPLATES,
+  toTemplateFile,
+} from './lib/templates.js';
+import { startVoice, stopVoice, VOICE_BACKENDS, voiceSession } from './lib/voice.js';
+import { enterVr, exitVr } from './lib/vr.js';
+import {
+  attachLinkPreview,
+  clearRecovery,
+  collabSession,
+  createWall,
+  ensureWall,
+  getWallRelayUrl,
+  isWallDirty,
+  joinSharedWall,
+  openWall,
+  parseRelayUrl,
+  persistNow,
+  pruneAttachments,
+  readWallState,
+  refreshWalls,
+  reloadActiveWall,
+  removeWall,
+  saveWallBookmarks,
+  setWallShared,
+  startCollab,
+  stopCollab,
+  storeAttachment,
+  switchWall,
+  syncChannel,
+  TAB_ID,
+  updatePresence,
+  writeRecovery,
+} from './lib/walls.js';
+
+const SearchSnippet = ({ segments, className = '' }) => (
+  <span className={className}>
+    {segments.map((segment, index) =>
+      segment.hit ? (
+        <mark key={index} className="rounded bg-cyan-300 px-0.5 text-slate-900">
+          {segment.text}
+        </mark>
+      ) : (
+        <span key={index}>{segment.text}</span>
+      ),
+    )}
+  </span>
+);
+
+const SAFE_LINK_PATTERN = /^(https?:|mailto:)/i;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TASK_PATTERN = /^\[([ xX])\]\s+(.*)$/;
+const INLINE_PATTERN =
+  /(`[^`]+`)|\[\[(n-[a-z0-9]+)(?:\|([^\]\n]*))?\]\]|\[([^\]]+)\]\(([^)\s]+)\)|\*\*([^*]+)\*\*|__([^_]+)__|\*([^*\s][^*]*)\*|\b_([^_]+)_\b|(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g;
+
+// Splits note text into blocks. List items remember their source line so a
+// checkbox can be toggled in place.
+const parseMarkdownBlocks = (text) => {
+  const lines = text.split('\n');
+  const blocks = [];
+  const isBlockStart = (line) =>
+    /^```/.test(line.trim()) ||
+    /^#{1,3}\s/.test(line) ||
+    /^(-{3,}|\*{3,}|_{3,})\s*$/.test(line.trim()) ||
+    /^>/.test(line) ||
+    LIST_ITEM_PATTERN.test(line);
+  let index = 0;
+
+  while (index < lines.length) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    if (!trimmed) {
+      index += 1;
+    } else if (/^```/.test(trimmed)) {
+      const body = [];
+      index += 1;
+      while (index < lines.length && !/^```/.test(lines[index].trim())) {
+        body.push(lines[index]);
+        index += 1;
+      }
+      blocks.push({ type: 'code', text: body.join('\n') });
+      index += 1;
+    } else if (/^#{1,3}\s/.test(line)) {
+      const [, hashes, heading] = line.match(/^(#{1,3})\s+(.*)$/);
+      blocks.push({ type: 'heading', level: hashes.length, text: heading });
+      index += 1;
+    } else if (/^(-{3,}|\*{3,}|_{3,})\s*$/.test(trimmed)) {
+      blocks.push({ type: 'rule' });
+      index += 1;
+    } else if (/^>/.test(line)) {
+      const body = [];
+      while (index < lines.length && /^>/.test(lines[index])) {
+        body.push(lines[index].replace(/^>\s?/, ''));
+        index += 1;
+      }
+      blocks.push({ type: 'quote', text: body.join(' ') });
+    } else if (LIST_ITEM_PATTERN.test(line)) {
+      const items = [];
+      const ordered = /\d/.test(line.match(LIST_ITEM_PATTERN)[2]);
+      while (index < lines.length && LIST_ITEM_PATTERN.test(lines[index])) {
+        const [, indent, marker, body] = lines[index].match(LIST_ITEM_PATTERN);
+        if (items.length && !indent && /\d/.test(marker) !== ordered) break;
+        const task = body.match(TASK_PATTERN);
+        items.push({
+          line: index,
+          depth: Math.floor(indent.replace(/\t/g, '  ').length / 2),
+          checked: task ? task[1] !== ' ' : null,
+          text: task ? task[2] : body,
+        });
+        index += 1;
+      }
+      blocks.push({ type: 'list', ordered, items });
+    } else {
+      const body = [];
+      while (index < lines.length && lines[index].trim() && !isBlockStart(lines[index])) {
+        body.push(lines[index].trim());
+        index += 1;
+      }
+      blocks.push({ type: 'paragraph', text: body.join(' ') });
+    }
+  }
+  return blocks;
+};
+
+const toggleTaskAtLine = (text, lineIndex) => {
+  const lines = text.split('\n');
+  lines[lineIndex] = lines[lineIndex].replace(
+    /^(\s*(?:[-*+]|\d+[.)])\s+)\[([ xX])\]/,
+    (_, prefix, mark) => `${prefix}[${mark === ' ' ? 'x' : ' '}]`,
+  );
+  return lines.join('\n');
+};
+
+// Builds React elements directly (never HTML strings), so note text cannot
+// inject markup; links are limited to http(s) and mailto.
+const renderInlineMarkdown = (text, keyPrefix = 'i') => {
+  const parts = [];
+  let cursor = 0;
+  let match;
+  const pattern = new RegExp(INLINE_PATTERN);
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > cursor) parts.push(text.slice(cursor, match.index));
+    const key = `${keyPrefix}-${match.index}`;
+    const [, code, noteId, noteLabel, linkText, href, bold, boldAlt, italic, italicAlt, url] = match;
+    if (noteId) {
+      parts.push(<NoteLinkChip key={key} targetId={noteId} label={noteLabel} />);
+    } else if (code) {
+      parts.push(
+        <code key={key} className="rounded bg-slate-900/10 px-1 font-mono text-[0.9em]">
+          {code.slice(1, -1)}
+        </code>,
+      );
+    } else if (linkText || url) {
+      const target = url ?? href;
+      parts.push(
+        SAFE_LINK_PATTERN.test(target) ? (
+          <a
+            key={key}
+            href={target}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="nodrag font-semibold text-cyan-700 underline"
+            onClick={(event) => event.stopPropagation()}
+          >
+            {linkText ? renderInlineMarkdown(linkText, key) : target}
+          </a>
+        ) : (
+          <span key={key}>{linkText ?? target}</span>
+        ),
+      );
+    } else if (bold || boldAlt) {
+      parts.push(<strong key={key}>{renderInlineMarkdown(bold ?? boldAlt, key)}</strong>);
+    } else {
+      parts.push(<em key={key}>{renderInlineMarkdown(italic ?? italicAlt, key)}</em>);
+    }
+    cursor = match.index + match[0].length;
+  }
+  if (cursor < text.length) parts.push(text.slice(cursor));
+  return parts;
+};
+
+const HEADING_CLASSES = { 1: 'text-2xl font-bold', 2: 'text-xl font-bold', 3: 'text-lg font-semibold' };
+
+const MarkdownView = ({ text, onToggleTask }) => {
+  const blocks = useMemo(() => parseMarkdownBlocks(text), [text]);
+  if (!blocks.length) {
+    return <p className="text-slate-400">Nothing written yet.</p>;
+  }
+  return blocks.map((block, index) => {
+    switch (block.type) {
+      case 'heading': {
+        const Tag = `h${block.level}`;
+        return (
+          <Tag key={index} className={`mb-2 ${HEADING_CLASSES[block.level]}`}>
+            {renderInlineMarkdown(block.text, `b${index}`)}
+          </Tag>
+        );
+      }
+      case 'code':
+        return (
+          <pre key={index} className="mb-2 overflow-x-auto rounded-lg bg-slate-900 p-3 font-mono text-sm text-slate-100">
+            <code>{block.text}</code>
+          </pre>
+        );
+      case 'rule':
+        return <hr key={index} className="my-3 border-slate-900/20" />;
+      case 'quote':
+        return (
+          <blockquote key={index} className="mb-2 border-l-4 border-slate-900/30 pl-3 italic">
+            {renderInlineMarkdown(block.text, `b${index}`)}
+          </blockquote>
+        );
+      case 'list': {
+        const Tag = block.ordered ? 'ol' : 'ul';
+        return (
+          <Tag key={index} className={`mb-2 space-y-1 pl-6 ${block.ordered ? 'list-decimal' : 'list-disc'}`}>
+            {block.items.map((item) => (
+              <li
+                key={item.line}
+                className={item.checked === null ? undefined : 'list-none'}
+                style={{ marginLeft: item.depth * 16 }}
+              >
+                {item.checked !== null && (
+                  <input
+                    type="checkbox"
+                    checked={item.checked}
+                    onChange={() => onToggleTask(item.line)}
+                    onClick={(event) => event.stopPropagation()}
+                    className="nodrag -ml-6 mr-2 h-5 w-5 align-middle accent-emerald-600"
+                  />
+                )}
+                <span className={item.checked ? 'text-slate-500 line-through' : undefined}>
+                  {renderInlineMarkdown(item.text, `l${item.line}`)}
+                </span>
+              </li>
+            ))}
+          </Tag>
+        );
+      }
+      default:
+        return (
+          <p key={index} className="mb-2">
+            {renderInlineMarkdown(block.text, `b${index}`)}
+          </p>
+        );
+    }
+  });
+};
+
+const BenchResultsPanel = ({ bench, onClose }) => (
+  <div className="absolute left-1/2 top-6 z-50 w-[32rem] -translate-x-1/2 rounded-2xl bg-slate-900/95 p-5 text-slate-100 shadow-xl">
+    <div className="flex items-center justify-between gap-4">
+      <h2 className="text-lg font-semibold">Benchmark: {bench.count} notes</h2>
+      <button type="button" onClick={onClose} className="rounded-lg px-2 text-slate-300 hover:bg-slate-700" aria-label="Close benchmark results">
+        ✕
+      </button>
+    </div>
+    {bench.rows ? (
+      <table className="mt-3 w-full text-left text-sm">
+        <thead className="text-slate-400">
+          <tr>
+            <th className="py-1 font-medium">Step</th>
+            <th className="py-1 text-right font-medium">Runs</th>
+            <th className="py-1 text-right font-medium">Total ms</th>
+            <th className="py-1 text-right font-medium">Per run ms</th>
+          </tr>
+        </thead>
+        <tbody>
+          {bench.rows.map((row) => (
+            <tr key={row.step} className="border-t border-slate-700/60">
+              <td className="py-1">{row.step}</td>
+              <td className="py-1 text-right">{row.runs}</td>
+              <td className="py-1 text-right">{row.totalMs}</td>
+              <td className="py-1 text-right">{row.perRunMs}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="mt-3 text-sm text-slate-300">{bench.error || 'Running…'}</p>
+    )}
+  </div>
+);
+
+const SAVE_STATUS_LABELS = {
+  saved: 'Saved',
+  pending: 'Saving…',
+  saving: 'Saving…',
+  failed: 'Save failed',
+  conflict: 'Changed in another tab',
+};
+
+const SaveStatusBar = () => {
+  const saveStatus = useCanvasStore((state) => state.saveStatus);
+  const saveError = useCanvasStore((state) => state.saveError);
+  const lastSavedAt = useCanvasStore((state) => state.lastSavedAt);
+  const recovery = useCanvasStore((state) => state.recovery);
+  const setSaveState = useCanvasStore((state) => state.setSaveState);
+  const collabStatus = useCanvasStore((state) => state.collabStatus);
+  const peerCount = useCanvasStore((state) => state.collabPeers.length);
+  const relayUrl = useCanvasStore(getWallRelayUrl);
+
+  const dotClass = {
+    saved: 'bg-emerald-400',
+    pending: 'bg-amber-400',
+    saving: 'bg-amber-400 animate-pulse',
+    failed: 'bg-rose-500',
+    conflict: 'bg-rose-500',
+  }[saveStatus];
+
+  const handleRestore = () => {
+    useCanvasStore.getState().replaceState({ nodes: recovery.nodes, edges: recovery.edges }, { label: 'restore unsaved changes' });
+    setSaveState({ recovery: null });
+    persistNow({ force: true });
+  };
+
+  const handleDiscardRecovery = () => {
+    clearRecovery(recovery.wallId);
+    setSaveState({ recovery: null });
+  };
+
+  return (
+    <div className="absolute bottom-10 left-6 z-50 flex max-w-md flex-col gap-2">
+      {recovery && (
+        <div className="rounded-2xl bg-slate-900/95 p-4 text-slate-100 shadow-xl">
+          <p className="text-base">Unsaved changes from {new Date(recovery.savedAt).toLocaleString()} were recovered.</p>
+          <div className="mt-3 flex gap-2">
+            <button type="button" onClick={handleRestore} className="rounded-xl bg-emerald-500 px-4 py-2 font-semibold hover:bg-emerald-400">
+              Restore
+            </button>
+            <button type="button" onClick={handleDiscardRecovery} className="rounded-xl bg-slate-700 px-4 py-2 font-semibold hover:bg-slate-600">
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+      {saveStatus === 'conflict' && (
+        <div className="rounded-2xl bg-slate-900/95 p-4 text-slate-100 shadow-xl">
+          <p className="text-base">Another tab saved this wall while you had unsaved changes.</p>
+          <div className="mt-3 flex gap-2">
+            <button
+              type="button"
+              onClick={() => reloadActiveWall().catch((error) => console.error(error))}
+              className="rounded-xl bg-cyan-500 px-4 py-2 font-semibold hover:bg-cyan-400"
+            >
+              Load their version
+            </button>
+            <button
+              type="button"
+              onClick={() => persistNow({ force: true })}
+              className="rounded-xl bg-slate-700 px-4 py-2 font-semibold hover:bg-rose-500"
+            >
+              Keep mine
+            </button>
+          </div>
+        </div>
+      )}
+      <div className="flex gap-2">
+        <div
+          className="flex w-fit items-center gap-2 rounded-full bg-slate-900/80 px-4 py-2 text-sm text-slate-200"
+          title={saveError || (lastSavedAt ? `Last saved ${new Date(lastSavedAt).toLocaleTimeString()}` : '')}
+          role="status"
+        >
+          <span className={`h-2.5 w-2.5 rounded-full ${dotClass}`} />
+          {SAVE_STATUS_LABELS[saveStatus]}
+          {saveStatus === 'failed' && (
+            <button type="button" onClick={() => persistNow()} className="ml-1 font-semibold text-cyan-300 underline">
+              Retry
+            </button>
+          )}
+        </div>
+        {collabStatus !== 'off' && (
+          <div className="flex w-fit items-center gap-2 rounded-full bg-slate-900/80 px-4 py-2 text-sm text-slate-200" title={relayUrl}>
+            <span
+              className={`h-2.5 w-2.5 rounded-full ${collabStatus === 'connected' ? 'bg-cyan-400' : collabStatus === 'connecting' ? 'bg-amber-400 animate-pulse' : 'bg-slate-500'}`}
+            />
+            {collabStatus === 'connected'
+              ? `Live · ${peerCount} ${peerCount === 1 ? 'other' : 'others'}`
+              : collabStatus === 'connecting'
+              ? 'Connecting…'
+              : 'Offline · edits sync on reconnect'}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const WallLibraryPanel = () => {
+  const walls = useCanvasStore((state) => state.walls);
+  const activeWallId = useCanvasStore((state) => state.activeWallId);
+  const closeWallLibrary = useCanvasStore((state) => state.closeWallLibrary);
+
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const [libraryError, setLibraryError] = useState('');
+
+  const run = async (task, message) => {
+    try {
+      setLibraryError('');
+      await task();
+    } catch (error) {
+      console.error(error);
+      setLibraryError(message);
+    }
   };
+
+  const handleCreate = () =>
+    run(async () => {
+      const wall = await createWall({ name: `Wall ${walls.length + 1}` });
+      await switchWall(wall.id);
+    }, 'Could not create a new wall.');
+
+  const handleSwitch = (wallId) =>
+    run(async () => {
+      if (wallId !== activeWallId) {
+        await switchWall(wallId);
+      }
+    }, 'Could not open that wall.');
+
+  const handleStartRename = (wall) => {
+    setEditingId(wall.id);
+    setDraftName(wall.name);
+  };
+
+  const handleRename = (event) => {
+    event.preventDefault();
+    const wallId = editingId;
+    setEditingId(null);
+    run(async () => {
+      await db.walls.update(wallId, { name: draftName.trim() || DEFAULT_WALL_NAME });
+      await refreshWalls();
+    }, 'Could not rename that wall.');
+  };
+
+  const handleDuplicate = (wall) =>
+    run(async () => {
+      const state = useCanvasStore.getState();
+      const source = wall.id === activeWallId ? state : await readWallState(wall.id);
+      await createWall({
+        name: `${wall.name} (copy)`,
+        nodes: source?.nodes ?? [],
+        edges: source?.edges ?? [],
+        viewport: wall.viewport ?? DEFAULT_VIEWPORT,
+        bookmarks: (wall.bookmarks ?? []).map((bookmark) => ({ ...bookmark, id: makeBookmarkId() })),
+      });
+      await refreshWalls();
+    }, 'Could not duplicate that wall.');
+
+  const handleDelete = (wall) => {
+    if (!window.confirm(`Delete "${wall.name}"? This cannot be undone.`)) return;
+    run(async () => {
+      const remaining = await removeWall(wall);
+      if (wall.id !== activeWallId) return;
+      const next = remaining[0] ?? (await ensureWall());
+      await openWall(next.id);
+    }, 'Could not delete that wall.');
+  };
+
+  return (
+    <div className="absolute right-6 top-24 z-50 w-96 rounded-3xl bg-slate-900/90 p-6 text-slate-100 backdrop-blur">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Walls</h2>
+        <button
+          type="button"
+          onClick={closeWallLibrary}
+          className="rounded-full bg-slate-700 px-3 py-1 text-sm uppercase tracking-widest hover:bg-slate-600"
+        >
+          Close
+        </button>
+      </div>
+      <ul className="mt-4 max-h-96 space-y-3 overflow-y-auto">
+        {walls.map((wall) => {
+          const isActive = wall.id === activeWallId;
+          return (
+            <li
+              key={wall.id}
+              className={`rounded-2xl p-3 ${isActive ? 'bg-cyan-500/20 ring-2 ring-cyan-400' : 'bg-slate-800/80'}`}
+            >
+              {editingId === wall.id ? (
+                <form onSubmit={handleRename} className="flex gap-2">
+                  <input
+                    autoFocus
+                    value={draftName}
+                    onChange={(event) => setDraftName(event.target.value.slice(0, 80))}
+                    className="min-w-0 flex-1 rounded-xl bg-slate-800 px-3 py-2 text-base text-slate-100 outline-none ring-2 ring-cyan-400"
+                    aria-label="Wall name"
+                  />
+                  <button type="submit" className="rounded-xl bg-cyan-500 px-3 py-2 text-sm font-semibold hover:bg-cyan-400">
+                    Save
+                  </button>
+                </form>
+              ) : (
+                <button type="button" onClick={() => handleSwitch(wall.id)} className="w-full text-left">
+                  <span className="block text-base font-semibold">
+                    {wall.name}
+                    {wall.shared && (
+                      <span className="ml-2 rounded-full bg-cyan-500/30 px-2 py-0.5 text-xs uppercase tracking-wider text-cyan-200">
+                        Shared
+                      </span>
+                    )}
+                  </span>
+                  <span className="block text-xs uppercase tracking-wider text-slate-400">
+                    {isActive ? 'Open now' : `Last opened ${new Date(wall.lastOpenedAt).toLocaleString()}`}
+                  </span>
+                </button>
+              )}
+              <div className="mt-2 flex gap-2 text-xs uppercase tracking-wider">
+                <button type="button" onClick={() => handleStartRename(wall)} className="rounded-lg bg-slate-700 px-3 py-2 hover:bg-slate-600">
+                  Rename
+                </button>
+                <button type="button" onClick={() => handleDuplicate(wall)} className="rounded-lg bg-slate-700 px-3 py-2 hover:bg-slate-600">
+                  Duplicate
+                </button>
+                <button type="button" onClick={() => handleDelete(wall)} className="rounded-lg bg-slate-700 px-3 py-2 hover:bg-rose-500">
+                  Delete
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        type="button"
+        onClick={handleCreate}
+        className="mt-4 w-full rounded-xl bg-emerald-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-emerald-400"
+      >
+        New Wall
+      </button>
+      {libraryError && <p className="mt-3 text-sm text-rose-300">{libraryError}</p>}
+    </div>
+  );
 };
 
-const sanitizeNodeForSave = (node) => {
-  const hydrated = ensureNodeShape(node);
-  return {
-    id: hydrated.id,
-    type: hydrated.type,
-    position: hydrated.position,
-    positionAbsolute: hydrated.positionAbsolute,
-    data: hydrated.data,
-    style: hydrated.style,
-  };
-};
-
-const computeOverlapRatio = (a, b) => {
-  if (!a || !b) return 0;
-  const widthA = a.data?.width ?? DEFAULT_NOTE_SIZE.width;
-  const heightA = a.data?.height ?? DEFAULT_NOTE_SIZE.height;
-  const widthB = b.data?.width ?? DEFAULT_NOTE_SIZE.width;
-  const heightB = b.data?.height ?? DEFAULT_NOTE_SIZE.height;
-
-  const ax1 = a.position?.x ?? 0;
-  const ay1 = a.position?.y ?? 0;
-  const ax2 = ax1 + widthA;
-  const ay2 = ay1 + heightA;
-
-  const bx1 = b.position?.x ?? 0;
-  const by1 = b.position?.y ?? 0;
-  const bx2 = bx1 + widthB;
-  const by2 = by1 + heightB;
-
-  const overlapX = Math.max(0, Math.min(ax2, bx2) - Math.max(ax1, bx1));
-  const overlapY = Math.max(0, Math.min(ay2, by2) - Math.max(ay1, by1));
-  const overlap = overlapX * overlapY;
-  if (!overlap) return 0;
-
-  const areaA = widthA * heightA;
-  const areaB = widthB * heightB;
-  const smallestArea = Math.max(1, Math.min(areaA, areaB));
-
-  return overlap / smallestArea;
-};
-
-const debounce = (fn, delay) => {
-  let timer;
-  const debounced = (...args) => {
-    window.clearTimeout(timer);
-    timer = window.setTimeout(() => {
-      fn(...args);
-    }, delay);
-  };
-  debounced.cancel = () => window.clearTimeout(timer);
-  return debounced;
-};
-
-const useCanvasStore = create((set, get) => ({
-  nodes: [],
-  edges: [],
-  highestZ: 1,
-  mergePair: null,
-  contextMenu: null,
-  isSettingsOpen: false,
-  setNodes: (updater) =>
-    set((state) => {
-      const nextNodes = typeof updater === 'function' ? updater(state.nodes) : updater;
-      const hydrated = nextNodes.map((node) => ensureNodeShape(node, state.highestZ));
-      const highestZ = hydrated.reduce((max, node) => Math.max(max, node.data?.zIndex ?? 1, max), state.highestZ);
-      return { nodes: hydrated, highestZ };
-    }),
-  setEdges: (updater) =>
-    set((state) => ({
-      edges: typeof updater === 'function' ? updater(state.edges) : updater,
-    })),
-  createNote: (position, options = {}) => {
-    const nextZ = get().highestZ + 1;
-    const node = ensureNodeShape(
-      {
-        id: options.id ?? makeId(),
-        type: 'sticky',
-        position,
-        data: {
-          text: options.text ?? '',
-          width: options.width ?? DEFAULT_NOTE_SIZE.width,
-          height: options.height ?? DEFAULT_NOTE_SIZE.height,
-          zIndex: nextZ,
-        },
-      },
-      nextZ,
+const SNAPSHOT_REASON_LABELS = {
+  scheduled: 'Scheduled',
+  manual: 'Manual',
+  import: 'Before import',
+  merge: 'Before merge',
+  'bulk delete': 'Before bulk delete',
+  restore: 'Before restore',
+};
+
+const DIFF_RING_CLASSES = {
+  removed: 'ring-4 ring-rose-500',
+  changed: 'ring-4 ring-amber-400',
+};
+
+// Read-only stand-in for StickyNoteNode so previews never touch the store.
+const SnapshotNoteNode = ({ data }) => (
+  <div
+    className={`h-full w-full overflow-hidden rounded-2xl p-4 text-base text-slate-900 ${(NOTE_COLORS[data.color] ?? NOTE_COLORS[DEFAULT_NOTE_COLOR]).note} ${DIFF_RING_CLASSES[data.diff] ?? ''}`}
+  >
+    <Handle type="target" position={Position.Left} isConnectable={false} className="!opacity-0" />
+    <Handle type="source" position={Position.Right} isConnectable={false} className="!opacity-0" />
+    <p className="whitespace-pre-wrap break-words">{plainNoteLinks(data.text) || describeMedia(data)}</p>
+  </div>
+);
+
+const SnapshotFrameNode = ({ data }) => {
+  const fill = (NOTE_COLORS[data.color] ?? NOTE_COLORS[DEFAULT_FRAME_COLOR]).fill;
+  return (
+    <div
+      className={`h-full w-full rounded-3xl border-4 p-4 ${DIFF_RING_CLASSES[data.diff] ?? ''}`}
+      style={{ backgroundColor: `${fill}26`, borderColor: fill }}
+    >
+      <p className="truncate text-lg font-bold" style={{ color: fill }}>
+        {data.title || DEFAULT_FRAME_TITLE}
+      </p>
+    </div>
+  );
+};
+
+const snapshotNodeTypes = { sticky: SnapshotNoteNode, frame: SnapshotFrameNode };
+
+const TimelinePanel = () => {
+  const snapshots = useCanvasStore((state) => state.snapshots);
+  const activeWallId = useCanvasStore((state) => state.activeWallId);
+  const wallName = useCanvasStore(
+    (state) => state.walls.find((wall) => wall.id === state.activeWallId)?.name ?? DEFAULT_WALL_NAME,
+  );
+  const nodes = useCanvasStore((state) => state.nodes);
+  const edges = useCanvasStore((state) => state.edges);
+  const closeTimeline = useCanvasStore((state) => state.closeTimeline);
+
+  const [preview, setPreview] = useState(null);
+  const [timelineError, setTimelineError] = useState('');
+
+  useEffect(() => {
+    refreshSnapshots().catch((error) => console.error('Failed to load snapshots', error));
+  }, [activeWallId]);
+
+  const run = async (task, message) => {
+    try {
+      setTimelineError('');
+      await task();
+    } catch (error) {
+      console.error(error);
+      setTimelineError(message);
+    }
+  };
+
+  const handlePreview = (snapshotId) =>
+    run(async () => {
+      if (preview?.id === snapshotId) {
+        setPreview(null);
+        return;
+      }
+      const snapshot = await db.snapshots.get(snapshotId);
+      setPreview(snapshot ?? null);
+    }, 'Could not load that snapshot.');
+
+  const diff = useMemo(() => (preview ? diffWalls(preview, { nodes, edges }) : null), [preview, nodes, edges]);
+
+  const previewNodes = useMemo(() => {
+    if (!preview || !diff) return [];
+    const removed = new Set(diff.removed.map((node) => node.id));
+    const changed = new Set(diff.changed.map((node) => node.id));
+    const collapsed = new Set(preview.nodes.filter((node) => isFrame(node) && node.data?.collapsed).map((node) => node.id));
+    return orderForFlow(preview.nodes.filter((node) => !collapsed.has(node.parentNode))).map((node) => {
+      const shaped = ensureNodeShape(node);
+      const status = removed.has(node.id) ? 'removed' : changed.has(node.id) ? 'changed' : null;
+      return { ...shaped, selected: false, data: { ...shaped.data, diff: status } };
+    });
+  }, [preview, diff]);
+  const previewEdges = useMemo(() => (preview ? preview.edges.map((edge) => toFlowEdge(edge)) : []), [preview]);
+
+  const handleRestore = () =>
+    run(async () => {
+      await snapshotWall('restore');
+      useCanvasStore.getState().replaceState({ nodes: preview.nodes, edges: preview.edges }, { label: 'restore snapshot' });
+      setPreview(null);
+    }, 'Could not restore that snapshot.');
+
+  const handleRestoreAsCopy = () =>
+    run(async () => {
+      const current = useCanvasStore.getState().walls.find((wall) => wall.id === activeWallId);
+      const wall = await createWall({
+        name: `${wallName} (${new Date(preview.createdAt).toLocaleString()})`,
+        nodes: preview.nodes,
+        edges: preview.edges,
+        viewport: current?.viewport ?? DEFAULT_VIEWPORT,
+        bookmarks: current?.bookmarks ?? [],
+      });
+      await switchWall(wall.id);
+    }, 'Could not copy that snapshot into a new wall.');
+
+  const renderDiffList = (label, items, className) =>
+    items.length > 0 && (
+      <div>
+        <p className={`text-sm font-semibold ${className}`}>
+          {label} ({items.length})
+        </p>
+        <ul className="ml-4 list-disc text-sm text-slate-300">
+          {items.slice(0, 5).map((node) => (
+            <li key={node.id}>{getNoteExcerpt(node)}</li>
+          ))}
+          {items.length > 5 && <li className="list-none text-slate-500">and {items.length - 5} more</li>}
+        </ul>
+      </div>
+    );
+
+  return (
+    <div className="absolute right-6 top-24 z-50 flex max-h-[80vh] w-[28rem] flex-col rounded-3xl bg-slate-900/90 p-6 text-slate-100 backdrop-blur">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Timeline</h2>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => run(() => snapshotWall('manual'), 'Could not take a snapshot.')}
+            className="rounded-full bg-cyan-500 px-3 py-1 text-sm font-semibold hover:bg-cyan-400"
+          >
+            Snapshot now
+          </button>
+          <button
+            type="button"
+            onClick={closeTimeline}
+            className="rounded-full bg-slate-700 px-3 py-1 text-sm uppercase tracking-widest hover:bg-slate-600"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+      {preview && diff && (
+        <div className="mt-4 space-y-3 rounded-2xl bg-slate-800/80 p-3">
+          <div className="h-48 overflow-hidden rounded-xl bg-slate-950">
+            <ReactFlowProvider>
+              <ReactFlow
+                nodeTypes={snapshotNodeTypes}
+                nodes={previewNodes}
+                edges={previewEdges}
+                nodesDraggable={false}
+                nodesConnectable={false}
+                elementsSelectable={false}
+                minZoom={0.05}
+                fitView
+                proOptions={{ hideAttribution: true }}
+              />
+            </ReactFlowProvider>
+          </div>
+          <p className="text-xs uppercase tracking-wider text-slate-400">Since this snapshot</p>
+          {diff.added.length + diff.removed.length + diff.changed.length === 0 ? (
+            <p className="text-sm text-slate-300">No note changes.</p>
+          ) : (
+            <>
+              {renderDiffList('Added', diff.added, 'text-emerald-300')}
+              {renderDiffList('Removed', diff.removed, 'text-rose-300')}
+              {renderDiffList('Changed', diff.changed, 'text-amber-300')}
+            </>
+          )}
+          <div className="flex gap-2">
+            <button type="button" onClick={handleRestore} className="flex-1 rounded-xl bg-emerald-500 px-3 py-2 text-sm font-semibold hover:bg-emerald-400">
+              Restore
+            </button>
+            <button type="button" onClick={handleRestoreAsCopy} className="flex-1 rounded-xl bg-slate-700 px-3 py-2 text-sm font-semibold hover:bg-slate-600">
+              Restore as copy
+            </button>
+          </div>
+        </div>
+      )}
+      <ul className="mt-4 min-h-0 flex-1 space-y-2 overflow-y-auto">
+        {snapshots.length === 0 && (
+          <li className="text-sm text-slate-400">
+            No snapshots yet. One is taken every {SNAPSHOT_INTERVAL_MS / 60000} minutes while the wall changes, and before imports, merges and bulk deletes.
+          </li>
+        )}
+        {snapshots.map((snapshot) => (
+          <li key={snapshot.id}>
+            <button
+              type="button"
+              onClick={() => handlePreview(snapshot.id)}
+              className={`w-full rounded-2xl p-3 text-left ${preview?.id === snapshot.id ? 'bg-cyan-500/20 ring-2 ring-cyan-400' : 'bg-slate-800/80 hover:bg-slate-700'}`}
+            >
+              <span className="block text-base font-semibold">{new Date(snapshot.createdAt).toLocaleString()}</span>
+              <span className="block text-xs uppercase tracking-wider text-slate-400">
+                {SNAPSHOT_REASON_LABELS[snapshot.reason] ?? snapshot.reason} · {snapshot.noteCount} notes · {snapshot.edgeCount} links
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+      {timelineError && <p className="mt-3 text-sm text-rose-300">{timelineError}</p>}
+    </div>
+  );
+};
+
+const SelectionToolbar = ({ ids }) => {
+  const deleteNotes = useCanvasStore((state) => state.deleteNotes);
+  const duplicateNotes = useCanvasStore((state) => state.duplicateNotes);
+  const bringNotesToFront = useCanvasStore((state) => state.bringNotesToFront);
+  const setNotesColor = useCanvasStore((state) => state.setNotesColor);
+  const alignNotes = useCanvasStore((state) => state.alignNotes);
+  const distributeNotes = useCanvasStore((state) => state.distributeNotes);
+  const snapNotesToGrid = useCanvasStore((state) => state.snapNotesToGrid);
+  const createFrame = useCanvasStore((state) => state.createFrame);
+  const setMergePair = useCanvasStore((state) => state.setMergePair);
+  const openMergeDialog = useCanvasStore((state) => state.openMergeDialog);
+  const openTemplates = useCanvasStore((state) => state.openTemplates);
+
+  // Frames in the selection are left out, and fewer than two notes opens nothing.
+  const handleMerge = () => {
+    const { nodes } = useCanvasStore.getState();
+    setMergePair({ ids: ids.filter((id) => nodes.some((node) => node.id === id && !isFrame(node))) });
+    openMergeDialog();
+  };
+
+  const buttonClass =
+    'rounded-xl bg-slate-700 px-3 py-2 text-sm font-semibold transition hover:bg-slate-600 disabled:cursor-not-allowed disabled:opacity-40';
+
+  return (
+    <div className="absolute bottom-10 left-1/2 z-50 flex max-w-[90vw] -translate-x-1/2 flex-wrap items-center gap-2 rounded-3xl bg-slate-900/95 p-3 text-slate-100 shadow-2xl backdrop-blur">
+      <span className="px-2 text-sm uppercase tracking-widest text-slate-400">{ids.length} selected</span>
+      <button
+        type="button"
+        onClick={() => {
+          snapshotWall('bulk delete');
+          deleteNotes(ids);
+        }}
+        className={`${buttonClass} hover:bg-rose-500`}
+      >
+        Delete
+      </button>
+      <button type="button" onClick={() => duplicateNotes(ids)} className={buttonClass}>
+        Duplicate
+      </button>
+      <button type="button" onClick={() => bringNotesToFront(ids)} className={buttonClass}>
+        To Front
+      </button>
+      <div className="flex gap-1 px-1">
+        {Object.entries(NOTE_COLORS).map(([key, color]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setNotesColor(ids, key)}
+            className={`h-9 w-9 rounded-full ${color.swatch} ring-2 ring-white/20 hover:ring-white`}
+            aria-label={`Color ${color.label}`}
+            title={color.label}
+          />
+        ))}
+      </div>
+      <button type="button" onClick={() => alignNotes(ids, 'left')} className={buttonClass}>
+        Align Left
+      </button>
+      <button type="button" onClick={() => alignNotes(ids, 'top')} className={buttonClass}>
+        Align Top
+      </button>
+      <button type="button" onClick={() => alignNotes(ids, 'center')} className={buttonClass}>
+        Align Center
+      </button>
+      <button type="button" onClick={() => distributeNotes(ids, 'horizontal')} disabled={ids.length < 3} className={buttonClass}>
+        Distribute ↔
+      </button>
+      <button type="button" onClick={() => distributeNotes(ids, 'vertical')} disabled={ids.length < 3} className={buttonClass}>
+        Distribute ↕
+      </button>
+      <button type="button" onClick={() => snapNotesToGrid(ids)} className={buttonClass}>
+        Snap to Grid
+      </button>
+      <button type="button" onClick={() => createFrame(ids)} className={buttonClass}>
+        Frame
+      </button>
+      <button type="button" onClick={handleMerge} className={buttonClass}>
+        Merge…
+      </button>
+      <button type="button" onClick={openTemplates} className={buttonClass}>
+        Save as Template…
+      </button>
+    </div>
+  );
+};
+
+const getMinimapColor = (node) =>
+  (NOTE_COLORS[node.data?.color] ?? NOTE_COLORS[isFrame(node) ? DEFAULT_FRAME_COLOR : DEFAULT_NOTE_COLOR]).fill;
+
+const BookmarksPanel = () => {
+  const activeWallId = useCanvasStore((state) => state.activeWallId);
+  const bookmarks = useCanvasStore((state) => state.walls.find((wall) => wall.id === state.activeWallId)?.bookmarks ?? NO_BOOKMARKS);
+  const closeBookmarks = useCanvasStore((state) => state.closeBookmarks);
+  const showMinimap = useCanvasStore((state) => state.showMinimap);
+  const { getViewport, setViewport } = useReactFlow();
+  const [draftName, setDraftName] = useState('');
+  const [error, setError] = useState('');
+
+  const save = (update) => {
+    setError('');
+    saveWallBookmarks(activeWallId, update).catch((saveError) => {
+      console.error(saveError);
+      setError('Could not save bookmarks.');
+    });
+  };
+
+  const handleAdd = (event) => {
+    event.preventDefault();
+    const name = draftName.trim().slice(0, MAX_BOOKMARK_NAME) || `View ${bookmarks.length + 1}`;
+    const { x, y, zoom } = getViewport();
+    const bookmark = { id: makeBookmarkId(), name, viewport: { x, y, zoom } };
+    save((current) => [...current, bookmark]);
+    setDraftName('');
+  };
+
+  const handleToggleMinimap = () => {
+    useCanvasStore.getState().setShowMinimap(!showMinimap);
+    db.settings.put({ key: 'minimap', visible: !showMinimap }).catch((saveError) => {
+      console.error('Failed to persist minimap setting', saveError);
+    });
+  };
+
+  return (
+    <div className="absolute right-6 top-24 z-50 w-96 rounded-3xl bg-slate-900/90 p-6 text-slate-100 backdrop-blur">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Bookmarks</h2>
+        <button
+          type="button"
+          onClick={closeBookmarks}
+          className="rounded-full bg-slate-700 px-3 py-1 text-sm uppercase tracking-widest hover:bg-slate-600"
+        >
+          Close
+        </button>
+      </div>
+      <form onSubmit={handleAdd} className="mt-4 flex gap-2">
+        <input
+          value={draftName}
+          onChange={(event) => setDraftName(event.target.value)}
+          maxLength={MAX_BOOKMARK_NAME}
+          placeholder="Name this view, e.g. Risks"
+          className="min-w-0 flex-1 rounded-xl bg-slate-800 px-3 py-2 text-base outline-none focus:ring-2 focus:ring-cyan-400"
+          aria-label="Bookmark name"
+        />
+        <button type="submit" className="rounded-xl bg-emerald-500 px-4 py-2 text-base font-semibold hover:bg-emerald-400">
+          Add
+        </button>
+      </form>
+      {bookmarks.length === 0 && <p className="mt-4 text-sm text-slate-400">No bookmarks yet. Add one to jump back to this view later.</p>}
+      <ul className="mt-4 max-h-72 space-y-2 overflow-y-auto">
+        {bookmarks.map((bookmark) => (
+          <li key={bookmark.id} className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => setViewport(bookmark.viewport, { duration: BOOKMARK_FLY_MS })}
+              className="min-w-0 flex-1 truncate rounded-xl bg-slate-800 px-4 py-3 text-left text-base hover:bg-cyan-600"
+              title={`Fly to ${bookmark.name}`}
+            >
+              {bookmark.name}
+            </button>
+            <button
+              type="button"
+              onClick={() => save((current) => current.filter((item) => item.id !== bookmark.id))}
+              className="rounded-xl bg-slate-700 px-3 py-3 text-sm hover:bg-rose-600"
+              aria-label={`Delete bookmark ${bookmark.name}`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      {error && <p className="mt-3 text-sm text-rose-300">{error}</p>}
+      <label className="mt-4 flex items-center gap-3 text-base">
+        <input type="checkbox" checked={showMinimap} onChange={handleToggleMinimap} />
+        Show minimap
+      </label>
+    </div>
+  );
+};
+
+const describeTemplate = (template) => {
+  const noteCount = template.nodes.filter((node) => !isFrame(node)).length;
+  const frameCount = template.nodes.length - noteCount;
+  return [
+    `${noteCount} note${noteCount === 1 ? '' : 's'}`,
+    frameCount ? `${frameCount} frame${frameCount === 1 ? '' : 's'}` : null,
+    template.edges.length ? `${template.edges.length} link${template.edges.length === 1 ? '' : 's'}` : null,
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+const TemplatesPanel = () => {
+  const templates = useCanvasStore((state) => state.templates);
+  const selectedIds = useCanvasStore(useShallow((state) => state.nodes.filter((node) => node.selected).map((node) => node.id)));
+  const hasNodes = useCanvasStore((state) => state.nodes.length > 0);
+  const closeTemplates = useCanvasStore((state) => state.closeTemplates);
+  const { screenToFlowPosition } = useReactFlow();
+  const fileInputRef = useRef(null);
+  const [draftName, setDraftName] = useState('');
+  const [asPlaceholders, setAsPlaceholders] = useState(true);
+  const [message, setMessage] = useState('');
+  const [errors, setErrors] = useState([]);
+
+  useEffect(() => {
+    refreshTemplates().catch((error) => console.error('Failed to load templates', error));
+  }, []);
+
+  const report = (text, problems = []) => {
+    setMessage(text);
+    setErrors(problems);
+  };
+
+  const handleSave = async (event) => {
+    event.preventDefault();
+    const { nodes, edges, walls, activeWallId } = useCanvasStore.getState();
+    const wallName = walls.find((wall) => wall.id === activeWallId)?.name ?? DEFAULT_WALL_NAME;
+    const built = buildTemplate({
+      name: draftName || (selectedIds.length ? `${wallName} selection` : wallName),
+      nodes,
+      edges,
+      ids: selectedIds.length ? selectedIds : null,
+      asPlaceholders,
+    });
+    if (!built) return;
+    const { template, attachmentCount } = built;
+    try {
+      await saveTemplates([template]);
+      setDraftName('');
+      report(
+        attachmentCount
+          ? `Saved "${template.name}". Templates don't keep files, so ${attachmentCount === 1 ? 'one attachment was' : `${attachmentCount} attachments were`} left out; those notes show the file name instead.`
+          : `Saved "${template.name}".`,
+      );
+    } catch (error) {
+      console.error(error);
+      report('Could not save the template.');
+    }
+  };
+
+  const handleInsert = (template) => {
+    placeTemplate(template, screenToFlowPosition({ x: window.innerWidth / 2, y: window.innerHeight / 2 }));
+    report(`Inserted "${template.name}".`);
+  };
+
+  const handleExport = (list, fileBase) => {
+    const blob = new Blob([JSON.stringify(toTemplateFile(list), null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `${toFileBase(fileBase)}.synapse-template.json`);
+  };
+
+  const handleDelete = (template) => {
+    deleteTemplate(template.id).catch((error) => {
+      console.error(error);
+      report('Could not delete the template.');
+    });
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files ?? [];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const parsed = parseTemplateFile(await file.text());
+      if (parsed.templates.length) await saveTemplates(parsed.templates);
+      report(`Imported ${parsed.templates.length} template${parsed.templates.length === 1 ? '' : 's'} from ${file.name}.`, parsed.errors);
+    } catch (error) {
+      console.error(error);
+      report(`Import failed: ${error.message}`);
+    }
+  };
+
+  const renderTemplate = (template) => (
+    <li key={template.id} className="flex items-center gap-2">
+      <button
+        type="button"
+        draggable
+        onDragStart={(event) => {
+          event.dataTransfer.setData(TEMPLATE_DRAG_TYPE, template.id);
+          event.dataTransfer.effectAllowed = 'copy';
+        }}
+        onClick={() => handleInsert(template)}
+        className="min-w-0 flex-1 rounded-xl bg-slate-800 px-4 py-3 text-left hover:bg-cyan-600"
+        title={`Insert ${template.name} in the middle of the view, or drag it onto the wall`}
+      >
+        <span className="block truncate text-base">{template.name}</span>
+        <span className="block text-xs text-slate-400">{describeTemplate(template)}</span>
+      </button>
+      <button
+        type="button"
+        onClick={() => handleExport([template], template.name)}
+        className="rounded-xl bg-slate-700 px-3 py-3 text-sm hover:bg-slate-600"
+        aria-label={`Export template ${template.name}`}
+        title="Export as JSON"
+      >
+        ⤓
+      </button>
+      {!template.builtIn && (
+        <button
+          type="button"
+          onClick={() => handleDelete(template)}
+          className="rounded-xl bg-slate-700 px-3 py-3 text-sm hover:bg-rose-600"
+          aria-label={`Delete template ${template.name}`}
+        >
+          ✕
+        </button>
+      )}
+    </li>
+  );
+
+  return (
+    <div className="absolute right-6 top-24 z-50 w-[26rem] rounded-3xl bg-slate-900/90 p-6 text-slate-100 backdrop-blur">
+      <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleImport} />
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Templates</h2>
+        <button
+          type="button"
+          onClick={closeTemplates}
+          className="rounded-full bg-slate-700 px-3 py-1 text-sm uppercase tracking-widest hover:bg-slate-600"
+        >
+          Close
+        </button>
+      </div>
+      <form onSubmit={handleSave} className="mt-4 space-y-2">
+        <div className="flex gap-2">
+          <input
+            value={draftName}
+            onChange={(event) => setDraftName(event.target.value)}
+            maxLength={MAX_TEMPLATE_NAME}
+            placeholder="Template name, e.g. Sprint kickoff"
+            className="min-w-0 flex-1 rounded-xl bg-slate-800 px-3 py-2 text-base outline-none focus:ring-2 focus:ring-cyan-400"
+            aria-label="Template name"
+          />
+          <button
+            type="submit"
+            disabled={!hasNodes}
+            className="rounded-xl bg-emerald-500 px-4 py-2 text-base font-semibold hover:bg-emerald-400 disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            {selectedIds.length ? `Save ${selectedIds.length} selected` : 'Save wall'}
+          </button>
+        </div>
+        <label className="flex items-center gap-3 text-sm text-slate-300">
+          <input type="checkbox" checked={asPlaceholders} onChange={(event) => setAsPlaceholders(event.target.checked)} />
+          Turn note text into placeholders
+        </label>
+      </form>
+      <div className="mt-4 max-h-[55vh] space-y-4 overflow-y-auto">
+        <section>
+          <h3 className="text-xs uppercase tracking-[0.25em] text-slate-400">Starters</h3>
+          <ul className="mt-2 space-y-2">{STARTER_TEMPLATES.map(renderTemplate)}</ul>
+        </section>
+        <section>
+          <h3 className="text-xs uppercase tracking-[0.25em] text-slate-400">Saved</h3>
+          {templates.length === 0 && <p className="mt-2 text-sm text-slate-400">Nothing saved yet. Select notes, or save the whole wall.</p>}
+          <ul className="mt-2 space-y-2">{templates.map(renderTemplate)}</ul>
+        </section>
+      </div>
+      <div className="mt-4 flex gap-2">
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="flex-1 rounded-xl bg-slate-700 px-4 py-2 text-sm font-semibold hover:bg-slate-600"
+        >
+          Import…
+        </button>
+        <button
+          type="button"
+          onClick={() => handleExport(templates, 'synapse-templates')}
+          disabled={!templates.length}
+          className="flex-1 rounded-xl bg-slate-700 px-4 py-2 text-sm font-semibold hover:bg-slate-600 disabled:cursor-not-allowed disabled:opacity-40"
+        >
+          Export Saved
+        </button>
+      </div>
+      {message && <p className="mt-3 text-sm text-slate-200">{message}</p>}
+      {errors.length > 0 && (
+        <ul className="mt-2 max-h-24 list-disc overflow-y-auto pl-5 text-xs text-amber-300">
+          {errors.map((error, index) => (
+            <li key={index}>{error}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const LegendPanel = () => {
+  const nodes = useCanvasStore((state) => state.nodes);
+  const edges = useCanvasStore((state) => state.edges);
+  const legendFilter = useCanvasStore((state) => state.legendFilter);
+  const setLegendFilter = useCanvasStore((state) => state.setLegendFilter);
+  const hiddenRelations = useCanvasStore((state) => state.hiddenRelations);
+  const toggleRelationHidden = useCanvasStore((state) => state.toggleRelationHidden);
+  const closeLegend = useCanvasStore((state) => state.closeLegend);
+  const convertNoteLinksToEdges = useCanvasStore((state) => state.convertNoteLinksToEdges);
+  const [convertMessage, setConvertMessage] = useState('');
+
+  const relationCounts = useMemo(() => {
+    const counts = new Map();
+    edges.forEach((edge) => {
+      const relation = getEdgeRelation(edge);
+      counts.set(relation, (counts.get(relation) ?? 0) + 1);
+    });
+    return Object.keys(EDGE_RELATIONS).map((key) => ({ key, count: counts.get(key) ?? 0 }));
+  }, [edges]);
+
+  const { colorCounts, tagCounts } = useMemo(() => {
+    const colors = new Map();
+    const tagsByKey = new Map();
+    nodes.filter((node) => !isFrame(node)).forEach((node) => {
+      const color = node.data?.color ?? DEFAULT_NOTE_COLOR;
+      colors.set(color, (colors.get(color) ?? 0) + 1);
+      (node.data?.tags ?? []).forEach((tag) => {
+        const key = tag.toLowerCase();
+        const entry = tagsByKey.get(key) ?? { tag, count: 0 };
+        tagsByKey.set(key, { ...entry, count: entry.count + 1 });
+      });
+    });
+    return {
+      colorCounts: Object.keys(NOTE_COLORS).map((key) => ({ key, count: colors.get(key) ?? 0 })),
+      tagCounts: [...tagsByKey.values()].sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag)),
+    };
+  }, [nodes]);
+
+  const isActive = (kind, value, mode) =>
+    legendFilter?.kind === kind && legendFilter.value === value && legendFilter.mode === mode;
+  const toggleFilter = (kind, value, mode) => setLegendFilter(isActive(kind, value, mode) ? null : { kind, value, mode });
+
+  const renderFilterButtons = (kind, value) => (
+    <div className="ml-auto flex gap-1">
+      {['only', 'dim'].map((mode) => (
+        <button
+          key={mode}
+          type="button"
+          onClick={() => toggleFilter(kind, value, mode)}
+          className={`rounded-lg px-2 py-1 text-xs uppercase tracking-wider ${isActive(kind, value, mode) ? 'bg-cyan-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+        >
+          {mode === 'only' ? 'Only' : 'Dim others'}
+        </button>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="absolute right-6 top-24 z-50 w-96 rounded-3xl bg-slate-900/90 p-6 text-slate-100 backdrop-blur">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Legend</h2>
+        <button
+          type="button"
+          onClick={closeLegend}
+          className="rounded-full bg-slate-700 px-3 py-1 text-sm uppercase tracking-widest hover:bg-slate-600"
+        >
+          Close
+        </button>
+      </div>
+      <p className="mt-4 text-xs uppercase tracking-wider text-slate-400">Colors</p>
+      <ul className="mt-2 space-y-2">
+        {colorCounts.map(({ key, count }) => (
+          <li key={key} className="flex items-center gap-3">
+            <span className={`h-6 w-6 rounded-full ${NOTE_COLORS[key].swatch}`} />
+            <span className="text-base">{NOTE_COLORS[key].label}</span>
+            <span className="text-sm text-slate-400">{count}</span>
+            {renderFilterButtons('color', key)}
+          </li>
+        ))}
+      </ul>
+      <p className="mt-4 text-xs uppercase tracking-wider text-slate-400">Tags</p>
+      {tagCounts.length === 0 && <p className="mt-2 text-sm text-slate-400">No tags yet. Hold a note to add some.</p>}
+      <ul className="mt-2 max-h-64 space-y-2 overflow-y-auto">
+        {tagCounts.map(({ tag, count }) => (
+          <li key={tag} className="flex items-center gap-3">
+            <span className="text-base">#{tag}</span>
+            <span className="text-sm text-slate-400">{count}</span>
+            {renderFilterButtons('tag', tag)}
+          </li>
+        ))}
+      </ul>
+      <p className="mt-4 text-xs uppercase tracking-wider text-slate-400">Links</p>
+      <ul className="mt-2 space-y-2">
+        {relationCounts.map(({ key, count }) => {
+          const relation = EDGE_RELATIONS[key];
+          const isHidden = hiddenRelations.includes(key);
+          return (
+            <li key={key} className={`flex items-center gap-3 ${isHidden ? 'opacity-50' : ''}`}>
+              <svg width="28" height="8" aria-hidden="true">
+                <line x1="0" y1="4" x2="28" y2="4" stroke={relation.stroke} strokeWidth="3" strokeDasharray={relation.dash ?? undefined} />
+              </svg>
+              <span className="text-base">{relation.label}</span>
+              <span className="text-sm text-slate-400">{count}</span>
+              <button
+                type="button"
+                onClick={() => toggleRelationHidden(key)}
+                className={`ml-auto rounded-lg px-2 py-1 text-xs uppercase tracking-wider ${isHidden ? 'bg-cyan-500 text-white' : 'bg-slate-700 hover:bg-slate-600'}`}
+              >
+                {isHidden ? 'Hidden' : 'Hide'}
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        type="button"
+        onClick={() => {
+          const added = convertNoteLinksToEdges();
+          setConvertMessage(added ? `Added ${added} ${added === 1 ? 'link' : 'links'}.` : 'Every [[link]] already has a matching link.');
+        }}
+        className="mt-4 w-full rounded-xl bg-slate-700 px-4 py-2 text-sm font-semibold hover:bg-slate-600"
+        title="Draw a related link for every [[note link]] in the text"
+      >
+        Convert [[links]] to edges
+      </button>
+      {convertMessage && <p className="mt-2 text-sm text-slate-300">{convertMessage}</p>}
+      {legendFilter && (
+        <button
+          type="button"
+          onClick={() => setLegendFilter(null)}
+          className="mt-4 w-full rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold transition hover:bg-slate-600"
+        >
+          Show all notes
+        </button>
+      )}
+    </div>
+  );
+};
+
+const EdgeInspector = () => {
+  const edge = useCanvasStore((state) => state.edges.find((item) => item.id === state.inspectedEdgeId));
+  const sourceNote = useCanvasStore((state) => state.nodes.find((node) => node.id === edge?.source));
+  const targetNote = useCanvasStore((state) => state.nodes.find((node) => node.id === edge?.target));
+  const updateEdge = useCanvasStore((state) => state.updateEdge);
+  const deleteEdge = useCanvasStore((state) => state.deleteEdge);
+  const closeEdgeInspector = useCanvasStore((state) => state.closeEdgeInspector);
+
+  if (!edge || !sourceNote || !targetNote) return null;
+  const relation = getEdgeRelation(edge);
+
+  return (
+    <div className="absolute bottom-10 left-1/2 z-50 w-[28rem] -translate-x-1/2 rounded-3xl bg-slate-900/95 p-6 text-slate-100 shadow-2xl backdrop-blur">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xl font-semibold">Link</h2>
+        <button
+          type="button"
+          onClick={closeEdgeInspector}
+          className="rounded-full bg-slate-700 px-3 py-1 text-sm uppercase tracking-widest hover:bg-slate-600"
+        >
+          Close
+        </button>
+      </div>
+      <p className="mt-3 text-base text-slate-300">
+        <span className="font-semibold text-white">{getNoteExcerpt(sourceNote)}</span>{' '}
+        <span style={{ color: EDGE_RELATIONS[relation].stroke }}>{EDGE_RELATIONS[relation].verb}</span>{' '}
+        <span className="font-semibold text-white">{getNoteExcerpt(targetNote)}</span>
+      </p>
+      <p className="mt-4 text-xs uppercase tracking-wider text-slate-400">Type</p>
+      <div className="mt-2 flex flex-wrap gap-2">
+        {Object.entries(EDGE_RELATIONS).map(([key, option]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => updateEdge(edge.id, { data: { ...edge.data, relation: key } }, { label: 'change link type' })}
+            className={`flex items-center gap-2 rounded-xl px-3 py-2 text-sm font-semibold ${relation === key ? 'bg-slate-100 text-slate-900' : 'bg-slate-800 hover:bg-slate-700'}`}
+          >
+            <span className="h-3 w-3 rounded-full" style={{ backgroundColor: option.stroke }} />
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <label htmlFor="edge-label" className="mt-4 block text-xs uppercase tracking-wider text-slate-400">
+        Label
+      </label>
+      <input
+        id="edge-label"
+        type="text"
+        value={edge.label ?? ''}
+        maxLength={MAX_EDGE_LABEL}
+        placeholder="Optional, shown on the link"
+        onChange={(event) =>
+          updateEdge(edge.id, { label: event.target.value || undefined }, { label: 'edit link label', coalesceKey: `edge-label:${edge.id}` })
+        }
+        className="mt-2 w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+      />
+      <div className="mt-5 flex gap-3">
+        <button
+          type="button"
+          onClick={() =>
+            updateEdge(
+              edge.id,
+              { source: edge.target, target: edge.source, sourceHandle: edge.targetHandle, targetHandle: edge.sourceHandle },
+              { label: 'reverse link' },
+            )
+          }
+          className="flex-1 rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold transition hover:bg-slate-600"
+        >
+          Reverse
+        </button>
+        <button
+          type="button"
+          onClick={() => deleteEdge(edge.id)}
+          className="flex-1 rounded-xl bg-rose-600 px-4 py-3 text-base font-semibold transition hover:bg-rose-500"
+        >
+          Delete Link
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Centers the camera on a note. A note inside a collapsed frame opens the
+// frame so it is visible.
+const useFlyToNote = () => {
+  const { setCenter, getZoom } = useReactFlow();
+  return useCallback(
+    (noteId) => {
+      const { nodes, updateNoteData } = useCanvasStore.getState();
+      const node = toAbsoluteNodes(nodes).find((item) => item.id === noteId);
+      if (!node) return false;
+      if (nodes.find((item) => item.id === node.parentNode)?.data?.collapsed) {
+        updateNoteData(node.parentNode, { collapsed: false }, { label: 'expand frame' });
+      }
+      setCenter(node.position.x + getNoteWidth(node) / 2, node.position.y + getNoteHeight(node) / 2, {
+        zoom: Math.max(getZoom(), 1),
+        duration: 450,
+      });
+      return true;
+    },
+    [setCenter, getZoom],
+  );
+};
+
+// An inline [[note link]]. It shows the target's current first line, or the
+// saved label struck through once the target is gone.
+const NoteLinkChip = ({ targetId, label }) => {
+  const title = useCanvasStore((state) => {
+    const target = state.nodes.find((node) => node.id === targetId);
+    return target ? getNoteExcerpt(target) : null;
+  });
+  const flyToNote = useFlyToNote();
+
+  if (title === null) {
+    return (
+      <span className="rounded-full bg-slate-900/10 px-2 py-0.5 text-[0.9em] text-slate-500 line-through" title="This note no longer exists">
+        {label || targetId}
+      </span>
     );
-    set((state) => ({ nodes: [...state.nodes, node], highestZ: nextZ }));
-    return node;
-  },
-  updateNoteData: (id, updater) =>
-    set((state) => ({
-      nodes: state.nodes.map((node) => {
-        if (node.id !== id) return node;
-        const base = node.data ?? {};
-        const patch = typeof updater === 'function' ? updater(base) : updater;
-        const nextData = { ...base, ...patch };
-        return ensureNodeShape({ ...node, data: nextData }, nextData.zIndex ?? state.highestZ);
-      }),
-    })),
-  setNodeSize: (id, size) =>
-    set((state) => ({
-      nodes: state.nodes.map((node) => {
-        if (node.id !== id) return node;
-        const width = clamp(size.width, MIN_NOTE_SIZE.width, MAX_NOTE_SIZE.width);
-        const height = clamp(size.height, MIN_NOTE_SIZE.height, MAX_NOTE_SIZE.height);
-        const nextData = { ...node.data, width, height };
-        return ensureNodeShape({ ...node, data: nextData }, nextData.zIndex ?? state.highestZ);
-      }),
-    })),
-  setNodeDragging: (id, dragging) =>
-    set((state) => ({
-      nodes: state.nodes.map((node) =>
-        node.id === id
-          ? ensureNodeShape({ ...node, data: { ...node.data, dragging } }, node.data?.zIndex ?? state.highestZ)
-          : node,
+  }
+  return (
+    <button
+      type="button"
+      onClick={(event) => {
+        event.stopPropagation();
+        flyToNote(targetId);
+      }}
+      className="nodrag rounded-full bg-cyan-600/90 px-2 py-0.5 align-baseline text-[0.9em] font-semibold text-white hover:bg-cyan-500"
+      title="Go to this note"
+    >
+      ↗ {title}
+    </button>
+  );
+};
+
+const SearchOverlay = () => {
+  const nodes = useCanvasStore((state) => state.nodes);
+  const searchQuery = useCanvasStore((state) => state.searchQuery);
+  const activeSearchId = useCanvasStore((state) => state.activeSearchId);
+  const setSearchQuery = useCanvasStore((state) => state.setSearchQuery);
+  const setActiveSearchId = useCanvasStore((state) => state.setActiveSearchId);
+  const closeSearch = useCanvasStore((state) => state.closeSearch);
+  const clearSearch = useCanvasStore((state) => state.clearSearch);
+  const flyToNote = useFlyToNote();
+
+  const results = useMemo(() => searchNotes(nodes, searchQuery), [nodes, searchQuery]);
+  const activeIndex = results.findIndex((result) => result.id === activeSearchId);
+
+  const jumpTo = (index) => {
+    if (!results.length) return;
+    const wrapped = (index + results.length) % results.length;
+    if (flyToNote(results[wrapped].id)) setActiveSearchId(results[wrapped].id);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter') {
+      event.preventDefault();
+      jumpTo(activeIndex + (event.shiftKey ? -1 : 1));
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      closeSearch();
+    }
+  };
+
+  return (
+    <div className="absolute left-1/2 top-6 z-50 w-[32rem] -translate-x-1/2 rounded-3xl bg-slate-900/95 p-4 text-slate-100 shadow-2xl backdrop-blur">
+      <div className="flex items-center gap-2">
+        <input
+          autoFocus
+          type="search"
+          value={searchQuery}
+          onChange={(event) => setSearchQuery(event.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search notes…"
+          className="min-w-0 flex-1 rounded-xl bg-slate-800 px-4 py-3 text-lg text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+          aria-label="Search notes"
+        />
+        <span className="w-16 text-center text-sm text-slate-400">
+          {results.length ? `${activeIndex + 1 || '–'}/${results.length}` : '0/0'}
+        </span>
+        <button
+          type="button"
+          onClick={() => jumpTo(activeIndex - 1)}
+          disabled={!results.length}
+          className="h-12 w-12 rounded-full bg-slate-700 text-xl hover:bg-slate-600 disabled:opacity-40"
+          aria-label="Previous match"
+        >
+          ↑
+        </button>
+        <button
+          type="button"
+          onClick={() => jumpTo(activeIndex + 1)}
+          disabled={!results.length}
+          className="h-12 w-12 rounded-full bg-slate-700 text-xl hover:bg-slate-600 disabled:opacity-40"
+          aria-label="Next match"
+        >
+          ↓
+        </button>
+        <button
+          type="button"
+          onClick={clearSearch}
+          className="h-12 rounded-full bg-slate-700 px-4 text-sm uppercase tracking-widest hover:bg-rose-500"
+        >
+          Clear
+        </button>
+      </div>
+      {results.length > 0 && (
+        <ul className="mt-3 max-h-72 space-y-1 overflow-y-auto">
+          {results.slice(0, 20).map((result, index) => {
+            const node = nodes.find((item) => item.id === result.id);
+            return (
+              <li key={result.id}>
+                <button
+                  type="button"
+                  onClick={() => jumpTo(index)}
+                  className={`w-full rounded-xl px-3 py-2 text-left text-sm ${result.id === activeSearchId ? 'bg-cyan-500/30' : 'hover:bg-slate-800'}`}
+                >
+                  <SearchSnippet segments={buildSnippet(node?.data?.text ?? '', result.ranges)} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+      {searchQuery.trim() && results.length === 0 && <p className="mt-3 text-sm text-slate-400">No notes match.</p>}
+    </div>
+  );
+};
+
+const BranchReviewPanel = ({ onCancel, onRetry }) => {
+  const aiBranch = useCanvasStore((state) => state.aiBranch);
+  const setAiBranch = useCanvasStore((state) => state.setAiBranch);
+  const addChildNotes = useCanvasStore((state) => state.addChildNotes);
+
+  const kept = aiBranch.suggestions.filter((suggestion) => suggestion.keep && suggestion.text.trim());
+
+  const toggleKeep = (suggestionId) =>
+    setAiBranch({
+      suggestions: aiBranch.suggestions.map((suggestion) =>
+        suggestion.id === suggestionId ? { ...suggestion, keep: !suggestion.keep } : suggestion,
       ),
-    })),
-  deleteNote: (id) =>
-    set((state) => ({
-      nodes: state.nodes.filter((node) => node.id !== id),
-      edges: state.edges.filter((edge) => edge.source !== id && edge.target !== id),
-      mergePair: state.mergePair && state.mergePair.ids.includes(id) ? null : state.mergePair,
-      contextMenu: state.contextMenu?.nodeId === id ? null : state.contextMenu,
-    })),
-  bringToFront: (id) => {
-    const nextZ = get().highestZ + 1;
-    set((state) => ({
-      highestZ: nextZ,
-      nodes: state.nodes.map((node) =>
-        node.id === id
-          ? ensureNodeShape({ ...node, data: { ...node.data, zIndex: nextZ } }, nextZ)
-          : node,
+    });
+
+  const editSuggestion = (suggestionId, text) =>
+    setAiBranch({
+      suggestions: aiBranch.suggestions.map((suggestion) =>
+        suggestion.id === suggestionId ? { ...suggestion, text: text.slice(0, MAX_NOTE_TEXT) } : suggestion,
       ),
-    }));
-  },
-  setMergePair: (pair) =>
-    set(() => {
-      if (!pair || !pair.ids || pair.ids.length < 2) {
-        return { mergePair: null };
-      }
-      const ids = [...new Set(pair.ids.filter(Boolean))];
-      if (ids.length < 2) {
-        return { mergePair: null };
-      }
-      return { mergePair: { ids, triggeredBy: pair.triggeredBy ?? null } };
-    }),
-  clearMergePair: () => set({ mergePair: null }),
-  setContextMenu: (menu) => set({ contextMenu: menu }),
-  closeContextMenu: () => set({ contextMenu: null }),
-  toggleSettings: () => set((state) => ({ isSettingsOpen: !state.isSettingsOpen })),
-  closeSettings: () => set({ isSettingsOpen: false }),
-  replaceState: ({ nodes = [], edges = [] }) => {
-    const hydrated = nodes.map((node, idx) => ensureNodeShape(node, idx + 1));
-    const highestZ = hydrated.reduce((max, node) => Math.max(max, node.data?.zIndex ?? 1, max), 1);
-    set({
-      nodes: hydrated,
-      edges,
-      highestZ,
-      mergePair: null,
-      contextMenu: null,
     });
-  },
-  mergeNotes: () => {
-    const state = get();
-    const pair = state.mergePair;
-    if (!pair || pair.ids.length < 2) return;
-    const [idA, idB] = pair.ids;
-    const noteA = state.nodes.find((node) => node.id === idA);
-    const noteB = state.nodes.find((node) => node.id === idB);
-    if (!noteA || !noteB) {
-      set({ mergePair: null });
-      return;
+
+  const handleCommit = () => {
+    addChildNotes(
+      aiBranch.nodeId,
+      kept.map((suggestion) => suggestion.text.trim()),
+    );
+    setAiBranch(null);
+  };
+
+  return (
+    <div className="absolute bottom-10 left-1/2 z-50 w-[32rem] -translate-x-1/2 rounded-3xl bg-slate-900/95 p-6 text-slate-100 shadow-2xl backdrop-blur">
+      <h2 className="text-xl font-semibold">Branch with AI</h2>
+      <p className="mt-1 text-sm text-slate-400">
+        {aiBranch.status === 'streaming' && `Generating ${aiBranch.count} ideas…`}
+        {aiBranch.status === 'ready' && 'Keep the ideas you want as linked child notes.'}
+        {aiBranch.status === 'failed' && `Branching failed (${aiBranch.error}).`}
+      </p>
+      <ul className="mt-4 max-h-72 space-y-2 overflow-y-auto">
+        {aiBranch.suggestions.map((suggestion) => (
+          <li key={suggestion.id} className="flex items-start gap-3 rounded-2xl bg-slate-800 p-3">
+            <input
+              type="checkbox"
+              checked={suggestion.keep}
+              onChange={() => toggleKeep(suggestion.id)}
+              disabled={aiBranch.status === 'streaming'}
+              className="mt-2 h-6 w-6 accent-orange-500"
+              aria-label="Keep this idea"
+            />
+            <textarea
+              value={suggestion.text}
+              onChange={(event) => editSuggestion(suggestion.id, event.target.value)}
+              readOnly={aiBranch.status === 'streaming'}
+              rows={2}
+              className={`flex-1 resize-none rounded-xl bg-white/90 p-2 text-base text-slate-900 outline-none ${suggestion.keep ? '' : 'opacity-40 line-through'}`}
+            />
+          </li>
+        ))}
+      </ul>
+      <div className="mt-5 flex gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold transition hover:bg-slate-600"
+        >
+          {aiBranch.status === 'streaming' ? 'Stop' : 'Discard'}
+        </button>
+        {aiBranch.status !== 'streaming' && (
+          <button
+            type="button"
+            onClick={onRetry}
+            className="flex-1 rounded-xl bg-cyan-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-cyan-400"
+          >
+            Retry
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={handleCommit}
+          disabled={aiBranch.status !== 'ready' || kept.length === 0}
+          className="flex-1 rounded-xl bg-orange-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-orange-400 disabled:cursor-not-allowed disabled:opacity-40"
+        >
+          Add {kept.length}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const MergeDialog = () => {
+  const mergePair = useCanvasStore((state) => state.mergePair);
+  const nodes = useCanvasStore((state) => state.nodes);
+  const ollama = useCanvasStore((state) => state.ollama);
+  const mergeNotes = useCanvasStore((state) => state.mergeNotes);
+  const closeMergeDialog = useCanvasStore((state) => state.closeMergeDialog);
+
+  // status: idle → streaming → done | failed (falls back to plain text)
+  const [aiState, setAiState] = useState({ status: 'idle', text: '', error: '' });
+  const [keepSources, setKeepSources] = useState(false);
+  const abortRef = useRef(null);
+
+  const texts = useMemo(
+    () => (mergePair?.ids ?? []).map((id) => nodes.find((node) => node.id === id)?.data?.text ?? ''),
+    [mergePair, nodes],
+  );
+  const plainText = combineNoteTexts(texts);
+  const mediaExtras = useMemo(
+    () => splitMergeMedia((mergePair?.ids ?? []).map((id) => nodes.find((node) => node.id === id)).filter(Boolean)).extras.length,
+    [mergePair, nodes],
+  );
+
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const startAiMerge = async () => {
+    abortRef.current?.abort();
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setAiState({ status: 'streaming', text: '', error: '' });
+    try {
+      const text = await streamOllamaGenerate({
+        endpoint: ollama.endpoint,
+        model: ollama.model,
+        prompt: buildMergePrompt(texts),
+        signal: controller.signal,
+        onToken: (partial) => setAiState((current) => ({ ...current, text: partial })),
+      });
+      if (!text.trim()) {
+        throw new Error('Ollama returned an empty note.');
+      }
+      setAiState({ status: 'done', text: text.trim(), error: '' });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('AI merge failed', error);
+      setAiState({ status: 'failed', text: plainText, error: error.message });
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
     }
+  };
+
+  const cancelAiMerge = () => {
+    abortRef.current?.abort();
+    setAiState({ status: 'idle', text: '', error: '' });
+  };
 
-    const combinedText = [noteA.data?.text ?? '', noteB.data?.text ?? '']
-      .map((chunk) => chunk.trim())
-      .filter(Boolean)
-      .join('\n\n---\n\n');
+  const previewText = aiState.status === 'idle' ? plainText : aiState.text;
+
+  return (
+    <div className="absolute left-1/2 top-1/2 z-50 w-[32rem] -translate-x-1/2 -translate-y-1/2 rounded-3xl bg-slate-900/95 p-6 text-slate-100 shadow-2xl backdrop-blur">
+      <h2 className="text-xl font-semibold">Merge {texts.length} notes</h2>
+      <p className="mt-1 text-sm text-slate-400">
+        {aiState.status === 'idle' && 'Combine the texts as they are, or let your local model write one note.'}
+        {aiState.status === 'streaming' && `Writing with ${ollama.model}…`}
+        {aiState.status === 'done' && 'AI merge ready.'}
+        {aiState.status === 'failed' && `AI merge failed (${aiState.error}). Showing the plain merge instead.`}
+      </p>
+      <pre className="mt-4 max-h-64 overflow-y-auto whitespace-pre-wrap rounded-2xl bg-white/90 p-4 font-sans text-base text-slate-900">
+        {previewText || ' '}
+      </pre>
+      <label className="mt-4 flex items-center gap-3 text-base">
+        <input type="checkbox" checked={keepSources} onChange={(event) => setKeepSources(event.target.checked)} />
+        Keep the originals, linked to the merged note as sources
+      </label>
+      {mediaExtras > 0 && !keepSources && (
+        <p className="mt-3 rounded-2xl bg-amber-500/10 p-3 text-sm text-amber-200">
+          A note holds one attachment and one link card. The merged note keeps the first of each, and the other{' '}
+          {mediaExtras === 1 ? 'one moves to its own note' : `${mediaExtras} move to notes of their own`}, linked to the merged note.
+        </p>
+      )}
+      <div className="mt-5 flex flex-wrap gap-3">
+        <button
+          type="button"
+          onClick={aiState.status === 'streaming' ? cancelAiMerge : closeMergeDialog}
+          className="flex-1 rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold transition hover:bg-slate-600"
+        >
+          Cancel
+        </button>
+        {aiState.status !== 'streaming' && (
+          <button
+            type="button"
+            onClick={startAiMerge}
+            className="flex-1 rounded-xl bg-cyan-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-cyan-400"
+          >
+            {aiState.status === 'idle' ? 'Smart Merge (AI)' : 'Retry AI'}
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => {
+            snapshotWall('merge');
+            mergeNotes({ text: previewText, keepSources });
+          }}
+          disabled={aiState.status === 'streaming'}
+          className="flex-1 rounded-xl bg-emerald-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-emerald-400 disabled:cursor-not-allowed disabled:opacity-40"
+        >
+          Merge
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const ImportPreviewPanel = ({ plan, onConfirm, onCancel }) => {
+  const [mode, setMode] = useState('new');
+  const currentNodes = useCanvasStore((state) => state.nodes);
+  const currentEdges = useCanvasStore((state) => state.edges);
+  const highestZ = useCanvasStore((state) => state.highestZ);
+
+  const remapped = useMemo(
+    () => (mode === 'merge' ? planMergeImport({ nodes: currentNodes, edges: currentEdges, highestZ }, plan).remapped : 0),
+    [mode, plan, currentNodes, currentEdges, highestZ],
+  );
+
+  return (
+    <div className="absolute left-1/2 top-1/2 z-50 w-[28rem] -translate-x-1/2 -translate-y-1/2 rounded-3xl bg-slate-900/95 p-6 text-slate-100 shadow-2xl backdrop-blur">
+      <h2 className="text-xl font-semibold">Import {plan.fileName}</h2>
+      <p className="mt-3 text-base">
+        {plan.nodes.length} notes and {plan.edges.length} links
+        {plan.attachments?.length ? ` with ${plan.attachments.length} attachments` : ''} ready to import.
+      </p>
+      {plan.errors.length > 0 && (
+        <div className="mt-3 rounded-2xl bg-rose-500/10 p-3">
+          <p className="text-sm font-semibold text-rose-300">{plan.errors.length} items will be skipped:</p>
+          <ul className="mt-2 max-h-32 list-disc space-y-1 overflow-y-auto pl-5 text-sm text-rose-200">
+            {plan.errors.map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <fieldset className="mt-4 space-y-2">
+        <legend className="text-xs uppercase tracking-wider text-slate-400">Destination</legend>
+        <label className="flex items-center gap-3 rounded-xl bg-slate-800 px-4 py-3">
+          <input type="radio" name="import-mode" checked={mode === 'new'} onChange={() => setMode('new')} />
+          Open as a new wall
+        </label>
+        <label className="flex items-center gap-3 rounded-xl bg-slate-800 px-4 py-3">
+          <input type="radio" name="import-mode" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+          Merge into current wall
+        </label>
+      </fieldset>
+      {mode === 'merge' && (
+        <p className="mt-3 text-sm text-slate-300">
+          Notes are placed beside your existing {currentNodes.length} notes.
+          {remapped > 0 ? ` ${remapped} conflicting ids will be renamed.` : ' No ids conflict.'}
+          {plan.bookmarks?.length ? ` The file's ${plan.bookmarks.length} bookmarks only come along with a new wall.` : ''}
+        </p>
+      )}
+      <div className="mt-5 flex gap-3">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="flex-1 rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold transition hover:bg-slate-600"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(mode)}
+          disabled={plan.nodes.length === 0}
+          className="flex-1 rounded-xl bg-emerald-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-emerald-400 disabled:cursor-not-allowed disabled:opacity-40"
+        >
+          Import
+        </button>
+      </div>
+    </div>
+  );
+};
 
-    const newPosition = {
-      x: ((noteA.position?.x ?? 0) + (noteB.position?.x ?? 0)) / 2,
-      y: ((noteA.position?.y ?? 0) + (noteB.position?.y ?? 0)) / 2,
+// Object URL for an attachment's bytes, revoked when the note unmounts.
+const useAttachmentUrl = (attachmentId) => {
+  const [loaded, setLoaded] = useState({ id: null, url: null });
+  useEffect(() => {
+    if (!attachmentId) return undefined;
+    let cancelled = false;
+    let url = null;
+    db.blobs
+      .get(attachmentId)
+      .then((row) => {
+        if (cancelled) return;
+        url = row ? URL.createObjectURL(row.blob) : null;
+        setLoaded({ id: attachmentId, url });
+      })
+      .catch((error) => console.error('Failed to load attachment', error));
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
     };
+  }, [attachmentId]);
+  if (loaded.id !== attachmentId) return { status: 'loading', url: null };
+  return { status: loaded.url ? 'ready' : 'missing', url: loaded.url };
+};
 
-    const width = clamp(
-      Math.max(noteA.data?.width ?? DEFAULT_NOTE_SIZE.width, noteB.data?.width ?? DEFAULT_NOTE_SIZE.width) + 32,
-      MIN_NOTE_SIZE.width,
-      MAX_NOTE_SIZE.width,
-    );
-    const height = clamp(
-      Math.max(noteA.data?.height ?? DEFAULT_NOTE_SIZE.height, noteB.data?.height ?? DEFAULT_NOTE_SIZE.height) + 64,
-      MIN_NOTE_SIZE.height,
-      MAX_NOTE_SIZE.height,
-    );
+const MediaRemoveButton = ({ onRemove, label }) => (
+  <button
+    type="button"
+    onClick={(event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      onRemove();
+    }}
+    className="flex h-8 w-8 shrink-0 items-center justify-center rounded-full bg-slate-900/40 text-white transition hover:bg-rose-500"
+    aria-label={label}
+  >
+    ×
+  </button>
+);
 
-    const nextZ = state.highestZ + 1;
-    const mergedNode = ensureNodeShape(
-      {
-        id: makeId(),
-        type: 'sticky',
-        position: newPosition,
-        data: {
-          text: combinedText,
-          width,
-          height,
-          zIndex: nextZ,
-        },
-      },
-      nextZ,
+const AttachmentView = ({ attachment, onRemove }) => {
+  const { status, url } = useAttachmentUrl(attachment.id);
+  if (status === 'missing') {
+    return (
+      <div className="mt-3 flex items-center gap-3 rounded-xl bg-white/60 p-3 text-sm text-slate-700">
+        <span className="min-w-0 flex-1">📎 {attachment.name} is not stored on this device.</span>
+        <MediaRemoveButton onRemove={onRemove} label="Remove attachment" />
+      </div>
+    );
+  }
+  if (isImageAttachment(attachment)) {
+    return (
+      <div className="relative mt-3 flex min-h-0 flex-[2] items-center justify-center overflow-hidden rounded-xl bg-white/60">
+        {url && <img src={url} alt={attachment.name} draggable={false} className="max-h-full max-w-full object-contain" />}
+        <div className="absolute right-2 top-2">
+          <MediaRemoveButton onRemove={onRemove} label="Remove image" />
+        </div>
+      </div>
     );
+  }
+  return (
+    <div className="mt-3 flex items-center gap-3 rounded-xl bg-white/80 p-3 text-slate-900">
+      <span className="text-2xl">📎</span>
+      <span className="min-w-0 flex-1">
+        <span className="block truncate font-semibold">{attachment.name}</span>
+        <span className="block text-xs uppercase tracking-wider text-slate-600">{formatBytes(attachment.size ?? 0)}</span>
+      </span>
+      {url && (
+        <a
+          href={url}
+          download={attachment.name}
+          onClick={(event) => event.stopPropagation()}
+          className="rounded-lg bg-slate-900/80 px-3 py-2 text-xs font-semibold uppercase tracking-wider text-white hover:bg-cyan-500"
+        >
+          Save
+        </a>
+      )}
+      <MediaRemoveButton onRemove={onRemove} label="Remove attachment" />
+    </div>
+  );
+};
 
-    const removedIds = new Set([idA, idB]);
-    const survivingNodes = state.nodes.filter((node) => !removedIds.has(node.id));
-
-    const remappedEdges = [];
-    const seenKeys = new Set();
-    state.edges.forEach((edge) => {
-      let source = edge.source;
-      let target = edge.target;
-      let changed = false;
-      if (removedIds.has(source)) {
-        source = mergedNode.id;
-        changed = true;
-      }
-      if (removedIds.has(target)) {
-        target = mergedNode.id;
-        changed = true;
-      }
-      if (source === target) return;
-      const key = `${source}-${target}`;
-      if (changed) {
-        if (seenKeys.has(key)) return;
-        seenKeys.add(key);
-        remappedEdges.push({ ...edge, id: `e-${makeId()}`, source, target });
-        return;
-      }
-      remappedEdges.push(edge);
-    });
+// Link cards from a collaborator skip import validation, so the URL is
+// checked again here; a bad one shows as text and is not clickable.
+const LinkCard = ({ link, onRemove }) => {
+  const url = parseLinkUrl(typeof link.url === 'string' ? link.url : '');
+  return (
+    <a
+      href={url ?? undefined}
+      target="_blank"
+      rel="noopener noreferrer"
+      onClick={(event) => event.stopPropagation()}
+      className="mt-3 flex items-center gap-3 rounded-xl bg-white/80 p-3 text-slate-900 hover:bg-white"
+    >
+      <img
+        src={link.favicon}
+        alt=""
+        className="h-8 w-8 shrink-0 rounded"
+        onError={(event) => {
+          event.currentTarget.style.visibility = 'hidden';
+        }}
+      />
+      <span className="min-w-0 flex-1">
+        <span className="block truncate font-semibold">{typeof link.title === 'string' ? link.title : ''}</span>
+        <span className="block truncate text-xs text-slate-600">{url ? new URL(url).hostname : String(link.url ?? '')}</span>
+      </span>
+      <MediaRemoveButton onRemove={onRemove} label="Remove link card" />
+    </a>
+  );
+};
 
-    set({
-      nodes: [...survivingNodes, mergedNode],
-      edges: remappedEdges,
-      highestZ: nextZ,
-      mergePair: null,
-    });
-  },
-}));
+// Notes that link to this one, shown under it; picking one flies there.
+const BacklinksList = ({ ids, onPick }) => {
+  const titles = useCanvasStore(
+    useShallow((state) => ids.map((sourceId) => getNoteExcerpt(state.nodes.find((node) => node.id === sourceId) ?? {}))),
+  );
+  return (
+    <ul className="nowheel absolute left-4 right-4 top-full z-20 mt-2 max-h-56 overflow-y-auto rounded-2xl bg-slate-900/95 py-1 text-slate-100 shadow-2xl">
+      {ids.map((sourceId, index) => (
+        <li key={sourceId}>
+          <button
+            type="button"
+            onClick={(event) => {
+              event.stopPropagation();
+              onPick(sourceId);
+            }}
+            className="nodrag block w-full truncate px-4 py-2 text-left text-base hover:bg-cyan-600"
+          >
+            ↩ {titles[index]}
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+};
 
 const StickyNoteNode = ({ id, data, selected }) => {
   const textareaRef = useRef(null);
@@ -309,7 +2017,39 @@ const StickyNoteNode = ({ id, data, selected }) => {
   const setNodeSize = useCanvasStore((state) => state.setNodeSize);
   const closeContextMenu = useCanvasStore((state) => state.closeContextMenu);
   const mergePair = useCanvasStore((state) => state.mergePair);
-  const mergeNotes = useCanvasStore((state) => state.mergeNotes);
+  const openMergeDialog = useCanvasStore((state) => state.openMergeDialog);
+  const isBranching = useCanvasStore((state) => state.aiBranch?.nodeId === id && state.aiBranch.status === 'streaming');
+  const searchQuery = useCanvasStore((state) => state.searchQuery);
+  const isActiveSearchHit = useCanvasStore((state) => state.activeSearchId === id);
+  const editor = useCanvasStore((state) => state.noteEditors[id]);
+  const isZoomedOut = useFlowStore((state) => state.transform[2] < NOTE_DETAIL_MIN_ZOOM);
+  const backlinkIds = useCanvasStore(useShallow((state) => getBacklinkIndex(state.nodes).get(id) ?? NO_BACKLINKS));
+  const flyToNote = useFlyToNote();
+  // linkMenu: { start, caret, query, options: [{ id, title }], index } while typing after [[
+  const [linkMenu, setLinkMenu] = useState(null);
+  const [isBacklinksOpen, setIsBacklinksOpen] = useState(false);
+
+  const text = data?.text ?? '';
+  const searchSegments = useMemo(() => {
+    const terms = getSearchTerms(searchQuery);
+    if (!terms.length) return null;
+    const plain = plainNoteLinks(text);
+    const lower = plain.toLowerCase();
+    if (!terms.every((term) => lower.includes(term))) return [];
+    return buildSnippet(plain, findMatchRanges(plain, terms));
+  }, [searchQuery, text]);
+  const isDimmed = searchSegments !== null && searchSegments.length === 0;
+  const isPreview = Boolean(data?.preview);
+  const tags = data?.tags ?? [];
+  const outgoingLinks = useMemo(() => {
+    const seen = new Set();
+    return [...text.matchAll(NOTE_LINK_PATTERN)]
+      .map(([, targetId, label]) => ({ targetId, label }))
+      .filter(({ targetId }) => targetId !== id && !seen.has(targetId) && seen.add(targetId));
+  }, [text, id]);
+  const isLegendDimmed = useCanvasStore(
+    (state) => state.legendFilter?.mode === 'dim' && !matchesLegendFilter(data, state.legendFilter),
+  );
 
   const isMergeCandidate = mergePair?.ids?.includes(id);
   const isDragging = Boolean(data?.dragging);
@@ -322,8 +2062,41 @@ const StickyNoteNode = ({ id, data, selected }) => {
   }, [data?.autoFocus, id, updateNoteData]);
 
   const handleTextChange = (event) => {
-    const value = event.target.value.slice(0, 2000);
-    updateNoteData(id, { text: value });
+    const value = event.target.value.slice(0, MAX_NOTE_TEXT);
+    updateNoteData(id, { text: value }, { label: 'edit text', coalesceKey: `text:${id}` });
+    const caret = event.target.selectionStart;
+    const query = findLinkQuery(value, caret);
+    setLinkMenu(
+      query && { ...query, caret, index: 0, options: findLinkCandidates(useCanvasStore.getState().nodes, query.query, id) },
+    );
+  };
+
+  // Swaps the typed [[query for a link to the picked note.
+  const insertNoteLink = (option) => {
+    const target = useCanvasStore.getState().nodes.find((node) => node.id === option.id);
+    if (!target || !linkMenu) return;
+    const link = makeNoteLink(target);
+    const next = `${text.slice(0, linkMenu.start)}${link}${text.slice(linkMenu.caret)}`.slice(0, MAX_NOTE_TEXT);
+    updateNoteData(id, { text: next }, { label: 'edit text', coalesceKey: `text:${id}` });
+    setLinkMenu(null);
+    const caret = Math.min(linkMenu.start + link.length, next.length);
+    window.requestAnimationFrame(() => textareaRef.current?.setSelectionRange(caret, caret));
+  };
+
+  const handleTextKeyDown = (event) => {
+    if (!linkMenu?.options.length) return;
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      setLinkMenu((menu) => ({ ...menu, index: (menu.index + step + menu.options.length) % menu.options.length }));
+    } else if (event.key === 'Enter' || event.key === 'Tab') {
+      event.preventDefault();
+      insertNoteLink(linkMenu.options[linkMenu.index]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      setLinkMenu(null);
+    }
   };
 
   const handlePointerDown = (event) => {
@@ -334,7 +2107,7 @@ const StickyNoteNode = ({ id, data, selected }) => {
 
     longPressTimer.current = window.setTimeout(() => {
       useCanvasStore.getState().setContextMenu({ nodeId: id, x: event.clientX, y: event.clientY });
-    }, 550);
+    }, LONG_PRESS_MS);
 
     const cancel = () => {
       window.clearTimeout(longPressTimer.current);
@@ -362,7 +2135,7 @@ const StickyNoteNode = ({ id, data, selected }) => {
     event.stopPropagation();
     bringToFront(id);
     if (isMergeCandidate) {
-      mergeNotes();
+      openMergeDialog();
     }
   };
 
@@ -371,6 +2144,21 @@ const StickyNoteNode = ({ id, data, selected }) => {
     deleteNote(id);
   };
 
+  const handleTogglePreview = (event) => {
+    event.stopPropagation();
+    updateNoteData(id, { preview: !isPreview });
+  };
+
+  // Pasting a lone URL into the note also shows it as a link card.
+  const handlePaste = (event) => {
+    const url = parseLinkUrl(event.clipboardData.getData('text'));
+    if (url && !data?.link) attachLinkPreview(id, url);
+  };
+
+  const handleToggleTask = (lineIndex) => {
+    updateNoteData(id, { text: toggleTaskAtLine(text, lineIndex) }, { label: 'check task' });
+  };
+
   const handleResizeStart = (event) => {
     event.stopPropagation();
     event.preventDefault();
@@ -378,6 +2166,7 @@ const StickyNoteNode = ({ id, data, selected }) => {
     const startY = event.clientY;
     const initialWidth = data?.width ?? DEFAULT_NOTE_SIZE.width;
     const initialHeight = data?.height ?? DEFAULT_NOTE_SIZE.height;
+    useCanvasStore.getState().beginHistoryBatch('resize note');
 
     const handlePointerMove = (moveEvent) => {
       const deltaX = moveEvent.clientX - startX;
@@ -388,6 +2177,7 @@ const StickyNoteNode = ({ id, data, selected }) => {
     };
 
     const handlePointerUp = () => {
+      useCanvasStore.getState().endHistoryBatch();
       window.removeEventListener('pointermove', handlePointerMove);
       window.removeEventListener('pointerup', handlePointerUp);
       window.removeEventListener('pointercancel', handlePointerUp);
@@ -398,23 +2188,74 @@ const StickyNoteNode = ({ id, data, selected }) => {
     window.addEventListener('pointercancel', handlePointerUp);
   };
 
-  const noteBorder = isMergeCandidate
+  const noteBorder = isMergeCandidate || isActiveSearchHit
     ? 'ring-4 ring-cyan-400'
+    : isBranching
+    ? 'ring-4 ring-orange-400 animate-pulse'
     : selected || isDragging
     ? 'ring-4 ring-emerald-300'
     : 'ring-2 ring-slate-900/20';
 
+  // Too small to read or edit: a flat card with the first line keeps huge
+  // walls cheap to draw while still showing links, colors and selection.
+  if (isZoomedOut) {
+    const summary = plainNoteLinks(text).split('\n').find((line) => line.trim()) ?? describeMedia(data);
+    return (
+      <div
+        className={`relative flex h-full w-full items-start rounded-2xl ${(NOTE_COLORS[data?.color] ?? NOTE_COLORS[DEFAULT_NOTE_COLOR]).note} p-4 ${noteBorder} ${isDimmed || isLegendDimmed ? 'opacity-30' : ''}`}
+        onPointerDown={handlePointerDown}
+        onClick={handleClick}
+      >
+        <Handle type="target" position={Position.Left} className="!h-4 !w-4 !border-2 !border-white !bg-slate-700" />
+        <Handle type="source" position={Position.Right} className="!h-4 !w-4 !border-2 !border-white !bg-cyan-500" />
+        <p className="line-clamp-3 break-words text-2xl font-semibold text-slate-900">{summary}</p>
+      </div>
+    );
+  }
+
   return (
     <div
-      className={`relative flex h-full w-full flex-col rounded-2xl bg-amber-200/95 p-4 shadow-[0_20px_45px_rgba(15,23,42,0.35)] transition-transform duration-150 ${noteBorder}`}
+      className={`relative flex h-full w-full flex-col rounded-2xl ${(NOTE_COLORS[data?.color] ?? NOTE_COLORS[DEFAULT_NOTE_COLOR]).note} p-4 shadow-[0_20px_45px_rgba(15,23,42,0.35)] transition duration-150 ${noteBorder} ${isDimmed || isLegendDimmed ? 'opacity-30' : ''}`}
+      style={editor ? { boxShadow: `0 0 0 4px ${editor.color}` } : undefined}
       onPointerDown={handlePointerDown}
       onClick={handleClick}
     >
+      <Handle
+        type="target"
+        position={Position.Left}
+        className="!h-4 !w-4 !border-2 !border-white !bg-slate-700"
+        aria-label="Link into this note"
+      />
+      <Handle
+        type="source"
+        position={Position.Right}
+        className="!h-4 !w-4 !border-2 !border-white !bg-cyan-500"
+        title="Drag to another note to link them"
+      />
+      {editor && (
+        <span
+          className="absolute -top-3 left-4 rounded-full px-2 py-0.5 text-xs font-semibold text-white shadow"
+          style={{ backgroundColor: editor.color }}
+        >
+          ✎ {editor.name} is editing
+        </span>
+      )}
       <div className="flex items-start justify-between">
         <div className="flex flex-col">
           <span className="text-xs uppercase tracking-[0.25em] text-slate-700">Sticky Note</span>
-          <span className="text-sm font-semibold text-slate-900 opacity-80">Tap + hold for tools</span>
+          <span className="text-sm font-semibold text-slate-900 opacity-80">
+            {isBranching ? 'Branching with AI…' : 'Tap + hold for tools'}
+          </span>
         </div>
+        <button
+          type="button"
+          onClick={handleTogglePreview}
+          className="ml-auto flex h-10 w-10 items-center justify-center rounded-full bg-slate-900/20 text-slate-900 transition hover:bg-cyan-500 hover:text-white"
+          aria-label={isPreview ? 'Edit note' : 'Preview Markdown'}
+          title={isPreview ? 'Edit' : 'Preview Markdown'}
+        >
+          {isPreview ? '✎' : '👁'}
+        </button>
         <button
           type="button"
           onClick={handleDelete}
@@ -424,16 +2265,102 @@ const StickyNoteNode = ({ id, data, selected }) => {
           ×
         </button>
       </div>
-      <textarea
-        ref={textareaRef}
-        className="mt-4 flex-1 resize-none rounded-xl bg-white/80 p-4 text-lg font-medium leading-relaxed text-slate-900 outline-none placeholder:text-slate-400"
-        placeholder="Write your idea..."
-        value={data?.text ?? ''}
-        onChange={handleTextChange}
-        onPointerDown={(event) => event.stopPropagation()}
-      />
+      {tags.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {tags.map((tag) => (
+            <span key={tag} className="rounded-full bg-slate-900/15 px-2 py-0.5 text-xs font-semibold text-slate-800">
+              #{tag}
+            </span>
+          ))}
+        </div>
+      )}
+      {searchSegments?.length > 0 && (
+        <SearchSnippet
+          segments={searchSegments}
+          className="mt-2 line-clamp-2 rounded-lg bg-cyan-100/90 px-2 py-1 text-sm text-slate-800"
+        />
+      )}
+      {data?.attachment && (
+        <AttachmentView
+          attachment={data.attachment}
+          onRemove={() => updateNoteData(id, { attachment: undefined }, { label: 'remove attachment' })}
+        />
+      )}
+      {data?.link && (
+        <LinkCard link={data.link} onRemove={() => updateNoteData(id, { link: undefined }, { label: 'remove link card' })} />
+      )}
+      {isPreview ? (
+        <div className="nowheel mt-4 flex-1 overflow-y-auto rounded-xl bg-white/80 p-4 text-left text-lg leading-relaxed text-slate-900">
+          <MarkdownView text={text} onToggleTask={handleToggleTask} />
+        </div>
+      ) : (
+        <textarea
+          ref={textareaRef}
+          data-note-id={id}
+          className="mt-4 flex-1 resize-none rounded-xl bg-white/80 p-4 text-lg font-medium leading-relaxed text-slate-900 outline-none placeholder:text-slate-400"
+          placeholder={data?.placeholder || 'Write your idea...'}
+          value={text}
+          onChange={handleTextChange}
+          onKeyDown={handleTextKeyDown}
+          onPaste={handlePaste}
+          onFocus={() => updatePresence({ editing: id })}
+          onBlur={() => {
+            updatePresence({ editing: null });
+            setLinkMenu(null);
+          }}
+          onPointerDown={(event) => event.stopPropagation()}
+        />
+      )}
+      {linkMenu && (
+        <ul className="nowheel absolute left-4 right-4 top-full z-20 mt-2 overflow-hidden rounded-2xl bg-slate-900/95 py-1 text-slate-100 shadow-2xl" role="listbox">
+          {linkMenu.options.length === 0 && <li className="px-4 py-2 text-sm text-slate-400">No note matches “{linkMenu.query}”</li>}
+          {linkMenu.options.map((option, index) => (
+            <li key={option.id} role="option" aria-selected={index === linkMenu.index}>
+              <button
+                type="button"
+                // Keeps focus, and the caret, in the textarea.
+                onPointerDown={(event) => {
+                  event.preventDefault();
+                  event.stopPropagation();
+                }}
+                onClick={(event) => {
+                  event.stopPropagation();
+                  insertNoteLink(option);
+                }}
+                className={`block w-full truncate px-4 py-2 text-left text-base ${index === linkMenu.index ? 'bg-cyan-600' : 'hover:bg-slate-700'}`}
+              >
+                {option.title}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {!isPreview && outgoingLinks.length > 0 && (
+        <div className="mt-2 flex flex-wrap gap-1">
+          {outgoingLinks.map((link) => (
+            <NoteLinkChip key={link.targetId} targetId={link.targetId} label={link.label} />
+          ))}
+        </div>
+      )}
+      {isBacklinksOpen && backlinkIds.length > 0 && (
+        <BacklinksList ids={backlinkIds} onPick={flyToNote} />
+      )}
       <div className="mt-3 flex items-center justify-between text-xs uppercase tracking-widest text-slate-600">
-        <span>{Math.max(0, (data?.text ?? '').length)}/2000</span>
+        <span>{text.length}/{MAX_NOTE_TEXT}</span>
+        {backlinkIds.length > 0 && (
+          <button
+            type="button"
+            onClick={(event) => {
+              event.stopPropagation();
+              setIsBacklinksOpen((open) => !open);
+            }}
+            className="nodrag rounded-full bg-slate-900/15 px-2 py-0.5 font-semibold normal-case tracking-normal text-slate-800 hover:bg-cyan-500 hover:text-white"
+            aria-expanded={isBacklinksOpen}
+            title="Notes that link here"
+          >
+            ↩ {backlinkIds.length} {backlinkIds.length === 1 ? 'backlink' : 'backlinks'}
+          </button>
+        )}
         <span>{Math.round((data?.width ?? DEFAULT_NOTE_SIZE.width) / 10)}×{Math.round((data?.height ?? DEFAULT_NOTE_SIZE.height) / 10)}</span>
       </div>
       <div
@@ -448,9 +2375,161 @@ const StickyNoteNode = ({ id, data, selected }) => {
   );
 };
 
-const nodeTypes = { sticky: StickyNoteNode };
+// A titled, colored area that carries the notes dropped into it. Collapsing it
+// hides those notes behind a count chip.
+const FrameNode = ({ id, data, selected }) => {
+  const updateNoteData = useCanvasStore((state) => state.updateNoteData);
+  const setNodeSize = useCanvasStore((state) => state.setNodeSize);
+  const ungroupFrame = useCanvasStore((state) => state.ungroupFrame);
+  const deleteNote = useCanvasStore((state) => state.deleteNote);
+  const noteCount = useCanvasStore((state) => state.nodes.filter((node) => node.parentNode === id).length);
+
+  const fill = (NOTE_COLORS[data?.color] ?? NOTE_COLORS[DEFAULT_FRAME_COLOR]).fill;
+  const isCollapsed = Boolean(data?.collapsed);
+
+  const handleToggleCollapsed = (event) => {
+    event.stopPropagation();
+    updateNoteData(id, { collapsed: !isCollapsed }, { label: isCollapsed ? 'expand frame' : 'collapse frame' });
+  };
+
+  const handleResizeStart = (event) => {
+    event.stopPropagation();
+    event.preventDefault();
+    const startX = event.clientX;
+    const startY = event.clientY;
+    const initialWidth = data?.width ?? DEFAULT_FRAME_SIZE.width;
+    const initialHeight = data?.height ?? DEFAULT_FRAME_SIZE.height;
+    useCanvasStore.getState().beginHistoryBatch('resize frame');
+
+    const handlePointerMove = (moveEvent) => {
+      setNodeSize(id, {
+        width: initialWidth + moveEvent.clientX - startX,
+        height: initialHeight + moveEvent.clientY - startY,
+      });
+    };
+
+    const handlePointerUp = () => {
+      useCanvasStore.getState().endHistoryBatch();
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerUp);
+    };
+
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+  };
+
+  return (
+    <div
+      className={`relative h-full w-full rounded-3xl border-4 ${selected ? 'ring-4 ring-emerald-300' : ''}`}
+      style={{ backgroundColor: `${fill}26`, borderColor: fill }}
+    >
+      <div className="flex items-center gap-2 p-3">
+        <button
+          type="button"
+          onClick={handleToggleCollapsed}
+          className="flex h-10 w-10 shrink-0 items-center justify-center rounded-full bg-slate-900/40 text-lg text-white transition hover:bg-cyan-500"
+          aria-label={isCollapsed ? 'Expand frame' : 'Collapse frame'}
+          title={isCollapsed ? 'Expand' : 'Collapse'}
+        >
+          {isCollapsed ? '▸' : '▾'}
+        </button>
+        <input
+          value={data?.title ?? ''}
+          onChange={(event) =>
+            updateNoteData(id, { title: event.target.value.slice(0, MAX_FRAME_TITLE) }, { label: 'rename frame', coalesceKey: `title:${id}` })
+          }
+          onPointerDown={(event) => event.stopPropagation()}
+          placeholder={DEFAULT_FRAME_TITLE}
+          className="min-w-0 flex-1 rounded-lg bg-transparent px-2 py-1 text-xl font-bold outline-none focus:bg-slate-900/40"
+          style={{ color: fill }}
+          aria-label="Frame title"
+        />
+        {isCollapsed && (
+          <span className="shrink-0 rounded-full bg-slate-900/60 px-3 py-1 text-sm font-semibold text-slate-100">
+            {noteCount} {noteCount === 1 ? 'note' : 'notes'}
+          </span>
+        )}
+        {selected && (
+          <div className="flex shrink-0 gap-1">
+            {Object.entries(NOTE_COLORS).map(([key, color]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={(event) => {
+                  event.stopPropagation();
+                  updateNoteData(id, { color: key }, { label: 'recolor frame' });
+                }}
+                className={`h-7 w-7 rounded-full ${color.swatch} ${data?.color === key ? 'ring-2 ring-white' : ''}`}
+                aria-label={`${color.label} frame`}
+              />
+            ))}
+          </div>
+        )}
+        <button
+          type="button"
+          onClick={(event) => {
+            event.stopPropagation();
+            ungroupFrame(id);
+          }}
+          className="shrink-0 rounded-full bg-slate-900/40 px-3 py-2 text-xs font-semibold uppercase tracking-wider text-white transition hover:bg-slate-700"
+        >
+          Ungroup
+        </button>
+        <button
+          type="button"
+          onClick={(event) => {
+            event.stopPropagation();
+            deleteNote(id);
+          }}
+          className="flex h-10 w-10 shrink-0 items-center justify-center rounded-full bg-slate-900/40 text-white transition hover:bg-rose-500"
+          aria-label="Delete frame and its notes"
+        >
+          ×
+        </button>
+      </div>
+      {!isCollapsed && (
+        <div
+          role="presentation"
+          onPointerDown={handleResizeStart}
+          className="absolute bottom-2 right-2 flex h-10 w-10 cursor-se-resize items-center justify-center rounded-full bg-slate-900/40 text-white shadow-lg"
+          aria-label="Resize frame"
+        >
+          ⇲
+        </div>
+      )}
+    </div>
+  );
+};
+
+const nodeTypes = { sticky: StickyNoteNode, frame: FrameNode };
+
+// Other people's pointers on a shared wall, kept in flow coordinates so they
+// line up whatever each person's zoom is.
+const PresenceCursors = () => {
+  const peers = useCanvasStore((state) => state.collabPeers);
+  const { x, y, zoom } = useViewport();
+
+  return peers
+    .filter((peer) => peer.cursor)
+    .map((peer) => (
+      <div
+        key={peer.clientId}
+        className="pointer-events-none absolute left-0 top-0 z-50 flex items-start"
+        style={{ transform: `translate(${peer.cursor.x * zoom + x}px, ${peer.cursor.y * zoom + y}px)` }}
+      >
+        <svg width="20" height="20" viewBox="0 0 20 20" aria-hidden="true">
+          <path d="M2 2 L18 9 L10 11 L7 18 Z" fill={peer.color} stroke="white" strokeWidth="1.5" />
+        </svg>
+        <span className="mt-3 rounded-full px-2 py-0.5 text-xs font-semibold text-white" style={{ backgroundColor: peer.color }}>
+          {peer.name}
+        </span>
+      </div>
+    ));
+};
 
-const CanvasExperience = () => {
+const CanvasExperience = ({ initialViewport }) => {
   const nodes = useCanvasStore((state) => state.nodes);
   const edges = useCanvasStore((state) => state.edges);
   const setNodes = useCanvasStore((state) => state.setNodes);
@@ -464,11 +2543,62 @@ const CanvasExperience = () => {
   const toggleSettings = useCanvasStore((state) => state.toggleSettings);
   const isSettingsOpen = useCanvasStore((state) => state.isSettingsOpen);
   const closeSettings = useCanvasStore((state) => state.closeSettings);
+  const isWallLibraryOpen = useCanvasStore((state) => state.isWallLibraryOpen);
+  const isMergeDialogOpen = useCanvasStore((state) => state.isMergeDialogOpen);
+  const ollama = useCanvasStore((state) => state.ollama);
+  const setOllamaSettings = useCanvasStore((state) => state.setOllamaSettings);
+  const collab = useCanvasStore((state) => state.collab);
+  const setCollabSettings = useCanvasStore((state) => state.setCollabSettings);
+  const isWallShared = useCanvasStore((state) => Boolean(state.walls.find((wall) => wall.id === state.activeWallId)?.shared));
+  const wallRelayUrl = useCanvasStore((state) => state.walls.find((wall) => wall.id === state.activeWallId)?.relayUrl ?? null);
+  const [relayError, setRelayError] = useState('');
+  const toggleWallLibrary = useCanvasStore((state) => state.toggleWallLibrary);
+  const isTimelineOpen = useCanvasStore((state) => state.isTimelineOpen);
+  const toggleTimeline = useCanvasStore((state) => state.toggleTimeline);
+  const activeWallId = useCanvasStore((state) => state.activeWallId);
+  const activeWallName = useCanvasStore(
+    (state) => state.walls.find((wall) => wall.id === state.activeWallId)?.name ?? DEFAULT_WALL_NAME,
+  );
+  const undo = useCanvasStore((state) => state.undo);
+  const redo = useCanvasStore((state) => state.redo);
+  const undoLabel = useCanvasStore((state) => state.past[state.past.length - 1]?.label ?? null);
+  const redoLabel = useCanvasStore((state) => state.future[state.future.length - 1]?.label ?? null);
 
   const [importError, setImportError] = useState('');
+  const [exportFormat, setExportFormat] = useState('json');
+  const [mediaError, setMediaError] = useState('');
+  const [attachmentMode, setAttachmentMode] = useState('embed');
+  const hasAttachments = useCanvasStore((state) => state.nodes.some((node) => node.data?.attachment));
+  const [exportScope, setExportScope] = useState('wall');
+  const [exportError, setExportError] = useState('');
+  const [importPlan, setImportPlan] = useState(null);
+  const [branchCount, setBranchCount] = useState(3);
+  const branchAbortRef = useRef(null);
+  const aiBranch = useCanvasStore((state) => state.aiBranch);
+  const isSearchOpen = useCanvasStore((state) => state.isSearchOpen);
+  const searchQuery = useCanvasStore((state) => state.searchQuery);
+  const openSearch = useCanvasStore((state) => state.openSearch);
+  const clearSearch = useCanvasStore((state) => state.clearSearch);
+  const isLegendOpen = useCanvasStore((state) => state.isLegendOpen);
+  const isBookmarksOpen = useCanvasStore((state) => state.isBookmarksOpen);
+  const toggleBookmarks = useCanvasStore((state) => state.toggleBookmarks);
+  const isTemplatesOpen = useCanvasStore((state) => state.isTemplatesOpen);
+  const toggleTemplates = useCanvasStore((state) => state.toggleTemplates);
+  const showMinimap = useCanvasStore((state) => state.showMinimap);
+  const toggleLegend = useCanvasStore((state) => state.toggleLegend);
+  const legendFilter = useCanvasStore((state) => state.legendFilter);
+  const hiddenRelations = useCanvasStore((state) => state.hiddenRelations);
+  const isEdgeInspectorOpen = useCanvasStore((state) => Boolean(state.inspectedEdgeId));
+  const updateNoteData = useCanvasStore((state) => state.updateNoteData);
+  const createFrame = useCanvasStore((state) => state.createFrame);
+  const splitNote = useCanvasStore((state) => state.splitNote);
+  const [tagDraft, setTagDraft] = useState('');
+  const selectedIds = useCanvasStore(
+    useShallow((state) => state.nodes.filter((node) => node.selected).map((node) => node.id)),
+  );
   const fileInputRef = useRef(null);
 
-  const { screenToFlowPosition } = useReactFlow();
+  const { screenToFlowPosition, getViewport } = useReactFlow();
 
   const adjustScreenPointForHUD = useCallback((point) => {
     const safePoint = { ...point };
@@ -499,27 +2629,86 @@ const CanvasExperience = () => {
     return safePoint;
   }, []);
 
+  // Selection and measurement changes are view state; only removals and
+  // actual moves become undo steps. React Flow reports a keyboard delete as
+  // separate node and edge removals, so both share one coalesce key.
   const onNodesChange = useCallback(
     (changes) => {
-      setNodes((current) => applyNodeChanges(changes, current));
+      const removes = changes.filter((change) => change.type === 'remove').length;
+      const moves = changes.some((change) => change.type === 'position' && change.position);
+      if (removes > 1) {
+        snapshotWall('bulk delete');
+      }
+      const history = removes
+        ? { label: 'delete notes', coalesceKey: 'remove' }
+        : moves
+        ? { label: 'move notes', coalesceKey: 'move' }
+        : undefined;
+      setNodes((current) => applyNodeChanges(changes, current), history);
     },
     [setNodes],
   );
 
   const onEdgesChange = useCallback(
     (changes) => {
-      setEdges((current) => applyEdgeChanges(changes, current));
+      const removes = changes.some((change) => change.type === 'remove');
+      setEdges(
+        (current) => applyEdgeChanges(changes, current),
+        removes ? { label: 'delete notes', coalesceKey: 'remove' } : undefined,
+      );
     },
     [setEdges],
   );
 
+  // New links start as "related" and open in the inspector to pick a type.
   const onConnect = useCallback(
     (connection) => {
-      setEdges((eds) => addEdge({ ...connection, type: 'smoothstep', animated: false, style: { stroke: '#38bdf8', strokeWidth: 3 } }, eds));
+      const edge = { ...makeEdge(connection.source, connection.target), sourceHandle: connection.sourceHandle, targetHandle: connection.targetHandle };
+      setEdges((eds) => addEdge(edge, eds), { label: 'connect notes' });
+      useCanvasStore.getState().openEdgeInspector(edge.id);
     },
     [setEdges],
   );
 
+  const handleEdgeClick = useCallback((_, edge) => {
+    useCanvasStore.getState().openEdgeInspector(edge.id);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      // Note textareas are backed by the store history; other fields keep
+      // their native undo.
+      const target = event.target;
+      const isField = target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+      if (isField && !target.closest('.react-flow__node')) return;
+      event.preventDefault();
+      if (key === 'y' || event.shiftKey) {
+        redo();
+      } else {
+        undo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const target = event.target;
+      const isField = target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+      const isFindShortcut = (event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'f';
+      if (isFindShortcut || (event.key === '/' && !isField)) {
+        event.preventDefault();
+        openSearch();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [openSearch]);
+
   const createNoteAtPosition = useCallback(
     (position, options = {}) => {
       const node = createNote(position, { ...options, autoFocus: true });
@@ -533,6 +2722,90 @@ const CanvasExperience = () => {
     [createNote, bringToFront],
   );
 
+  // Dropped or pasted files become media notes fanned out from `position`, as
+  // one undo step. The bytes are stored before any note refers to them.
+  const addMediaNotes = useCallback(async (files, position) => {
+    const attachments = [];
+    const failures = [];
+    for (const file of files) {
+      try {
+        attachments.push(await storeAttachment(file));
+      } catch (error) {
+        console.error('Failed to store attachment', error);
+        failures.push(error.message);
+      }
+    }
+    setMediaError(failures.join(' '));
+    if (!attachments.length) return;
+    const store = useCanvasStore.getState();
+    store.beginHistoryBatch('add attachments');
+    const created = attachments.map((attachment, index) => {
+      const size = isImageAttachment(attachment) ? MEDIA_NOTE_SIZE : DEFAULT_NOTE_SIZE;
+      const offset = index * MEDIA_NOTE_CASCADE;
+      return store.createNote({ x: position.x - size.width / 2 + offset, y: position.y - size.height / 2 + offset }, { ...size, attachment });
+    });
+    store.dropNotesIntoFrames(created.map((node) => node.id));
+    store.endHistoryBatch();
+  }, []);
+
+  const addLinkNote = useCallback((url, position) => {
+    const store = useCanvasStore.getState();
+    store.beginHistoryBatch('add link');
+    const node = store.createNote({ x: position.x - DEFAULT_NOTE_SIZE.width / 2, y: position.y - DEFAULT_NOTE_SIZE.height / 2 });
+    attachLinkPreview(node.id, url);
+    store.dropNotesIntoFrames([node.id]);
+    store.endHistoryBatch();
+  }, []);
+
+  const handleDragOver = useCallback((event) => {
+    if (!['Files', 'text/uri-list', TEMPLATE_DRAG_TYPE].some((type) => event.dataTransfer.types.includes(type))) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  }, []);
+
+  const handleDrop = useCallback(
+    (event) => {
+      const template = findTemplate(event.dataTransfer.getData(TEMPLATE_DRAG_TYPE));
+      if (template) {
+        event.preventDefault();
+        placeTemplate(template, screenToFlowPosition({ x: event.clientX, y: event.clientY }));
+        return;
+      }
+      const files = [...event.dataTransfer.files];
+      const url = parseLinkUrl(event.dataTransfer.getData('text/uri-list').split('\n')[0]);
+      if (!files.length && !url) return;
+      event.preventDefault();
+      const position = screenToFlowPosition({ x: event.clientX, y: event.clientY });
+      if (files.length) {
+        addMediaNotes(files, position);
+      } else {
+        addLinkNote(url, position);
+      }
+    },
+    [screenToFlowPosition, addMediaNotes, addLinkNote],
+  );
+
+  // Pasted files always become notes. A pasted URL makes a link note unless
+  // it is going into a text field, where the note's own paste handler runs.
+  useEffect(() => {
+    const handlePaste = (event) => {
+      const files = [...(event.clipboardData?.files ?? [])];
+      const target = event.target;
+      const isField = target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+      const url = isField ? null : parseLinkUrl(event.clipboardData?.getData('text'));
+      if (!files.length && !url) return;
+      event.preventDefault();
+      const center = screenToFlowPosition({ x: window.innerWidth / 2, y: window.innerHeight / 2 });
+      if (files.length) {
+        addMediaNotes(files, center);
+      } else {
+        addLinkNote(url, center);
+      }
+    };
+    window.addEventListener('paste', handlePaste);
+    return () => window.removeEventListener('paste', handlePaste);
+  }, [screenToFlowPosition, addMediaNotes, addLinkNote]);
+
   const createNoteFromScreenPoint = useCallback(
     (screenPoint, options = {}) => {
       const safePoint = adjustScreenPointForHUD(screenPoint);
@@ -560,6 +2833,7 @@ const CanvasExperience = () => {
 
   const handleNodeDragStart = useCallback(
     (_, node) => {
+      useCanvasStore.getState().beginHistoryBatch('move notes');
       bringToFront(node.id);
       clearMergePair();
       useCanvasStore.getState().setNodeDragging(node.id, true);
@@ -568,23 +2842,22 @@ const CanvasExperience = () => {
     [bringToFront, clearMergePair, closeContextMenu],
   );
 
-  const handleNodeDragStop = useCallback((_, node) => {
+  const handleNodeDragStop = useCallback((_, node, draggedNodes) => {
     useCanvasStore.getState().setNodeDragging(node.id, false);
+    // Framing the drop is part of the same undo step as the move.
+    useCanvasStore.getState().dropNotesIntoFrames((draggedNodes ?? [node]).map((item) => item.id));
+    useCanvasStore.getState().endHistoryBatch();
     const state = useCanvasStore.getState();
-    const dragged = state.nodes.find((item) => item.id === node.id);
-    if (!dragged) {
+    const absolute = toAbsoluteNodes(state.nodes);
+    const dragged = absolute.find((item) => item.id === node.id);
+    if (!dragged || isFrame(dragged)) {
       state.clearMergePair();
       return;
     }
 
-    const overlaps = state.nodes
-      .filter((other) => other.id !== dragged.id)
-      .map((other) => ({ other, ratio: computeOverlapRatio(dragged, other) }))
-      .filter(({ ratio }) => ratio >= 0.35)
-      .sort((a, b) => b.ratio - a.ratio);
-
-    if (overlaps.length > 0) {
-      setMergePair({ ids: [dragged.id, overlaps[0].other.id], triggeredBy: dragged.id });
+    const target = findMergeTarget(state.nodes, dragged);
+    if (target) {
+      setMergePair({ ids: [dragged.id, target.id], triggeredBy: dragged.id });
     } else if (state.mergePair?.ids?.includes(dragged.id)) {
       clearMergePair();
     }
@@ -593,51 +2866,308 @@ const CanvasExperience = () => {
   const handlePaneClick = useCallback(() => {
     clearMergePair();
     closeContextMenu();
+    useCanvasStore.getState().closeEdgeInspector();
   }, [clearMergePair, closeContextMenu]);
 
-  const handleCreateChild = useCallback(async () => {
+  const createChildNote = useCallback(
+    (parentId) => {
+      const { nodes: currentNodes, edges: currentEdges } = useCanvasStore.getState();
+      const parent = currentNodes.find((node) => node.id === parentId);
+      if (!parent) return null;
+
+      const position = findWallChildSlot(currentNodes, currentEdges, parent.id);
+
+      useCanvasStore.getState().beginHistoryBatch('create child note');
+      const child = createNoteAtPosition(position, { text: '' });
+      setEdges((edgesState) => [...edgesState, makeChildEdge(parent.id, child.id)]);
+      useCanvasStore.getState().dropNotesIntoFrames([child.id]);
+      useCanvasStore.getState().endHistoryBatch();
+      return child;
+    },
+    [createNoteAtPosition, setEdges],
+  );
+
+  const handleCreateChild = useCallback(() => {
+    if (!contextMenu?.nodeId) return;
+    createChildNote(contextMenu.nodeId);
+    closeContextMenu();
+  }, [contextMenu, createChildNote, closeContextMenu]);
+
+  // Voice commands act on the selection, falling back to the note the last
+  // command created or dictated into.
+  const runVoiceCommand = useCallback(
+    (command) => {
+      const store = useCanvasStore.getState();
+      const selected = store.nodes.filter((node) => node.selected).map((node) => node.id);
+      const lastNoteId = store.nodes.some((node) => node.id === voiceSession?.lastNoteId) ? voiceSession.lastNoteId : null;
+      const targetIds = selected.length ? selected : [lastNoteId].filter(Boolean);
+      const remember = (noteId) => {
+        if (voiceSession) voiceSession.lastNoteId = noteId;
+      };
+
+      switch (command.type) {
+        case 'new-note': {
+          const { zoom } = getViewport();
+          const screenPoint = {
+            x: window.innerWidth / 2 - (DEFAULT_NOTE_SIZE.width / 2) * zoom,
+            y: window.innerHeight / 2 - (DEFAULT_NOTE_SIZE.height / 2) * zoom,
+          };
+          const node = createNoteFromScreenPoint(screenPoint, { text: command.text });
+          remember(node.id);
+          return command.text ? 'Created a note' : 'Created a note, dictating into it';
+        }
+        case 'branch': {
+          if (targetIds.length !== 1) return 'Select one note to branch from';
+          const child = createChildNote(targetIds[0]);
+          if (child) remember(child.id);
+          return 'Added a child note, dictating into it';
+        }
+        case 'merge': {
+          if (selected.length >= 2) store.setMergePair({ ids: selected });
+          if (!useCanvasStore.getState().mergePair) return 'Select two or more notes to merge';
+          snapshotWall('merge');
+          if (!store.mergeNotes()) return 'Select two or more notes to merge';
+          remember(null);
+          return 'Merged the notes';
+        }
+        case 'delete': {
+          if (!targetIds.length) return 'Select the notes to delete';
+          if (targetIds.length > 1) snapshotWall('bulk delete');
+          store.deleteNotes(targetIds);
+          return targetIds.length > 1 ? `Deleted ${targetIds.length} notes` : 'Deleted the note';
+        }
+        case 'search':
+          store.setSearchQuery(command.text);
+          store.openSearch();
+          return `Searching for "${command.text}"`;
+        default:
+          return '';
+      }
+    },
+    [createChildNote, createNoteFromScreenPoint, getViewport],
+  );
+
+  const layoutFrameRef = useRef(null);
+
+  // Tweens notes to their target positions. Frames are applied inside a
+  // history batch so the whole animation undoes as one step.
+  const animateToPositions = useCallback((targets, label) => {
+    const { nodes: currentNodes, beginHistoryBatch, endHistoryBatch, setNodes: applyNodes } = useCanvasStore.getState();
+    const origins = new Map(currentNodes.filter((node) => targets.has(node.id)).map((node) => [node.id, node.position]));
+    if (!origins.size) return;
+
+    if (layoutFrameRef.current) {
+      window.cancelAnimationFrame(layoutFrameRef.current);
+      endHistoryBatch();
+    }
+    beginHistoryBatch(label);
+    const startedAt = performance.now();
+    const step = (now) => {
+      const progress = Math.min(1, (now - startedAt) / LAYOUT_ANIMATION_MS);
+      const eased = 1 - (1 - progress) ** 3;
+      applyNodes(
+        (current) =>
+          current.map((node) => {
+            const from = origins.get(node.id);
+            const to = targets.get(node.id);
+            if (!from || !to) return node;
+            return { ...node, position: { x: from.x + (to.x - from.x) * eased, y: from.y + (to.y - from.y) * eased } };
+          }),
+        { label },
+      );
+      if (progress < 1) {
+        layoutFrameRef.current = window.requestAnimationFrame(step);
+      } else {
+        layoutFrameRef.current = null;
+        endHistoryBatch();
+      }
+    };
+    layoutFrameRef.current = window.requestAnimationFrame(step);
+  }, []);
+
+  useEffect(
+    () => () => {
+      if (layoutFrameRef.current) {
+        window.cancelAnimationFrame(layoutFrameRef.current);
+        useCanvasStore.getState().endHistoryBatch();
+      }
+    },
+    [],
+  );
+
+  // Undo or redo mid-tween closes the layout's history batch; stop there
+  // rather than record every remaining frame as its own step.
+  useEffect(
+    () =>
+      useCanvasStore.subscribe(
+        (state) => state.historyBatch,
+        (historyBatch) => {
+          if (historyBatch || !layoutFrameRef.current) return;
+          window.cancelAnimationFrame(layoutFrameRef.current);
+          layoutFrameRef.current = null;
+        },
+      ),
+    [],
+  );
+
+  const handleTidyLayout = useCallback(
+    (rootId = null) => {
+      const { nodes: currentNodes, edges: currentEdges } = useCanvasStore.getState();
+      // Tidy Wall only lays out the open wall, and frames keep their own
+      // arrangement. A subtree is laid out among the notes that share its
+      // root's frame, in that frame's coordinates.
+      const root = rootId && currentNodes.find((node) => node.id === rootId);
+      const frameId = root?.parentNode ?? null;
+      const scope = currentNodes.filter((node) => !isFrame(node) && (node.parentNode ?? null) === frameId);
+      if (!rootId || scope.some((node) => node.id === rootId)) {
+        animateToPositions(computeTreeLayout(scope, currentEdges, rootId), rootId ? 'tidy subtree' : 'tidy layout');
+      }
+      closeContextMenu();
+    },
+    [animateToPositions, closeContextMenu],
+  );
+
+  // Suggestions stream into the store so the parent note can show progress;
+  // nothing touches the wall until the review panel commits them.
+  const runAiBranch = useCallback(async (nodeId, count) => {
+    const { nodes, ollama, setAiBranch } = useCanvasStore.getState();
+    const parent = nodes.find((node) => node.id === nodeId);
+    if (!parent) return;
+
+    branchAbortRef.current?.abort();
+    const controller = new AbortController();
+    branchAbortRef.current = controller;
+    setAiBranch({ nodeId, count, status: 'streaming', suggestions: [], error: '' });
+
+    const toSuggestions = (text) => parseBranchIdeas(text, count).map((idea, index) => ({ id: index, text: idea, keep: true }));
+    try {
+      const text = await streamOllamaGenerate({
+        endpoint: ollama.endpoint,
+        model: ollama.model,
+        prompt: buildBranchPrompt(parent.data?.text, count),
+        signal: controller.signal,
+        onToken: (partial) => setAiBranch({ suggestions: toSuggestions(partial) }),
+      });
+      const suggestions = toSuggestions(text);
+      if (suggestions.length === 0) {
+        throw new Error('Ollama returned no ideas.');
+      }
+      setAiBranch({ status: 'ready', suggestions });
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      console.error('AI branch failed', error);
+      setAiBranch({ status: 'failed', error: error.message });
+    } finally {
+      if (branchAbortRef.current === controller) {
+        branchAbortRef.current = null;
+      }
+    }
+  }, []);
+
+  const handleBranchWithAi = useCallback(() => {
     if (!contextMenu?.nodeId) return;
-    const parent = useCanvasStore.getState().nodes.find((node) => node.id === contextMenu.nodeId);
-    if (!parent) return;
+    closeContextMenu();
+    runAiBranch(contextMenu.nodeId, branchCount);
+  }, [contextMenu, branchCount, closeContextMenu, runAiBranch]);
 
-    const offset = 80;
-    const position = {
-      x: (parent.position?.x ?? 0) + (parent.data?.width ?? DEFAULT_NOTE_SIZE.width) + offset,
-      y: (parent.position?.y ?? 0) + 20,
-    };
+  const handleRetryBranch = useCallback(() => {
+    const current = useCanvasStore.getState().aiBranch;
+    if (current) {
+      runAiBranch(current.nodeId, current.count);
+    }
+  }, [runAiBranch]);
 
-    const child = createNoteAtPosition(position, { text: '' });
-    setEdges((edgesState) => [
-      ...edgesState,
-      {
-        id: `e-${makeId()}`,
-        source: parent.id,
-        target: child.id,
-        type: 'smoothstep',
-        animated: false,
-        style: { stroke: '#f97316', strokeWidth: 3 },
-      },
-    ]);
-    closeContextMenu();
-  }, [contextMenu, createNoteAtPosition, setEdges, closeContextMenu]);
+  const handleCancelBranch = useCallback(() => {
+    branchAbortRef.current?.abort();
+    useCanvasStore.getState().setAiBranch(null);
+  }, []);
+
+  useEffect(() => () => branchAbortRef.current?.abort(), []);
+
+  // However the branch goes away (cancel, deleting its note), stop the stream.
+  useEffect(
+    () =>
+      useCanvasStore.subscribe(
+        (state) => state.aiBranch,
+        (aiBranch) => {
+          if (!aiBranch) branchAbortRef.current?.abort();
+        },
+      ),
+    [],
+  );
 
-  const handleExport = useCallback(() => {
+  const handleExport = useCallback(async () => {
     const snapshot = useCanvasStore.getState();
-    const payload = {
-      version: '1.0.0',
-      exportedAt: new Date().toISOString(),
-      nodes: snapshot.nodes.map(sanitizeNodeForSave),
-      edges: snapshot.edges,
-    };
+    const activeWall = snapshot.walls.find((item) => item.id === snapshot.activeWallId);
+    const wallName = activeWall?.name ?? DEFAULT_WALL_NAME;
+    const { nodes: exportNodes, edges: exportEdges } = pickExportElements(snapshot.nodes, snapshot.edges);
+    // Text formats have no place for frames, so they get the notes alone.
+    const exportNotes = toAbsoluteNodes(exportNodes).filter((node) => !isFrame(node));
+    const fileBase = toFileBase(wallName);
+    setExportError('');
 
-    const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const anchor = document.createElement('a');
-    anchor.href = url;
-    anchor.download = 'synapse-project.json';
-    anchor.click();
-    URL.revokeObjectURL(url);
-  }, []);
+    try {
+      if (exportFormat === 'json') {
+        // Attachment bytes travel inline as base64, or as files beside the
+        // JSON in a zip.
+        const attachmentIds = [...new Set(exportNodes.map((node) => node.data?.attachment?.id).filter(Boolean))];
+        const rows = (await db.blobs.bulkGet(attachmentIds)).filter(Boolean);
+        const toPath = (row) => `attachments/${row.id}-${row.name.replace(/[\\/:*?"<>|]/g, '_')}`;
+        const attachments = await Promise.all(
+          rows.map(async ({ id, name, type, size, blob }) => ({
+            id,
+            name,
+            type,
+            size,
+            ...(attachmentMode === 'zip' ? { path: toPath({ id, name }) } : { data: await blobToBase64(blob) }),
+          })),
+        );
+        const payload = {
+          version: EXPORT_VERSION,
+          exportedAt: new Date().toISOString(),
+          wall: { name: wallName, bookmarks: (activeWall?.bookmarks ?? []).map(({ name, viewport }) => ({ name, viewport })) },
+          nodes: exportNodes,
+          edges: exportEdges,
+          attachments,
+        };
+        const json = JSON.stringify(payload, null, 2);
+        if (attachmentMode === 'zip' && rows.length) {
+          const files = await Promise.all(rows.map(async (row) => ({ name: toPath(row), content: new Uint8Array(await row.blob.arrayBuffer()) })));
+          downloadBlob(createZip([{ name: 'synapse-project.json', content: json }, ...files]), `${fileBase}-project.zip`);
+        } else {
+          downloadBlob(new Blob([json], { type: 'application/json' }), 'synapse-project.json');
+        }
+        if (rows.length < attachmentIds.length) {
+          setExportError(`${attachmentIds.length - rows.length} attachments are missing on this device and were left out.`);
+        }
+      } else if (exportFormat === 'markdown') {
+        const outline = buildMarkdownOutline(wallName, exportNotes.map(withPlainNoteLinks), exportEdges);
+        downloadBlob(new Blob([outline], { type: 'text/markdown' }), `${fileBase}-outline.md`);
+      } else if (exportFormat === 'obsidian') {
+        const files = buildObsidianVault(exportNotes, exportEdges).map((file) => ({ ...file, name: `${fileBase}/${file.name}` }));
+        downloadBlob(createZip(files), `${fileBase}-vault.zip`);
+      } else {
+        let bounds = getNodeBounds(toAbsoluteNodes(exportNodes));
+        if (exportScope === 'viewport') {
+          const { x, y, zoom } = getViewport();
+          bounds = { minX: -x / zoom, minY: -y / zoom, maxX: (window.innerWidth - x) / zoom, maxY: (window.innerHeight - y) / zoom };
+        }
+        if (!bounds) {
+          setExportError('There are no notes to draw.');
+          return;
+        }
+        const image = buildWallSvg(exportNodes.map(withPlainNoteLinks), exportEdges, bounds);
+        if (exportFormat === 'svg') {
+          downloadBlob(new Blob([image.svg], { type: 'image/svg+xml' }), `${fileBase}.svg`);
+        } else {
+          downloadBlob(await svgToPngBlob(image), `${fileBase}.png`);
+        }
+      }
+    } catch (error) {
+      console.error(error);
+      setExportError(`Export failed: ${error.message}`);
+    }
+  }, [exportFormat, exportScope, attachmentMode, getViewport]);
 
   const handleImportClick = useCallback(() => {
     setImportError('');
@@ -650,53 +3180,401 @@ const CanvasExperience = () => {
     if (!file) return;
 
     try {
-      const text = await file.text();
-      const parsed = JSON.parse(text);
-      if (!Array.isArray(parsed.nodes) || !Array.isArray(parsed.edges)) {
-        throw new Error('Invalid Synapse export file.');
-      }
-      useCanvasStore.getState().replaceState({ nodes: parsed.nodes, edges: parsed.edges });
-      await db.canvasState.put({
-        id: 'latest',
-        nodes: parsed.nodes.map(sanitizeNodeForSave),
-        edges: parsed.edges,
-        savedAt: Date.now(),
-      });
+      let parsed;
+      if (/\.zip$/i.test(file.name)) {
+        // Zip exports carry synapse-project.json plus the attachment files.
+        const files = await readZip(await file.arrayBuffer());
+        const projectPath = [...files.keys()].find((path) => path.endsWith('.json') && !path.includes('/'));
+        if (!projectPath) throw new Error('The zip has no Synapse project file.');
+        parsed = parseImportFile(new TextDecoder().decode(files.get(projectPath)), projectPath, files);
+      } else {
+        parsed = parseImportFile(await file.text(), file.name);
+      }
+      setImportPlan({ ...parsed, fileName: file.name });
       setImportError('');
     } catch (error) {
       console.error(error);
-      setImportError('Import failed. Please choose a valid synapse-project.json file.');
+      setImportError(`Import failed: ${error.message} Please choose a Synapse export (.json or .zip), Markdown, CSV, text or .canvas file.`);
     }
   }, []);
 
-  const defaultEdgeOptions = useMemo(
-    () => ({ type: 'smoothstep', animated: false, style: { stroke: '#7dd3fc', strokeWidth: 3 } }),
-    [],
+  // Nothing is written until the preview is confirmed. A new wall keeps the
+  // current one untouched; merging appends to it as a single undo step.
+  const handleConfirmImport = useCallback(
+    async (mode) => {
+      if (!importPlan) return;
+      try {
+        if (importPlan.attachments?.length) {
+          await db.blobs.bulkPut(importPlan.attachments);
+        }
+        if (mode === 'merge') {
+          snapshotWall('import');
+          const state = useCanvasStore.getState();
+          state.appendElements(planMergeImport(state, importPlan), { label: 'import into wall' });
+        } else {
+          const wall = await createWall({
+            name: importPlan.wallName ?? importPlan.fileName.replace(/\.[^.]+$/, ''),
+            nodes: importPlan.nodes,
+            edges: importPlan.edges,
+            bookmarks: importPlan.bookmarks ?? [],
+          });
+          await switchWall(wall.id);
+        }
+        setImportPlan(null);
+        setImportError('');
+      } catch (error) {
+        console.error(error);
+        setImportPlan(null);
+        setImportError('Import failed while saving. Your current wall was not changed.');
+      }
+    },
+    [importPlan],
+  );
+
+  const handleOllamaChange = useCallback(
+    (patch) => {
+      setOllamaSettings(patch);
+      db.settings.put({ key: 'ollama', ...useCanvasStore.getState().ollama }).catch((error) => {
+        console.error('Failed to persist Ollama settings', error);
+      });
+    },
+    [setOllamaSettings],
+  );
+
+  const handleCollabChange = useCallback(
+    (patch) => {
+      setCollabSettings(patch);
+      const { collab } = useCanvasStore.getState();
+      db.settings.put({ key: 'collab', ...collab }).catch((error) => {
+        console.error('Failed to persist collaboration settings', error);
+      });
+      if (patch.userName !== undefined) {
+        const user = collabSession?.provider?.awareness.getLocalState()?.user;
+        if (user) updatePresence({ user: { ...user, name: collab.userName.trim() || user.name } });
+      }
+    },
+    [setCollabSettings],
+  );
+
+  const handleToggleShare = useCallback(() => {
+    if (!activeWallId) return;
+    setWallShared(activeWallId, !isWallShared).catch((error) => console.error('Failed to change sharing', error));
+  }, [activeWallId, isWallShared]);
+
+  const inviteLink = isWallShared
+    ? `${window.location.origin}${window.location.pathname}?wall=${encodeURIComponent(activeWallId)}&relay=${encodeURIComponent(wallRelayUrl ?? collab.relayUrl)}`
+    : '';
+
+  const voice = useCanvasStore((state) => state.voice);
+  const voiceStatus = useCanvasStore((state) => state.voiceStatus);
+  const voiceInterim = useCanvasStore((state) => state.voiceInterim);
+  const voiceMessage = useCanvasStore((state) => state.voiceMessage);
+  const setVoiceSettings = useCanvasStore((state) => state.setVoiceSettings);
+  const voiceCommandRef = useRef(runVoiceCommand);
+
+  useEffect(() => {
+    voiceCommandRef.current = runVoiceCommand;
+  }, [runVoiceCommand]);
+
+  useEffect(() => () => stopVoice(), []);
+
+  const handleToggleVoice = useCallback(() => {
+    if (voiceSession) {
+      stopVoice();
+      return;
+    }
+    startVoice({ onCommand: (command) => voiceCommandRef.current(command) });
+  }, []);
+
+  const handleVoiceChange = useCallback(
+    (patch) => {
+      setVoiceSettings(patch);
+      db.settings.put({ key: 'voice', ...useCanvasStore.getState().voice }).catch((error) => {
+        console.error('Failed to persist voice settings', error);
+      });
+      // The backend is picked when listening starts.
+      if (voiceSession) stopVoice();
+    },
+    [setVoiceSettings],
+  );
+
+  const isVrActive = useCanvasStore((state) => state.isVrActive);
+  const [isVrSupported, setIsVrSupported] = useState(false);
+  const [vrError, setVrError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    navigator.xr
+      ?.isSessionSupported('immersive-vr')
+      .then((supported) => {
+        if (!cancelled) setIsVrSupported(supported);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleEnterVr = useCallback(() => {
+    setVrError('');
+    closeSettings();
+    enterVr(getViewport()).catch((error) => {
+      console.error('Failed to start VR session', error);
+      setVrError(`Could not enter VR: ${error.message}`);
+    });
+  }, [closeSettings, getViewport]);
+
+  const lastPresenceAt = useRef(0);
+  const handlePresencePointerMove = useCallback(
+    (event) => {
+      if (!collabSession || event.timeStamp - lastPresenceAt.current < PRESENCE_THROTTLE_MS) return;
+      lastPresenceAt.current = event.timeStamp;
+      updatePresence({ cursor: screenToFlowPosition({ x: event.clientX, y: event.clientY }) });
+    },
+    [screenToFlowPosition],
+  );
+
+  // The store's copy is kept current too, so duplicating or snapshotting the
+  // wall picks up where the camera is now.
+  const handleMoveEnd = useCallback(
+    (_, viewport) => {
+      if (!activeWallId) return;
+      const { walls, setWalls } = useCanvasStore.getState();
+      setWalls(walls.map((wall) => (wall.id === activeWallId ? { ...wall, viewport } : wall)));
+      db.walls.update(activeWallId, { viewport }).catch((error) => {
+        console.error('Failed to persist viewport', error);
+      });
+    },
+    [activeWallId],
+  );
+
+  // "Only" filters hide the other notes for display without touching the
+  // stored nodes, so nothing about the filter is persisted.
+  // Collapsed frames hide their notes, and the legend's "only" filter hides
+  // non-matching notes but never frames.
+  const visibleNodes = useMemo(() => {
+    const collapsed = new Set(nodes.filter((node) => isFrame(node) && node.data?.collapsed).map((node) => node.id));
+    const isHidden = (node) =>
+      collapsed.has(node.parentNode) ||
+      (legendFilter?.mode === 'only' && !isFrame(node) && !matchesLegendFilter(node.data, legendFilter));
+    return orderForFlow(nodes).map((node) => (isHidden(node) ? { ...node, hidden: true } : node));
+  }, [nodes, legendFilter]);
+
+  const contextNode = contextMenu ? nodes.find((node) => node.id === contextMenu.nodeId) : null;
+
+  const handleAddTag = (event) => {
+    event.preventDefault();
+    if (!contextNode || !tagDraft.trim()) return;
+    updateNoteData(contextNode.id, { tags: normalizeTags([...(contextNode.data?.tags ?? []), tagDraft]) }, { label: 'edit tags' });
+    setTagDraft('');
+  };
+
+  const handleRemoveTag = (tag) => {
+    if (!contextNode) return;
+    updateNoteData(
+      contextNode.id,
+      { tags: (contextNode.data?.tags ?? []).filter((item) => item !== tag) },
+      { label: 'edit tags' },
+    );
+  };
+
+  const visibleEdges = useMemo(
+    () => edges.map((edge) => toFlowEdge(edge, hiddenRelations.includes(getEdgeRelation(edge)))),
+    [edges, hiddenRelations],
   );
 
   return (
-    <div className="h-full w-full">
+    <div className="h-full w-full" onPointerMove={handlePresencePointerMove} onPointerLeave={() => updatePresence({ cursor: null })}>
       <input
         ref={fileInputRef}
         type="file"
-        accept="application/json"
+        accept={IMPORT_ACCEPT}
         className="hidden"
         onChange={handleImport}
       />
       <div className="pointer-events-none absolute left-6 top-6 z-50 flex max-w-xl flex-col gap-2 rounded-2xl bg-slate-900/60 p-6 text-slate-100 backdrop-blur">
+        <span className="text-xs uppercase tracking-[0.25em] text-cyan-300">{activeWallName}</span>
         <h1 className="text-3xl font-semibold tracking-wide">Synapse Wall</h1>
         <p className="text-lg leading-relaxed">
           Double-tap empty space to spawn notes, drag to move, hold to branch. Drop notes together to prepare a merge.
         </p>
       </div>
-      <button
-        type="button"
-        onClick={() => toggleSettings()}
-        className="absolute right-6 top-6 z-50 flex h-14 w-14 items-center justify-center rounded-full bg-slate-900 text-slate-100 shadow-lg transition hover:bg-cyan-500"
-        aria-label="Open settings"
-      >
-        ⚙️
-      </button>
+      <div className="absolute right-6 top-6 z-50 flex gap-3">
+        <button
+          type="button"
+          onClick={() => handleTidyLayout(selectedIds.length === 1 ? selectedIds[0] : null)}
+          className="flex h-14 items-center justify-center rounded-full bg-slate-900 px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          title={selectedIds.length === 1 ? 'Tidy the selected note and its children' : 'Tidy the whole wall'}
+        >
+          {selectedIds.length === 1 ? 'Tidy Subtree' : 'Tidy Wall'}
+        </button>
+        <button
+          type="button"
+          onClick={openSearch}
+          className="flex h-14 w-14 items-center justify-center rounded-full bg-slate-900 text-2xl text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          title="Search notes (Ctrl+F or /)"
+          aria-label="Search notes"
+        >
+          🔍
+        </button>
+        <button
+          type="button"
+          // Keeps focus in the note being edited so dictation goes there.
+          onPointerDown={(event) => event.preventDefault()}
+          onClick={handleToggleVoice}
+          className={`flex h-14 w-14 items-center justify-center rounded-full text-2xl text-slate-100 shadow-lg transition hover:bg-cyan-500 ${voiceStatus === 'listening' ? 'bg-rose-600 animate-pulse' : 'bg-slate-900'}`}
+          title={voiceStatus === 'listening' ? 'Stop listening' : 'Voice: dictate into the focused note or speak a command'}
+          aria-label={voiceStatus === 'listening' ? 'Stop listening' : 'Start listening'}
+          aria-pressed={voiceStatus === 'listening'}
+        >
+          🎙️
+        </button>
+        <button
+          type="button"
+          onClick={() => toggleLegend()}
+          className={`flex h-14 items-center justify-center rounded-full px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-cyan-500 ${legendFilter || hiddenRelations.length ? 'bg-cyan-700' : 'bg-slate-900'}`}
+          aria-label="Open legend"
+        >
+          Legend
+        </button>
+        <button
+          type="button"
+          onClick={() => toggleBookmarks()}
+          className="flex h-14 items-center justify-center rounded-full bg-slate-900 px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          aria-label="Open bookmarks"
+        >
+          Bookmarks
+        </button>
+        <button
+          type="button"
+          onClick={() => toggleTemplates()}
+          className="flex h-14 items-center justify-center rounded-full bg-slate-900 px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          aria-label="Open templates"
+        >
+          Templates
+        </button>
+        <button
+          type="button"
+          onClick={() => toggleWallLibrary()}
+          className="flex h-14 items-center justify-center rounded-full bg-slate-900 px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          aria-label="Open wall library"
+        >
+          Walls
+        </button>
+        <button
+          type="button"
+          onClick={() => toggleTimeline()}
+          className="flex h-14 items-center justify-center rounded-full bg-slate-900 px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          aria-label="Open snapshot timeline"
+        >
+          Timeline
+        </button>
+        {isVrSupported && (
+          <button
+            type="button"
+            onClick={handleEnterVr}
+            className="flex h-14 items-center justify-center rounded-full bg-violet-600 px-5 text-base font-semibold text-slate-100 shadow-lg transition hover:bg-violet-500"
+          >
+            Enter VR
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={undo}
+          disabled={!undoLabel}
+          className="flex h-14 w-14 items-center justify-center rounded-full bg-slate-900 text-2xl text-slate-100 shadow-lg transition hover:bg-cyan-500 disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:bg-slate-900"
+          title={undoLabel ? `Undo ${undoLabel} (Ctrl+Z)` : 'Nothing to undo'}
+          aria-label={undoLabel ? `Undo ${undoLabel}` : 'Undo'}
+        >
+          ↶
+        </button>
+        <button
+          type="button"
+          onClick={redo}
+          disabled={!redoLabel}
+          className="flex h-14 w-14 items-center justify-center rounded-full bg-slate-900 text-2xl text-slate-100 shadow-lg transition hover:bg-cyan-500 disabled:cursor-not-allowed disabled:opacity-40 disabled:hover:bg-slate-900"
+          title={redoLabel ? `Redo ${redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+          aria-label={redoLabel ? `Redo ${redoLabel}` : 'Redo'}
+        >
+          ↷
+        </button>
+        <button
+          type="button"
+          onClick={() => toggleSettings()}
+          className="flex h-14 w-14 items-center justify-center rounded-full bg-slate-900 text-slate-100 shadow-lg transition hover:bg-cyan-500"
+          aria-label="Open settings"
+        >
+          ⚙️
+        </button>
+      </div>
+      {isVrActive && (
+        <div className="absolute inset-0 z-[60] flex flex-col items-center justify-center gap-4 bg-slate-950/80 text-slate-100 backdrop-blur">
+          <p className="text-2xl font-semibold">The wall is open in your headset</p>
+          <p className="max-w-md text-center text-base text-slate-300">
+            Trigger drags notes, hold it to open note tools and double-press empty space for a new note. Grip pans, the thumbstick zooms, A adds a child and B clears.
+          </p>
+          <button type="button" onClick={exitVr} className="rounded-xl bg-violet-600 px-5 py-3 text-base font-semibold hover:bg-violet-500">
+            Exit VR
+          </button>
+        </div>
+      )}
+      {vrError && (
+        <button
+          type="button"
+          onClick={() => setVrError('')}
+          className="absolute bottom-24 left-1/2 z-50 -translate-x-1/2 rounded-full bg-rose-600 px-5 py-2 text-sm font-semibold text-white shadow-lg"
+        >
+          {vrError} ×
+        </button>
+      )}
+      {(voiceStatus !== 'off' || voiceMessage) && (
+        <div className="absolute bottom-36 right-10 z-50 w-80 rounded-2xl bg-slate-900/90 p-4 text-slate-100 shadow-xl backdrop-blur" aria-live="polite">
+          <div className="flex items-center justify-between gap-2">
+            <span className={`text-xs uppercase tracking-widest ${voiceStatus === 'error' ? 'text-rose-300' : 'text-cyan-300'}`}>
+              {voiceStatus === 'listening' ? 'Listening' : voiceStatus === 'error' ? 'Voice error' : 'Voice off'}
+            </span>
+            {voiceStatus !== 'listening' && (
+              <button
+                type="button"
+                onClick={() => useCanvasStore.getState().setVoiceState({ voiceStatus: 'off', voiceMessage: '' })}
+                className="text-sm text-slate-400 hover:text-white"
+                aria-label="Dismiss"
+              >
+                ×
+              </button>
+            )}
+          </div>
+          {voiceInterim && <p className="mt-2 text-base italic text-slate-300">{voiceInterim}…</p>}
+          {voiceMessage && <p className="mt-2 text-sm text-slate-200">{voiceMessage}</p>}
+          {voiceStatus === 'listening' && !voiceInterim && !voiceMessage && (
+            <p className="mt-2 text-sm text-slate-400">
+              Focus a note to dictate, or say "new note", "branch", "merge these", "delete" or "search for …".
+            </p>
+          )}
+        </div>
+      )}
+      {isWallLibraryOpen && <WallLibraryPanel />}
+      {isTimelineOpen && <TimelinePanel />}
+      {isLegendOpen && <LegendPanel />}
+      {isBookmarksOpen && <BookmarksPanel />}
+      {isTemplatesOpen && <TemplatesPanel />}
+      {isEdgeInspectorOpen && <EdgeInspector />}
+      {isSearchOpen && <SearchOverlay />}
+      {!isSearchOpen && searchQuery.trim() && (
+        <div className="absolute left-1/2 top-6 z-50 flex -translate-x-1/2 items-center gap-2 rounded-full bg-slate-900/90 py-2 pl-5 pr-2 text-slate-100 shadow-lg">
+          <button type="button" onClick={openSearch} className="text-base">
+            Search: <span className="font-semibold text-cyan-300">{searchQuery}</span>
+          </button>
+          <button
+            type="button"
+            onClick={clearSearch}
+            className="flex h-10 w-10 items-center justify-center rounded-full bg-slate-700 hover:bg-rose-500"
+            aria-label="Clear search"
+          >
+            ×
+          </button>
+        </div>
+      )}
       {isSettingsOpen && (
         <div className="absolute right-6 top-24 z-50 w-80 rounded-3xl bg-slate-900/90 p-6 text-slate-100 backdrop-blur">
           <div className="flex items-center justify-between">
@@ -711,14 +3589,51 @@ const CanvasExperience = () => {
           </div>
           <div className="mt-4 space-y-4 text-sm">
             <div className="space-y-2">
-              <label className="block text-xs uppercase tracking-wider text-slate-400">Data Export</label>
+              <label htmlFor="export-format" className="block text-xs uppercase tracking-wider text-slate-400">
+                Data Export
+              </label>
+              <select
+                id="export-format"
+                value={exportFormat}
+                onChange={(event) => setExportFormat(event.target.value)}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+              >
+                {Object.entries(EXPORT_FORMATS).map(([key, label]) => (
+                  <option key={key} value={key}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              {exportFormat === 'json' && hasAttachments && (
+                <select
+                  value={attachmentMode}
+                  onChange={(event) => setAttachmentMode(event.target.value)}
+                  className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+                  aria-label="Attachments"
+                >
+                  <option value="embed">Embed attachments (base64)</option>
+                  <option value="zip">Attachments as files (.zip)</option>
+                </select>
+              )}
+              {(exportFormat === 'svg' || exportFormat === 'png') && (
+                <select
+                  value={exportScope}
+                  onChange={(event) => setExportScope(event.target.value)}
+                  className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+                  aria-label="Image area"
+                >
+                  <option value="wall">Whole wall</option>
+                  <option value="viewport">Current view</option>
+                </select>
+              )}
               <button
                 type="button"
                 onClick={handleExport}
                 className="w-full rounded-xl bg-cyan-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-cyan-400"
               >
-                Export Project
+                {selectedIds.length ? `Export ${selectedIds.length} Selected` : 'Export Wall'}
               </button>
+              {exportError && <p className="text-sm text-rose-300">{exportError}</p>}
             </div>
             <div className="space-y-2">
               <label className="block text-xs uppercase tracking-wider text-slate-400">Data Import</label>
@@ -727,28 +3642,175 @@ const CanvasExperience = () => {
                 onClick={handleImportClick}
                 className="w-full rounded-xl bg-emerald-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-emerald-400"
               >
-                Import Project
+                Import File
               </button>
               {importError && <p className="text-sm text-rose-300">{importError}</p>}
             </div>
             <div className="space-y-2">
-              <label className="block text-xs uppercase tracking-wider text-slate-400">Ollama API Endpoint (coming soon)</label>
+              <label htmlFor="ollama-endpoint" className="block text-xs uppercase tracking-wider text-slate-400">
+                Ollama API Endpoint
+              </label>
+              <input
+                id="ollama-endpoint"
+                type="url"
+                value={ollama.endpoint}
+                onChange={(event) => handleOllamaChange({ endpoint: event.target.value })}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+              />
+              <label htmlFor="ollama-model" className="block text-xs uppercase tracking-wider text-slate-400">
+                Ollama Model
+              </label>
+              <input
+                id="ollama-model"
+                type="text"
+                value={ollama.model}
+                onChange={(event) => handleOllamaChange({ model: event.target.value })}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="voice-backend" className="block text-xs uppercase tracking-wider text-slate-400">
+                Voice Transcription
+              </label>
+              <select
+                id="voice-backend"
+                value={voice.backend}
+                onChange={(event) => handleVoiceChange({ backend: event.target.value })}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+              >
+                {Object.entries(VOICE_BACKENDS).map(([key, backend]) => (
+                  <option key={key} value={key}>
+                    {backend.label}
+                  </option>
+                ))}
+              </select>
+              {voice.backend === 'http' && (
+                <input
+                  type="url"
+                  defaultValue={voice.endpoint}
+                  onBlur={(event) => handleVoiceChange({ endpoint: event.target.value.trim() || DEFAULT_VOICE_SETTINGS.endpoint })}
+                  className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+                  aria-label="Speech-to-text endpoint"
+                />
+              )}
+              <input
+                type="text"
+                defaultValue={voice.lang}
+                placeholder="Language, e.g. en-US (browser default)"
+                onBlur={(event) => handleVoiceChange({ lang: event.target.value.trim() })}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+                aria-label="Voice language"
+              />
+            </div>
+            <div className="space-y-2">
+              <label htmlFor="collab-relay" className="block text-xs uppercase tracking-wider text-slate-400">
+                Collaboration Relay
+              </label>
+              <input
+                id="collab-relay"
+                type="url"
+                defaultValue={collab.relayUrl}
+                onBlur={(event) => {
+                  const relayUrl = event.target.value.trim() ? parseRelayUrl(event.target.value) : DEFAULT_COLLAB_SETTINGS.relayUrl;
+                  setRelayError(relayUrl ? '' : 'The relay must be a ws:// or wss:// address.');
+                  if (relayUrl) handleCollabChange({ relayUrl });
+                }}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+              />
+              {relayError && <p className="text-sm text-rose-300">{relayError}</p>}
+              {wallRelayUrl && (
+                <p className="text-sm text-slate-400">
+                  This wall was joined from an invite and syncs through <span className="text-slate-200">{wallRelayUrl}</span>.
+                </p>
+              )}
+              <label htmlFor="collab-name" className="block text-xs uppercase tracking-wider text-slate-400">
+                Your Name
+              </label>
               <input
+                id="collab-name"
                 type="text"
-                value="http://100.113.82.99:11434"
-                disabled
-                className="w-full cursor-not-allowed rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-400 opacity-60"
+                maxLength={40}
+                defaultValue={collab.userName}
+                placeholder="Shown to others on shared walls"
+                onBlur={(event) => handleCollabChange({ userName: event.target.value })}
+                className="w-full rounded-xl bg-slate-800 px-4 py-3 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
               />
+              <button
+                type="button"
+                onClick={handleToggleShare}
+                className={`w-full rounded-xl px-4 py-3 text-base font-semibold text-white transition ${isWallShared ? 'bg-slate-700 hover:bg-rose-500' : 'bg-violet-500 hover:bg-violet-400'}`}
+              >
+                {isWallShared ? 'Stop Sharing' : 'Share This Wall'}
+              </button>
+              {isWallShared && (
+                <div className="flex gap-2">
+                  <input
+                    readOnly
+                    value={inviteLink}
+                    onFocus={(event) => event.target.select()}
+                    className="min-w-0 flex-1 rounded-xl bg-slate-800 px-3 py-2 text-xs text-slate-300 outline-none"
+                    aria-label="Invite link"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => navigator.clipboard?.writeText(inviteLink).catch((error) => console.error(error))}
+                    className="rounded-xl bg-slate-700 px-3 py-2 text-sm font-semibold hover:bg-slate-600"
+                  >
+                    Copy
+                  </button>
+                </div>
+              )}
             </div>
           </div>
         </div>
       )}
+      {isMergeDialogOpen && <MergeDialog />}
+      {importPlan && (
+        <ImportPreviewPanel plan={importPlan} onConfirm={handleConfirmImport} onCancel={() => setImportPlan(null)} />
+      )}
       {contextMenu && (
         <div
-          className="absolute z-50 w-56 rounded-2xl bg-slate-900/90 p-4 text-slate-100 shadow-xl backdrop-blur"
+          className="absolute z-50 w-72 rounded-2xl bg-slate-900/90 p-4 text-slate-100 shadow-xl backdrop-blur"
           style={{ top: contextMenu.y, left: contextMenu.x }}
         >
           <p className="text-sm uppercase tracking-widest text-slate-400">Note Actions</p>
+          <div className="mt-3 flex justify-between">
+            {Object.entries(NOTE_COLORS).map(([key, color]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => contextNode && updateNoteData(contextNode.id, { color: key }, { label: 'recolor note' })}
+                className={`h-9 w-9 rounded-full ${color.swatch} ${(contextNode?.data?.color ?? DEFAULT_NOTE_COLOR) === key ? 'ring-4 ring-white' : 'ring-2 ring-white/20'}`}
+                aria-label={`Color ${color.label}`}
+                title={color.label}
+              />
+            ))}
+          </div>
+          <div className="mt-3 flex flex-wrap gap-1">
+            {(contextNode?.data?.tags ?? []).map((tag) => (
+              <button
+                key={tag}
+                type="button"
+                onClick={() => handleRemoveTag(tag)}
+                className="rounded-full bg-slate-700 px-3 py-1 text-sm hover:bg-rose-500"
+                aria-label={`Remove tag ${tag}`}
+              >
+                #{tag} ×
+              </button>
+            ))}
+          </div>
+          <form onSubmit={handleAddTag} className="mt-2 flex gap-2">
+            <input
+              value={tagDraft}
+              onChange={(event) => setTagDraft(event.target.value)}
+              placeholder="Add tag"
+              className="min-w-0 flex-1 rounded-xl bg-slate-800 px-3 py-2 text-base text-slate-100 outline-none focus:ring-2 focus:ring-cyan-400"
+              aria-label="New tag"
+            />
+            <button type="submit" className="rounded-xl bg-slate-700 px-3 py-2 text-sm font-semibold hover:bg-slate-600">
+              Add
+            </button>
+          </form>
           <button
             type="button"
             onClick={handleCreateChild}
@@ -756,6 +3818,75 @@ const CanvasExperience = () => {
           >
             Create Child Note
           </button>
+          <button
+            type="button"
+            onClick={() => handleTidyLayout(contextMenu.nodeId)}
+            className="mt-2 w-full rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold text-white transition hover:bg-slate-600"
+          >
+            Tidy Subtree
+          </button>
+          <button
+            type="button"
+            onClick={() => splitNote(contextMenu.nodeId)}
+            disabled={splitNoteText(contextNode?.data?.text).length < 2}
+            className="mt-2 w-full rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold text-white transition hover:bg-slate-600 disabled:cursor-not-allowed disabled:opacity-40"
+            title="One note per --- section, or per paragraph"
+          >
+            Split Note
+          </button>
+          {!contextNode?.parentNode && (
+            <button
+              type="button"
+              onClick={() => {
+                createFrame([contextMenu.nodeId]);
+                closeContextMenu();
+              }}
+              className="mt-2 w-full rounded-xl bg-slate-700 px-4 py-3 text-base font-semibold text-white transition hover:bg-slate-600"
+            >
+              Frame Note
+            </button>
+          )}
+          <div className="mt-3 flex items-center justify-between gap-2">
+            <button
+              type="button"
+              onClick={() => setBranchCount((count) => Math.max(1, count - 1))}
+              className="h-10 w-10 rounded-full bg-slate-700 text-xl hover:bg-slate-600"
+              aria-label="Fewer ideas"
+            >
+              −
+            </button>
+            <span className="text-sm uppercase tracking-widest text-slate-300">{branchCount} ideas</span>
+            <button
+              type="button"
+              onClick={() => setBranchCount((count) => Math.min(MAX_AI_BRANCHES, count + 1))}
+              className="h-10 w-10 rounded-full bg-slate-700 text-xl hover:bg-slate-600"
+              aria-label="More ideas"
+            >
+              +
+            </button>
+          </div>
+          <button
+            type="button"
+            onClick={handleBranchWithAi}
+            disabled={Boolean(aiBranch)}
+            className="mt-2 w-full rounded-xl bg-cyan-500 px-4 py-3 text-base font-semibold text-white transition hover:bg-cyan-400 disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            Branch with AI
+          </button>
+        </div>
+      )}
+      {selectedIds.length > 1 && !aiBranch && <SelectionToolbar ids={selectedIds} />}
+      {aiBranch && <BranchReviewPanel onCancel={handleCancelBranch} onRetry={handleRetryBranch} />}
+      {mediaError && (
+        <div className="absolute bottom-36 left-1/2 z-50 flex max-w-md -translate-x-1/2 items-center gap-3 rounded-2xl bg-slate-900/95 px-4 py-3 text-sm text-rose-200 shadow-xl">
+          <span className="flex-1">{mediaError}</span>
+          <button
+            type="button"
+            onClick={() => setMediaError('')}
+            className="rounded-full bg-slate-700 px-3 py-1 text-xs uppercase tracking-widest text-slate-100 hover:bg-slate-600"
+          >
+            Dismiss
+          </button>
         </div>
       )}
       <button
@@ -778,27 +3909,50 @@ const CanvasExperience = () => {
       <ReactFlow
         className="h-full w-full"
         nodeTypes={nodeTypes}
-        nodes={nodes}
-        edges={edges}
+        nodes={visibleNodes}
+        edges={visibleEdges}
         onNodesChange={onNodesChange}
         onEdgesChange={onEdgesChange}
         onConnect={onConnect}
+        onEdgeClick={handleEdgeClick}
         onPaneDoubleClick={handlePaneDoubleClick}
         onNodeClick={handleNodeClick}
         onNodeDragStart={handleNodeDragStart}
         onNodeDragStop={handleNodeDragStop}
         onPaneClick={handlePaneClick}
-        defaultViewport={{ x: 0, y: 0, zoom: 0.9 }}
-        minZoom={0.3}
+        onDragOver={handleDragOver}
+        onDrop={handleDrop}
+        onMoveEnd={handleMoveEnd}
+        defaultViewport={initialViewport ?? DEFAULT_VIEWPORT}
+        minZoom={0.1}
         maxZoom={1.5}
+        onlyRenderVisibleElements
         panOnScroll
         panOnDrag
         zoomOnDoubleClick={false}
         fitView={false}
-        defaultEdgeOptions={defaultEdgeOptions}
       >
         <Background color="#1e293b" gap={28} size={1.5} variant="dots" />
         <Controls className="rounded-full bg-slate-900/80 text-white" position="top-left" />
+        {showMinimap && (
+          // Sized and colored to stay readable on a headset browser's panel.
+          <MiniMap
+            position="bottom-right"
+            className="!bottom-32 !right-6 overflow-hidden rounded-2xl border-2 border-slate-600"
+            style={{ width: 280, height: 200, backgroundColor: '#0f172a' }}
+            nodeColor={getMinimapColor}
+            nodeStrokeColor={getMinimapColor}
+            nodeStrokeWidth={12}
+            nodeBorderRadius={24}
+            maskColor="rgba(2, 6, 23, 0.65)"
+            maskStrokeColor="#22d3ee"
+            maskStrokeWidth={6}
+            pannable
+            zoomable
+            ariaLabel="Wall minimap"
+          />
+        )}
+        <PresenceCursors />
       </ReactFlow>
     </div>
   );
@@ -806,18 +3960,69 @@ const CanvasExperience = () => {
 
 const CanvasShell = () => {
   const [isReady, setIsReady] = useState(false);
+  const activeWallId = useCanvasStore((state) => state.activeWallId);
+  const initialViewport = useCanvasStore(
+    (state) => state.walls.find((wall) => wall.id === state.activeWallId)?.viewport,
+  );
+  const isWallShared = useCanvasStore((state) => Boolean(state.walls.find((wall) => wall.id === state.activeWallId)?.shared));
+  const relayUrl = useCanvasStore(getWallRelayUrl);
+  const [bench, setBench] = useState(null);
+
+  useEffect(() => {
+    if (!isReady || !activeWallId || !isWallShared) return undefined;
+    startCollab(activeWallId).catch((error) => {
+      console.error('Failed to start collaboration', error);
+      stopCollab();
+    });
+    return () => stopCollab();
+  }, [isReady, activeWallId, isWallShared, relayUrl]);
 
   useEffect(() => {
     let cancelled = false;
     const load = async () => {
       try {
-        const stored = await db.canvasState.get('latest');
-        if (stored && !cancelled) {
-          useCanvasStore.getState().replaceState({
-            nodes: stored.nodes ?? [],
-            edges: stored.edges ?? [],
-          });
+        const settings = await db.settings.get('ollama');
+        if (settings) {
+          useCanvasStore.getState().setOllamaSettings({ endpoint: settings.endpoint, model: settings.model });
+        }
+        const voice = await db.settings.get('voice');
+        if (voice) {
+          useCanvasStore.getState().setVoiceSettings({ backend: voice.backend, endpoint: voice.endpoint, lang: voice.lang });
+        }
+        const minimap = await db.settings.get('minimap');
+        if (minimap) {
+          useCanvasStore.getState().setShowMinimap(Boolean(minimap.visible));
         }
+        const collab = await db.settings.get('collab');
+        if (collab) {
+          useCanvasStore.getState().setCollabSettings({ relayUrl: collab.relayUrl, userName: collab.userName });
+        }
+        // Invite links look like ?wall=<id>&relay=<ws url>.
+        const params = new URLSearchParams(window.location.search);
+        const invitedWallId = params.get('wall');
+        const invitedRelay = parseRelayUrl(params.get('relay'));
+        if (params.has('relay') && !invitedRelay) {
+          console.warn('Ignored an invite relay that is not a ws:// or wss:// address');
+        }
+        // ?bench=N (dev server only) builds and opens a synthetic wall of N
+        // notes, then times it.
+        const benchCount = import.meta.env.DEV ? Math.min(Math.floor(Number(params.get('bench'))) || 0, BENCH_MAX_NOTES) : 0;
+        const returnTo = benchCount > 0 ? (await db.walls.orderBy('lastOpenedAt').last())?.id : null;
+        if (params.has('wall') || params.has('bench')) {
+          window.history.replaceState(null, '', window.location.pathname);
+        }
+        const benchStart = performance.now();
+        const wall =
+          benchCount > 0
+            ? await createWall(buildBenchWall(benchCount))
+            : invitedWallId && WALL_ID_PATTERN.test(invitedWallId)
+            ? await joinSharedWall(invitedWallId, invitedRelay)
+            : await ensureWall();
+        if (!cancelled) {
+          await openWall(wall.id);
+          if (benchCount > 0) setBench({ count: benchCount, loadMs: performance.now() - benchStart, wallId: wall.id, returnTo });
+        }
+        pruneAttachments().catch((error) => console.error('Failed to prune attachments', error));
       } catch (error) {
         console.error('Failed to load Synapse state', error);
       } finally {
@@ -834,30 +4039,83 @@ const CanvasShell = () => {
   }, []);
 
   useEffect(() => {
-    const debouncedSave = debounce(async ({ nodes, edges }) => {
-      try {
-        await db.canvasState.put({
-          id: 'latest',
-          nodes: nodes.map(sanitizeNodeForSave),
-          edges,
-          savedAt: Date.now(),
-        });
-      } catch (error) {
-        console.error('Failed to persist Synapse state', error);
-      }
-    }, 500);
+    const debouncedSave = debounce(() => persistNow(), SAVE_DEBOUNCE_MS);
+    const snapshotTimer = window.setInterval(() => snapshotWall('scheduled'), SNAPSHOT_INTERVAL_MS);
 
     const unsubscribe = useCanvasStore.subscribe(
       (state) => ({ nodes: state.nodes, edges: state.edges }),
-      (snapshot) => debouncedSave(snapshot),
+      () => {
+        const state = useCanvasStore.getState();
+        if (!isWallDirty(state)) return;
+        if (state.saveStatus === 'saved') {
+          state.setSaveState({ saveStatus: 'pending' });
+        }
+        debouncedSave();
+      },
+      { equalityFn: shallow },
     );
 
+    // IndexedDB writes may not finish once the page is going away, so keep a
+    // synchronous recovery copy as well.
+    const flush = () => {
+      debouncedSave.cancel();
+      persistNow();
+      writeRecovery();
+    };
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') flush();
+    };
+    const handleBeforeUnload = (event) => {
+      flush();
+      const { saveStatus } = useCanvasStore.getState();
+      if (saveStatus === 'failed' || saveStatus === 'conflict') {
+        event.preventDefault();
+      }
+    };
+
+    // Another tab saved: follow it when this tab has nothing unsaved,
+    // otherwise ask before either side is overwritten.
+    const handleSyncMessage = ({ data }) => {
+      const state = useCanvasStore.getState();
+      if (data?.type !== 'saved' || data.tabId === TAB_ID || data.wallId !== state.activeWallId) return;
+      if (collabSession?.wallId === data.wallId) return;
+      if (data.revision <= state.savedRevision) return;
+      if (isWallDirty(state)) {
+        state.setSaveState({ saveStatus: 'conflict' });
+      } else {
+        reloadActiveWall().catch((error) => console.error('Failed to sync wall', error));
+      }
+    };
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flush);
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    syncChannel?.addEventListener('message', handleSyncMessage);
+
     return () => {
       unsubscribe();
-      debouncedSave.cancel?.();
+      debouncedSave.cancel();
+      window.clearInterval(snapshotTimer);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', flush);
+      window.removeEventListener('beforeunload', handleBeforeUnload);
+      syncChannel?.removeEventListener('message', handleSyncMessage);
     };
   }, []);
 
+  const isBenchPending = Boolean(bench) && !bench.rows && !bench.error && !bench.running;
+  useEffect(() => {
+    if (!isReady || !isBenchPending) return;
+    setBench((current) => ({ ...current, running: true }));
+    runWallBenchmark(bench)
+      .then((rows) => setBench((current) => current && { ...current, rows }))
+      .catch((error) => {
+        console.error('Benchmark failed', error);
+        setBench((current) => current && { ...current, error: error.message });
+      })
+      .finally(() => discardBenchWall(bench).catch((error) => console.error('Failed to remove the benchmark wall', error)));
+  }, [isReady, isBenchPending, bench]);
+
   if (!isReady) {
     return (
       <div className="flex h-full w-full items-center justify-center bg-slate-950 text-slate-200">
@@ -868,7 +4126,14 @@ const CanvasShell = () => {
     );
   }
 
-  return <CanvasExperience />;
+  // Keyed by wall so React Flow remounts with that wall's saved viewport.
+  return (
+    <>
+      <CanvasExperience key={activeWallId} initialViewport={initialViewport} />
+      <SaveStatusBar />
+      {bench && <BenchResultsPanel bench={bench} onClose={() => setBench(null)} />}
+    </>
+  );
 };
 
 const App = () => (
@@ -0,0 +1,101 @@
+import { applyNodeChanges } from 'reactflow';
+import { DEFAULT_NOTE_SIZE, makeId, NOTE_COLORS } from './constants.js';
+import { db } from './db.js';
+import { makeChildEdge } from './edges.js';
+import { findMergeTarget, getSpatialIndex } from './spatial.js';
+import { useCanvasStore } from './store.js';
+import { clearRecovery, createWall, persistNow, removeWall, switchWall } from './walls.js';
+
+export const BENCH_MAX_NOTES = 20000;
+const BENCH_DRAG_FRAMES = 60;
+const BENCH_KEYSTROKES = 50;
+
+// Synthetic wall for ?bench=N: a grid of tagged notes in every color where
+// most notes hang off their left neighbour as a child.
+export const buildBenchWall = (count) => {
+  const colors = Object.keys(NOTE_COLORS);
+  const columns = Math.ceil(Math.sqrt(count));
+  const nodes = [];
+  const edges = [];
+  for (let index = 0; index < count; index += 1) {
+    const id = makeId();
+    nodes.push({
+      id,
+      type: 'sticky',
+      position: {
+        x: (index % columns) * (DEFAULT_NOTE_SIZE.width + 80),
+        y: Math.floor(index / columns) * (DEFAULT_NOTE_SIZE.height + 80),
+      },
+      data: {
+        text: `Idea ${index + 1}\nSome detail about idea ${index + 1} so the note has a second line.`,
+        color: colors[index % colors.length],
+        tags: [`topic-${index % 12}`],
+        zIndex: index + 1,
+      },
+    });
+    if (index % columns && index % 5) edges.push(makeChildEdge(nodes[index - 1].id, id));
+  }
+  return { name: `Benchmark (${count} notes)`, nodes, edges };
+};
+
+const nextFrame = () => new Promise((resolve) => window.requestAnimationFrame(() => resolve()));
+
+// Times the hot paths on the open wall. Steps that wait for a frame include
+// React Flow's render of the change.
+export const runWallBenchmark = async ({ count, loadMs }) => {
+  const results = [{ step: `build, save and open ${count} notes`, runs: 1, totalMs: loadMs }];
+  const measure = async (step, runs, run) => {
+    const start = performance.now();
+    for (let index = 0; index < runs; index += 1) {
+      await run(index);
+    }
+    results.push({ step, runs, totalMs: performance.now() - start });
+  };
+
+  await measure('first paint', 1, async () => {
+    await nextFrame();
+    await nextFrame();
+  });
+  const { nodes } = useCanvasStore.getState();
+  const target = nodes[Math.floor(nodes.length / 2)];
+  await measure('drag frame', BENCH_DRAG_FRAMES, async (index) => {
+    const position = { x: target.position.x + index * 4, y: target.position.y + index * 2 };
+    useCanvasStore
+      .getState()
+      .setNodes((current) => applyNodeChanges([{ id: target.id, type: 'position', position, dragging: true }], current), {
+        label: 'move notes',
+        coalesceKey: 'move',
+      });
+    await nextFrame();
+  });
+  await measure('merge lookup on drop', 1, () => {
+    const { nodes: current } = useCanvasStore.getState();
+    findMergeTarget(current, getSpatialIndex(current).get(target.id));
+  });
+  await measure('keystroke', BENCH_KEYSTROKES, async (index) => {
+    useCanvasStore
+      .getState()
+      .updateNoteData(target.id, { text: `${target.data.text} ${'x'.repeat(index + 1)}` }, { label: 'edit text', coalesceKey: `text:${target.id}` });
+    await nextFrame();
+  });
+  await measure('autosave (changed notes)', 1, () => persistNow());
+  await measure('full save', 1, () => persistNow({ force: true }));
+
+  const rows = results.map(({ step, runs, totalMs }) => ({
+    step,
+    runs,
+    totalMs: Math.round(totalMs),
+    perRunMs: Number((totalMs / runs).toFixed(2)),
+  }));
+  return rows;
+};
+
+// Once timed, the benchmark wall is deleted and the wall that was open
+// before comes back.
+export const discardBenchWall = async ({ wallId, returnTo }) => {
+  const previous = returnTo ? await db.walls.get(returnTo) : null;
+  const next = previous ?? (await createWall({ name: 'My Wall' }));
+  await switchWall(next.id);
+  await removeWall(await db.walls.get(wallId));
+  clearRecovery(wallId);
+};
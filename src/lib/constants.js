@@ -0,0 +1,102 @@
+export const DEFAULT_NOTE_SIZE = { width: 320, height: 220 };
+export const MIN_NOTE_SIZE = { width: 200, height: 160 };
+export const MAX_NOTE_SIZE = { width: 520, height: 460 };
+
+export const DEFAULT_FRAME_SIZE = { width: 720, height: 520 };
+export const MIN_FRAME_SIZE = { width: 320, height: 200 };
+export const MAX_FRAME_SIZE = { width: 4000, height: 3000 };
+export const FRAME_COLLAPSED_HEIGHT = 72;
+export const FRAME_HEADER_HEIGHT = 72;
+export const FRAME_PADDING = 40;
+export const DEFAULT_FRAME_TITLE = 'Frame';
+export const MAX_FRAME_TITLE = 80;
+export const DEFAULT_FRAME_COLOR = 'sky';
+
+export const SPATIAL_CELL_SIZE = 512;
+// Below this zoom notes render as plain colored cards without editors.
+export const NOTE_DETAIL_MIN_ZOOM = 0.45;
+
+export const MEDIA_NOTE_SIZE = { width: 360, height: 340 };
+export const MEDIA_NOTE_CASCADE = 40;
+export const MAX_ATTACHMENT_BYTES = 25 * 1024 * 1024;
+// Unreferenced attachments are kept this long, so undo or another tab's
+// pending save can still bring back the note that used them.
+export const ATTACHMENT_PRUNE_GRACE_MS = 24 * 60 * 60 * 1000;
+export const LINK_PREVIEW_TIMEOUT_MS = 5000;
+
+export const MAX_BOOKMARK_NAME = 60;
+export const BOOKMARK_FLY_MS = 600;
+export const NO_BOOKMARKS = [];
+
+export const MAX_TEMPLATE_NAME = 60;
+export const MAX_NOTE_PLACEHOLDER = 200;
+export const TEMPLATE_FILE_TYPE = 'synapse-template';
+export const TEMPLATE_FILE_VERSION = 1;
+export const TEMPLATE_DRAG_TYPE = 'application/x-synapse-template';
+// Note fields a template keeps; positions, ids and attachments are handled apart.
+export const TEMPLATE_DATA_KEYS = ['text', 'placeholder', 'color', 'tags', 'width', 'height', 'title', 'collapsed', 'link'];
+
+export const EXPORT_VERSION = '1.3.0';
+export const MAX_NOTE_TEXT = 2000;
+export const IMPORT_GAP = 160;
+
+export const MAX_AI_BRANCHES = 6;
+export const CHILD_OFFSET = 80;
+export const CHILD_GAP = 40;
+
+export const LAYOUT_LAYER_GAP = 120;
+export const LAYOUT_SIBLING_GAP = 40;
+export const LAYOUT_TREE_GAP = 120;
+export const LAYOUT_ANIMATION_MS = 450;
+
+export const GRID_SIZE = 28;
+export const DUPLICATE_OFFSET = 40;
+export const LONG_PRESS_MS = 550;
+export const MERGE_OVERLAP_RATIO = 0.35;
+
+// Tailwind needs the full class names in source, so each color lists them.
+export const NOTE_COLORS = {
+  amber: { label: 'Amber', note: 'bg-amber-200/95', swatch: 'bg-amber-300', fill: '#fde68a' },
+  rose: { label: 'Rose', note: 'bg-rose-200/95', swatch: 'bg-rose-300', fill: '#fecdd3' },
+  sky: { label: 'Sky', note: 'bg-sky-200/95', swatch: 'bg-sky-300', fill: '#bae6fd' },
+  emerald: { label: 'Emerald', note: 'bg-emerald-200/95', swatch: 'bg-emerald-300', fill: '#a7f3d0' },
+  violet: { label: 'Violet', note: 'bg-violet-200/95', swatch: 'bg-violet-300', fill: '#ddd6fe' },
+  slate: { label: 'Slate', note: 'bg-slate-200/95', swatch: 'bg-slate-300', fill: '#e2e8f0' },
+};
+export const DEFAULT_NOTE_COLOR = 'amber';
+export const MAX_TAG_LENGTH = 32;
+
+export const DEFAULT_OLLAMA_SETTINGS = { endpoint: 'http://100.113.82.99:11434', model: 'llama3.2' };
+
+export const DEFAULT_VIEWPORT = { x: 0, y: 0, zoom: 0.9 };
+export const DEFAULT_WALL_NAME = 'Untitled Wall';
+
+export const DEFAULT_COLLAB_SETTINGS = { relayUrl: 'ws://localhost:1234', userName: '' };
+export const COLLAB_ROOM_PREFIX = 'synapse-wall-';
+export const PRESENCE_COLORS = ['#f97316', '#22d3ee', '#a855f7', '#10b981', '#f43f5e', '#eab308'];
+export const PRESENCE_THROTTLE_MS = 50;
+export const WALL_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// backend: a key of VOICE_BACKENDS; endpoint is only used by the HTTP backend.
+export const DEFAULT_VOICE_SETTINGS = { backend: 'browser', endpoint: 'http://localhost:9000/transcribe', lang: '' };
+export const VOICE_SEGMENT_MS = 4000;
+
+export const SAVE_DEBOUNCE_MS = 500;
+export const RECOVERY_KEY_PREFIX = 'synapse-recovery:';
+
+// Retention: the newest SNAPSHOT_KEEP_RECENT snapshots of a wall are kept
+// as-is, older ones are thinned to one per day, and nothing outlives
+// SNAPSHOT_MAX_AGE_DAYS.
+export const SNAPSHOT_INTERVAL_MS = 10 * 60 * 1000;
+export const SNAPSHOT_KEEP_RECENT = 20;
+export const SNAPSHOT_MAX_AGE_DAYS = 30;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const HISTORY_LIMIT = 100;
+export const HISTORY_COALESCE_MS = 1000;
+
+export const makeId = () => `n-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+export const makeWallId = () => `w-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+export const makeAttachmentId = () => `a-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+export const makeBookmarkId = () => `b-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+export const makeTemplateId = () => `tpl-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
@@ -0,0 +1,70 @@
+import Dexie from 'dexie';
+import { DEFAULT_VIEWPORT, makeWallId } from './constants.js';
+
+export const db = new Dexie('SynapseDB');
+db.version(1).stores({ canvasState: 'id' });
+// v2 keys canvasState rows by wall id and adds the wall library. The single
+// v1 'latest' row becomes the first named wall.
+db.version(2)
+  .stores({ canvasState: 'id', walls: 'id, lastOpenedAt' })
+  .upgrade(async (tx) => {
+    const latest = await tx.table('canvasState').get('latest');
+    if (!latest) return;
+    const now = Date.now();
+    const id = makeWallId();
+    await tx.table('walls').add({
+      id,
+      name: 'My Wall',
+      createdAt: latest.savedAt ?? now,
+      updatedAt: latest.savedAt ?? now,
+      lastOpenedAt: now,
+      viewport: DEFAULT_VIEWPORT,
+    });
+    await tx.table('canvasState').put({ ...latest, id });
+    await tx.table('canvasState').delete('latest');
+  });
+db.version(3).stores({ canvasState: 'id', walls: 'id, lastOpenedAt', settings: 'key' });
+db.version(4).stores({
+  canvasState: 'id',
+  walls: 'id, lastOpenedAt',
+  settings: 'key',
+  snapshots: '++id, wallId, createdAt',
+});
+// v5 keeps attachment bytes out of the wall rows; notes reference them by id.
+db.version(5).stores({
+  canvasState: 'id',
+  walls: 'id, lastOpenedAt',
+  settings: 'key',
+  snapshots: '++id, wallId, createdAt',
+  blobs: 'id, createdAt',
+});
+// v6 gives every note its own row so autosave writes only the notes that
+// changed. canvasState keeps the edges, revision and save time.
+db.version(6)
+  .stores({
+    canvasState: 'id',
+    walls: 'id, lastOpenedAt',
+    settings: 'key',
+    snapshots: '++id, wallId, createdAt',
+    blobs: 'id, createdAt',
+    notes: '[wallId+id], wallId',
+  })
+  .upgrade(async (tx) => {
+    const rows = await tx.table('canvasState').toArray();
+    await Promise.all(
+      rows.map(async ({ nodes = [], ...row }) => {
+        await tx.table('notes').bulkPut(nodes.map((node) => ({ wallId: row.id, id: node.id, node })));
+        await tx.table('canvasState').put(row);
+      }),
+    );
+  });
+// v7 adds the template library. Built-in starters live in code, not here.
+db.version(7).stores({
+  canvasState: 'id',
+  walls: 'id, lastOpenedAt',
+  settings: 'key',
+  snapshots: '++id, wallId, createdAt',
+  blobs: 'id, createdAt',
+  notes: '[wallId+id], wallId',
+  templates: 'id, updatedAt',
+});
@@ -0,0 +1,64 @@
+import { MarkerType } from 'reactflow';
+import { makeId } from './constants.js';
+
+// Link types. `verb` reads from the source note to the target note. `layout`
+// names the end the tidy layout and outline export treat as the parent;
+// cross-links (null) don't shape the tree.
+export const EDGE_RELATIONS = {
+  related: { label: 'Related', verb: 'relates to', stroke: '#38bdf8', dash: null, arrows: 'none', layout: 'source' },
+  child: { label: 'Parent of', verb: 'has child', stroke: '#f97316', dash: null, arrows: 'end', layout: 'source' },
+  supports: { label: 'Supports', verb: 'supports', stroke: '#10b981', dash: null, arrows: 'end', layout: 'target' },
+  contradicts: { label: 'Contradicts', verb: 'contradicts', stroke: '#f43f5e', dash: '10 6', arrows: 'both', layout: null },
+  depends: { label: 'Depends on', verb: 'depends on', stroke: '#a855f7', dash: '3 6', arrows: 'end', layout: 'target' },
+};
+export const DEFAULT_EDGE_RELATION = 'related';
+export const MAX_EDGE_LABEL = 60;
+
+// Links saved before types existed only have a color: orange ones were made
+// by "create child", everything else was a plain connection.
+export const getEdgeRelation = (edge) => {
+  if (EDGE_RELATIONS[edge.data?.relation]) return edge.data.relation;
+  return edge.style?.stroke === '#f97316' ? 'child' : DEFAULT_EDGE_RELATION;
+};
+
+// Parent/child pairs for the links that shape the tree.
+export const getTreeLinks = (edges) =>
+  edges.flatMap((edge) => {
+    const { layout } = EDGE_RELATIONS[getEdgeRelation(edge)];
+    if (layout === 'source') return [{ parent: edge.source, child: edge.target, edge }];
+    if (layout === 'target') return [{ parent: edge.target, child: edge.source, edge }];
+    return [];
+  });
+
+// Stored edges only carry their relation and label; the look is derived here
+// so every wall picks up style changes.
+export const toFlowEdge = (edge, hidden = false) => {
+  const relation = EDGE_RELATIONS[getEdgeRelation(edge)];
+  const marker = { type: MarkerType.ArrowClosed, color: relation.stroke, width: 16, height: 16 };
+  return {
+    ...edge,
+    type: 'smoothstep',
+    hidden,
+    style: {
+      stroke: relation.stroke,
+      strokeWidth: edge.selected ? 5 : 3,
+      ...(relation.dash ? { strokeDasharray: relation.dash } : {}),
+    },
+    markerEnd: relation.arrows === 'none' ? undefined : marker,
+    markerStart: relation.arrows === 'both' ? marker : undefined,
+    labelStyle: { fill: '#f8fafc', fontSize: 14, fontWeight: 600 },
+    labelBgStyle: { fill: '#0f172a', fillOpacity: 0.9 },
+    labelBgPadding: [8, 4],
+    labelBgBorderRadius: 8,
+  };
+};
+
+export const makeEdge = (source, target, relation = DEFAULT_EDGE_RELATION) => ({
+  id: `e-${makeId()}`,
+  source,
+  target,
+  type: 'smoothstep',
+  data: { relation },
+});
+
+export const makeChildEdge = (source, target) => makeEdge(source, target, 'child');
@@ -0,0 +1,411 @@
+import { DEFAULT_FRAME_COLOR, DEFAULT_NOTE_COLOR, FRAME_COLLAPSED_HEIGHT, NOTE_COLORS } from './constants.js';
+import { EDGE_RELATIONS, getEdgeRelation, getTreeLinks } from './edges.js';
+import { NOTE_LINK_PATTERN, plainNoteLinks } from './links.js';
+import { describeMedia } from './media.js';
+import {
+  getNoteHeight,
+  getNoteRect,
+  getNoteWidth,
+  isFrame,
+  rectsOverlap,
+  sanitizeNodeForSave,
+  setNodeFrame,
+  toAbsoluteNodes,
+} from './nodes.js';
+
+export const EXPORT_FORMATS = {
+  json: 'Synapse project (.json)',
+  markdown: 'Markdown outline (.md)',
+  svg: 'SVG image',
+  png: 'PNG image',
+  obsidian: 'Obsidian vault (.zip)',
+};
+
+const EXPORT_PADDING = 40;
+export const SVG_FONT_SIZE = 16;
+export const SVG_LINE_HEIGHT = 22;
+
+// Exports cover the selection when there is one, otherwise the whole wall.
+// Edges are kept only when both ends are exported.
+// A selected frame brings its notes along; notes exported without their frame
+// are placed on the open wall.
+export const pickExportElements = (nodes, edges) => {
+  const selectedIds = new Set(nodes.filter((node) => node.selected).map((node) => node.id));
+  const picked = selectedIds.size
+    ? nodes.filter((node) => selectedIds.has(node.id) || selectedIds.has(node.parentNode))
+    : nodes;
+  const ids = new Set(picked.map((node) => node.id));
+  const absolute = new Map(toAbsoluteNodes(nodes).map((node) => [node.id, node]));
+  return {
+    nodes: picked.map((node) =>
+      sanitizeNodeForSave(node.parentNode && !ids.has(node.parentNode) ? setNodeFrame(absolute.get(node.id), null) : node),
+    ),
+    edges: edges.filter((edge) => ids.has(edge.source) && ids.has(edge.target)),
+  };
+};
+
+export const toFileBase = (name) =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'synapse-wall';
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const anchor = document.createElement('a');
+  anchor.href = url;
+  anchor.download = fileName;
+  anchor.click();
+  URL.revokeObjectURL(url);
+};
+
+const byPosition = (a, b) => a.position.y - b.position.y || a.position.x - b.position.x;
+
+// Italic suffix for a note nested through `edge`, e.g. "_(supports: key
+// evidence)_". The verb only fits when the nested note is the link's source.
+const describeEdge = (edge) => {
+  const relation = EDGE_RELATIONS[getEdgeRelation(edge)];
+  const parts = [relation.layout === 'target' ? relation.verb : '', edge.label ?? ''].filter(Boolean);
+  return parts.length ? ` _(${parts.join(': ')})_` : '';
+};
+
+// Nests notes under their parents following the tree links, the same way
+// the tidy layout reads the wall. Notes reached twice are listed once, and
+// cross-links are listed under the note they start from.
+export const buildMarkdownOutline = (title, nodes, edges) => {
+  const sorted = [...nodes].sort(byPosition);
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const childLinks = new Map();
+  const hasParent = new Set();
+  const crossLinks = new Map();
+  edges.forEach((edge) => {
+    if (edge.source === edge.target || !byId.has(edge.source) || !byId.has(edge.target)) return;
+    if (EDGE_RELATIONS[getEdgeRelation(edge)].layout) return;
+    crossLinks.set(edge.source, [...(crossLinks.get(edge.source) ?? []), edge]);
+  });
+  getTreeLinks(edges).forEach((link) => {
+    if (link.parent === link.child || !byId.has(link.parent) || !byId.has(link.child)) return;
+    childLinks.set(link.parent, [...(childLinks.get(link.parent) ?? []), link]);
+    hasParent.add(link.child);
+  });
+
+  const lines = [`# ${title}`, ''];
+  const visited = new Set();
+  const firstLine = (node) => (node.data?.text ?? '').trim().split('\n')[0].trim() || describeMedia(node.data) || '(empty note)';
+  const visit = (node, depth, link = null) => {
+    visited.add(node.id);
+    const indent = '  '.repeat(depth);
+    const [, ...rest] = (node.data?.text ?? '').trim().split('\n');
+    const tags = (node.data?.tags ?? []).map((tag) => ` #${tag.replace(/\s+/g, '-')}`).join('');
+    lines.push(`${indent}- ${firstLine(node)}${tags}${link ? describeEdge(link.edge) : ''}`);
+    rest.forEach((line) => lines.push(line.trim() ? `${indent}  ${line}` : ''));
+    if ((node.data?.text ?? '').trim() && describeMedia(node.data)) lines.push(`${indent}  ${describeMedia(node.data)}`);
+    (crossLinks.get(node.id) ?? []).forEach((edge) => {
+      lines.push(`${indent}  - _${EDGE_RELATIONS[getEdgeRelation(edge)].verb}_ ${firstLine(byId.get(edge.target))}${edge.label ? ` (${edge.label})` : ''}`);
+    });
+    const kids = childLinks.get(node.id);
+    if (!kids) return;
+    sorted.forEach((child) => {
+      const childLink = kids.find((entry) => entry.child === child.id);
+      if (childLink && !visited.has(child.id)) visit(child, depth + 1, childLink);
+    });
+  };
+  sorted.filter((node) => !hasParent.has(node.id)).forEach((node) => visit(node, 0));
+  // Notes only reachable through a cycle start from their topmost member.
+  sorted.forEach((node) => {
+    if (!visited.has(node.id)) visit(node, 0);
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+const escapeXml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Greedy word wrap by character count; good enough for a static render.
+export const wrapText = (text, maxChars) =>
+  text.split('\n').flatMap((paragraph) => {
+    const lines = [];
+    let line = '';
+    paragraph.split(/\s+/).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (candidate.length <= maxChars) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = word.length > maxChars ? `${word.slice(0, maxChars - 1)}…` : word;
+    });
+    lines.push(line);
+    return lines;
+  });
+
+// Renders notes and edges that fall inside `bounds` (flow coordinates).
+export const buildWallSvg = (nodes, edges, bounds) => {
+  const minX = bounds.minX - EXPORT_PADDING;
+  const minY = bounds.minY - EXPORT_PADDING;
+  const width = Math.ceil(bounds.maxX - bounds.minX + EXPORT_PADDING * 2);
+  const height = Math.ceil(bounds.maxY - bounds.minY + EXPORT_PADDING * 2);
+  const area = { x: bounds.minX, y: bounds.minY, width: bounds.maxX - bounds.minX, height: bounds.maxY - bounds.minY };
+  const absolute = toAbsoluteNodes(nodes);
+  const collapsedFrames = new Set(absolute.filter((node) => isFrame(node) && node.data?.collapsed).map((node) => node.id));
+  const inView = absolute.filter((node) => !collapsedFrames.has(node.parentNode) && rectsOverlap(getNoteRect(node), area));
+  const frames = inView.filter(isFrame);
+  const visible = inView.filter((node) => !isFrame(node));
+  const byId = new Map(visible.map((node) => [node.id, node]));
+  const center = (node) => ({
+    x: node.position.x + getNoteWidth(node) / 2 - minX,
+    y: node.position.y + getNoteHeight(node) / 2 - minY,
+  });
+
+  // Lines are drawn between note centers but stop at the note borders, so
+  // arrowheads aren't hidden under the notes.
+  const exitPoint = (node, toward) => {
+    const from = center(node);
+    const dx = toward.x - from.x;
+    const dy = toward.y - from.y;
+    const scale = Math.min(
+      dx ? getNoteWidth(node) / 2 / Math.abs(dx) : Infinity,
+      dy ? getNoteHeight(node) / 2 / Math.abs(dy) : Infinity,
+      1,
+    );
+    return { x: from.x + dx * scale, y: from.y + dy * scale };
+  };
+  const markerDefs = Object.entries(EDGE_RELATIONS).map(
+    ([key, relation]) =>
+      `<marker id="arrow-${key}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="5" markerHeight="5" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" fill="${relation.stroke}" /></marker>`,
+  );
+  const edgeMarkup = edges
+    .filter((edge) => byId.has(edge.source) && byId.has(edge.target))
+    .map((edge) => {
+      const key = getEdgeRelation(edge);
+      const relation = EDGE_RELATIONS[key];
+      const source = byId.get(edge.source);
+      const target = byId.get(edge.target);
+      const from = exitPoint(source, center(target));
+      const to = exitPoint(target, center(source));
+      const dash = relation.dash ? ` stroke-dasharray="${relation.dash}"` : '';
+      const markerEnd = relation.arrows === 'none' ? '' : ` marker-end="url(#arrow-${key})"`;
+      const markerStart = relation.arrows === 'both' ? ` marker-start="url(#arrow-${key})"` : '';
+      const line = `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="${relation.stroke}" stroke-width="3"${dash}${markerStart}${markerEnd} />`;
+      if (!edge.label) return line;
+      const mid = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+      const labelWidth = edge.label.length * SVG_FONT_SIZE * 0.55 + 16;
+      return `${line}<rect x="${mid.x - labelWidth / 2}" y="${mid.y - 14}" width="${labelWidth}" height="28" rx="8" fill="#0f172a" /><text x="${mid.x}" y="${mid.y + 5}" text-anchor="middle" font-family="system-ui, sans-serif" font-size="${SVG_FONT_SIZE - 2}" font-weight="600" fill="#f8fafc">${escapeXml(edge.label)}</text>`;
+    });
+
+  // Frames sit behind everything, with their title in the header strip.
+  const frameMarkup = frames.map((frame) => {
+    const x = frame.position.x - minX;
+    const y = frame.position.y - minY;
+    const fill = (NOTE_COLORS[frame.data?.color] ?? NOTE_COLORS[DEFAULT_FRAME_COLOR]).fill;
+    const frameHeight = frame.data?.collapsed ? FRAME_COLLAPSED_HEIGHT : getNoteHeight(frame);
+    const count = absolute.filter((node) => node.parentNode === frame.id).length;
+    const title = frame.data?.collapsed ? `${frame.data?.title ?? ''} · ${count} ${count === 1 ? 'note' : 'notes'}` : (frame.data?.title ?? '');
+    return `<rect x="${x}" y="${y}" width="${getNoteWidth(frame)}" height="${frameHeight}" rx="24" fill="${fill}26" stroke="${fill}" stroke-width="3" /><text x="${x + 24}" y="${y + 24 + SVG_FONT_SIZE}" font-family="system-ui, sans-serif" font-size="${SVG_FONT_SIZE + 4}" font-weight="700" fill="${fill}">${escapeXml(title)}</text>`;
+  });
+
+  const noteMarkup = [...visible]
+    .sort((a, b) => (a.data?.zIndex ?? 0) - (b.data?.zIndex ?? 0))
+    .map((node) => {
+      const x = node.position.x - minX;
+      const y = node.position.y - minY;
+      const noteWidth = getNoteWidth(node);
+      const noteHeight = getNoteHeight(node);
+      const fill = (NOTE_COLORS[node.data?.color] ?? NOTE_COLORS[DEFAULT_NOTE_COLOR]).fill;
+      const maxLines = Math.floor((noteHeight - 32) / SVG_LINE_HEIGHT);
+      const lines = wrapText(node.data?.text || describeMedia(node.data), Math.floor((noteWidth - 32) / (SVG_FONT_SIZE * 0.55))).slice(0, maxLines);
+      const tspans = lines
+        .map((line, index) => `<tspan x="${x + 16}" y="${y + 16 + SVG_FONT_SIZE + index * SVG_LINE_HEIGHT}">${escapeXml(line)}</tspan>`)
+        .join('');
+      return `<rect x="${x}" y="${y}" width="${noteWidth}" height="${noteHeight}" rx="18" fill="${fill}" /><text font-family="system-ui, sans-serif" font-size="${SVG_FONT_SIZE}" fill="#0f172a">${tspans}</text>`;
+    });
+
+  return {
+    width,
+    height,
+    svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}"><defs>${markerDefs.join('')}</defs><rect width="100%" height="100%" fill="#020617" />${frameMarkup.join('')}${edgeMarkup.join('')}${noteMarkup.join('')}</svg>`,
+  };
+};
+
+export const svgToPngBlob = ({ svg, width, height }, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png');
+    };
+    image.onerror = () => reject(new Error('Could not render wall image'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+
+// Obsidian note names come from the first line; characters Obsidian rejects
+// in file names are dropped and duplicates get a numeric suffix.
+export const buildObsidianVault = (nodes, edges) => {
+  const used = new Set();
+  const names = new Map();
+  [...nodes].sort(byPosition).forEach((node) => {
+    const base =
+      (plainNoteLinks(node.data?.text) || node.data?.link?.title || node.data?.attachment?.name || '')
+        .trim()
+        .split('\n')[0]
+        .replace(/^#+\s*/, '')
+        .replace(/[\\/:*?"<>|#^[\]]/g, '')
+        .trim()
+        .slice(0, 60) || 'Untitled';
+    let name = base;
+    for (let suffix = 2; used.has(name.toLowerCase()); suffix += 1) {
+      name = `${base} ${suffix}`;
+    }
+    used.add(name.toLowerCase());
+    names.set(node.id, name);
+  });
+
+  return nodes.map((node) => {
+    const tags = node.data?.tags ?? [];
+    // Dataview-style inline fields keep the link type readable in Obsidian.
+    const links = edges
+      .filter((edge) => edge.source === node.id && names.has(edge.target))
+      .map((edge) => `- ${EDGE_RELATIONS[getEdgeRelation(edge)].verb}:: [[${names.get(edge.target)}]]${edge.label ? ` (${edge.label})` : ''}`);
+    const frontmatter = [
+      '---',
+      `synapse-id: ${node.id}`,
+      `color: ${node.data?.color ?? DEFAULT_NOTE_COLOR}`,
+      ...(tags.length ? ['tags:', ...tags.map((tag) => `  - ${JSON.stringify(tag)}`)] : []),
+      '---',
+    ];
+    const media = describeMedia(node.data);
+    // [[id|label]] links become wikilinks to the target's file.
+    const text = (node.data?.text ?? '').replace(NOTE_LINK_PATTERN, (_, target, label) =>
+      names.has(target) ? `[[${names.get(target)}${label ? `|${label}` : ''}]]` : label || target,
+    );
+    const body = [...frontmatter, '', text.trim(), ...(media ? ['', media] : []), ...(links.length ? ['', '## Links', '', ...links] : [])];
+    return { name: `${names.get(node.id)}.md`, content: `${body.join('\n')}\n` };
+  });
+};
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Minimal zip writer: stored (uncompressed) entries with UTF-8 names, which
+// every unzip tool and Obsidian's importer accept.
+export const createZip = (files) => {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(({ name, content }) => {
+    const nameBytes = encoder.encode(name);
+    const data = typeof content === 'string' ? encoder.encode(content) : content;
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(local, nameBytes, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+};
+
+const inflateRaw = async (bytes) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).arrayBuffer());
+
+// Reads a zip into a Map of path -> bytes. Handles stored entries (what
+// createZip writes) and deflated ones (most other zip tools).
+export const readZip = async (buffer) => {
+  const view = new DataView(buffer);
+  let endOffset = -1;
+  for (let offset = buffer.byteLength - 22; offset >= Math.max(0, buffer.byteLength - 65557); offset -= 1) {
+    if (view.getUint32(offset, true) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) throw new Error('File is not a zip archive.');
+
+  const decoder = new TextDecoder();
+  const files = new Map();
+  let offset = view.getUint32(endOffset + 16, true);
+  for (let index = 0; index < view.getUint16(endOffset + 10, true); index += 1) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Zip directory is damaged.');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const entryLength = 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    const localOffset = view.getUint32(offset + 42, true);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = new Uint8Array(buffer, dataStart, compressedSize);
+    if (!name.endsWith('/')) {
+      if (method === 0) files.set(name, data);
+      else if (method === 8) files.set(name, await inflateRaw(data));
+      else throw new Error(`Zip entry "${name}" uses an unsupported compression method.`);
+    }
+    offset += entryLength;
+  }
+  return files;
+};
+
+export const blobToBase64 = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result.slice(reader.result.indexOf(',') + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
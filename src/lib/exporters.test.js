@@ -0,0 +1,114 @@
+import { describe, expect, it } from 'vitest';
+import { buildMarkdownOutline, buildObsidianVault, createZip, readZip } from './exporters.js';
+import { parseImportFile } from './importers.js';
+
+const sticky = (id, x, y, text, data = {}) => ({ id, type: 'sticky', position: { x, y }, data: { text, ...data } });
+const edge = (source, target, relation, label) => ({ id: `e-${source}-${target}`, source, target, data: { relation }, ...(label ? { label } : {}) });
+
+describe('buildMarkdownOutline', () => {
+  const nodes = [
+    sticky('n-root', 0, 0, 'Launch\nWhy we ship.', { tags: ['q3 plan'] }),
+    sticky('n-risk', 0, 300, 'Risks'),
+    sticky('n-budget', 0, 600, 'Budget'),
+    sticky('n-proof', 400, 300, 'Survey results'),
+    sticky('n-loose', 800, 0, '', { attachment: { id: 'a', name: 'deck.pdf', type: 'application/pdf' } }),
+  ];
+  const edges = [
+    edge('n-root', 'n-risk', 'child'),
+    edge('n-risk', 'n-budget', 'child'),
+    edge('n-proof', 'n-root', 'supports', 'key evidence'),
+    edge('n-budget', 'n-loose', 'contradicts', 'too high'),
+  ];
+
+  it('nests notes under their parents with tags, link types and cross-links', () => {
+    expect(buildMarkdownOutline('Plan', nodes, edges)).toBe(
+      [
+        '# Plan',
+        '',
+        '- Launch #q3-plan',
+        '  Why we ship.',
+        '  - Risks',
+        '    - Budget',
+        '      - _contradicts_ 📎 deck.pdf (too high)',
+        '  - Survey results _(supports: key evidence)_',
+        '- 📎 deck.pdf',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('lists notes in a cycle once', () => {
+    const cycle = [sticky('n-a', 0, 0, 'A'), sticky('n-b', 0, 100, 'B')];
+    expect(buildMarkdownOutline('Loop', cycle, [edge('n-a', 'n-b', 'child'), edge('n-b', 'n-a', 'child')])).toBe('# Loop\n\n- A\n  - B\n');
+  });
+
+  it('imports back into the same tree', () => {
+    const outline = buildMarkdownOutline('Plan', nodes.slice(0, 3), edges.slice(0, 2));
+    const imported = parseImportFile(outline, 'plan.md');
+    const textOf = (id) => imported.nodes.find((node) => node.id === id).data.text;
+    expect(imported.edges.map((link) => [textOf(link.source), textOf(link.target)])).toEqual([
+      ['Plan', 'Launch #q3-plan\nWhy we ship.'],
+      ['Launch #q3-plan\nWhy we ship.', 'Risks'],
+      ['Risks', 'Budget'],
+    ]);
+  });
+});
+
+describe('buildObsidianVault', () => {
+  it('writes one file per note with frontmatter, wikilinks and typed links', () => {
+    const nodes = [
+      sticky('n-a', 0, 0, '# Plan: v2?\nSee [[n-b|the idea]] and [[n-gone|gone]]', { tags: ['q3', 'big plan'], color: 'rose' }),
+      sticky('n-b', 0, 300, 'Idea'),
+      sticky('n-c', 0, 600, 'idea'),
+      sticky('n-d', 0, 900, '', { link: { url: 'https://example.com', title: 'Example' } }),
+    ];
+    const files = buildObsidianVault(nodes, [edge('n-a', 'n-b', 'supports', 'why'), edge('n-a', 'n-missing', 'child')]);
+    expect(files.map((file) => file.name)).toEqual(['Plan v2.md', 'Idea.md', 'idea 2.md', 'Example.md']);
+    expect(files[0].content).toBe(
+      [
+        '---',
+        'synapse-id: n-a',
+        'color: rose',
+        'tags:',
+        '  - "q3"',
+        '  - "big plan"',
+        '---',
+        '',
+        '# Plan: v2?\nSee [[Idea|the idea]] and gone',
+        '',
+        '## Links',
+        '',
+        '- supports:: [[Idea]] (why)',
+        '',
+      ].join('\n'),
+    );
+    expect(files[3].content).toContain('\n\n[Example](https://example.com)\n');
+  });
+});
+
+describe('zip', () => {
+  it('stores entries that read back by name', async () => {
+    const bytes = new Uint8Array([0, 1, 2, 250, 255]);
+    const blob = createZip([
+      { name: 'synapse-project.json', content: '{"nodes":[]}' },
+      { name: 'attachments/café ✓.bin', content: bytes },
+      { name: 'empty.md', content: '' },
+    ]);
+    expect(blob.type).toBe('application/zip');
+    const files = await readZip(await blob.arrayBuffer());
+    expect([...files.keys()]).toEqual(['synapse-project.json', 'attachments/café ✓.bin', 'empty.md']);
+    expect(new TextDecoder().decode(files.get('synapse-project.json'))).toBe('{"nodes":[]}');
+    expect([...files.get('attachments/café ✓.bin')]).toEqual([...bytes]);
+    expect(files.get('empty.md')).toHaveLength(0);
+  });
+
+  it('writes a standard CRC-32 for each entry', async () => {
+    const view = new DataView(await createZip([{ name: 'a.txt', content: 'hello' }]).arrayBuffer());
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint32(14, true)).toBe(0x3610a686);
+  });
+
+  it('rejects files that are not zips', async () => {
+    await expect(readZip(new TextEncoder().encode('not a zip at all, just some text').buffer)).rejects.toThrow('File is not a zip archive.');
+  });
+});
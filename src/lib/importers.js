@@ -0,0 +1,622 @@
+import {
+  DEFAULT_FRAME_TITLE,
+  DEFAULT_NOTE_SIZE,
+  EXPORT_VERSION,
+  IMPORT_GAP,
+  LAYOUT_SIBLING_GAP,
+  makeBookmarkId,
+  makeId,
+  MAX_BOOKMARK_NAME,
+  MAX_FRAME_TITLE,
+  MAX_NOTE_PLACEHOLDER,
+  MAX_NOTE_TEXT,
+  NOTE_COLORS,
+} from './constants.js';
+import { DEFAULT_EDGE_RELATION, getEdgeRelation, makeChildEdge, MAX_EDGE_LABEL } from './edges.js';
+import { computeTreeLayout } from './layout.js';
+import { retargetNoteLinks } from './links.js';
+import { base64ToBytes, isValidAttachment, parseLinkUrl, toLinkCard } from './media.js';
+import {
+  ensureNodeShape,
+  getNodeBounds,
+  getNoteRect,
+  isFrame,
+  normalizeTags,
+  orderForFlow,
+  rectsOverlap,
+  toAbsoluteNodes,
+} from './nodes.js';
+
+// Each step upgrades a payload from the keyed version to the next one;
+// migrateImport walks the chain until it reaches EXPORT_VERSION.
+const IMPORT_MIGRATIONS = {
+  // 1.0.0 predates the wall library, so the wall name may be missing.
+  '1.0.0': (payload) => ({
+    ...payload,
+    version: '1.1.0',
+    wall: { name: typeof payload.wall?.name === 'string' ? payload.wall.name : null },
+  }),
+  // 1.2.0 can carry attachment bytes next to the notes.
+  '1.1.0': (payload) => ({ ...payload, version: '1.2.0', attachments: [] }),
+  // 1.3.0 adds the wall's named bookmarks.
+  '1.2.0': (payload) => ({ ...payload, version: '1.3.0', wall: { ...payload.wall, bookmarks: [] } }),
+};
+
+export const migrateImport = (payload) => {
+  let current = { ...payload, version: payload.version ?? '1.0.0' };
+  while (current.version !== EXPORT_VERSION) {
+    const step = IMPORT_MIGRATIONS[current.version];
+    if (!step) {
+      throw new Error(`Unsupported export version "${current.version}".`);
+    }
+    current = step(current);
+  }
+  return current;
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Turns an export's attachment list into blob rows ready for db.blobs. Bytes
+// come inline as base64 or, for zip exports, from the archive's `files`.
+const readImportAttachments = (entries, files) => {
+  const errors = [];
+  const attachments = [];
+  (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+    const label = `Attachment ${index + 1}${typeof entry?.name === 'string' ? ` (${entry.name})` : ''}`;
+    if (!isValidAttachment(entry)) {
+      errors.push(`${label}: missing id or name.`);
+      return;
+    }
+    let bytes = null;
+    if (typeof entry.data === 'string') {
+      try {
+        bytes = base64ToBytes(entry.data);
+      } catch {
+        errors.push(`${label}: data is not valid base64.`);
+        return;
+      }
+    } else if (typeof entry.path === 'string' && files?.has(entry.path)) {
+      bytes = files.get(entry.path);
+    } else {
+      errors.push(`${label}: file not included in the export.`);
+      return;
+    }
+    const type = typeof entry.type === 'string' ? entry.type : 'application/octet-stream';
+    attachments.push({
+      id: entry.id,
+      name: entry.name,
+      type,
+      size: bytes.length,
+      blob: new Blob([bytes], { type }),
+      createdAt: Date.now(),
+    });
+  });
+  return { attachments, errors };
+};
+
+const isValidViewport = (viewport) =>
+  isFiniteNumber(viewport?.x) && isFiniteNumber(viewport?.y) && isFiniteNumber(viewport?.zoom) && viewport.zoom > 0;
+
+// Bookmarks from an export, with fresh ids so they never clash.
+const readImportBookmarks = (entries) => {
+  const errors = [];
+  const bookmarks = [];
+  (Array.isArray(entries) ? entries : []).forEach((entry, index) => {
+    if (typeof entry?.name !== 'string' || !entry.name.trim() || !isValidViewport(entry.viewport)) {
+      errors.push(`Bookmark ${index + 1}: needs a name and a viewport.`);
+      return;
+    }
+    const { x, y, zoom } = entry.viewport;
+    bookmarks.push({ id: makeBookmarkId(), name: entry.name.trim().slice(0, MAX_BOOKMARK_NAME), viewport: { x, y, zoom } });
+  });
+  return { bookmarks, errors };
+};
+
+// Drops malformed nodes and edges instead of failing the whole file, and
+// returns one message per dropped item so the preview can list them.
+export const validateImport = (payload) => {
+  const errors = [];
+  const nodes = [];
+  const nodeIds = new Set();
+
+  payload.nodes.forEach((node, index) => {
+    const label = `Note ${index + 1}${typeof node?.id === 'string' ? ` (${node.id})` : ''}`;
+    if (!node || typeof node !== 'object') {
+      errors.push(`${label}: not an object.`);
+      return;
+    }
+    if (typeof node.id !== 'string' || !node.id) {
+      errors.push(`${label}: missing id.`);
+      return;
+    }
+    if (nodeIds.has(node.id)) {
+      errors.push(`${label}: duplicate id.`);
+      return;
+    }
+    if (node.type !== undefined && node.type !== 'sticky' && node.type !== 'frame') {
+      errors.push(`${label}: unknown type "${node.type}".`);
+      return;
+    }
+    if (!isFiniteNumber(node.position?.x) || !isFiniteNumber(node.position?.y)) {
+      errors.push(`${label}: position needs numeric x and y.`);
+      return;
+    }
+    if (node.data !== undefined && (typeof node.data !== 'object' || node.data === null)) {
+      errors.push(`${label}: data must be an object.`);
+      return;
+    }
+    if (node.data?.text !== undefined && typeof node.data.text !== 'string') {
+      errors.push(`${label}: text must be a string.`);
+      return;
+    }
+    if (node.data?.tags !== undefined && !Array.isArray(node.data.tags)) {
+      errors.push(`${label}: tags must be a list.`);
+      return;
+    }
+    const data = { ...node.data };
+    delete data.dragging;
+    delete data.autoFocus;
+    if (data.tags) {
+      data.tags = normalizeTags(data.tags.filter((tag) => typeof tag === 'string'));
+    }
+    if (data.placeholder !== undefined) {
+      if (typeof data.placeholder === 'string') {
+        data.placeholder = data.placeholder.slice(0, MAX_NOTE_PLACEHOLDER);
+      } else {
+        delete data.placeholder;
+      }
+    }
+    if (data.color !== undefined && !NOTE_COLORS[data.color]) {
+      errors.push(`${label}: unknown color "${data.color}" reset to default.`);
+      delete data.color;
+    }
+    if (data.attachment !== undefined && !isValidAttachment(data.attachment)) {
+      errors.push(`${label}: malformed attachment removed.`);
+      delete data.attachment;
+    }
+    if (data.link !== undefined) {
+      const url = parseLinkUrl(data.link?.url);
+      if (url) {
+        data.link = toLinkCard(url, typeof data.link.title === 'string' ? data.link.title : '', typeof data.link.favicon === 'string' ? data.link.favicon : '');
+      } else {
+        errors.push(`${label}: malformed link card removed.`);
+        delete data.link;
+      }
+    }
+    nodeIds.add(node.id);
+    nodes.push({
+      id: node.id,
+      type: node.type ?? 'sticky',
+      position: { x: node.position.x, y: node.position.y },
+      data: { ...data, text: (data.text ?? '').slice(0, MAX_NOTE_TEXT) },
+      style: node.style,
+      ...(typeof node.parentNode === 'string' ? { parentNode: node.parentNode } : {}),
+    });
+  });
+
+  // Framed notes need their frame in the same file; frames don't nest.
+  const frameIds = new Set(nodes.filter(isFrame).map((node) => node.id));
+  nodes.forEach((node, index) => {
+    if (!node.parentNode) return;
+    if (isFrame(node) || !frameIds.has(node.parentNode)) {
+      errors.push(`Note ${node.id}: frame "${node.parentNode}" not found, note kept on the open wall.`);
+      nodes[index] = { ...node };
+      delete nodes[index].parentNode;
+    }
+  });
+
+  const edges = [];
+  const edgeIds = new Set();
+  payload.edges.forEach((edge, index) => {
+    const label = `Link ${index + 1}${typeof edge?.id === 'string' ? ` (${edge.id})` : ''}`;
+    if (!edge || typeof edge !== 'object') {
+      errors.push(`${label}: not an object.`);
+      return;
+    }
+    if (typeof edge.id !== 'string' || !edge.id) {
+      errors.push(`${label}: missing id.`);
+      return;
+    }
+    if (edgeIds.has(edge.id)) {
+      errors.push(`${label}: duplicate id.`);
+      return;
+    }
+    if (!nodeIds.has(edge.source) || !nodeIds.has(edge.target)) {
+      errors.push(`${label}: source or target note is missing.`);
+      return;
+    }
+    if (edge.source === edge.target) {
+      errors.push(`${label}: connects a note to itself.`);
+      return;
+    }
+    if (edge.label !== undefined && typeof edge.label !== 'string') {
+      errors.push(`${label}: label must be text, removed.`);
+    }
+    edgeIds.add(edge.id);
+    // Only the fields a link is stored with; the look comes from toFlowEdge and
+    // legacy colors become a relation here.
+    edges.push({
+      id: edge.id,
+      source: edge.source,
+      target: edge.target,
+      type: 'smoothstep',
+      data: { relation: getEdgeRelation(edge) },
+      ...(typeof edge.sourceHandle === 'string' ? { sourceHandle: edge.sourceHandle } : {}),
+      ...(typeof edge.targetHandle === 'string' ? { targetHandle: edge.targetHandle } : {}),
+      ...(typeof edge.label === 'string' && edge.label.trim() ? { label: edge.label.slice(0, MAX_EDGE_LABEL) } : {}),
+    });
+  });
+
+  return { nodes, edges, errors };
+};
+
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.*)$/;
+const MARKDOWN_BULLET_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_FENCE_PATTERN = /^\s*(```|~~~)/;
+
+// Headings nest by level and bullets nest under the nearest heading by
+// indentation; each becomes a note linked to its parent. Paragraphs and
+// code blocks are appended to the note above them.
+const parseMarkdownImport = (text) => {
+  const nodes = [];
+  const edges = [];
+  const stack = [];
+  let lastNote = null;
+  let inFence = false;
+
+  const addNote = (noteText, level) => {
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    const note = { id: makeId(), position: { x: 0, y: nodes.length }, data: { text: noteText } };
+    nodes.push(note);
+    if (stack.length) edges.push(makeChildEdge(stack[stack.length - 1].note.id, note.id));
+    stack.push({ level, note });
+    lastNote = note;
+  };
+
+  const appendLine = (line) => {
+    if (!lastNote) {
+      lastNote = { id: makeId(), position: { x: 0, y: nodes.length }, data: { text: line } };
+      nodes.push(lastNote);
+      return;
+    }
+    lastNote.data.text = `${lastNote.data.text}\n${line}`;
+  };
+
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  // Skip YAML frontmatter.
+  if (lines[0]?.trim() === '---') {
+    const end = lines.indexOf('---', 1);
+    if (end > 0) lines.splice(0, end + 1);
+  }
+
+  lines.forEach((line) => {
+    if (MARKDOWN_FENCE_PATTERN.test(line)) {
+      inFence = !inFence;
+      appendLine(line);
+      return;
+    }
+    if (inFence) {
+      appendLine(line);
+      return;
+    }
+    const heading = line.match(MARKDOWN_HEADING_PATTERN);
+    if (heading) {
+      addNote(heading[2].trim(), heading[1].length);
+      return;
+    }
+    const bullet = line.match(MARKDOWN_BULLET_PATTERN);
+    if (bullet && bullet[2].trim()) {
+      const indent = bullet[1].replace(/\t/g, '    ').length;
+      addNote(bullet[2].trim(), 7 + Math.floor(indent / 2));
+      return;
+    }
+    if (line.trim()) appendLine(line.trim());
+  });
+
+  return { nodes, edges, layout: 'tree' };
+};
+
+const parsePlainTextImport = (text) => ({
+  nodes: text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .map((block, index) => ({ id: makeId(), position: { x: 0, y: index }, data: { text: block } })),
+  edges: [],
+  layout: 'tree',
+});
+
+// RFC 4180 style: quoted fields may hold delimiters, newlines and "" escapes.
+const parseCsvRows = (text, delimiter) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell.trim()));
+};
+
+const CSV_COLUMNS = {
+  text: ['text', 'note', 'content', 'body', 'title', 'idea'],
+  tags: ['tags', 'tag', 'labels', 'label'],
+  color: ['color', 'colour'],
+  x: ['x', 'left'],
+  y: ['y', 'top'],
+};
+
+// The header row picks the columns; without a recognised text column the
+// first column is used. Rows without a position are placed in a grid.
+const parseCsvImport = (text) => {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length ? candidate : best,
+  );
+  const [headings = [], ...rows] = parseCsvRows(text, delimiter);
+  const columnOf = (names) => headings.findIndex((heading) => names.includes(heading.trim().toLowerCase()));
+  const columns = Object.fromEntries(Object.entries(CSV_COLUMNS).map(([key, names]) => [key, columnOf(names)]));
+  const textColumn = columns.text >= 0 ? columns.text : 0;
+  const errors = columns.text >= 0 ? [] : [`No text column found; using "${headings[0] ?? ''}".`];
+  const gridColumns = Math.max(1, Math.ceil(Math.sqrt(rows.length)));
+
+  const nodes = [];
+  rows.forEach((cells, index) => {
+    const noteText = (cells[textColumn] ?? '').trim();
+    if (!noteText) {
+      errors.push(`Row ${index + 2}: empty text.`);
+      return;
+    }
+    const x = Number.parseFloat(cells[columns.x]);
+    const y = Number.parseFloat(cells[columns.y]);
+    const hasPosition = Number.isFinite(x) && Number.isFinite(y);
+    const data = { text: noteText };
+    if (columns.tags >= 0 && cells[columns.tags]?.trim()) {
+      data.tags = cells[columns.tags].split(/[,;|]/);
+    }
+    if (columns.color >= 0 && cells[columns.color]?.trim()) {
+      data.color = cells[columns.color].trim().toLowerCase();
+    }
+    nodes.push({
+      id: makeId(),
+      position: hasPosition
+        ? { x, y }
+        : {
+            x: (index % gridColumns) * (DEFAULT_NOTE_SIZE.width + LAYOUT_SIBLING_GAP),
+            y: Math.floor(index / gridColumns) * (DEFAULT_NOTE_SIZE.height + LAYOUT_SIBLING_GAP),
+          },
+      data,
+    });
+  });
+
+  return { nodes, edges: [], errors, layout: 'keep' };
+};
+
+// JSON Canvas preset colors 1-6 are red, orange, yellow, green, cyan, purple.
+const CANVAS_COLORS = { 1: 'rose', 2: 'amber', 3: 'amber', 4: 'emerald', 5: 'sky', 6: 'violet' };
+
+const rectContains = (outer, inner) =>
+  inner.x >= outer.x && inner.y >= outer.y && inner.x + inner.width <= outer.x + outer.width && inner.y + inner.height <= outer.y + outer.height;
+
+const parseJsonCanvasImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.nodes ?? [])) {
+    throw new Error('Invalid JSON Canvas file.');
+  }
+
+  const errors = [];
+  const canvasNodes = parsed.nodes ?? [];
+  // Canvas ids are reissued in Synapse's format; edges follow the new ids.
+  const idMap = new Map();
+  canvasNodes.forEach((node) => {
+    if (typeof node?.id === 'string' && node.id && !idMap.has(node.id)) idMap.set(node.id, makeId());
+  });
+
+  // Groups become frames. Frames don't nest, so each note joins the smallest
+  // group that holds it and keeps its place relative to that frame.
+  const groups = canvasNodes
+    .filter((node) => node?.type === 'group' && idMap.has(node.id))
+    .map((node) => ({ node, rect: { x: node.x, y: node.y, width: node.width, height: node.height } }));
+  const frames = groups.map(({ node }) => ({
+    id: idMap.get(node.id),
+    type: 'frame',
+    position: { x: node.x, y: node.y },
+    data: {
+      title: typeof node.label === 'string' && node.label.trim() ? node.label.trim().slice(0, MAX_FRAME_TITLE) : DEFAULT_FRAME_TITLE,
+      width: node.width,
+      height: node.height,
+      color: CANVAS_COLORS[node.color],
+    },
+  }));
+  const groupAround = (node) =>
+    groups
+      .filter(({ rect }) => rectContains(rect, { x: node.x, y: node.y, width: node.width, height: node.height }))
+      .sort((a, b) => a.rect.width * a.rect.height - b.rect.width * b.rect.height)[0];
+
+  const notes = [];
+  canvasNodes.forEach((node, index) => {
+    if (node?.type === 'group') return;
+    const label = `Canvas node ${index + 1}`;
+    const noteText = { text: node?.text, file: node?.file && `📄 ${node.file}`, link: node?.url }[node?.type];
+    if (typeof noteText !== 'string') {
+      errors.push(`${label}: unsupported node type "${node?.type}".`);
+      return;
+    }
+    const group = groupAround(node);
+    notes.push({
+      id: idMap.get(node.id) ?? node.id,
+      position: group ? { x: node.x - group.rect.x, y: node.y - group.rect.y } : { x: node.x, y: node.y },
+      data: { text: noteText, width: node.width, height: node.height, color: CANVAS_COLORS[node.color] },
+      ...(group ? { parentNode: idMap.get(group.node.id) } : {}),
+    });
+  });
+  const nodes = [...frames, ...notes];
+
+  // Canvas links carry no meaning beyond their label, so they come in as
+  // plain "related" links.
+  const edges = (parsed.edges ?? []).map((edge) => ({
+    id: edge?.id,
+    source: idMap.get(edge?.fromNode) ?? edge?.fromNode,
+    target: idMap.get(edge?.toNode) ?? edge?.toNode,
+    type: 'smoothstep',
+    data: { relation: DEFAULT_EDGE_RELATION },
+    ...(edge?.label ? { label: String(edge.label).slice(0, MAX_EDGE_LABEL) } : {}),
+  }));
+
+  return { nodes, edges, errors, layout: 'keep' };
+};
+
+const TEXT_IMPORTERS = {
+  md: parseMarkdownImport,
+  markdown: parseMarkdownImport,
+  txt: parsePlainTextImport,
+  csv: parseCsvImport,
+  canvas: parseJsonCanvasImport,
+};
+
+export const IMPORT_ACCEPT = '.json,.zip,.md,.markdown,.txt,.csv,.canvas,application/json,application/zip,text/markdown,text/plain,text/csv';
+
+// Keeps each note where it is unless it overlaps one already placed, in which
+// case it moves down past the blocker until it is clear. Framed notes move
+// with their frame.
+const resolveOverlaps = (nodes, gap = LAYOUT_SIBLING_GAP) => {
+  const placed = [];
+  return [...nodes]
+    .sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x)
+    .map((node) => {
+      if (node.parentNode) return node;
+      const rect = getNoteRect(node);
+      let blocker = placed.find((other) => rectsOverlap(rect, other, gap));
+      while (blocker) {
+        rect.y = blocker.y + blocker.height + gap;
+        blocker = placed.find((other) => rectsOverlap(rect, other, gap));
+      }
+      placed.push(rect);
+      return { ...node, position: { x: rect.x, y: rect.y } };
+    });
+};
+
+const layoutImportedNotes = (nodes, edges, layout) => {
+  const shaped = nodes.map((node, index) => ensureNodeShape(node, index + 1));
+  if (layout !== 'tree') return orderForFlow(resolveOverlaps(shaped));
+  const positions = computeTreeLayout(shaped, edges);
+  return shaped.map((node) => ({ ...node, position: positions.get(node.id) ?? node.position }));
+};
+
+// Synapse exports are validated as-is; other formats are converted to the
+// same shape first, then validated and laid out.
+// `files` holds the other entries of a zip export, by path.
+export const parseImportFile = (text, fileName = '', files = null) => {
+  const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+  const importer = TEXT_IMPORTERS[extension];
+  if (importer) {
+    const converted = importer(text);
+    const validated = validateImport(converted);
+    return {
+      nodes: layoutImportedNotes(validated.nodes, validated.edges, converted.layout),
+      edges: validated.edges,
+      errors: [...(converted.errors ?? []), ...validated.errors],
+      wallName: fileName.replace(/\.[^.]+$/, ''),
+    };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.nodes) || !Array.isArray(parsed.edges)) {
+    throw new Error('Invalid Synapse export file.');
+  }
+  const migrated = migrateImport(parsed);
+  const validated = validateImport(migrated);
+  const { attachments, errors } = readImportAttachments(migrated.attachments, files);
+  const { bookmarks, errors: bookmarkErrors } = readImportBookmarks(migrated.wall?.bookmarks);
+  return {
+    ...validated,
+    attachments,
+    bookmarks,
+    errors: [...validated.errors, ...errors, ...bookmarkErrors],
+    wallName: migrated.wall?.name ?? null,
+  };
+};
+
+// Prepares imported notes for appending to the current wall: ids that collide
+// with existing ones are reissued, the block is shifted to the right of the
+// current notes, and z-order is stacked above everything already there.
+export const planMergeImport = (current, imported) => {
+  const takenNodeIds = new Set(current.nodes.map((node) => node.id));
+  const takenEdgeIds = new Set(current.edges.map((edge) => edge.id));
+  const nodeIdMap = new Map();
+  let remapped = 0;
+
+  imported.nodes.forEach((node) => {
+    const nextId = takenNodeIds.has(node.id) ? makeId() : node.id;
+    if (nextId !== node.id) remapped += 1;
+    takenNodeIds.add(nextId);
+    nodeIdMap.set(node.id, nextId);
+  });
+
+  const currentBounds = getNodeBounds(toAbsoluteNodes(current.nodes));
+  const importedBounds = getNodeBounds(toAbsoluteNodes(imported.nodes));
+  const offset =
+    currentBounds && importedBounds
+      ? { x: currentBounds.maxX + IMPORT_GAP - importedBounds.minX, y: currentBounds.minY - importedBounds.minY }
+      : { x: 0, y: 0 };
+
+  // Framed notes move with their frame, so only wall-level notes are shifted.
+  const renamed = new Map([...nodeIdMap].filter(([from, to]) => from !== to));
+  const nodes = retargetNoteLinks(imported.nodes, renamed).map((node, index) =>
+    ensureNodeShape({
+      ...node,
+      id: nodeIdMap.get(node.id),
+      ...(node.parentNode ? { parentNode: nodeIdMap.get(node.parentNode) } : {}),
+      position: node.parentNode ? node.position : { x: node.position.x + offset.x, y: node.position.y + offset.y },
+      data: { ...node.data, zIndex: current.highestZ + 1 + index },
+      style: { ...node.style, zIndex: current.highestZ + 1 + index },
+    }),
+  );
+
+  const edges = imported.edges.map((edge) => {
+    const id = takenEdgeIds.has(edge.id) ? `e-${makeId()}` : edge.id;
+    if (id !== edge.id) remapped += 1;
+    takenEdgeIds.add(id);
+    return { ...edge, id, source: nodeIdMap.get(edge.source), target: nodeIdMap.get(edge.target) };
+  });
+
+  return { nodes, edges, remapped };
+};
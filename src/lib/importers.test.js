@@ -0,0 +1,243 @@
+import { describe, expect, it } from 'vitest';
+import { EXPORT_VERSION } from './constants.js';
+import { MAX_EDGE_LABEL } from './edges.js';
+import { migrateImport, parseImportFile, planMergeImport, validateImport } from './importers.js';
+
+const sticky = (id, x, y, data = {}) => ({ id, type: 'sticky', position: { x, y }, data: { text: id, ...data } });
+
+describe('migrateImport', () => {
+  it('walks old exports up to the current version', () => {
+    const migrated = migrateImport({ nodes: [], edges: [] });
+    expect(migrated.version).toBe(EXPORT_VERSION);
+    expect(migrated.wall).toEqual({ name: null, bookmarks: [] });
+    expect(migrated.attachments).toEqual([]);
+  });
+
+  it('keeps what later versions already carry', () => {
+    const migrated = migrateImport({ version: '1.1.0', nodes: [], edges: [], wall: { name: 'Plans' } });
+    expect(migrated.wall).toEqual({ name: 'Plans', bookmarks: [] });
+    expect(migrateImport({ version: EXPORT_VERSION, nodes: [], edges: [], attachments: ['kept'] }).attachments).toEqual(['kept']);
+  });
+
+  it('rejects versions it does not know', () => {
+    expect(() => migrateImport({ version: '9.0.0', nodes: [], edges: [] })).toThrow('Unsupported export version "9.0.0".');
+    expect(() => parseImportFile(JSON.stringify({ version: '0.9.0', nodes: [], edges: [] }), 'wall.json')).toThrow(
+      'Unsupported export version "0.9.0".',
+    );
+  });
+});
+
+describe('validateImport', () => {
+  it('drops malformed notes and says why', () => {
+    const { nodes, errors } = validateImport({
+      nodes: [
+        sticky('n-a', 0, 0),
+        null,
+        { type: 'sticky', position: { x: 0, y: 0 } },
+        sticky('n-a', 10, 10),
+        { ...sticky('n-b', 0, 0), type: 'widget' },
+        { ...sticky('n-c', 0, 0), position: { x: '1', y: 0 } },
+        sticky('n-d', 0, 0, { text: 42 }),
+        sticky('n-e', 0, 0, { color: 'plaid', tags: ['Plan', 3, 'plan'], dragging: true }),
+      ],
+      edges: [],
+    });
+    expect(nodes.map((node) => node.id)).toEqual(['n-a', 'n-e']);
+    expect(nodes[1].data).toEqual({ text: 'n-e', tags: ['Plan'] });
+    expect(errors).toEqual([
+      'Note 2: not an object.',
+      'Note 3: missing id.',
+      'Note 4 (n-a): duplicate id.',
+      'Note 5 (n-b): unknown type "widget".',
+      'Note 6 (n-c): position needs numeric x and y.',
+      'Note 7 (n-d): text must be a string.',
+      'Note 8 (n-e): unknown color "plaid" reset to default.',
+    ]);
+  });
+
+  it('moves notes out of frames that are missing', () => {
+    const { nodes, errors } = validateImport({ nodes: [{ ...sticky('n-a', 0, 0), parentNode: 'n-gone' }], edges: [] });
+    expect(nodes[0].parentNode).toBeUndefined();
+    expect(errors).toEqual(['Note n-a: frame "n-gone" not found, note kept on the open wall.']);
+  });
+
+  it('keeps only the fields a link is stored with', () => {
+    const { edges, errors } = validateImport({
+      nodes: [sticky('n-a', 0, 0), sticky('n-b', 0, 0)],
+      edges: [
+        {
+          id: 'e1',
+          source: 'n-a',
+          target: 'n-b',
+          data: { relation: 'supports', extra: 'x' },
+          label: 'x'.repeat(MAX_EDGE_LABEL + 20),
+          style: { stroke: 'red' },
+          animated: true,
+          sourceHandle: 'right',
+          onClick: 'alert(1)',
+        },
+        { id: 'e2', source: 'n-b', target: 'n-a', style: { stroke: '#f97316' }, label: { text: 'no' } },
+      ],
+    });
+    expect(edges).toEqual([
+      {
+        id: 'e1',
+        source: 'n-a',
+        target: 'n-b',
+        type: 'smoothstep',
+        data: { relation: 'supports' },
+        sourceHandle: 'right',
+        label: 'x'.repeat(MAX_EDGE_LABEL),
+      },
+      { id: 'e2', source: 'n-b', target: 'n-a', type: 'smoothstep', data: { relation: 'child' } },
+    ]);
+    expect(errors).toEqual(['Link 2 (e2): label must be text, removed.']);
+  });
+
+  it('drops links that do not connect two notes', () => {
+    const { edges, errors } = validateImport({
+      nodes: [sticky('n-a', 0, 0), sticky('n-b', 0, 0)],
+      edges: [
+        { id: 'e1', source: 'n-a', target: 'n-b' },
+        { id: 'e1', source: 'n-b', target: 'n-a' },
+        { id: 'e2', source: 'n-a', target: 'n-gone' },
+        { id: 'e3', source: 'n-a', target: 'n-a' },
+        { source: 'n-a', target: 'n-b' },
+      ],
+    });
+    expect(edges.map((edge) => edge.id)).toEqual(['e1']);
+    expect(errors).toEqual([
+      'Link 2 (e1): duplicate id.',
+      'Link 3 (e2): source or target note is missing.',
+      'Link 4 (e3): connects a note to itself.',
+      'Link 5: missing id.',
+    ]);
+  });
+});
+
+describe('planMergeImport', () => {
+  const current = {
+    nodes: [sticky('n-a', 0, 0), sticky('n-b', 400, 100)],
+    edges: [{ id: 'e1', source: 'n-a', target: 'n-b' }],
+    highestZ: 7,
+  };
+
+  it('reissues clashing ids and rewires links and note links to them', () => {
+    const imported = {
+      nodes: [
+        { id: 'n-frame', type: 'frame', position: { x: 0, y: 0 }, data: { title: 'Box', width: 600, height: 400 } },
+        { ...sticky('n-a', 20, 60, { text: 'Inside' }), parentNode: 'n-frame' },
+        sticky('n-new', 100, 500, { text: 'See [[n-a|Inside]]' }),
+      ],
+      edges: [
+        { id: 'e1', source: 'n-new', target: 'n-a', data: { relation: 'related' } },
+        { id: 'e9', source: 'n-a', target: 'n-new', data: { relation: 'child' } },
+      ],
+    };
+    const { nodes, edges, remapped } = planMergeImport(current, imported);
+    const [frame, inside, outside] = nodes;
+    expect(remapped).toBe(2);
+    expect(frame.id).toBe('n-frame');
+    expect(inside.id).not.toBe('n-a');
+    expect(inside.id).toMatch(/^n-/);
+    expect(inside.parentNode).toBe('n-frame');
+    expect(outside.data.text).toBe(`See [[${inside.id}|Inside]]`);
+
+    expect(edges[0].id).not.toBe('e1');
+    expect(edges[0]).toMatchObject({ source: 'n-new', target: inside.id });
+    expect(edges[1]).toMatchObject({ id: 'e9', source: inside.id, target: 'n-new' });
+  });
+
+  it('places the block right of the wall and stacks it on top', () => {
+    const { nodes } = planMergeImport(current, { nodes: [sticky('n-x', -50, 30), sticky('n-y', 150, 230)], edges: [] });
+    expect(nodes[0].position.x).toBeGreaterThan(400);
+    expect(nodes[0].position.y).toBe(0);
+    expect(nodes[1].position.x - nodes[0].position.x).toBe(200);
+    expect(nodes.map((node) => node.data.zIndex)).toEqual([8, 9]);
+  });
+});
+
+describe('text importers', () => {
+  const byText = (nodes, text) => nodes.find((node) => node.data.text === text);
+  const childrenOf = ({ nodes, edges }, text) =>
+    edges.filter((edge) => edge.source === byText(nodes, text).id).map((edge) => nodes.find((node) => node.id === edge.target).data.text);
+
+  it('nests Markdown headings and bullets as linked notes', () => {
+    const result = parseImportFile(
+      ['---', 'title: Plan', '---', '# Launch', 'Why we ship.', '## Risks', '- Budget', '  - Hiring', '- Timeline', '```', '# not a heading', '```', '# Later'].join(
+        '\n',
+      ),
+      'plan.md',
+    );
+    expect(result.wallName).toBe('plan');
+    expect(result.errors).toEqual([]);
+    expect(result.nodes.map((node) => node.data.text)).toEqual([
+      'Launch\nWhy we ship.',
+      'Risks',
+      'Budget',
+      'Hiring',
+      'Timeline\n```\n# not a heading\n```',
+      'Later',
+    ]);
+    expect(childrenOf(result, 'Launch\nWhy we ship.')).toEqual(['Risks']);
+    expect(childrenOf(result, 'Risks')).toEqual(['Budget', 'Timeline\n```\n# not a heading\n```']);
+    expect(childrenOf(result, 'Budget')).toEqual(['Hiring']);
+    expect(result.edges.every((edge) => edge.data.relation === 'child')).toBe(true);
+  });
+
+  it('makes one note per plain-text block', () => {
+    const { nodes, edges } = parseImportFile('First idea\nstill first\r\n\r\n  \n\nSecond idea\n\n', 'notes.txt');
+    expect(nodes.map((node) => node.data.text)).toEqual(['First idea\nstill first', 'Second idea']);
+    expect(edges).toEqual([]);
+    expect(nodes[0].position).not.toEqual(nodes[1].position);
+  });
+
+  it('maps CSV columns and keeps quoted delimiters, quotes and newlines', () => {
+    const csv = ['Idea,Tags,Colour,X,Y', '"Ship it, soon",launch;q3,Rose,2000,20', '"Say ""hi""\nto all",,,,', ',orphan,,,', 'Plain,,plaid,,'].join('\r\n');
+    const { nodes, errors } = parseImportFile(csv, 'ideas.csv');
+    expect(errors).toEqual(['Row 4: empty text.', `Note 3 (${byText(nodes, 'Plain').id}): unknown color "plaid" reset to default.`]);
+    const shipped = byText(nodes, 'Ship it, soon');
+    expect(shipped.position).toEqual({ x: 2000, y: 20 });
+    expect(shipped.data).toMatchObject({ tags: ['launch', 'q3'], color: 'rose' });
+    expect(byText(nodes, 'Say "hi"\nto all')).toBeDefined();
+    expect(byText(nodes, 'Plain').data.color).not.toBe('plaid');
+  });
+
+  it('uses the first column when no text column is named', () => {
+    const { nodes, errors } = parseImportFile('Thing;Owner\nAlpha;Ann\nBeta;Bo', 'list.csv');
+    expect(nodes.map((node) => node.data.text)).toEqual(['Alpha', 'Beta']);
+    expect(errors).toEqual(['No text column found; using "Thing".']);
+  });
+
+  it('brings JSON Canvas groups in as frames around their notes', () => {
+    const canvas = {
+      nodes: [
+        { id: 'g1', type: 'group', label: 'Research', x: 0, y: 0, width: 800, height: 600, color: '4' },
+        { id: 'a', type: 'text', text: 'Inside', x: 100, y: 120, width: 250, height: 200 },
+        { id: 'b', type: 'link', url: 'https://example.com', x: 1000, y: 0, width: 250, height: 200, color: '1' },
+        { id: 'c', type: 'file', file: 'notes/plan.md', x: 400, y: 300, width: 250, height: 200 },
+        { id: 'd', type: 'widget', x: 0, y: 0 },
+      ],
+      edges: [{ id: 'l1', fromNode: 'a', toNode: 'b', label: 'cites' }],
+    };
+    const { nodes, edges, errors } = parseImportFile(JSON.stringify(canvas), 'board.canvas');
+    expect(errors).toEqual(['Canvas node 5: unsupported node type "widget".']);
+
+    const [frame, ...notes] = nodes;
+    expect(frame).toMatchObject({ type: 'frame', position: { x: 0, y: 0 }, data: { title: 'Research', width: 800, height: 600, color: 'emerald' } });
+    const inside = byText(notes, 'Inside');
+    expect(inside).toMatchObject({ parentNode: frame.id, position: { x: 100, y: 120 } });
+    expect(byText(notes, '📄 notes/plan.md')).toMatchObject({ parentNode: frame.id, position: { x: 400, y: 300 } });
+    const link = byText(notes, 'https://example.com');
+    expect(link.parentNode).toBeUndefined();
+    expect(link.data.color).toBe('rose');
+
+    expect(edges).toEqual([
+      { id: 'l1', source: inside.id, target: link.id, type: 'smoothstep', data: { relation: 'related' }, label: 'cites' },
+    ]);
+  });
+
+  it('rejects a canvas that is not JSON', () => {
+    expect(() => parseImportFile('{ nope', 'board.canvas')).toThrow('File is not valid JSON.');
+  });
+});
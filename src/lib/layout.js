@@ -0,0 +1,139 @@
+import { CHILD_GAP, LAYOUT_LAYER_GAP, LAYOUT_SIBLING_GAP, LAYOUT_TREE_GAP } from './constants.js';
+import { getTreeLinks } from './edges.js';
+import { getNodeBounds, getNoteHeight, getNoteWidth } from './nodes.js';
+
+// Returns new positions (by id) that spread the notes so the gaps between
+// neighbours are equal along the axis, keeping the outermost notes in place.
+export const distributePositions = (notes, axis) => {
+  const key = axis === 'horizontal' ? 'x' : 'y';
+  const size = axis === 'horizontal' ? getNoteWidth : getNoteHeight;
+  const sorted = [...notes].sort((a, b) => a.position[key] - b.position[key]);
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const span = last.position[key] + size(last) - first.position[key];
+  const occupied = sorted.reduce((sum, node) => sum + size(node), 0);
+  const gap = Math.max(CHILD_GAP, (span - occupied) / (sorted.length - 1));
+
+  const positions = new Map();
+  let cursor = first.position[key];
+  sorted.forEach((node) => {
+    positions.set(node.id, { ...node.position, [key]: cursor });
+    cursor += size(node) + gap;
+  });
+  return positions;
+};
+
+// Left-to-right layered tree layout over the tree links (see EDGE_RELATIONS):
+// notes that support or depend on another are laid out as its children, and
+// "contradicts" links are ignored. Each note joins the tree of the first
+// parent that reaches it breadth-first, so DAGs and cycles still produce a
+// tree; siblings keep their current top-to-bottom order.
+// With `rootId` only that note's subtree moves and the root stays put.
+// Otherwise every connected tree is stacked from the wall's top-left corner
+// and unlinked notes are packed into a grid underneath.
+export const computeTreeLayout = (nodes, edges, rootId = null) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const outgoing = new Map();
+  const incoming = new Map();
+  getTreeLinks(edges).forEach(({ parent, child }) => {
+    // Parallel links (say "child" and "supports") place the note once.
+    if (parent === child || !byId.has(parent) || !byId.has(child) || outgoing.get(parent)?.includes(child)) return;
+    outgoing.set(parent, [...(outgoing.get(parent) ?? []), child]);
+    incoming.set(child, (incoming.get(child) ?? 0) + 1);
+  });
+  const byY = (a, b) => byId.get(a).position.y - byId.get(b).position.y;
+  outgoing.forEach((targets) => targets.sort(byY));
+
+  const linked = nodes.filter((node) => outgoing.has(node.id) || incoming.has(node.id)).map((node) => node.id);
+  const roots = rootId ? [rootId] : linked.filter((id) => !incoming.has(id)).sort(byY);
+  const treeChildren = new Map();
+  const depth = new Map();
+  // Every tree note, parents before their children.
+  const order = [];
+  const walk = (root) => {
+    depth.set(root, 0);
+    const queue = [root];
+    for (let index = 0; index < queue.length; index += 1) {
+      const id = queue[index];
+      const kids = (outgoing.get(id) ?? []).filter((child) => !depth.has(child));
+      kids.forEach((child) => depth.set(child, depth.get(id) + 1));
+      treeChildren.set(id, kids);
+      queue.push(...kids);
+      order.push(id);
+    }
+  };
+  roots.forEach(walk);
+  if (!rootId) {
+    // Pure cycles have no root; start them from their topmost note.
+    linked
+      .filter((id) => !depth.has(id))
+      .sort(byY)
+      .forEach((id) => {
+        if (!depth.has(id)) {
+          roots.push(id);
+          walk(id);
+        }
+      });
+  }
+
+  const layerWidth = [];
+  depth.forEach((level, id) => {
+    layerWidth[level] = Math.max(layerWidth[level] ?? 0, getNoteWidth(byId.get(id)));
+  });
+  const layerX = [];
+  layerWidth.forEach((width, level) => {
+    layerX.push(level ? layerX[level - 1] + layerWidth[level - 1] + LAYOUT_LAYER_GAP : 0);
+  });
+
+  // Heights are summed from the leaves up and notes placed from the roots
+  // down, without recursion, so long chains can't overflow the stack.
+  const subtreeHeight = new Map();
+  const blockHeight = (kids) =>
+    kids.reduce((sum, child) => sum + subtreeHeight.get(child), 0) + Math.max(0, kids.length - 1) * LAYOUT_SIBLING_GAP;
+  [...order].reverse().forEach((id) => {
+    subtreeHeight.set(id, Math.max(getNoteHeight(byId.get(id)), blockHeight(treeChildren.get(id))));
+  });
+
+  const positions = new Map();
+  const tops = new Map();
+  let cursor = 0;
+  roots.forEach((root) => {
+    tops.set(root, cursor);
+    cursor += subtreeHeight.get(root) + LAYOUT_TREE_GAP;
+  });
+  order.forEach((id) => {
+    const kids = treeChildren.get(id);
+    const top = tops.get(id);
+    const height = subtreeHeight.get(id);
+    positions.set(id, { x: layerX[depth.get(id)], y: top + (height - getNoteHeight(byId.get(id))) / 2 });
+    let childTop = top + (height - blockHeight(kids)) / 2;
+    kids.forEach((child) => {
+      tops.set(child, childTop);
+      childTop += subtreeHeight.get(child) + LAYOUT_SIBLING_GAP;
+    });
+  });
+
+  if (!rootId) {
+    const loose = nodes.filter((node) => !depth.has(node.id));
+    const columns = Math.max(1, Math.ceil(Math.sqrt(loose.length)));
+    let rowTop = cursor;
+    for (let start = 0; start < loose.length; start += columns) {
+      const row = loose.slice(start, start + columns);
+      let x = 0;
+      row.forEach((node) => {
+        positions.set(node.id, { x, y: rowTop });
+        x += getNoteWidth(node) + LAYOUT_SIBLING_GAP;
+      });
+      rowTop += Math.max(...row.map(getNoteHeight)) + LAYOUT_SIBLING_GAP;
+    }
+  }
+
+  const bounds = getNodeBounds(nodes);
+  const anchor = rootId ? byId.get(rootId)?.position : bounds && { x: bounds.minX, y: bounds.minY };
+  const origin = rootId ? positions.get(rootId) : { x: 0, y: 0 };
+  if (!anchor || !origin) return new Map();
+  positions.forEach((position, id) => {
+    positions.set(id, { x: position.x - origin.x + anchor.x, y: position.y - origin.y + anchor.y });
+  });
+  return positions;
+};
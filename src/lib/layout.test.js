@@ -0,0 +1,43 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_NOTE_SIZE, LAYOUT_LAYER_GAP, LAYOUT_SIBLING_GAP } from './constants.js';
+import { computeTreeLayout } from './layout.js';
+
+const sticky = (id, x, y) => ({ id, type: 'sticky', position: { x, y }, data: { text: id } });
+const link = (source, target, relation = 'child') => ({ id: `e-${source}-${target}-${relation}`, source, target, data: { relation } });
+const STEP_X = DEFAULT_NOTE_SIZE.width + LAYOUT_LAYER_GAP;
+
+describe('computeTreeLayout', () => {
+  it('lays children out to the right, centered on their parent, in their top-to-bottom order', () => {
+    const nodes = [sticky('n-root', 500, 500), sticky('n-low', 0, 900), sticky('n-high', 0, 100), sticky('n-proof', 0, 0)];
+    const positions = computeTreeLayout(nodes, [link('n-root', 'n-low'), link('n-root', 'n-high'), link('n-proof', 'n-high', 'supports')]);
+    expect(positions.get('n-root')).toEqual({ x: 0, y: (DEFAULT_NOTE_SIZE.height + LAYOUT_SIBLING_GAP) / 2 });
+    expect(positions.get('n-high')).toEqual({ x: STEP_X, y: 0 });
+    expect(positions.get('n-low')).toEqual({ x: STEP_X, y: DEFAULT_NOTE_SIZE.height + LAYOUT_SIBLING_GAP });
+    expect(positions.get('n-proof')).toEqual({ x: 2 * STEP_X, y: 0 });
+  });
+
+  it('places a note with parallel links once', () => {
+    const positions = computeTreeLayout(
+      [sticky('n-a', 0, 0), sticky('n-b', 0, 300)],
+      [link('n-a', 'n-b'), link('n-b', 'n-a', 'supports'), link('n-a', 'n-b', 'related')],
+    );
+    expect(positions.get('n-b')).toEqual({ x: STEP_X, y: 0 });
+  });
+
+  it('moves only the subtree of a given root and keeps the root in place', () => {
+    const nodes = [sticky('n-a', 300, 200), sticky('n-b', 0, 0), sticky('n-c', 2000, 2000)];
+    const positions = computeTreeLayout(nodes, [link('n-a', 'n-b')], 'n-a');
+    expect([...positions.keys()]).toEqual(['n-a', 'n-b']);
+    expect(positions.get('n-a')).toEqual({ x: 300, y: 200 });
+    expect(positions.get('n-b')).toEqual({ x: 300 + STEP_X, y: 200 });
+  });
+
+  it('lays out very deep chains without running out of stack', () => {
+    const count = 20000;
+    const nodes = Array.from({ length: count }, (_, index) => sticky(`n-${index}`, 0, index));
+    const edges = nodes.slice(1).map((node, index) => link(`n-${index}`, node.id));
+    const positions = computeTreeLayout(nodes, edges);
+    expect(positions.size).toBe(count);
+    expect(positions.get(`n-${count - 1}`)).toEqual({ x: (count - 1) * STEP_X, y: 0 });
+  });
+});
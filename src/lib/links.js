@@ -0,0 +1,80 @@
+import { DEFAULT_FRAME_TITLE } from './constants.js';
+import { describeMedia } from './media.js';
+import { ensureNodeShape, isFrame } from './nodes.js';
+
+// Inline note links are written [[id|label]]. The id keeps the link working
+// when the target's text changes; the label is what it said when linked.
+// Only ids in makeId's format count, so a typed or imported [[Name]] stays
+// plain text.
+export const NOTE_LINK_PATTERN = /\[\[(n-[a-z0-9]+)(?:\|([^\]\n]*))?\]\]/g;
+const MAX_NOTE_LINK_LABEL = 40;
+const MAX_LINK_SUGGESTIONS = 6;
+export const NO_BACKLINKS = [];
+
+export const makeNoteLink = (node) =>
+  `[[${node.id}|${getNoteExcerpt(node).replace(/[[\]|]/g, '').slice(0, MAX_NOTE_LINK_LABEL).trim()}]]`;
+
+// Text for places that cannot show chips: each link becomes its label.
+export const plainNoteLinks = (text) => (text ?? '').replace(NOTE_LINK_PATTERN, (_, target, label) => label || target);
+
+export const withPlainNoteLinks = (node) => (node.data?.text ? { ...node, data: { ...node.data, text: plainNoteLinks(node.data.text) } } : node);
+
+// Ids a note links to, parsed once per node object.
+const noteLinkLists = new WeakMap();
+
+export const getNoteLinks = (node) => {
+  if (noteLinkLists.has(node)) return noteLinkLists.get(node);
+  const links = [...new Set([...(node.data?.text ?? '').matchAll(NOTE_LINK_PATTERN)].map((match) => match[1]))];
+  noteLinkLists.set(node, links);
+  return links;
+};
+
+// Target id -> ids of the notes linking to it, rebuilt once per nodes array.
+const backlinkIndexes = new WeakMap();
+
+export const getBacklinkIndex = (nodes) => {
+  if (backlinkIndexes.has(nodes)) return backlinkIndexes.get(nodes);
+  const index = new Map();
+  nodes.forEach((node) => {
+    getNoteLinks(node).forEach((target) => {
+      if (target !== node.id) index.set(target, [...(index.get(target) ?? []), node.id]);
+    });
+  });
+  backlinkIndexes.set(nodes, index);
+  return index;
+};
+
+// Points links at the new ids in `idMap`; notes without such links are
+// returned as they are.
+export const retargetNoteLinks = (nodes, idMap) =>
+  nodes.map((node) => {
+    if (!getNoteLinks(node).some((target) => idMap.has(target))) return node;
+    const text = node.data.text.replace(NOTE_LINK_PATTERN, (match, target, label) =>
+      idMap.has(target) ? `[[${idMap.get(target)}${label === undefined ? '' : `|${label}`}]]` : match,
+    );
+    return ensureNodeShape({ ...node, data: { ...node.data, text } });
+  });
+
+// The open `[[query` just before the caret, if the caret is inside one.
+export const findLinkQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(/\[\[([^\]|\n]{0,40})$/);
+  return match ? { start: caret - match[0].length, query: match[1] } : null;
+};
+
+export const findLinkCandidates = (nodes, query, excludeId) => {
+  const needle = query.trim().toLowerCase();
+  return nodes
+    .filter((node) => !isFrame(node) && node.id !== excludeId)
+    .map((node) => {
+      const title = getNoteExcerpt(node);
+      return { id: node.id, title, position: title.toLowerCase().indexOf(needle) };
+    })
+    .filter((candidate) => candidate.position !== -1)
+    .sort((a, b) => (b.position === 0) - (a.position === 0) || a.title.localeCompare(b.title))
+    .slice(0, MAX_LINK_SUGGESTIONS);
+};
+
+export const getNoteExcerpt = (node) =>
+  isFrame(node)
+    ? `Frame: ${node.data?.title || DEFAULT_FRAME_TITLE}`
+    : plainNoteLinks(node.data?.text).trim().split('\n')[0].slice(0, 60) || describeMedia(node.data).slice(0, 60) || '(empty note)';
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findLinkCandidates,
+  findLinkQuery,
+  getBacklinkIndex,
+  getNoteExcerpt,
+  getNoteLinks,
+  makeNoteLink,
+  NOTE_LINK_PATTERN,
+  plainNoteLinks,
+  retargetNoteLinks,
+} from './links.js';
+
+const sticky = (id, text, data = {}) => ({ id, type: 'sticky', position: { x: 0, y: 0 }, data: { text, ...data } });
+const links = (text) => [...text.matchAll(NOTE_LINK_PATTERN)].map(([, target, label]) => [target, label]);
+
+describe('note links', () => {
+  it('matches only links to ids in makeId format', () => {
+    expect(links('[[n-abc123|Plan]] [[n-x9]] [[Plan]] [[N-abc]] [[n-a b]] [[n-abc|two\nlines]]')).toEqual([
+      ['n-abc123', 'Plan'],
+      ['n-x9', undefined],
+    ]);
+    expect(links('[[n-a|]] [[n-b|with | pipe]]')).toEqual([
+      ['n-a', ''],
+      ['n-b', 'with | pipe'],
+    ]);
+  });
+
+  it('writes links with a clean label and reads them back as text', () => {
+    const link = makeNoteLink(sticky('n-abc', 'Budget [draft] | v2\nsecond line'));
+    expect(link).toBe('[[n-abc|Budget draft  v2]]');
+    expect(plainNoteLinks(`See ${link} and [[n-zz]]`)).toBe('See Budget draft  v2 and n-zz');
+    expect(plainNoteLinks(undefined)).toBe('');
+    expect(getNoteExcerpt(sticky('n-a', `${link} first\nsecond`))).toBe('Budget draft  v2 first');
+    expect(getNoteExcerpt(sticky('n-a', '', { attachment: { id: 'a', name: 'plan.pdf' } }))).toBe('📎 plan.pdf');
+    expect(getNoteExcerpt({ id: 'n-f', type: 'frame', data: { title: 'Ideas' } })).toBe('Frame: Ideas');
+  });
+
+  it('lists each target once and indexes backlinks without self-links', () => {
+    const nodes = [sticky('n-a', '[[n-b|B]] [[n-b|again]] [[n-a|me]]'), sticky('n-b', '[[n-a]]'), sticky('n-c', '[[n-b]]')];
+    expect(getNoteLinks(nodes[0])).toEqual(['n-b', 'n-a']);
+    const index = getBacklinkIndex(nodes);
+    expect(Object.fromEntries(index)).toEqual({ 'n-b': ['n-a', 'n-c'], 'n-a': ['n-b'] });
+    expect(getBacklinkIndex(nodes)).toBe(index);
+  });
+
+  it('retargets renamed links and leaves other notes untouched', () => {
+    const nodes = [sticky('n-a', 'To [[n-old|Old]], [[n-old]] and [[n-keep|Keep]]'), sticky('n-b', 'No links')];
+    const [renamed, untouched] = retargetNoteLinks(nodes, new Map([['n-old', 'n-new']]));
+    expect(renamed.data.text).toBe('To [[n-new|Old]], [[n-new]] and [[n-keep|Keep]]');
+    expect(untouched).toBe(nodes[1]);
+  });
+});
+
+describe('link search', () => {
+  it('finds the open [[ query before the caret', () => {
+    const text = 'Ideas [[bud and more';
+    expect(findLinkQuery(text, 11)).toEqual({ start: 6, query: 'bud' });
+    expect(findLinkQuery(text, 8)).toEqual({ start: 6, query: '' });
+    expect(findLinkQuery('[[n-a|Done]] after', 18)).toBeNull();
+    expect(findLinkQuery('[[first\nsecond', 14)).toBeNull();
+  });
+
+  it('ranks notes that start with the query first and skips frames and the note itself', () => {
+    const nodes = [
+      sticky('n-self', 'Budget for me'),
+      sticky('n-1', 'Travel budget'),
+      sticky('n-2', 'budget review'),
+      sticky('n-3', 'Budget'),
+      sticky('n-4', 'Hiring'),
+      { id: 'n-f', type: 'frame', position: { x: 0, y: 0 }, data: { title: 'Budget' } },
+    ];
+    expect(findLinkCandidates(nodes, ' BUDGET ', 'n-self').map((candidate) => candidate.id)).toEqual(['n-3', 'n-2', 'n-1']);
+    expect(findLinkCandidates(nodes, '', 'n-self')).toHaveLength(4);
+  });
+
+  it('offers at most six suggestions', () => {
+    const nodes = Array.from({ length: 10 }, (_, index) => sticky(`n-${index}`, `Idea ${index}`));
+    expect(findLinkCandidates(nodes, 'idea')).toHaveLength(6);
+  });
+});
@@ -0,0 +1,53 @@
+import { LINK_PREVIEW_TIMEOUT_MS } from './constants.js';
+
+// A lone http(s) URL, normalized, or null for anything else.
+export const parseLinkUrl = (text) => {
+  const trimmed = (text ?? '').trim();
+  if (!/^https?:\/\/\S+$/i.test(trimmed)) return null;
+  try {
+    return new URL(trimmed).href;
+  } catch {
+    return null;
+  }
+};
+
+export const toLinkCard = (url, title = '', favicon = '') => {
+  const { hostname, origin } = new URL(url);
+  return { url, title: title.trim().slice(0, 200) || hostname, favicon: parseLinkUrl(favicon) ?? `${origin}/favicon.ico` };
+};
+
+// Most sites don't allow cross-origin reads, so the card falls back to the
+// host name and the site's /favicon.ico when the page can't be fetched.
+export const fetchLinkPreview = async (url) => {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(LINK_PREVIEW_TIMEOUT_MS) });
+    if (!response.ok || !(response.headers.get('content-type') ?? '').includes('text/html')) return toLinkCard(url);
+    const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+    const title = page.querySelector('meta[property="og:title"]')?.getAttribute('content') || page.title;
+    const icon = page.querySelector('link[rel~="icon"]')?.getAttribute('href');
+    return toLinkCard(url, title ?? '', icon ? new URL(icon, url).href : '');
+  } catch {
+    return toLinkCard(url);
+  }
+};
+
+export const isImageAttachment = (attachment) => Boolean(attachment?.type?.startsWith('image/'));
+
+export const isValidAttachment = (attachment) =>
+  Boolean(attachment) && typeof attachment.id === 'string' && Boolean(attachment.id) && typeof attachment.name === 'string';
+
+export const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+
+// Plain-text stand-in for a note's link card or attachment in text exports.
+export const describeMedia = (data) =>
+  data?.link ? `[${data.link.title}](${data.link.url})` : data?.attachment ? `📎 ${data.attachment.name}` : '';
+
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let index = 0; index < binary.length; index += 1) {
+    bytes[index] = binary.charCodeAt(index);
+  }
+  return bytes;
+};
@@ -0,0 +1,245 @@
+import {
+  DEFAULT_FRAME_COLOR,
+  DEFAULT_FRAME_SIZE,
+  DEFAULT_FRAME_TITLE,
+  DEFAULT_NOTE_COLOR,
+  DEFAULT_NOTE_SIZE,
+  FRAME_COLLAPSED_HEIGHT,
+  MAX_FRAME_SIZE,
+  MAX_NOTE_SIZE,
+  MAX_TAG_LENGTH,
+  MIN_FRAME_SIZE,
+  MIN_NOTE_SIZE,
+} from './constants.js';
+
+export const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Frames always sit at z-index 0, under every note. Collapsing one only
+// shrinks what is drawn; data keeps the full size.
+const ensureFrameShape = (node) => {
+  const data = node.data ?? {};
+  const width = clamp(Number(data.width) || DEFAULT_FRAME_SIZE.width, MIN_FRAME_SIZE.width, MAX_FRAME_SIZE.width);
+  const height = clamp(Number(data.height) || DEFAULT_FRAME_SIZE.height, MIN_FRAME_SIZE.height, MAX_FRAME_SIZE.height);
+  return {
+    ...node,
+    data: { title: DEFAULT_FRAME_TITLE, color: DEFAULT_FRAME_COLOR, collapsed: false, ...data, width, height, zIndex: 0 },
+    style: {
+      ...(node.style ?? {}),
+      width,
+      height: data.collapsed ? FRAME_COLLAPSED_HEIGHT : height,
+      zIndex: 0,
+    },
+  };
+};
+
+const ensureStickyShape = (node, fallbackZ) => {
+  const data = node?.data ?? {};
+  const width = clamp(Number(data.width) || DEFAULT_NOTE_SIZE.width, MIN_NOTE_SIZE.width, MAX_NOTE_SIZE.width);
+  const height = clamp(Number(data.height) || DEFAULT_NOTE_SIZE.height, MIN_NOTE_SIZE.height, MAX_NOTE_SIZE.height);
+  const zIndex = Number.isFinite(data.zIndex) ? data.zIndex : fallbackZ;
+
+  return {
+    type: 'sticky',
+    ...node,
+    data: {
+      text: '',
+      ...data,
+      width,
+      height,
+      zIndex,
+    },
+    style: {
+      borderRadius: 18,
+      ...(node?.style ?? {}),
+      width,
+      height,
+      zIndex,
+    },
+  };
+};
+
+// Nodes that came out of ensureNodeShape. Shaping is idempotent, so store
+// updates hand these back as they are instead of rebuilding every note.
+export const shapedNodes = new WeakSet();
+
+export const ensureNodeShape = (node, fallbackZ = 1) => {
+  if (shapedNodes.has(node)) return node;
+  const shaped = node?.type === 'frame' ? ensureFrameShape(node) : ensureStickyShape(node, fallbackZ);
+  shapedNodes.add(shaped);
+  return shaped;
+};
+
+// Swaps in an updated copy of one node; every other entry is reused.
+export const replaceNode = (nodes, id, update) => {
+  const index = nodes.findIndex((node) => node.id === id);
+  if (index < 0) return nodes;
+  const next = nodes.slice();
+  next[index] = update(nodes[index]);
+  return next;
+};
+
+export const sanitizeNodeForSave = (node) => {
+  const hydrated = ensureNodeShape(node);
+  return {
+    id: hydrated.id,
+    type: hydrated.type,
+    position: hydrated.position,
+    positionAbsolute: hydrated.positionAbsolute,
+    ...(hydrated.parentNode ? { parentNode: hydrated.parentNode } : {}),
+    ...(hydrated.extent ? { extent: hydrated.extent } : {}),
+    data: hydrated.data,
+    style: hydrated.style,
+  };
+};
+
+export const isFrame = (node) => node.type === 'frame';
+
+// React Flow keeps a framed note's position relative to its frame. Geometry
+// (overlaps, layout, exports, VR) works on these wall-coordinate copies, which
+// are cached per nodes array and must not be mutated.
+const absoluteNodeLists = new WeakMap();
+
+export const toAbsoluteNodes = (nodes) => {
+  if (absoluteNodeLists.has(nodes)) return absoluteNodeLists.get(nodes);
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const absolute = nodes.map((node) => {
+    const frame = node.parentNode && byId.get(node.parentNode);
+    if (!frame) return node;
+    return { ...node, position: { x: frame.position.x + node.position.x, y: frame.position.y + node.position.y } };
+  });
+  absoluteNodeLists.set(nodes, absolute);
+  return absolute;
+};
+
+// Writes wall-coordinate positions (by id) back, relative to each note's frame.
+export const applyAbsolutePositions = (nodes, positions) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  return nodes.map((node) => {
+    const position = positions.get(node.id);
+    if (!position) return node;
+    const frame = node.parentNode && byId.get(node.parentNode);
+    return { ...node, position: frame ? { x: position.x - frame.position.x, y: position.y - frame.position.y } : position };
+  });
+};
+
+// Moves a note into `frame` (or out of any frame when null), keeping it where
+// it is on the wall. `node` must carry its wall-coordinate position.
+export const setNodeFrame = (node, frame) => {
+  const next = { ...node, positionAbsolute: undefined };
+  delete next.parentNode;
+  delete next.extent;
+  if (!frame) return next;
+  return { ...next, parentNode: frame.id, position: { x: node.position.x - frame.position.x, y: node.position.y - frame.position.y } };
+};
+
+// The selected nodes in wall coordinates, minus notes that ride along inside
+// a selected frame.
+export const pickArrangeable = (nodes, ids) => {
+  const selected = new Set(ids);
+  return toAbsoluteNodes(nodes).filter((node) => selected.has(node.id) && !selected.has(node.parentNode));
+};
+
+// React Flow needs every frame ahead of the notes inside it.
+export const orderForFlow = (nodes) => [...nodes.filter(isFrame), ...nodes.filter((node) => !isFrame(node))];
+
+export const debounce = (fn, delay) => {
+  let timer;
+  const debounced = (...args) => {
+    window.clearTimeout(timer);
+    timer = window.setTimeout(() => {
+      fn(...args);
+    }, delay);
+  };
+  debounced.cancel = () => window.clearTimeout(timer);
+  return debounced;
+};
+
+const normalizeTag = (tag) => tag.trim().replace(/^#+/, '').replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+
+// Trims, strips leading #, and drops empties and case-insensitive repeats.
+export const normalizeTags = (tags) => {
+  const seen = new Set();
+  return tags.map(normalizeTag).filter((tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// filter: { kind: 'tag' | 'color', value, mode: 'only' | 'dim' }
+export const matchesLegendFilter = (data, filter) => {
+  if (filter.kind === 'color') {
+    return (data?.color ?? DEFAULT_NOTE_COLOR) === filter.value;
+  }
+  return (data?.tags ?? []).some((tag) => tag.toLowerCase() === filter.value.toLowerCase());
+};
+
+export const getNodeBounds = (nodes) => {
+  if (!nodes.length) return null;
+  return nodes.reduce(
+    (bounds, node) => {
+      const x = node.position?.x ?? 0;
+      const y = node.position?.y ?? 0;
+      return {
+        minX: Math.min(bounds.minX, x),
+        minY: Math.min(bounds.minY, y),
+        maxX: Math.max(bounds.maxX, x + (node.data?.width ?? DEFAULT_NOTE_SIZE.width)),
+        maxY: Math.max(bounds.maxY, y + (node.data?.height ?? DEFAULT_NOTE_SIZE.height)),
+      };
+    },
+    { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity },
+  );
+};
+
+export const combineNoteTexts = (texts) =>
+  texts
+    .map((chunk) => (chunk ?? '').trim())
+    .filter(Boolean)
+    .join('\n\n---\n\n');
+
+// A note holds one attachment and one link card. The first of each goes on
+// the merged note; every other one is listed in `extras` with the note it
+// came from, so the merge can keep it on a note of its own.
+export const splitMergeMedia = (sources) => {
+  let attachment = null;
+  let link = null;
+  const extras = [];
+  sources.forEach((note) => {
+    const extra = {};
+    if (note.data?.attachment) {
+      if (attachment) extra.attachment = note.data.attachment;
+      else attachment = note.data.attachment;
+    }
+    if (note.data?.link) {
+      if (link) extra.link = note.data.link;
+      else link = note.data.link;
+    }
+    if (extra.attachment || extra.link) extras.push({ note, data: extra });
+  });
+  return { attachment, link, extras };
+};
+
+// A note's text cut at `---` lines, which is how merges join notes, or at
+// blank lines when there are none.
+export const splitNoteText = (text) => {
+  const source = text ?? '';
+  const separator = /^[ \t]*-{3,}[ \t]*$/m.test(source) ? /^[ \t]*-{3,}[ \t]*$/m : /\n[ \t]*\n/;
+  return source
+    .split(separator)
+    .map((part) => part.trim())
+    .filter(Boolean);
+};
+
+export const getNoteWidth = (node) => node.data?.width ?? DEFAULT_NOTE_SIZE.width;
+export const getNoteHeight = (node) => node.data?.height ?? DEFAULT_NOTE_SIZE.height;
+
+export const getNoteRect = (node) => ({
+  x: node.position?.x ?? 0,
+  y: node.position?.y ?? 0,
+  width: getNoteWidth(node),
+  height: getNoteHeight(node),
+});
+
+export const rectsOverlap = (a, b, gap = 0) =>
+  a.x < b.x + b.width + gap && b.x < a.x + a.width + gap && a.y < b.y + b.height + gap && b.y < a.y + a.height + gap;
@@ -0,0 +1,74 @@
+export const buildMergePrompt = (texts) =>
+  [
+    'Merge the following sticky notes into a single concise sticky note.',
+    'Keep every distinct idea, drop duplicates, and reply with the note text only.',
+    ...texts.map((text, index) => `Note ${index + 1}:\n${(text ?? '').trim() || '(empty)'}`),
+  ].join('\n\n');
+
+export const buildBranchPrompt = (text, count) =>
+  [
+    `Suggest ${count} follow-up ideas that branch off the sticky note below.`,
+    'Reply with exactly one short idea per line and nothing else: no numbering, no preamble.',
+    `Parent note:\n${(text ?? '').trim() || '(empty)'}`,
+  ].join('\n\n');
+
+// Models number or bullet their lines regardless of the prompt; strip that
+// and keep at most `limit` non-empty ideas.
+export const parseBranchIdeas = (text, limit) =>
+  text
+    .split('\n')
+    .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+    .filter(Boolean)
+    .slice(0, limit);
+
+// Streams a completion from Ollama's /api/generate. The endpoint answers with
+// newline-delimited JSON chunks ({ response, done }) until one has done: true;
+// onToken receives the accumulated text after every chunk.
+export const streamOllamaGenerate = async ({ endpoint, model, prompt, signal, onToken }) => {
+  const response = await fetch(`${endpoint.replace(/\/+$/, '')}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model, prompt, stream: true }),
+    signal,
+  });
+  if (!response.ok || !response.body) {
+    const detail = await response.json().catch(() => null);
+    throw new Error(detail?.error ?? `Ollama responded with ${response.status}.`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+
+  const handleLine = (line) => {
+    if (!line.trim()) return false;
+    const chunk = JSON.parse(line);
+    if (chunk.error) {
+      throw new Error(chunk.error);
+    }
+    if (chunk.response) {
+      text += chunk.response;
+      onToken?.(text);
+    }
+    return Boolean(chunk.done);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (handleLine(line)) {
+        reader.cancel().catch(() => {});
+        return text;
+      }
+    }
+  }
+  if (handleLine(buffer + decoder.decode())) {
+    return text;
+  }
+  throw new Error('Ollama stream ended before the reply was complete.');
+};
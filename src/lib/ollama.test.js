@@ -0,0 +1,113 @@
+import http from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startScript } from '../test/startScript.js';
+import { buildBranchPrompt, buildMergePrompt, parseBranchIdeas, streamOllamaGenerate } from './ollama.js';
+
+describe('streamOllamaGenerate', () => {
+  const endpoint = 'http://localhost:9189';
+  const failingEndpoint = 'http://localhost:9190';
+  let servers = [];
+
+  beforeAll(async () => {
+    servers = await Promise.all([
+      startScript('mock-ollama.js', { PORT: '9189', MOCK_OLLAMA_DELAY: '5' }),
+      startScript('mock-ollama.js', { PORT: '9190', MOCK_OLLAMA_DELAY: '0', MOCK_OLLAMA_FAIL: '1' }),
+    ]);
+  });
+
+  afterAll(() => Promise.all(servers.map((server) => server.stop())));
+
+  it('streams the reply token by token', async () => {
+    const tokens = [];
+    const text = await streamOllamaGenerate({
+      endpoint: `${endpoint}/`,
+      model: 'mock',
+      prompt: buildMergePrompt(['Ship the beta', 'Ship the beta\nWrite release notes']),
+      onToken: (partial) => tokens.push(partial),
+    });
+    expect(text).toBe('Ship the beta\nWrite release notes');
+    expect(tokens.length).toBeGreaterThan(2);
+    expect(tokens.at(-1)).toBe(text);
+    tokens.slice(1).forEach((partial, index) => expect(partial.startsWith(tokens[index])).toBe(true));
+  });
+
+  it('returns branch ideas the app can split into notes', async () => {
+    const text = await streamOllamaGenerate({ endpoint, model: 'mock', prompt: buildBranchPrompt('Launch plan', 3) });
+    expect(parseBranchIdeas(text, 3)).toEqual(['Risks of Launch plan', 'Quick win for Launch plan', 'Who owns Launch plan']);
+  });
+
+  it('stops when the signal aborts', async () => {
+    const controller = new AbortController();
+    const tokens = [];
+    const pending = streamOllamaGenerate({
+      endpoint,
+      model: 'mock',
+      prompt: buildBranchPrompt('Launch plan', 6),
+      signal: controller.signal,
+      onToken: (partial) => {
+        tokens.push(partial);
+        if (tokens.length === 2) controller.abort();
+      },
+    });
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+    expect(tokens).toHaveLength(2);
+  });
+
+  it('reports an error streamed mid-reply', async () => {
+    const tokens = [];
+    const pending = streamOllamaGenerate({
+      endpoint: failingEndpoint,
+      model: 'mock',
+      prompt: buildBranchPrompt('Launch plan', 4),
+      onToken: (partial) => tokens.push(partial),
+    });
+    await expect(pending).rejects.toThrow('mock failure requested via MOCK_OLLAMA_FAIL');
+    expect(tokens.length).toBeGreaterThan(0);
+  });
+
+  it('reports an error response', async () => {
+    await expect(streamOllamaGenerate({ endpoint, model: '', prompt: 'Hi' })).rejects.toThrow('model is required');
+  });
+
+  describe('against a server that stops short', () => {
+    const replies = {
+      '/partial/api/generate': [200, `${JSON.stringify({ response: 'Half', done: false })}\n`],
+      '/empty/api/generate': [200, ''],
+      '/down/api/generate': [502, ''],
+    };
+    let server;
+    let url;
+
+    beforeAll(async () => {
+      server = http.createServer((req, res) => {
+        const [status, body] = replies[req.url];
+        res.writeHead(status, { 'Content-Type': 'application/x-ndjson' });
+        res.end(body);
+      });
+      await new Promise((resolve) => server.listen(0, resolve));
+      url = `http://localhost:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    it('rejects a reply that ends before done', async () => {
+      const tokens = [];
+      await expect(
+        streamOllamaGenerate({ endpoint: `${url}/partial`, model: 'mock', prompt: 'Hi', onToken: (partial) => tokens.push(partial) }),
+      ).rejects.toThrow('Ollama stream ended before the reply was complete.');
+      expect(tokens).toEqual(['Half']);
+    });
+
+    it('rejects an empty reply', async () => {
+      await expect(streamOllamaGenerate({ endpoint: `${url}/empty`, model: 'mock', prompt: 'Hi' })).rejects.toThrow(
+        'Ollama stream ended before the reply was complete.',
+      );
+    });
+
+    it('names the status of a failed response without a body', async () => {
+      await expect(streamOllamaGenerate({ endpoint: `${url}/down`, model: 'mock', prompt: 'Hi' })).rejects.toThrow(
+        'Ollama responded with 502.',
+      );
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import { plainNoteLinks } from './links.js';
+
+export const getSearchTerms = (query) => [...new Set((query ?? '').toLowerCase().split(/\s+/).filter(Boolean))];
+
+// Sorted, non-overlapping [start, end) ranges of every term occurrence.
+export const findMatchRanges = (text, terms) => {
+  const lower = text.toLowerCase();
+  const ranges = [];
+  terms.forEach((term) => {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+};
+
+// A note matches when it contains every term. Whole-phrase hits, hits in the
+// first line and earlier hits rank higher, then the number of hits.
+export const searchNotes = (nodes, query) => {
+  const terms = getSearchTerms(query);
+  if (!terms.length) return [];
+  const phrase = query.trim().toLowerCase();
+
+  return nodes
+    .map((node) => {
+      // Links are searched by their labels, not their ids.
+      const text = plainNoteLinks(node.data?.text);
+      const lower = text.toLowerCase();
+      if (!terms.every((term) => lower.includes(term))) return null;
+      const ranges = findMatchRanges(text, terms);
+      const firstLineEnd = lower.includes('\n') ? lower.indexOf('\n') : lower.length;
+      const score =
+        (lower.includes(phrase) ? 8 : 0) +
+        (ranges[0].start < firstLineEnd ? 4 : 0) +
+        Math.min(ranges.length, 10) * 0.5 +
+        1 / (1 + ranges[0].start);
+      return { id: node.id, score, ranges };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Cuts text around the first hits into [{ text, hit }] segments for display.
+export const buildSnippet = (text, ranges, radius = 24) => {
+  if (!ranges.length) return [];
+  const start = Math.max(0, ranges[0].start - radius);
+  const end = Math.min(text.length, ranges[Math.min(ranges.length, 3) - 1].end + radius);
+  const segments = [];
+  let cursor = start;
+  ranges
+    .filter((range) => range.start >= start && range.end <= end)
+    .forEach((range) => {
+      if (range.start > cursor) segments.push({ text: text.slice(cursor, range.start), hit: false });
+      segments.push({ text: text.slice(range.start, range.end), hit: true });
+      cursor = range.end;
+    });
+  if (cursor < end) segments.push({ text: text.slice(cursor, end), hit: false });
+  if (start > 0) segments.unshift({ text: '…', hit: false });
+  if (end < text.length) segments.push({ text: '…', hit: false });
+  return segments.map((segment) => ({ ...segment, text: segment.text.replace(/\s+/g, ' ') }));
+};
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { buildSnippet, findMatchRanges, getSearchTerms, searchNotes } from './search.js';
+
+const sticky = (id, text) => ({ id, type: 'sticky', position: { x: 0, y: 0 }, data: { text } });
+
+describe('searchNotes', () => {
+  it('splits the query into unique lower-case terms', () => {
+    expect(getSearchTerms('  Budget  plan budget\n')).toEqual(['budget', 'plan']);
+    expect(getSearchTerms(undefined)).toEqual([]);
+    expect(searchNotes([sticky('n-a', 'Budget')], '   ')).toEqual([]);
+  });
+
+  it('merges overlapping and touching hits into sorted ranges', () => {
+    expect(findMatchRanges('Plan the planet', ['plan', 'lane', 'the'])).toEqual([
+      { start: 0, end: 4 },
+      { start: 5, end: 8 },
+      { start: 9, end: 14 },
+    ]);
+    expect(findMatchRanges('abcabc', ['abc', 'ca'])).toEqual([{ start: 0, end: 6 }]);
+  });
+
+  it('only matches notes that contain every term, in any case', () => {
+    const nodes = [sticky('n-a', 'Q3 budget plan'), sticky('n-b', 'Budget only'), sticky('n-c', 'PLAN for the BUDGET'), { id: 'n-f', type: 'frame', data: {} }];
+    expect(searchNotes(nodes, 'budget plan').map((result) => result.id)).toEqual(['n-a', 'n-c']);
+  });
+
+  it('ranks phrase hits, then first-line hits, then earlier and more hits', () => {
+    const nodes = [
+      sticky('n-late', 'Notes\nsome budget words about the plan'),
+      sticky('n-first', 'About the plan and its budget'),
+      sticky('n-phrase', 'Intro\nthe budget plan'),
+      sticky('n-early', 'Budget, the plan'),
+      sticky('n-many', 'Budget, the plan, the budget again'),
+    ];
+    expect(searchNotes(nodes, 'budget plan').map((result) => result.id)).toEqual(['n-phrase', 'n-many', 'n-early', 'n-first', 'n-late']);
+  });
+
+  it('searches link labels instead of note ids', () => {
+    const nodes = [sticky('n-a', 'See [[n-budget1|Budget sheet]]'), sticky('n-b', 'Plain')];
+    const [result] = searchNotes(nodes, 'sheet');
+    expect(result.id).toBe('n-a');
+    expect(result.ranges).toEqual([{ start: 11, end: 16 }]);
+    expect(searchNotes(nodes, 'n-budget1')).toEqual([]);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('marks hits and collapses whitespace', () => {
+    const text = 'Budget\n\nplan  draft';
+    expect(buildSnippet(text, findMatchRanges(text, ['budget', 'plan']))).toEqual([
+      { text: 'Budget', hit: true },
+      { text: ' ', hit: false },
+      { text: 'plan', hit: true },
+      { text: ' draft', hit: false },
+    ]);
+  });
+
+  it('cuts long text around the first hits with ellipses', () => {
+    const text = `${'a'.repeat(50)} budget ${'b'.repeat(20)} plan ${'c'.repeat(50)} budget and more words`;
+    const ranges = findMatchRanges(text, ['budget', 'plan']);
+    const segments = buildSnippet(text, ranges, 5);
+    expect(segments[0]).toEqual({ text: '…', hit: false });
+    expect(segments.at(-1)).toEqual({ text: '…', hit: false });
+    expect(segments.filter((segment) => segment.hit).map((segment) => segment.text)).toEqual(['budget', 'plan', 'budget']);
+    expect(segments.map((segment) => segment.text).join('')).toBe(`…aaaa budget ${'b'.repeat(20)} plan ${'c'.repeat(50)} budget and …`);
+  });
+
+  it('returns nothing without hits', () => {
+    expect(buildSnippet('Budget', [])).toEqual([]);
+  });
+});
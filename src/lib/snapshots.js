@@ -0,0 +1,96 @@
+import {
+  DAY_MS,
+  DEFAULT_NOTE_COLOR,
+  DEFAULT_NOTE_SIZE,
+  SNAPSHOT_KEEP_RECENT,
+  SNAPSHOT_MAX_AGE_DAYS,
+} from './constants.js';
+import { db } from './db.js';
+import { getEdgeRelation } from './edges.js';
+import { isFrame, sanitizeNodeForSave } from './nodes.js';
+import { useCanvasStore } from './store.js';
+
+// The parts of a note a person would notice changing; selection, z-order and
+// transient drag flags are left out.
+const getNoteSignature = (node) =>
+  JSON.stringify({
+    text: node.data?.text ?? '',
+    color: node.data?.color ?? DEFAULT_NOTE_COLOR,
+    tags: node.data?.tags ?? [],
+    x: Math.round(node.position?.x ?? 0),
+    y: Math.round(node.position?.y ?? 0),
+    width: node.data?.width ?? DEFAULT_NOTE_SIZE.width,
+    height: node.data?.height ?? DEFAULT_NOTE_SIZE.height,
+    frame: node.parentNode ?? null,
+    attachment: node.data?.attachment?.id ?? null,
+    link: node.data?.link?.url ?? null,
+    ...(isFrame(node) ? { title: node.data?.title ?? '', collapsed: Boolean(node.data?.collapsed) } : {}),
+  });
+
+const getWallSignature = ({ nodes, edges }) =>
+  JSON.stringify([
+    nodes.map((node) => [node.id, getNoteSignature(node)]),
+    edges.map((edge) => [edge.id, edge.source, edge.target, getEdgeRelation(edge), edge.label ?? '']),
+  ]);
+
+// Compares an older version of a wall with the current one, by note id.
+export const diffWalls = (before, after) => {
+  const beforeById = new Map(before.nodes.map((node) => [node.id, node]));
+  const afterById = new Map(after.nodes.map((node) => [node.id, node]));
+  const added = after.nodes.filter((node) => !beforeById.has(node.id));
+  const removed = before.nodes.filter((node) => !afterById.has(node.id));
+  const changed = after.nodes.filter(
+    (node) => beforeById.has(node.id) && getNoteSignature(beforeById.get(node.id)) !== getNoteSignature(node),
+  );
+  return { added, removed, changed };
+};
+
+// Returns the ids of snapshots (sorted newest first) the retention policy drops.
+const selectExpiredSnapshots = (snapshots, now = Date.now()) => {
+  const keptDays = new Set();
+  return snapshots
+    .filter((snapshot, index) => {
+      if (now - snapshot.createdAt > SNAPSHOT_MAX_AGE_DAYS * DAY_MS) return true;
+      if (index < SNAPSHOT_KEEP_RECENT) return false;
+      const day = Math.floor(snapshot.createdAt / DAY_MS);
+      if (keptDays.has(day)) return true;
+      keptDays.add(day);
+      return false;
+    })
+    .map((snapshot) => snapshot.id);
+};
+
+// Lists the active wall's snapshots, newest first, without their contents.
+export const refreshSnapshots = async () => {
+  const { activeWallId } = useCanvasStore.getState();
+  const rows = activeWallId ? await db.snapshots.where('wallId').equals(activeWallId).reverse().sortBy('createdAt') : [];
+  const snapshots = rows.map(({ nodes, edges, ...meta }) => ({ ...meta, noteCount: nodes.length, edgeCount: edges.length }));
+  useCanvasStore.getState().setSnapshots(snapshots);
+  return snapshots;
+};
+
+// Stores the active wall as it is right now. The state is read before the
+// first await, so calling this just ahead of a destructive action captures
+// the wall as it was before it. Unchanged walls are not stored twice.
+export const snapshotWall = async (reason) => {
+  const { activeWallId: wallId, nodes, edges } = useCanvasStore.getState();
+  if (!wallId) return null;
+  const snapshot = { wallId, reason, createdAt: Date.now(), nodes: nodes.map(sanitizeNodeForSave), edges };
+  try {
+    const id = await db.transaction('rw', db.snapshots, async () => {
+      const existing = await db.snapshots.where('wallId').equals(wallId).reverse().sortBy('createdAt');
+      if (existing[0] && getWallSignature(existing[0]) === getWallSignature(snapshot)) return null;
+      if (!existing[0] && reason === 'scheduled' && nodes.length === 0) return null;
+      const newId = await db.snapshots.add(snapshot);
+      await db.snapshots.bulkDelete(selectExpiredSnapshots([{ ...snapshot, id: newId }, ...existing]));
+      return newId;
+    });
+    if (id !== null && useCanvasStore.getState().activeWallId === wallId) {
+      await refreshSnapshots();
+    }
+    return id;
+  } catch (error) {
+    console.error('Failed to snapshot wall', error);
+    return null;
+  }
+};
@@ -0,0 +1,159 @@
+import { CHILD_GAP, CHILD_OFFSET, DEFAULT_NOTE_SIZE, MERGE_OVERLAP_RATIO, SPATIAL_CELL_SIZE } from './constants.js';
+import { getTreeLinks } from './edges.js';
+import { getNoteHeight, getNoteRect, getNoteWidth, isFrame, rectsOverlap } from './nodes.js';
+
+// The note a dragged note (in wall coordinates) was dropped onto, if they
+// overlap enough to merge. `isCandidate` can rule out further notes.
+export const findMergeTarget = (nodes, dragged, isCandidate = () => true) =>
+  getSpatialIndex(nodes)
+    .query(getNoteRect(dragged))
+    .filter((other) => other.id !== dragged.id && !isFrame(other) && isCandidate(other))
+    .map((other) => ({ other, ratio: computeOverlapRatio(dragged, other) }))
+    .filter(({ ratio }) => ratio >= MERGE_OVERLAP_RATIO)
+    .sort((a, b) => b.ratio - a.ratio)[0]?.other ?? null;
+
+const computeOverlapRatio = (a, b) => {
+  if (!a || !b) return 0;
+  const widthA = a.data?.width ?? DEFAULT_NOTE_SIZE.width;
+  const heightA = a.data?.height ?? DEFAULT_NOTE_SIZE.height;
+  const widthB = b.data?.width ?? DEFAULT_NOTE_SIZE.width;
+  const heightB = b.data?.height ?? DEFAULT_NOTE_SIZE.height;
+
+  const ax1 = a.position?.x ?? 0;
+  const ay1 = a.position?.y ?? 0;
+  const ax2 = ax1 + widthA;
+  const ay2 = ay1 + heightA;
+
+  const bx1 = b.position?.x ?? 0;
+  const by1 = b.position?.y ?? 0;
+  const bx2 = bx1 + widthB;
+  const by2 = by1 + heightB;
+
+  const overlapX = Math.max(0, Math.min(ax2, bx2) - Math.max(ax1, bx1));
+  const overlapY = Math.max(0, Math.min(ay2, by2) - Math.max(ay1, by1));
+  const overlap = overlapX * overlapY;
+  if (!overlap) return 0;
+
+  const areaA = widthA * heightA;
+  const areaB = widthB * heightB;
+  const smallestArea = Math.max(1, Math.min(areaA, areaB));
+
+  return overlap / smallestArea;
+};
+
+const cellRange = (rect, gap) => ({
+  minX: Math.floor((rect.x - gap) / SPATIAL_CELL_SIZE),
+  maxX: Math.floor((rect.x + rect.width + gap) / SPATIAL_CELL_SIZE),
+  minY: Math.floor((rect.y - gap) / SPATIAL_CELL_SIZE),
+  maxY: Math.floor((rect.y + rect.height + gap) / SPATIAL_CELL_SIZE),
+});
+
+// Uniform grid over the wall's nodes in wall coordinates, so overlap and hit
+// tests only look at nodes in nearby cells. Store updates reuse unchanged
+// nodes by identity, so syncing to a new nodes array only re-files the nodes
+// that changed or whose frame moved. Queries return wall-coordinate copies,
+// frames included.
+const createSpatialIndex = () => {
+  const cells = new Map();
+  const entries = new Map();
+  let synced = null;
+  let generation = 0;
+
+  const remove = (id) => {
+    entries.get(id).keys.forEach((key) => {
+      const cell = cells.get(key);
+      cell.delete(id);
+      if (!cell.size) cells.delete(key);
+    });
+    entries.delete(id);
+  };
+
+  const insert = (node, frame) => {
+    const absolute = frame
+      ? { ...node, position: { x: frame.position.x + node.position.x, y: frame.position.y + node.position.y } }
+      : node;
+    const range = cellRange(getNoteRect(absolute), 0);
+    const keys = [];
+    for (let cx = range.minX; cx <= range.maxX; cx += 1) {
+      for (let cy = range.minY; cy <= range.maxY; cy += 1) {
+        const key = `${cx},${cy}`;
+        if (!cells.has(key)) cells.set(key, new Set());
+        cells.get(key).add(node.id);
+        keys.push(key);
+      }
+    }
+    entries.set(node.id, { node, frame, absolute, keys, generation });
+  };
+
+  return {
+    sync: (nodes) => {
+      if (nodes === synced) return;
+      synced = nodes;
+      generation += 1;
+      const frames = new Map();
+      nodes.forEach((node) => {
+        if (isFrame(node)) frames.set(node.id, node);
+      });
+      nodes.forEach((node) => {
+        const frame = (node.parentNode && frames.get(node.parentNode)) || null;
+        const entry = entries.get(node.id);
+        if (entry?.node === node && entry.frame === frame) {
+          entry.generation = generation;
+          return;
+        }
+        if (entry) remove(node.id);
+        insert(node, frame);
+      });
+      if (entries.size > nodes.length) {
+        [...entries].forEach(([id, entry]) => {
+          if (entry.generation !== generation) remove(id);
+        });
+      }
+    },
+    get: (id) => entries.get(id)?.absolute,
+    // Nodes overlapping `rect` (a point when width and height are 0).
+    query: (rect, gap = 0) => {
+      const found = new Set();
+      const range = cellRange(rect, gap);
+      for (let cx = range.minX; cx <= range.maxX; cx += 1) {
+        for (let cy = range.minY; cy <= range.maxY; cy += 1) {
+          cells.get(`${cx},${cy}`)?.forEach((id) => found.add(id));
+        }
+      }
+      return [...found].map((id) => entries.get(id).absolute).filter((node) => rectsOverlap(getNoteRect(node), rect, gap));
+    },
+  };
+};
+
+// One index follows the store's nodes; any nodes array can be passed, but
+// switching between unrelated arrays re-files everything.
+const wallSpatialIndex = createSpatialIndex();
+
+export const getSpatialIndex = (nodes) => {
+  wallSpatialIndex.sync(nodes);
+  return wallSpatialIndex;
+};
+
+// Picks a spot in the parent's child column, in wall coordinates: level with
+// the parent for the first child, otherwise below the lowest sibling, then
+// steps down past any note in the way. Frames don't block, and the child
+// lands on the open wall.
+export const findWallChildSlot = (nodes, edges, parentId, size = DEFAULT_NOTE_SIZE) => {
+  const index = getSpatialIndex(nodes);
+  const parent = index.get(parentId);
+  const x = (parent?.position.x ?? 0) + (parent ? getNoteWidth(parent) : 0) + CHILD_OFFSET;
+  const siblings = getTreeLinks(edges)
+    .filter((link) => link.parent === parentId)
+    .map((link) => index.get(link.child))
+    .filter((node) => node && !isFrame(node));
+  let y = siblings.length
+    ? Math.max(...siblings.map((node) => node.position.y + getNoteHeight(node))) + CHILD_GAP
+    : (parent?.position.y ?? 0) + 20;
+
+  for (;;) {
+    const candidate = { x, y, ...size };
+    const blocker = index.query(candidate, CHILD_GAP / 2).find((node) => !isFrame(node));
+    if (!blocker) return { x, y };
+    y = blocker.position.y + getNoteHeight(blocker) + CHILD_GAP;
+  }
+};
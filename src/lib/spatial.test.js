@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { getSpatialIndex } from './spatial.js';
+
+describe('getSpatialIndex', () => {
+  const note = (id, x, y, extra = {}) => ({ id, type: 'sticky', position: { x, y }, data: { width: 200, height: 100 }, ...extra });
+  const frame = (id, x, y) => ({ id, type: 'frame', position: { x, y }, data: { width: 1200, height: 900 } });
+  const ids = (found) => found.map((node) => node.id).sort();
+
+  it('finds notes and frames under a point in wall coordinates', () => {
+    const nodes = [note('a', 0, 0), frame('f', 1000, 1000), note('b', 40, 60, { parentNode: 'f' }), note('c', 5000, 5000)];
+    const index = getSpatialIndex(nodes);
+    expect(ids(index.query({ x: 50, y: 50, width: 0, height: 0 }))).toEqual(['a']);
+    expect(ids(index.query({ x: 1100, y: 1100, width: 0, height: 0 }))).toEqual(['b', 'f']);
+    expect(index.get('b').position).toEqual({ x: 1040, y: 1060 });
+    expect(nodes[2].position).toEqual({ x: 40, y: 60 });
+  });
+
+  it('widens queries by the gap', () => {
+    const index = getSpatialIndex([note('a', 0, 0), note('b', 600, 0)]);
+    expect(ids(index.query({ x: 230, y: 0, width: 100, height: 100 }))).toEqual([]);
+    expect(ids(index.query({ x: 230, y: 0, width: 100, height: 100 }, 40))).toEqual(['a']);
+  });
+
+  it('follows moved frames and removed notes', () => {
+    const child = note('b', 40, 60, { parentNode: 'f' });
+    getSpatialIndex([frame('f', 0, 0), child, note('a', 3000, 0)]);
+    const index = getSpatialIndex([frame('f', 2000, 2000), child]);
+    expect(index.get('b').position).toEqual({ x: 2040, y: 2060 });
+    expect(index.get('a')).toBeUndefined();
+    expect(ids(index.query({ x: 50, y: 70, width: 0, height: 0 }))).toEqual([]);
+    expect(ids(index.query({ x: 2050, y: 2070, width: 0, height: 0 }))).toEqual(['b', 'f']);
+  });
+
+  it('matches a full scan as the wall changes', () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed * 16807) % 2147483647;
+      return seed / 2147483647;
+    };
+    const spot = () => Math.floor(random() * 6000) - 1000;
+    const toWall = (nodes) => {
+      const byId = new Map(nodes.map((node) => [node.id, node]));
+      return nodes.map((node) => {
+        const parent = node.parentNode && byId.get(node.parentNode);
+        return parent ? { ...node, position: { x: parent.position.x + node.position.x, y: parent.position.y + node.position.y } } : node;
+      });
+    };
+    let nodes = [frame('f1', 0, 0), frame('f2', 3000, 3000)];
+    for (let step = 0; step < 300; step += 1) {
+      const roll = random();
+      if (roll < 0.4 || nodes.length < 6) {
+        if (random() < 0.3) {
+          const parentNode = random() < 0.5 ? 'f1' : 'f2';
+          nodes = [...nodes, note(`n${step}`, Math.floor(random() * 900), Math.floor(random() * 700), { parentNode })];
+        } else {
+          nodes = [...nodes, note(`n${step}`, spot(), spot())];
+        }
+      } else if (roll < 0.6) {
+        const victim = nodes[2 + Math.floor(random() * (nodes.length - 2))];
+        nodes = nodes.filter((node) => node !== victim);
+      } else {
+        const moved = nodes[Math.floor(random() * nodes.length)];
+        nodes = nodes.map((node) => (node === moved ? { ...node, position: { x: spot(), y: spot() } } : node));
+      }
+      const rect = { x: spot(), y: spot(), width: Math.floor(random() * 800), height: Math.floor(random() * 800) };
+      const expected = toWall(nodes).filter((node) => {
+        const { x, y } = node.position;
+        return x < rect.x + rect.width && rect.x < x + node.data.width && y < rect.y + rect.height && rect.y < y + node.data.height;
+      });
+      expect(ids(getSpatialIndex(nodes).query(rect))).toEqual(ids(expected));
+    }
+  });
+});
@@ -0,0 +1,824 @@
+import { create } from 'zustand';
+import { subscribeWithSelector } from 'zustand/middleware';
+import {
+  CHILD_GAP,
+  CHILD_OFFSET,
+  DEFAULT_COLLAB_SETTINGS,
+  DEFAULT_NOTE_SIZE,
+  DEFAULT_OLLAMA_SETTINGS,
+  DEFAULT_VOICE_SETTINGS,
+  DUPLICATE_OFFSET,
+  FRAME_HEADER_HEIGHT,
+  FRAME_PADDING,
+  GRID_SIZE,
+  HISTORY_COALESCE_MS,
+  HISTORY_LIMIT,
+  makeId,
+  MAX_FRAME_SIZE,
+  MAX_NOTE_SIZE,
+  MAX_NOTE_TEXT,
+  MIN_FRAME_SIZE,
+  MIN_NOTE_SIZE,
+} from './constants.js';
+import { makeChildEdge, makeEdge } from './edges.js';
+import { distributePositions } from './layout.js';
+import { getNoteLinks, retargetNoteLinks } from './links.js';
+import {
+  applyAbsolutePositions,
+  clamp,
+  combineNoteTexts,
+  ensureNodeShape,
+  getNodeBounds,
+  getNoteHeight,
+  getNoteRect,
+  getNoteWidth,
+  isFrame,
+  orderForFlow,
+  pickArrangeable,
+  rectsOverlap,
+  replaceNode,
+  setNodeFrame,
+  shapedNodes,
+  splitMergeMedia,
+  splitNoteText,
+  toAbsoluteNodes,
+} from './nodes.js';
+import { findWallChildSlot } from './spatial.js';
+
+// Returns the history patch for a mutation about to be applied to `state`.
+// Inside a batch only the batch is marked dirty; otherwise the pre-mutation
+// nodes/edges are pushed, folding into the previous entry when it shares the
+// same coalesce key and arrived within HISTORY_COALESCE_MS (typing, nudges).
+const recordHistory = (state, label, coalesceKey = null) => {
+  if (state.historyBatch) {
+    return state.historyBatch.dirty ? {} : { historyBatch: { ...state.historyBatch, dirty: true } };
+  }
+  const now = Date.now();
+  const last = state.past[state.past.length - 1];
+  if (coalesceKey && last?.coalesceKey === coalesceKey && now - last.at < HISTORY_COALESCE_MS) {
+    return { past: [...state.past.slice(0, -1), { ...last, at: now }], future: [] };
+  }
+  return {
+    past: [...state.past, { nodes: state.nodes, edges: state.edges, label, coalesceKey, at: now }].slice(-HISTORY_LIMIT),
+    future: [],
+  };
+};
+
+// What a peer's update did, by id: notes or links added or replaced, and
+// those removed. Unchanged ones keep their objects, so identity tells.
+const diffById = (before, after) => {
+  const previous = new Map(before.map((item) => [item.id, item]));
+  const changed = new Map();
+  after.forEach((item) => {
+    if (previous.get(item.id) !== item) changed.set(item.id, item);
+    previous.delete(item.id);
+  });
+  return { changed, removed: new Set(previous.keys()) };
+};
+
+const rebaseById = (items, { changed, removed }) => {
+  if (!changed.size && !removed.size) return items;
+  const kept = new Set();
+  const rebased = items
+    .filter((item) => !removed.has(item.id))
+    .map((item) => {
+      kept.add(item.id);
+      return changed.get(item.id) ?? item;
+    });
+  changed.forEach((item, id) => {
+    if (!kept.has(id)) rebased.push(item);
+  });
+  return rebased;
+};
+
+// Carries a peer's update into an undo snapshot, so undoing a local step
+// restores only what this person changed.
+const rebaseSnapshot = (snapshot, nodeChanges, edgeChanges) => ({
+  ...snapshot,
+  nodes: orderForFlow(rebaseById(snapshot.nodes, nodeChanges)),
+  edges: rebaseById(snapshot.edges, edgeChanges),
+});
+
+export const useCanvasStore = create(
+  subscribeWithSelector((set, get) => ({
+    nodes: [],
+    edges: [],
+    highestZ: 1,
+    mergePair: null,
+    contextMenu: null,
+    isSettingsOpen: false,
+    isWallLibraryOpen: false,
+    isTimelineOpen: false,
+    snapshots: [],
+    isMergeDialogOpen: false,
+    aiBranch: null,
+    isSearchOpen: false,
+    isLegendOpen: false,
+    isBookmarksOpen: false,
+    isTemplatesOpen: false,
+    templates: [],
+    showMinimap: true,
+    legendFilter: null,
+    hiddenRelations: [],
+    inspectedEdgeId: null,
+    searchQuery: '',
+    activeSearchId: null,
+    ollama: DEFAULT_OLLAMA_SETTINGS,
+    walls: [],
+    activeWallId: null,
+    collab: DEFAULT_COLLAB_SETTINGS,
+    // collabStatus: 'off' | 'connecting' | 'connected' | 'offline'
+    collabStatus: 'off',
+    collabPeers: [],
+    noteEditors: {},
+    isVrActive: false,
+    voice: DEFAULT_VOICE_SETTINGS,
+    // voiceStatus: 'off' | 'listening' | 'error'
+    voiceStatus: 'off',
+    voiceInterim: '',
+    voiceMessage: '',
+    // saveStatus: 'saved' | 'pending' | 'saving' | 'failed' | 'conflict'
+    saveStatus: 'saved',
+    saveError: '',
+    lastSavedAt: null,
+    // Revision of the stored row this tab last loaded or wrote, and the
+    // nodes/edges arrays that row holds; anything else in the store is unsaved.
+    savedRevision: 0,
+    persisted: { nodes: [], edges: [] },
+    recovery: null,
+    past: [],
+    future: [],
+    historyBatch: null,
+    setNodes: (updater, history) =>
+      set((state) => {
+        const nextNodes = typeof updater === 'function' ? updater(state.nodes) : updater;
+        let highestZ = state.highestZ;
+        const hydrated = nextNodes.map((node) => {
+          if (shapedNodes.has(node)) return node;
+          const shaped = ensureNodeShape(node, state.highestZ);
+          highestZ = Math.max(highestZ, shaped.data?.zIndex ?? 1);
+          return shaped;
+        });
+        return {
+          ...(history ? recordHistory(state, history.label, history.coalesceKey) : {}),
+          nodes: hydrated,
+          highestZ,
+        };
+      }),
+    setEdges: (updater, history) =>
+      set((state) => ({
+        ...(history ? recordHistory(state, history.label, history.coalesceKey) : {}),
+        edges: typeof updater === 'function' ? updater(state.edges) : updater,
+      })),
+    beginHistoryBatch: (label) =>
+      set((state) =>
+        state.historyBatch
+          ? { historyBatch: { ...state.historyBatch, depth: state.historyBatch.depth + 1 } }
+          : { historyBatch: { label, depth: 1, dirty: false, nodes: state.nodes, edges: state.edges } },
+      ),
+    endHistoryBatch: () =>
+      set((state) => {
+        const batch = state.historyBatch;
+        if (!batch) return {};
+        if (batch.depth > 1) {
+          return { historyBatch: { ...batch, depth: batch.depth - 1 } };
+        }
+        if (!batch.dirty) {
+          return { historyBatch: null };
+        }
+        return {
+          historyBatch: null,
+          past: [
+            ...state.past,
+            { nodes: batch.nodes, edges: batch.edges, label: batch.label, coalesceKey: null, at: Date.now() },
+          ].slice(-HISTORY_LIMIT),
+          future: [],
+        };
+      }),
+    undo: () =>
+      set((state) => {
+        const entry = state.past[state.past.length - 1];
+        if (!entry) return {};
+        const highestZ = entry.nodes.reduce((max, node) => Math.max(max, node.data?.zIndex ?? 1), state.highestZ);
+        return {
+          nodes: entry.nodes,
+          edges: entry.edges,
+          highestZ,
+          past: state.past.slice(0, -1),
+          future: [...state.future, { nodes: state.nodes, edges: state.edges, label: entry.label }],
+          historyBatch: null,
+          mergePair: null,
+          contextMenu: null,
+        };
+      }),
+    redo: () =>
+      set((state) => {
+        const entry = state.future[state.future.length - 1];
+        if (!entry) return {};
+        const highestZ = entry.nodes.reduce((max, node) => Math.max(max, node.data?.zIndex ?? 1), state.highestZ);
+        return {
+          nodes: entry.nodes,
+          edges: entry.edges,
+          highestZ,
+          past: [...state.past, { nodes: state.nodes, edges: state.edges, label: entry.label, coalesceKey: null, at: 0 }],
+          future: state.future.slice(0, -1),
+          historyBatch: null,
+          mergePair: null,
+          contextMenu: null,
+        };
+      }),
+    createNote: (position, options = {}) => {
+      const nextZ = get().highestZ + 1;
+      const node = ensureNodeShape(
+        {
+          id: options.id ?? makeId(),
+          type: 'sticky',
+          position,
+          data: {
+            text: options.text ?? '',
+            width: options.width ?? DEFAULT_NOTE_SIZE.width,
+            height: options.height ?? DEFAULT_NOTE_SIZE.height,
+            zIndex: nextZ,
+            ...(options.attachment ? { attachment: options.attachment } : {}),
+          },
+        },
+        nextZ,
+      );
+      set((state) => ({ ...recordHistory(state, 'create note'), nodes: [...state.nodes, node], highestZ: nextZ }));
+      return node;
+    },
+    updateNoteData: (id, updater, history) =>
+      set((state) => ({
+        ...(history ? recordHistory(state, history.label, history.coalesceKey) : {}),
+        nodes: replaceNode(state.nodes, id, (node) => {
+          const base = node.data ?? {};
+          const patch = typeof updater === 'function' ? updater(base) : updater;
+          const nextData = { ...base, ...patch };
+          return ensureNodeShape({ ...node, data: nextData }, nextData.zIndex ?? state.highestZ);
+        }),
+      })),
+    setNodeSize: (id, size) =>
+      set((state) => ({
+        ...recordHistory(state, 'resize note', `resize:${id}`),
+        nodes: replaceNode(state.nodes, id, (node) => {
+          const [min, max] = isFrame(node) ? [MIN_FRAME_SIZE, MAX_FRAME_SIZE] : [MIN_NOTE_SIZE, MAX_NOTE_SIZE];
+          const width = clamp(size.width, min.width, max.width);
+          const height = clamp(size.height, min.height, max.height);
+          const nextData = { ...node.data, width, height };
+          return ensureNodeShape({ ...node, data: nextData }, nextData.zIndex ?? state.highestZ);
+        }),
+      })),
+    setNodeDragging: (id, dragging) =>
+      set((state) => ({
+        nodes: replaceNode(state.nodes, id, (node) =>
+          ensureNodeShape({ ...node, data: { ...node.data, dragging } }, node.data?.zIndex ?? state.highestZ),
+        ),
+      })),
+    updateEdge: (id, patch, history) =>
+      set((state) => ({
+        ...(history ? recordHistory(state, history.label, history.coalesceKey) : {}),
+        edges: state.edges.map((edge) => (edge.id === id ? { ...edge, ...patch } : edge)),
+      })),
+    deleteEdge: (id) =>
+      set((state) => ({
+        ...recordHistory(state, 'delete link'),
+        edges: state.edges.filter((edge) => edge.id !== id),
+        inspectedEdgeId: state.inspectedEdgeId === id ? null : state.inspectedEdgeId,
+      })),
+    deleteNote: (id) => get().deleteNotes([id]),
+    // Deleting a frame deletes the notes inside it, as React Flow does for
+    // keyboard deletes; "Ungroup" keeps them.
+    deleteNotes: (ids) =>
+      set((state) => {
+        const removed = new Set(ids);
+        state.nodes.forEach((node) => {
+          if (removed.has(node.parentNode)) removed.add(node.id);
+        });
+        return {
+          ...recordHistory(state, removed.size > 1 ? 'delete notes' : 'delete note'),
+          nodes: state.nodes.filter((node) => !removed.has(node.id)),
+          edges: state.edges.filter((edge) => !removed.has(edge.source) && !removed.has(edge.target)),
+          mergePair: state.mergePair?.ids.some((id) => removed.has(id)) ? null : state.mergePair,
+          contextMenu: removed.has(state.contextMenu?.nodeId) ? null : state.contextMenu,
+          aiBranch: removed.has(state.aiBranch?.nodeId) ? null : state.aiBranch,
+        };
+      }),
+    // Wraps the notes in a new frame sized to fit them, or an empty frame at
+    // `position` when there are none.
+    createFrame: (ids, position = { x: 0, y: 0 }) => {
+      const state = get();
+      const selected = new Set(ids);
+      const members = toAbsoluteNodes(state.nodes).filter((node) => selected.has(node.id) && !isFrame(node));
+      const bounds = getNodeBounds(members);
+      const frame = ensureNodeShape({
+        id: makeId(),
+        type: 'frame',
+        position: bounds ? { x: bounds.minX - FRAME_PADDING, y: bounds.minY - FRAME_HEADER_HEIGHT } : position,
+        data: bounds
+          ? { width: bounds.maxX - bounds.minX + FRAME_PADDING * 2, height: bounds.maxY - bounds.minY + FRAME_HEADER_HEIGHT + FRAME_PADDING }
+          : {},
+      });
+      const moved = new Map(members.map((node) => [node.id, setNodeFrame(node, frame)]));
+      set({
+        ...recordHistory(state, 'create frame'),
+        nodes: [frame, ...state.nodes.map((node) => moved.get(node.id) ?? node)],
+      });
+      return frame;
+    },
+    // Parents each dropped note to the open frame under its center, or frees
+    // it when it was dragged out of its frame. Notes whose frame was dragged
+    // along with them stay put.
+    dropNotesIntoFrames: (ids) =>
+      set((state) => {
+        const dropped = new Set(ids);
+        const absolute = toAbsoluteNodes(state.nodes);
+        const frames = absolute.filter((node) => isFrame(node) && !node.data?.collapsed && !dropped.has(node.id));
+        const moved = new Map();
+        absolute.forEach((node) => {
+          if (!dropped.has(node.id) || isFrame(node) || dropped.has(node.parentNode)) return;
+          const center = { x: node.position.x + getNoteWidth(node) / 2, y: node.position.y + getNoteHeight(node) / 2 };
+          const frame = frames
+            .filter((candidate) => rectsOverlap(getNoteRect(candidate), { ...center, width: 0, height: 0 }))
+            .sort((a, b) => getNoteWidth(a) * getNoteHeight(a) - getNoteWidth(b) * getNoteHeight(b))[0];
+          if ((frame?.id ?? null) === (node.parentNode ?? null)) return;
+          moved.set(node.id, setNodeFrame(node, frame));
+        });
+        if (!moved.size) return {};
+        return { nodes: state.nodes.map((node) => moved.get(node.id) ?? node) };
+      }),
+    // Removes the frame but keeps its notes where they are.
+    ungroupFrame: (frameId) =>
+      set((state) => {
+        const absolute = new Map(toAbsoluteNodes(state.nodes).map((node) => [node.id, node]));
+        return {
+          ...recordHistory(state, 'ungroup frame'),
+          nodes: state.nodes
+            .filter((node) => node.id !== frameId)
+            .map((node) => (node.parentNode === frameId ? setNodeFrame(absolute.get(node.id), null) : node)),
+        };
+      }),
+    // Copies the notes plus the edges between them; the copies become the new
+    // selection so they can be dragged away immediately.
+    duplicateNotes: (ids) =>
+      set((state) => {
+        const selected = new Set(ids);
+        const idMap = new Map(ids.map((id) => [id, makeId()]));
+        let nextZ = state.highestZ;
+        const copies = state.nodes
+          .filter((node) => selected.has(node.id))
+          .map((node) => {
+            nextZ += 1;
+            return ensureNodeShape(
+              {
+                ...node,
+                id: idMap.get(node.id),
+                // Copies of framed notes stay in the frame, or follow a copied one.
+                ...(node.parentNode ? { parentNode: idMap.get(node.parentNode) ?? node.parentNode } : {}),
+                selected: true,
+                position: selected.has(node.parentNode)
+                  ? node.position
+                  : { x: node.position.x + DUPLICATE_OFFSET, y: node.position.y + DUPLICATE_OFFSET },
+                positionAbsolute: undefined,
+                data: { ...node.data, zIndex: nextZ, dragging: false, autoFocus: false },
+                style: { ...node.style, zIndex: nextZ },
+              },
+              nextZ,
+            );
+          });
+        const edgeCopies = state.edges
+          .filter((edge) => selected.has(edge.source) && selected.has(edge.target))
+          .map((edge) => ({
+            ...edge,
+            id: `e-${makeId()}`,
+            source: idMap.get(edge.source),
+            target: idMap.get(edge.target),
+            selected: false,
+          }));
+        return {
+          ...recordHistory(state, 'duplicate notes'),
+          // Copies link to each other's copies, like the copied edges.
+          nodes: [...state.nodes.map((node) => (node.selected ? { ...node, selected: false } : node)), ...retargetNoteLinks(copies, idMap)],
+          edges: [...state.edges, ...edgeCopies],
+          highestZ: nextZ,
+        };
+      }),
+    // Raises the notes above everything else while keeping their stacking
+    // order relative to each other.
+    bringNotesToFront: (ids) =>
+      set((state) => {
+        const selected = new Set(ids);
+        const order = state.nodes
+          .filter((node) => selected.has(node.id))
+          .sort((a, b) => (a.data?.zIndex ?? 1) - (b.data?.zIndex ?? 1))
+          .map((node) => node.id);
+        const zById = new Map(order.map((id, index) => [id, state.highestZ + 1 + index]));
+        return {
+          ...recordHistory(state, 'bring notes to front'),
+          highestZ: state.highestZ + order.length,
+          nodes: state.nodes.map((node) => {
+            const zIndex = zById.get(node.id);
+            return zIndex ? ensureNodeShape({ ...node, data: { ...node.data, zIndex }, style: { ...node.style, zIndex } }, zIndex) : node;
+          }),
+        };
+      }),
+    setNotesColor: (ids, color) =>
+      set((state) => {
+        const selected = new Set(ids);
+        return {
+          ...recordHistory(state, 'recolor notes'),
+          nodes: state.nodes.map((node) => (selected.has(node.id) ? { ...node, data: { ...node.data, color } } : node)),
+        };
+      }),
+    // mode: 'left' | 'top' | 'center' (horizontal centers on the selection's midline)
+    alignNotes: (ids, mode) =>
+      set((state) => {
+        const notes = pickArrangeable(state.nodes, ids);
+        if (notes.length < 2) return {};
+        const bounds = getNodeBounds(notes);
+        const midX = (bounds.minX + bounds.maxX) / 2;
+        const positions = new Map(
+          notes.map((node) => {
+            const position = { ...node.position };
+            if (mode === 'left') position.x = bounds.minX;
+            if (mode === 'top') position.y = bounds.minY;
+            if (mode === 'center') position.x = midX - getNoteWidth(node) / 2;
+            return [node.id, position];
+          }),
+        );
+        return {
+          ...recordHistory(state, 'align notes'),
+          nodes: applyAbsolutePositions(state.nodes, positions),
+        };
+      }),
+    distributeNotes: (ids, axis) =>
+      set((state) => {
+        const notes = pickArrangeable(state.nodes, ids);
+        if (notes.length < 3) return {};
+        return {
+          ...recordHistory(state, 'distribute notes'),
+          nodes: applyAbsolutePositions(state.nodes, distributePositions(notes, axis)),
+        };
+      }),
+    snapNotesToGrid: (ids) =>
+      set((state) => {
+        const positions = new Map(
+          pickArrangeable(state.nodes, ids).map((node) => [
+            node.id,
+            {
+              x: Math.round(node.position.x / GRID_SIZE) * GRID_SIZE,
+              y: Math.round(node.position.y / GRID_SIZE) * GRID_SIZE,
+            },
+          ]),
+        );
+        return {
+          ...recordHistory(state, 'snap notes to grid'),
+          nodes: applyAbsolutePositions(state.nodes, positions),
+        };
+      }),
+    // Adds one linked child per text in free slots of the parent's child
+    // column, as a single undo step.
+    addChildNotes: (parentId, texts) => {
+      const state = get();
+      const parent = state.nodes.find((node) => node.id === parentId);
+      if (!parent || texts.length === 0) return [];
+
+      let nodes = state.nodes;
+      let edges = state.edges;
+      const children = texts.map((text, index) => {
+        const zIndex = state.highestZ + 1 + index;
+        const child = ensureNodeShape(
+          {
+            id: makeId(),
+            type: 'sticky',
+            position: findWallChildSlot(nodes, edges, parent.id),
+            data: { text: text.slice(0, MAX_NOTE_TEXT), zIndex },
+          },
+          zIndex,
+        );
+        nodes = [...nodes, child];
+        edges = [...edges, makeChildEdge(parent.id, child.id)];
+        return child;
+      });
+
+      set({
+        ...recordHistory(state, 'branch notes'),
+        nodes,
+        edges,
+        highestZ: state.highestZ + children.length,
+      });
+      // Children that land in a frame join it, as a single new child does.
+      get().dropNotesIntoFrames(children.map((child) => child.id));
+      return children;
+    },
+    // A note already on top is left alone, so repeated taps and keystrokes
+    // don't churn the store.
+    bringToFront: (id) => {
+      const { nodes, highestZ } = get();
+      const target = nodes.find((node) => node.id === id);
+      if (!target || isFrame(target) || target.data?.zIndex === highestZ) return;
+      const nextZ = highestZ + 1;
+      set((state) => ({
+        highestZ: nextZ,
+        nodes: replaceNode(state.nodes, id, (node) => ensureNodeShape({ ...node, data: { ...node.data, zIndex: nextZ } }, nextZ)),
+      }));
+    },
+    setMergePair: (pair) =>
+      set(() => {
+        if (!pair || !pair.ids || pair.ids.length < 2) {
+          return { mergePair: null, isMergeDialogOpen: false };
+        }
+        const ids = [...new Set(pair.ids.filter(Boolean))];
+        if (ids.length < 2) {
+          return { mergePair: null, isMergeDialogOpen: false };
+        }
+        return { mergePair: { ids, triggeredBy: pair.triggeredBy ?? null } };
+      }),
+    clearMergePair: () => set({ mergePair: null, isMergeDialogOpen: false }),
+    openMergeDialog: () => set((state) => ({ isMergeDialogOpen: Boolean(state.mergePair) })),
+    closeMergeDialog: () => set({ isMergeDialogOpen: false }),
+    // aiBranch: { nodeId, count, status: 'streaming' | 'ready' | 'failed', suggestions: [{ id, text, keep }], error }
+    // Progress patches for a branch that was dismissed (or whose note was
+    // deleted) are dropped; only a patch naming the note starts a new one.
+    setAiBranch: (patch) =>
+      set((state) => ({ aiBranch: patch && (state.aiBranch || patch.nodeId) ? { ...state.aiBranch, ...patch } : null })),
+    toggleLegend: () => set((state) => ({ isLegendOpen: !state.isLegendOpen })),
+    closeLegend: () => set({ isLegendOpen: false }),
+    toggleBookmarks: () => set((state) => ({ isBookmarksOpen: !state.isBookmarksOpen })),
+    closeBookmarks: () => set({ isBookmarksOpen: false }),
+    toggleTemplates: () => set((state) => ({ isTemplatesOpen: !state.isTemplatesOpen })),
+    openTemplates: () => set({ isTemplatesOpen: true }),
+    closeTemplates: () => set({ isTemplatesOpen: false }),
+    setTemplates: (templates) => set({ templates }),
+    setShowMinimap: (showMinimap) => set({ showMinimap }),
+    setLegendFilter: (legendFilter) => set({ legendFilter }),
+    toggleRelationHidden: (relation) =>
+      set((state) => ({
+        hiddenRelations: state.hiddenRelations.includes(relation)
+          ? state.hiddenRelations.filter((key) => key !== relation)
+          : [...state.hiddenRelations, relation],
+      })),
+    openEdgeInspector: (inspectedEdgeId) => set({ inspectedEdgeId, contextMenu: null }),
+    closeEdgeInspector: () => set({ inspectedEdgeId: null }),
+    openSearch: () => set({ isSearchOpen: true }),
+    // Closing keeps the query so matches stay highlighted until it is cleared.
+    closeSearch: () => set({ isSearchOpen: false }),
+    setSearchQuery: (searchQuery) => set({ searchQuery, activeSearchId: null }),
+    setActiveSearchId: (activeSearchId) => set({ activeSearchId }),
+    clearSearch: () => set({ isSearchOpen: false, searchQuery: '', activeSearchId: null }),
+    setOllamaSettings: (patch) => set((state) => ({ ollama: { ...state.ollama, ...patch } })),
+    setContextMenu: (menu) => set({ contextMenu: menu }),
+    closeContextMenu: () => set({ contextMenu: null }),
+    toggleSettings: () => set((state) => ({ isSettingsOpen: !state.isSettingsOpen })),
+    closeSettings: () => set({ isSettingsOpen: false }),
+    toggleWallLibrary: () => set((state) => ({ isWallLibraryOpen: !state.isWallLibraryOpen })),
+    closeWallLibrary: () => set({ isWallLibraryOpen: false }),
+    toggleTimeline: () => set((state) => ({ isTimelineOpen: !state.isTimelineOpen })),
+    closeTimeline: () => set({ isTimelineOpen: false }),
+    setSnapshots: (snapshots) => set({ snapshots }),
+    setWalls: (walls) => set({ walls }),
+    setActiveWallId: (activeWallId) => set({ activeWallId }),
+    setSaveState: (patch) => set(patch),
+    setCollabSettings: (patch) => set((state) => ({ collab: { ...state.collab, ...patch } })),
+    setCollabState: (patch) => set(patch),
+    setVrActive: (isVrActive) => set({ isVrActive }),
+    setVoiceSettings: (patch) => set((state) => ({ voice: { ...state.voice, ...patch } })),
+    setVoiceState: (patch) => set(patch),
+    // Changes from other people on a shared wall. They are not undo steps of
+    // their own: earlier steps are rebased onto them so undo never reverts
+    // someone else's work, and anything left to redo no longer applies.
+    applyRemoteElements: ({ nodes, edges }) =>
+      set((state) => {
+        const nodeChanges = diffById(state.nodes, nodes);
+        const edgeChanges = diffById(state.edges, edges);
+        const rebase = (snapshot) => rebaseSnapshot(snapshot, nodeChanges, edgeChanges);
+        return {
+          nodes,
+          edges,
+          past: state.past.map(rebase),
+          future: [],
+          historyBatch: state.historyBatch && rebase(state.historyBatch),
+          highestZ: nodes.reduce((highest, node) => Math.max(highest, node.data?.zIndex ?? 0), state.highestZ),
+        };
+      }),
+    appendElements: ({ nodes = [], edges = [] }, history) =>
+      set((state) => {
+        const hydrated = nodes.map((node) => ensureNodeShape(node, state.highestZ + 1));
+        const highestZ = hydrated.reduce((max, node) => Math.max(max, node.data?.zIndex ?? 1), state.highestZ);
+        return {
+          ...(history ? recordHistory(state, history.label) : {}),
+          nodes: [...state.nodes, ...hydrated],
+          edges: [...state.edges, ...edges],
+          highestZ,
+        };
+      }),
+    // Loading from storage starts a fresh history; pass `history` (e.g. on
+    // import) to keep the previous wall one undo away instead.
+    replaceState: ({ nodes = [], edges = [] }, history) => {
+      const hydrated = nodes.map((node, idx) => ensureNodeShape(node, idx + 1));
+      const highestZ = hydrated.reduce((max, node) => Math.max(max, node.data?.zIndex ?? 1, max), 1);
+      set((state) => ({
+        ...(history ? recordHistory(state, history.label) : { past: [], future: [], historyBatch: null }),
+        nodes: hydrated,
+        edges,
+        highestZ,
+        mergePair: null,
+        contextMenu: null,
+      }));
+    },
+    // Merges every note in mergePair into one. `options.text` replaces the
+    // default concatenation, e.g. with an AI merge. With `keepSources` the
+    // originals stay beside the result, linked to it as its sources;
+    // otherwise they are removed and their links move to the merged note.
+    mergeNotes: (options = {}) => {
+      const state = get();
+      const ids = (state.mergePair?.ids ?? []).filter((id) => {
+        const node = state.nodes.find((item) => item.id === id);
+        return node && !isFrame(node);
+      });
+      if (ids.length < 2) {
+        set({ mergePair: null, isMergeDialogOpen: false });
+        return null;
+      }
+      const sources = ids.map((id) => state.nodes.find((node) => node.id === id));
+      const combinedText = (options.text ?? combineNoteTexts(sources.map((note) => note.data?.text))).slice(0, MAX_NOTE_TEXT);
+
+      // Notes from the same frame merge inside it; otherwise the merged note
+      // lands on the open wall.
+      const frameId = sources.every((note) => note.parentNode && note.parentNode === sources[0].parentNode) ? sources[0].parentNode : null;
+      const absolute = frameId ? null : new Map(toAbsoluteNodes(state.nodes).map((node) => [node.id, node.position]));
+      const positions = sources.map((note) => (frameId ? note.position : absolute.get(note.id)) ?? { x: 0, y: 0 });
+      const bounds = getNodeBounds(sources.map((note, index) => ({ ...note, position: positions[index] })));
+      const newPosition = options.keepSources
+        ? { x: bounds.maxX + CHILD_OFFSET, y: bounds.minY }
+        : {
+            x: positions.reduce((sum, position) => sum + position.x, 0) / positions.length,
+            y: positions.reduce((sum, position) => sum + position.y, 0) / positions.length,
+          };
+
+      const width = clamp(Math.max(...sources.map(getNoteWidth)) + 32, MIN_NOTE_SIZE.width, MAX_NOTE_SIZE.width);
+      const height = clamp(Math.max(...sources.map(getNoteHeight)) + 32 * sources.length, MIN_NOTE_SIZE.height, MAX_NOTE_SIZE.height);
+
+      const { attachment, link, extras } = splitMergeMedia(sources);
+
+      const nextZ = state.highestZ + 1;
+      const mergedNode = ensureNodeShape(
+        {
+          id: makeId(),
+          type: 'sticky',
+          position: newPosition,
+          ...(frameId ? { parentNode: frameId } : {}),
+          data: {
+            text: combinedText,
+            width,
+            height,
+            zIndex: nextZ,
+            ...(attachment ? { attachment } : {}),
+            ...(link ? { link } : {}),
+          },
+        },
+        nextZ,
+      );
+
+      if (options.keepSources) {
+        set({
+          ...recordHistory(state, 'merge notes'),
+          nodes: [...state.nodes, mergedNode],
+          edges: [...state.edges, ...ids.map((id) => ({ ...makeEdge(id, mergedNode.id, 'supports'), label: 'source' }))],
+          highestZ: nextZ,
+          mergePair: null,
+          isMergeDialogOpen: false,
+        });
+        return mergedNode;
+      }
+
+      // Attachments and link cards that don't fit on the merged note get a
+      // note each, stacked to its right and linked to it.
+      let mediaY = newPosition.y;
+      const mediaNotes = extras.map((extra, index) => {
+        const zIndex = nextZ + 1 + index;
+        const note = ensureNodeShape(
+          {
+            id: makeId(),
+            type: 'sticky',
+            position: { x: newPosition.x + width + CHILD_GAP, y: mediaY },
+            ...(frameId ? { parentNode: frameId } : {}),
+            data: { text: '', width: getNoteWidth(extra.note), height: getNoteHeight(extra.note), zIndex, ...extra.data },
+          },
+          zIndex,
+        );
+        mediaY += getNoteHeight(note) + CHILD_GAP;
+        return note;
+      });
+
+      const removedIds = new Set(ids);
+      const survivingNodes = state.nodes.filter((node) => !removedIds.has(node.id));
+      // [[links]] to the merged notes now lead to the merged note.
+      const linkTargets = new Map(ids.map((id) => [id, mergedNode.id]));
+
+      const remappedEdges = [];
+      const seenKeys = new Set();
+      state.edges.forEach((edge) => {
+        let source = edge.source;
+        let target = edge.target;
+        let changed = false;
+        if (removedIds.has(source)) {
+          source = mergedNode.id;
+          changed = true;
+        }
+        if (removedIds.has(target)) {
+          target = mergedNode.id;
+          changed = true;
+        }
+        if (source === target) return;
+        const key = `${source}-${target}`;
+        if (changed) {
+          if (seenKeys.has(key)) return;
+          seenKeys.add(key);
+          remappedEdges.push({ ...edge, id: `e-${makeId()}`, source, target });
+          return;
+        }
+        remappedEdges.push(edge);
+      });
+
+      set({
+        ...recordHistory(state, 'merge notes'),
+        nodes: retargetNoteLinks([...survivingNodes, mergedNode, ...mediaNotes], linkTargets),
+        edges: [...remappedEdges, ...mediaNotes.map((note) => makeEdge(mergedNode.id, note.id))],
+        highestZ: nextZ + mediaNotes.length,
+        mergePair: null,
+        isMergeDialogOpen: false,
+      });
+      return mergedNode;
+    },
+    // Replaces a note with one sibling per part of its text. Each part keeps
+    // the note's look and a copy of every link it had, so a merged note can
+    // be split back apart.
+    splitNote: (id) => {
+      const state = get();
+      const note = state.nodes.find((node) => node.id === id);
+      const parts = note && !isFrame(note) ? splitNoteText(note.data?.text) : [];
+      if (parts.length < 2) return [];
+      let nextZ = state.highestZ;
+      const pieces = parts.map((text, index) => {
+        nextZ += 1;
+        const data = { ...note.data, text, zIndex: nextZ, dragging: false, autoFocus: false };
+        // The attachment and link card stay with the first part.
+        if (index > 0) {
+          delete data.attachment;
+          delete data.link;
+        }
+        return ensureNodeShape(
+          {
+            id: makeId(),
+            type: 'sticky',
+            position: { x: note.position.x + index * (getNoteWidth(note) + CHILD_GAP), y: note.position.y },
+            ...(note.parentNode ? { parentNode: note.parentNode } : {}),
+            data,
+          },
+          nextZ,
+        );
+      });
+      const edges = state.edges.flatMap((edge) => {
+        if (edge.source !== id && edge.target !== id) return [edge];
+        return pieces.map((piece) => ({
+          ...edge,
+          id: `e-${makeId()}`,
+          source: edge.source === id ? piece.id : edge.source,
+          target: edge.target === id ? piece.id : edge.target,
+          selected: false,
+        }));
+      });
+      set({
+        ...recordHistory(state, 'split note'),
+        // [[links]] to the split note lead to its first part.
+        nodes: retargetNoteLinks([...state.nodes.filter((node) => node.id !== id), ...pieces], new Map([[id, pieces[0].id]])),
+        edges,
+        highestZ: nextZ,
+        mergePair: state.mergePair?.ids.includes(id) ? null : state.mergePair,
+        isMergeDialogOpen: state.mergePair?.ids.includes(id) ? false : state.isMergeDialogOpen,
+        contextMenu: null,
+      });
+      return pieces;
+    },
+    // Draws a related link for every [[note link]] whose two notes are not
+    // linked yet. The [[links]] stay in the text. Returns how many were added.
+    convertNoteLinksToEdges: () => {
+      const state = get();
+      const nodeIds = new Set(state.nodes.map((node) => node.id));
+      const linked = new Set(state.edges.flatMap((edge) => [`${edge.source}>${edge.target}`, `${edge.target}>${edge.source}`]));
+      const added = [];
+      state.nodes.forEach((node) => {
+        getNoteLinks(node).forEach((target) => {
+          if (target === node.id || !nodeIds.has(target) || linked.has(`${node.id}>${target}`)) return;
+          linked.add(`${node.id}>${target}`);
+          linked.add(`${target}>${node.id}`);
+          added.push(makeEdge(node.id, target));
+        });
+      });
+      if (added.length) {
+        set({ ...recordHistory(state, 'convert links to edges'), edges: [...state.edges, ...added] });
+      }
+      return added.length;
+    },
+  })),
+);
@@ -0,0 +1,293 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { CHILD_GAP, CHILD_OFFSET, DEFAULT_NOTE_SIZE, HISTORY_COALESCE_MS, HISTORY_LIMIT } from './constants.js';
+import { useCanvasStore } from './store.js';
+
+const store = () => useCanvasStore.getState();
+const note = (id) => store().nodes.find((node) => node.id === id);
+const sticky = (id, x, text) => ({ id, type: 'sticky', position: { x, y: 0 }, data: { text } });
+
+beforeEach(() => {
+  useCanvasStore.setState(useCanvasStore.getInitialState(), true);
+  store().setNodes([sticky('n-a', 0, 'A'), sticky('n-b', 400, 'B'), sticky('n-c', 800, 'C')]);
+});
+
+describe('history', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const type = (text, coalesceKey = 'text:n-a') => store().updateNoteData('n-a', { text }, { label: 'edit text', coalesceKey });
+
+  it('undoes and redoes labeled steps in order', () => {
+    store().updateNoteData('n-a', { text: 'one' }, { label: 'edit text' });
+    store().updateNoteData('n-b', { color: 'rose' }, { label: 'recolor note' });
+    expect(store().past.map((entry) => entry.label)).toEqual(['edit text', 'recolor note']);
+
+    store().undo();
+    expect(note('n-b').data.color).not.toBe('rose');
+    expect(note('n-a').data.text).toBe('one');
+    store().undo();
+    expect(note('n-a').data.text).toBe('A');
+    store().undo();
+    expect(note('n-a').data.text).toBe('A');
+
+    store().redo();
+    store().redo();
+    expect(note('n-a').data.text).toBe('one');
+    expect(note('n-b').data.color).toBe('rose');
+    expect(store().future).toEqual([]);
+  });
+
+  it('starts a new branch of history on a fresh change', () => {
+    type('one', null);
+    store().undo();
+    type('two', null);
+    expect(store().future).toEqual([]);
+    store().redo();
+    expect(note('n-a').data.text).toBe('two');
+  });
+
+  it('folds quick changes with the same key into one step', () => {
+    type('t');
+    vi.advanceTimersByTime(HISTORY_COALESCE_MS - 1);
+    type('ty');
+    vi.advanceTimersByTime(HISTORY_COALESCE_MS - 1);
+    type('typ');
+    expect(store().past).toHaveLength(1);
+
+    vi.advanceTimersByTime(HISTORY_COALESCE_MS);
+    type('typed');
+    type('typed.', 'text:n-b');
+    expect(store().past).toHaveLength(3);
+
+    store().undo();
+    store().undo();
+    expect(note('n-a').data.text).toBe('typ');
+    store().undo();
+    expect(note('n-a').data.text).toBe('A');
+  });
+
+  it('keeps at most HISTORY_LIMIT steps', () => {
+    for (let index = 0; index <= HISTORY_LIMIT; index += 1) {
+      type(`v${index}`, null);
+    }
+    expect(store().past).toHaveLength(HISTORY_LIMIT);
+    expect(store().past[0].nodes.find((node) => node.id === 'n-a').data.text).toBe('v0');
+  });
+
+  it('records a batch as one step, however deeply nested', () => {
+    store().beginHistoryBatch('tidy layout');
+    type('one', null);
+    store().beginHistoryBatch('nested');
+    store().updateNoteData('n-b', { text: 'two' }, { label: 'edit text' });
+    store().endHistoryBatch();
+    expect(store().historyBatch).toMatchObject({ label: 'tidy layout', depth: 1, dirty: true });
+    store().endHistoryBatch();
+
+    expect(store().historyBatch).toBeNull();
+    expect(store().past.map((entry) => entry.label)).toEqual(['tidy layout']);
+    store().undo();
+    expect([note('n-a').data.text, note('n-b').data.text]).toEqual(['A', 'B']);
+  });
+
+  it('records nothing for a batch without changes', () => {
+    store().beginHistoryBatch('move notes');
+    store().endHistoryBatch();
+    expect(store().past).toEqual([]);
+  });
+
+  it('closes an open batch on undo', () => {
+    type('one', null);
+    store().beginHistoryBatch('move notes');
+    store().undo();
+    expect(store().historyBatch).toBeNull();
+    expect(note('n-a').data.text).toBe('A');
+  });
+
+  it('keeps new notes on top after undo and redo bring back higher ones', () => {
+    store().setNodes((nodes) => nodes.map((node) => ({ ...node, data: { ...node.data, zIndex: 10 } })));
+    store().replaceState({ nodes: [sticky('n-x', 0, 'Imported')] }, { label: 'import' });
+    expect(store().highestZ).toBe(1);
+
+    store().undo();
+    expect(store().highestZ).toBe(10);
+    store().createNote({ x: 0, y: 400 });
+    expect(store().nodes.at(-1).data.zIndex).toBe(11);
+
+    store().undo();
+    store().redo();
+    expect(store().highestZ).toBe(11);
+  });
+});
+
+describe('merge and split', () => {
+  const photo = (id) => ({ id, name: `${id}.png`, type: 'image/png' });
+  const card = (url) => ({ url, title: url, favicon: '' });
+  const edge = (id, source, target, relation = 'related') => ({ id, source, target, type: 'smoothstep', data: { relation } });
+  const merge = (ids, options) => {
+    store().setMergePair({ ids });
+    return store().mergeNotes(options);
+  };
+  const ends = () => store().edges.map(({ source, target }) => `${source}>${target}`);
+
+  beforeEach(() => {
+    store().setNodes((nodes) => [...nodes, { ...sticky('n-d', 0, 'See [[n-a|A]] and [[n-b|B]]'), position: { x: 0, y: 600 } }]);
+    store().setEdges([edge('e1', 'n-a', 'n-d'), edge('e2', 'n-b', 'n-d'), edge('e3', 'n-c', 'n-a', 'child'), edge('e4', 'n-a', 'n-b')]);
+  });
+
+  it('merges several notes into one at their center and rewires their links', () => {
+    const merged = merge(['n-a', 'n-b', 'n-c']);
+    expect(merged.data.text).toBe('A\n\n---\n\nB\n\n---\n\nC');
+    expect(merged.position).toEqual({ x: 400, y: 0 });
+    expect(store().nodes.map((node) => node.id)).toEqual(['n-d', merged.id]);
+    // e1 and e2 both become merged>n-d, and links between the sources go away.
+    expect(ends()).toEqual([`${merged.id}>n-d`]);
+    expect(note('n-d').data.text).toBe(`See [[${merged.id}|A]] and [[${merged.id}|B]]`);
+    expect(store().mergePair).toBeNull();
+
+    store().undo();
+    expect(store().nodes.map((node) => node.id)).toEqual(['n-a', 'n-b', 'n-c', 'n-d']);
+    expect(store().edges).toHaveLength(4);
+  });
+
+  it('keeps the sources beside the merged note when asked', () => {
+    const merged = merge(['n-a', 'n-b'], { keepSources: true, text: 'Summary' });
+    expect(merged.data.text).toBe('Summary');
+    expect(merged.position).toEqual({ x: 400 + DEFAULT_NOTE_SIZE.width + CHILD_OFFSET, y: 0 });
+    expect(note('n-a')).toBeDefined();
+    expect(store().edges.slice(-2).map(({ source, target, data, label }) => [source, target, data.relation, label])).toEqual([
+      ['n-a', merged.id, 'supports', 'source'],
+      ['n-b', merged.id, 'supports', 'source'],
+    ]);
+    expect(note('n-d').data.text).toBe('See [[n-a|A]] and [[n-b|B]]');
+  });
+
+  it('gives every attachment and link card beyond the first a note of its own', () => {
+    store().updateNoteData('n-a', { attachment: photo('one') });
+    store().updateNoteData('n-b', { attachment: photo('two'), link: card('https://b.example') });
+    store().updateNoteData('n-c', { link: card('https://c.example') });
+
+    const merged = merge(['n-a', 'n-b', 'n-c']);
+    expect(merged.data.attachment.id).toBe('one');
+    expect(merged.data.link.url).toBe('https://b.example');
+
+    const media = store().nodes.filter((node) => node.id !== merged.id && node.id !== 'n-d');
+    expect(media.map((node) => [node.data.attachment?.id, node.data.link?.url])).toEqual([
+      ['two', undefined],
+      [undefined, 'https://c.example'],
+    ]);
+    expect(media[0].position.x).toBe(merged.position.x + merged.data.width + CHILD_GAP);
+    expect(media[1].position.y).toBeGreaterThan(media[0].position.y);
+    expect(ends().slice(-2)).toEqual(media.map((node) => `${merged.id}>${node.id}`));
+    expect(store().highestZ).toBe(merged.data.zIndex + 2);
+  });
+
+  it('leaves a merge of notes in one frame inside it', () => {
+    store().setNodes((nodes) => [
+      { id: 'n-f', type: 'frame', position: { x: 1000, y: 1000 }, data: { title: 'Box' } },
+      ...nodes.map((node) => (node.id === 'n-a' || node.id === 'n-b' ? { ...node, parentNode: 'n-f' } : node)),
+    ]);
+    const merged = merge(['n-a', 'n-b']);
+    expect(merged.parentNode).toBe('n-f');
+    expect(merged.position).toEqual({ x: 200, y: 0 });
+  });
+
+  it('splits a merged note back into side-by-side parts that keep its links', () => {
+    const merged = merge(['n-a', 'n-b', 'n-c']);
+    const pieces = store().splitNote(merged.id);
+    expect(pieces.map((piece) => piece.data.text)).toEqual(['A', 'B', 'C']);
+    expect(pieces.map((piece) => piece.position)).toEqual(
+      [0, 1, 2].map((index) => ({ x: merged.position.x + index * (merged.data.width + CHILD_GAP), y: merged.position.y })),
+    );
+    expect(pieces.map((piece) => piece.data.zIndex)).toEqual([1, 2, 3].map((step) => merged.data.zIndex + step));
+    expect(ends()).toEqual(pieces.map((piece) => `${piece.id}>n-d`));
+    expect(note('n-d').data.text).toBe(`See [[${pieces[0].id}|A]] and [[${pieces[0].id}|B]]`);
+  });
+
+  it('splits at blank lines and keeps media on the first part', () => {
+    store().updateNoteData('n-a', { text: 'One\n\nTwo', attachment: photo('one'), color: 'rose' });
+    const [first, second] = store().splitNote('n-a');
+    expect([first.data.attachment?.id, second.data.attachment]).toEqual(['one', undefined]);
+    expect(second.data.color).toBe('rose');
+    expect(store().splitNote('n-b')).toEqual([]);
+  });
+});
+
+describe('note links', () => {
+  it('draws one related link per linked pair that is not linked yet', () => {
+    store().updateNoteData('n-a', { text: 'See [[n-b|B]], [[n-b|again]], [[n-c|C]], [[n-a|me]] and [[n-gone|Gone]]' });
+    store().updateNoteData('n-b', { text: 'Back to [[n-a|A]]' });
+    store().setEdges([{ id: 'e1', source: 'n-c', target: 'n-a', type: 'smoothstep', data: { relation: 'child' } }]);
+
+    expect(store().convertNoteLinksToEdges()).toBe(1);
+    const added = store().edges.at(-1);
+    expect([added.source, added.target, added.data.relation]).toEqual(['n-a', 'n-b', 'related']);
+    expect(note('n-a').data.text).toContain('[[n-b|B]]');
+    expect(store().past.at(-1).label).toBe('convert links to edges');
+
+    const steps = store().past.length;
+    expect(store().convertNoteLinksToEdges()).toBe(0);
+    expect(store().past).toHaveLength(steps);
+  });
+});
+
+describe('remote changes', () => {
+  // A peer's update as pullRemoteChanges hands it over: untouched notes keep
+  // their objects.
+  const applyRemote = (update) => {
+    const { nodes, edges } = store();
+    store().applyRemoteElements(update({ nodes, edges }));
+  };
+  const editText = (nodes, id, text) => nodes.map((node) => (node.id === id ? { ...node, data: { ...node.data, text } } : node));
+
+  it('keeps a peer edit when the local step before it is undone', () => {
+    store().updateNoteData('n-a', { text: 'A local' }, { label: 'edit text' });
+    applyRemote(({ nodes, edges }) => ({ nodes: editText(nodes, 'n-b', 'B remote'), edges }));
+    store().undo();
+    expect(note('n-a').data.text).toBe('A');
+    expect(note('n-b').data.text).toBe('B remote');
+  });
+
+  it('keeps notes and links a peer added or removed', () => {
+    store().updateNoteData('n-a', { text: 'A local' }, { label: 'edit text' });
+    applyRemote(({ nodes, edges }) => ({
+      nodes: [...nodes.filter((node) => node.id !== 'n-c'), sticky('n-d', 1200, 'D')],
+      edges: [...edges, { id: 'e-remote', source: 'n-a', target: 'n-d', data: { relation: 'related' } }],
+    }));
+    store().undo();
+    expect(store().nodes.map((node) => node.id)).toEqual(['n-a', 'n-b', 'n-d']);
+    expect(store().edges.map((edge) => edge.id)).toEqual(['e-remote']);
+    expect(note('n-a').data.text).toBe('A');
+  });
+
+  it('does not bring back a note a peer deleted after a local edit to it', () => {
+    store().updateNoteData('n-c', { text: 'C local' }, { label: 'edit text' });
+    applyRemote(({ nodes, edges }) => ({ nodes: nodes.filter((node) => node.id !== 'n-c'), edges }));
+    store().undo();
+    expect(note('n-c')).toBeUndefined();
+  });
+
+  it('rebases a history batch that is still open', () => {
+    store().beginHistoryBatch('move notes');
+    store().setNodes((nodes) => nodes.map((node) => (node.id === 'n-a' ? { ...node, position: { x: 50, y: 50 } } : node)), {
+      label: 'move notes',
+    });
+    applyRemote(({ nodes, edges }) => ({ nodes: editText(nodes, 'n-b', 'B remote'), edges }));
+    store().endHistoryBatch();
+    store().undo();
+    expect(note('n-a').position).toEqual({ x: 0, y: 0 });
+    expect(note('n-b').data.text).toBe('B remote');
+  });
+
+  it('drops what was left to redo', () => {
+    store().updateNoteData('n-a', { text: 'A local' }, { label: 'edit text' });
+    store().undo();
+    applyRemote(({ nodes, edges }) => ({ nodes: editText(nodes, 'n-b', 'B remote'), edges }));
+    expect(store().future).toEqual([]);
+  });
+});
@@ -0,0 +1,255 @@
+import {
+  FRAME_HEADER_HEIGHT,
+  FRAME_PADDING,
+  makeId,
+  makeTemplateId,
+  MAX_NOTE_PLACEHOLDER,
+  MAX_TEMPLATE_NAME,
+  TEMPLATE_DATA_KEYS,
+  TEMPLATE_FILE_TYPE,
+  TEMPLATE_FILE_VERSION,
+} from './constants.js';
+import { db } from './db.js';
+import { getEdgeRelation, makeEdge } from './edges.js';
+import { validateImport } from './importers.js';
+import { NOTE_LINK_PATTERN, plainNoteLinks, retargetNoteLinks } from './links.js';
+import { isImageAttachment } from './media.js';
+import { getNodeBounds, isFrame, orderForFlow, toAbsoluteNodes } from './nodes.js';
+import { useCanvasStore } from './store.js';
+
+// Attachment bytes stay out of templates; the note keeps the file's name as
+// its placeholder so the copy shows what used to go there.
+const pickTemplateData = (node, asPlaceholders) => {
+  const data = Object.fromEntries(TEMPLATE_DATA_KEYS.filter((key) => node.data?.[key] !== undefined).map((key) => [key, node.data[key]]));
+  if (asPlaceholders && !isFrame(node) && data.text) {
+    data.placeholder = plainNoteLinks(data.text).slice(0, MAX_NOTE_PLACEHOLDER);
+    data.text = '';
+  }
+  if (node.data?.attachment && !data.placeholder) {
+    data.placeholder = `${isImageAttachment(node.data.attachment) ? 'Image' : 'File'}: ${node.data.attachment.name}`.slice(0, MAX_NOTE_PLACEHOLDER);
+  }
+  return data;
+};
+
+const toTemplateEdge = (edge, source, target) => ({
+  id: edge.id,
+  source,
+  target,
+  data: { relation: getEdgeRelation(edge) },
+  ...(typeof edge.label === 'string' && edge.label ? { label: edge.label } : {}),
+});
+
+// Copies the picked notes (the whole wall when `ids` is null) into a
+// template. Notes inside a picked frame come along with it. Positions are
+// relative to the block's top-left corner, or to their frame, and ids become
+// local. Inline links to notes left out turn into their labels. With
+// `asPlaceholders` note text becomes the placeholder of an empty note.
+// `attachmentCount` says how many attachments were left behind.
+export const buildTemplate = ({ name, nodes, edges, ids = null, asPlaceholders = false }) => {
+  const picked = new Set(ids ?? nodes.map((node) => node.id));
+  nodes.forEach((node) => {
+    if (node.parentNode && picked.has(node.parentNode)) picked.add(node.id);
+  });
+  const absolute = toAbsoluteNodes(nodes).filter((node) => picked.has(node.id));
+  const bounds = getNodeBounds(absolute);
+  if (!bounds) return null;
+  const byId = new Map(absolute.map((node) => [node.id, node]));
+  // Local ids keep the note id format so links between the notes still parse.
+  const localIds = new Map(absolute.map((node, index) => [node.id, `n-t${index + 1}`]));
+  const templateNodes = orderForFlow(absolute).map((node) => {
+    const frame = node.parentNode && byId.get(node.parentNode);
+    const data = pickTemplateData(node, asPlaceholders);
+    if (data.text) {
+      data.text = data.text.replace(NOTE_LINK_PATTERN, (match, target, label) =>
+        localIds.has(target) ? `[[${localIds.get(target)}${label === undefined ? '' : `|${label}`}]]` : label || target,
+      );
+    }
+    return {
+      id: localIds.get(node.id),
+      type: node.type ?? 'sticky',
+      position: frame
+        ? { x: node.position.x - frame.position.x, y: node.position.y - frame.position.y }
+        : { x: node.position.x - bounds.minX, y: node.position.y - bounds.minY },
+      ...(frame ? { parentNode: localIds.get(frame.id) } : {}),
+      data,
+    };
+  });
+  const templateEdges = edges
+    .filter((edge) => localIds.has(edge.source) && localIds.has(edge.target))
+    .map((edge, index) => toTemplateEdge({ ...edge, id: `te${index + 1}` }, localIds.get(edge.source), localIds.get(edge.target)));
+  return {
+    template: { name: name.trim().slice(0, MAX_TEMPLATE_NAME) || 'Untitled template', nodes: templateNodes, edges: templateEdges },
+    attachmentCount: absolute.filter((node) => node.data?.attachment).length,
+  };
+};
+
+// Fresh notes and links from a template, centered on `center` and ready for
+// appendElements. Inline links between the notes follow them to their new ids.
+export const instantiateTemplate = (template, center) => {
+  const idMap = new Map(template.nodes.map((node) => [node.id, makeId()]));
+  const bounds = getNodeBounds(template.nodes.filter((node) => !node.parentNode));
+  const dx = center.x - (bounds.minX + bounds.maxX) / 2;
+  const dy = center.y - (bounds.minY + bounds.maxY) / 2;
+  const nodes = template.nodes.map((node) => ({
+    id: idMap.get(node.id),
+    type: node.type,
+    position: node.parentNode ? { ...node.position } : { x: node.position.x + dx, y: node.position.y + dy },
+    ...(node.parentNode ? { parentNode: idMap.get(node.parentNode) } : {}),
+    data: { ...node.data, ...(node.data.tags ? { tags: [...node.data.tags] } : {}) },
+  }));
+  const edges = template.edges.map((edge) => ({
+    ...makeEdge(idMap.get(edge.source), idMap.get(edge.target), getEdgeRelation(edge)),
+    ...(edge.label ? { label: edge.label } : {}),
+  }));
+  return { nodes: orderForFlow(retargetNoteLinks(nodes, idMap)), edges };
+};
+
+const starterNote = (id, x, y, placeholder, data = {}) => ({ id, type: 'sticky', position: { x, y }, data: { text: '', placeholder, ...data } });
+
+const starterFrame = (id, x, y, title, color, width, height) => ({ id, type: 'frame', position: { x, y }, data: { title, color, width, height } });
+
+// A frame with one empty note in its top-left corner.
+const starterColumn = (id, x, y, title, color, placeholder, size = { width: 400, height: 560 }) => [
+  starterFrame(id, x, y, title, color, size.width, size.height),
+  { ...starterNote(`${id}-note`, FRAME_PADDING, FRAME_HEADER_HEIGHT + FRAME_PADDING, placeholder, { color }), parentNode: id },
+];
+
+export const STARTER_TEMPLATES = [
+  {
+    id: 'starter-retro',
+    name: 'Retrospective',
+    builtIn: true,
+    nodes: [
+      ...starterColumn('good', 0, 0, 'Went well', 'emerald', 'What went well?'),
+      ...starterColumn('improve', 440, 0, 'To improve', 'rose', 'What slowed us down?'),
+      ...starterColumn('actions', 880, 0, 'Action items', 'sky', 'What will we try next?'),
+    ],
+    edges: [],
+  },
+  {
+    id: 'starter-swot',
+    name: 'SWOT analysis',
+    builtIn: true,
+    nodes: [
+      ...starterColumn('strengths', 0, 0, 'Strengths', 'emerald', 'What do we do well?', { width: 560, height: 420 }),
+      ...starterColumn('weaknesses', 600, 0, 'Weaknesses', 'rose', 'Where are we lacking?', { width: 560, height: 420 }),
+      ...starterColumn('opportunities', 0, 460, 'Opportunities', 'sky', 'What could we take advantage of?', { width: 560, height: 420 }),
+      ...starterColumn('threats', 600, 460, 'Threats', 'amber', 'What could hurt us?', { width: 560, height: 420 }),
+    ],
+    edges: [],
+  },
+  {
+    id: 'starter-story-map',
+    name: 'User story map',
+    builtIn: true,
+    nodes: [1, 2, 3].flatMap((step) => {
+      const x = (step - 1) * 360;
+      return [
+        starterNote(`activity${step}`, x, 0, `Step ${step} of the user's journey, e.g. Sign up`, { color: 'violet' }),
+        starterNote(`story${step}a`, x, 320, 'As a …, I want … so that …'),
+        starterNote(`story${step}b`, x, 580, 'A later story for this step'),
+      ];
+    }),
+    edges: [1, 2, 3].flatMap((step) => [
+      { id: `activity${step}-a`, source: `activity${step}`, target: `story${step}a`, data: { relation: 'child' } },
+      { id: `activity${step}-b`, source: `activity${step}`, target: `story${step}b`, data: { relation: 'child' } },
+    ]),
+  },
+  {
+    id: 'starter-decision',
+    name: 'Decision record',
+    builtIn: true,
+    nodes: [
+      starterNote('title', 540, 0, 'Decision title, e.g. Keep notes in IndexedDB', { color: 'slate' }),
+      starterNote('context', 0, 320, 'Context: what forces and constraints are at play?'),
+      starterNote('options', 360, 320, 'Options: what did we consider?'),
+      starterNote('decision', 720, 320, 'Decision: what did we choose, and why?', { color: 'emerald' }),
+      starterNote('consequences', 1080, 320, 'Consequences: what becomes easier or harder?', { color: 'rose' }),
+    ],
+    edges: [
+      ...['context', 'options', 'decision', 'consequences'].map((id) => ({ id: `title-${id}`, source: 'title', target: id, data: { relation: 'child' } })),
+      { id: 'options-decision', source: 'options', target: 'decision', data: { relation: 'supports' } },
+    ],
+  },
+];
+
+export const toTemplateFile = (templates) => ({
+  type: TEMPLATE_FILE_TYPE,
+  version: TEMPLATE_FILE_VERSION,
+  templates: templates.map(({ name, nodes, edges }) => ({ name, nodes, edges })),
+});
+
+// Templates from a file written by toTemplateFile. Notes and links go through
+// the same checks as a wall import, and templates with no valid notes are
+// skipped; each problem comes back as a message.
+export const parseTemplateFile = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON.');
+  }
+  if (parsed?.type !== TEMPLATE_FILE_TYPE || !Array.isArray(parsed.templates)) {
+    throw new Error('Not a Synapse template file.');
+  }
+  if (!Number.isInteger(parsed.version)) {
+    throw new Error('Template file has no version.');
+  }
+  if (parsed.version > TEMPLATE_FILE_VERSION) {
+    throw new Error(`Template file version ${parsed.version} is newer than this app supports.`);
+  }
+  const errors = [];
+  const templates = [];
+  parsed.templates.forEach((entry, index) => {
+    const label = typeof entry?.name === 'string' && entry.name.trim() ? entry.name.trim() : `Template ${index + 1}`;
+    if (!Array.isArray(entry?.nodes) || (entry.edges !== undefined && !Array.isArray(entry.edges))) {
+      errors.push(`${label}: needs a list of notes.`);
+      return;
+    }
+    const validated = validateImport({ nodes: entry.nodes, edges: entry.edges ?? [] });
+    errors.push(...validated.errors.map((message) => `${label}: ${message}`));
+    if (!validated.nodes.length) {
+      errors.push(`${label}: has no valid notes.`);
+      return;
+    }
+    templates.push({
+      name: label.slice(0, MAX_TEMPLATE_NAME),
+      nodes: orderForFlow(validated.nodes).map((node) => ({
+        id: node.id,
+        type: node.type,
+        position: node.position,
+        ...(node.parentNode ? { parentNode: node.parentNode } : {}),
+        data: pickTemplateData(node, false),
+      })),
+      edges: validated.edges.map((edge) => toTemplateEdge(edge, edge.source, edge.target)),
+    });
+  });
+  return { templates, errors };
+};
+
+export const refreshTemplates = async () => {
+  const templates = await db.templates.orderBy('updatedAt').reverse().toArray();
+  useCanvasStore.getState().setTemplates(templates);
+  return templates;
+};
+
+export const saveTemplates = async (templates) => {
+  const now = Date.now();
+  await db.templates.bulkAdd(templates.map((template) => ({ ...template, id: makeTemplateId(), createdAt: now, updatedAt: now })));
+  await refreshTemplates();
+};
+
+export const deleteTemplate = async (id) => {
+  await db.templates.delete(id);
+  await refreshTemplates();
+};
+
+// Adds a template's notes to the wall as one undo step and selects them.
+export const placeTemplate = (template, center) => {
+  const store = useCanvasStore.getState();
+  const { nodes, edges } = instantiateTemplate(template, center);
+  store.setNodes((current) => current.map((node) => (node.selected ? { ...node, selected: false } : node)));
+  store.appendElements({ nodes: nodes.map((node) => ({ ...node, selected: !node.parentNode })), edges }, { label: 'insert template' });
+};
+
+export const findTemplate = (id) => STARTER_TEMPLATES.find((template) => template.id === id) ?? useCanvasStore.getState().templates.find((template) => template.id === id);
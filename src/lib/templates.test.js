@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import { STARTER_TEMPLATES, buildTemplate, instantiateTemplate, parseTemplateFile, toTemplateFile } from './templates.js';
+
+describe('templates', () => {
+  const wallNodes = [
+    { id: 'n-frame', type: 'frame', position: { x: 500, y: 300 }, data: { title: 'Ideas', width: 600, height: 400 } },
+    { id: 'n-inside', type: 'sticky', position: { x: 20, y: 60 }, parentNode: 'n-frame', data: { text: 'Framed' } },
+    { id: 'n-root', type: 'sticky', position: { x: 100, y: 100 }, data: { text: 'See [[n-inside|the framed note]] and [[n-away|elsewhere]]', tags: ['plan'] } },
+    { id: 'n-photo', type: 'sticky', position: { x: 100, y: 400 }, data: { text: '', attachment: { id: 'b1', name: 'sketch.png', type: 'image/png' } } },
+    { id: 'n-away', type: 'sticky', position: { x: 4000, y: 4000 }, data: { text: 'Not picked' } },
+  ];
+  const wallEdges = [
+    { id: 'e1', source: 'n-root', target: 'n-inside', data: { relation: 'child' } },
+    { id: 'e2', source: 'n-root', target: 'n-away', data: { relation: 'related' } },
+    { id: 'e3', source: 'n-root', target: 'n-photo', data: { relation: 'supports' }, label: 'shows' },
+  ];
+  const build = (options = {}) =>
+    buildTemplate({ name: ' Planning ', nodes: wallNodes, edges: wallEdges, ids: ['n-frame', 'n-root', 'n-photo'], ...options });
+  const byText = (nodes, text) => nodes.find((node) => node.data.text === text);
+
+  it('copies the picked notes with local ids and relative positions', () => {
+    const { template, attachmentCount } = build();
+    expect(template.name).toBe('Planning');
+    expect(template.nodes.map((node) => node.id).sort()).toEqual(['n-t1', 'n-t2', 'n-t3', 'n-t4']);
+    expect(template.nodes[0].type).toBe('frame');
+    expect(attachmentCount).toBe(1);
+
+    const frame = template.nodes.find((node) => node.type === 'frame');
+    const inside = byText(template.nodes, 'Framed');
+    expect(frame.position).toEqual({ x: 400, y: 200 });
+    expect(inside).toMatchObject({ parentNode: frame.id, position: { x: 20, y: 60 } });
+    expect(byText(template.nodes, '').data).toEqual({ text: '', placeholder: 'Image: sketch.png' });
+
+    const root = template.nodes.find((node) => node.data.tags);
+    expect(root.position).toEqual({ x: 0, y: 0 });
+    expect(root.data.text).toBe(`See [[${inside.id}|the framed note]] and elsewhere`);
+  });
+
+  it('keeps links between picked notes only', () => {
+    const { template } = build();
+    const root = template.nodes.find((node) => node.data.tags);
+    const photo = template.nodes.find((node) => node.data.placeholder);
+    expect(template.edges).toEqual([
+      { id: 'te1', source: root.id, target: byText(template.nodes, 'Framed').id, data: { relation: 'child' } },
+      { id: 'te2', source: root.id, target: photo.id, data: { relation: 'supports' }, label: 'shows' },
+    ]);
+  });
+
+  it('turns note text into placeholders on request', () => {
+    const { template } = build({ asPlaceholders: true });
+    const root = template.nodes.find((node) => node.data.tags);
+    expect(root.data).toMatchObject({ text: '', placeholder: 'See the framed note and elsewhere' });
+  });
+
+  it('returns null when nothing is picked', () => {
+    expect(buildTemplate({ name: 'Empty', nodes: wallNodes, edges: wallEdges, ids: [] })).toBeNull();
+  });
+
+  it('instantiates fresh notes around the center with links and frames remapped', () => {
+    const { template } = build();
+    const first = instantiateTemplate(template, { x: 0, y: 0 });
+    const second = instantiateTemplate(template, { x: 0, y: 0 });
+    const ids = first.nodes.map((node) => node.id);
+    expect(new Set([...ids, ...second.nodes.map((node) => node.id)]).size).toBe(8);
+    ids.forEach((id) => expect(id).toMatch(/^n-[a-z0-9]+$/));
+    expect(ids.some((id) => id.startsWith('n-t'))).toBe(false);
+
+    const frame = first.nodes.find((node) => node.type === 'frame');
+    const inside = byText(first.nodes, 'Framed');
+    const root = first.nodes.find((node) => node.data.tags);
+    expect(first.nodes[0]).toBe(frame);
+    expect(inside).toMatchObject({ parentNode: frame.id, position: { x: 20, y: 60 } });
+    // The template spans 1000 by 600, so its top-left corner lands at (-500, -300).
+    expect(root.position).toEqual({ x: -500, y: -300 });
+    expect(frame.position).toEqual({ x: -100, y: -100 });
+    expect(root.data.text).toBe(`See [[${inside.id}|the framed note]] and elsewhere`);
+    expect(root.data.tags).not.toBe(template.nodes.find((node) => node.data.tags).data.tags);
+
+    expect(first.edges.map(({ source, target, data, label }) => ({ source, target, relation: data.relation, label }))).toEqual([
+      { source: root.id, target: inside.id, relation: 'child', label: undefined },
+      { source: root.id, target: byText(first.nodes, '').id, relation: 'supports', label: 'shows' },
+    ]);
+  });
+
+  it('round-trips templates through a template file', () => {
+    const { template } = build();
+    const file = JSON.stringify(toTemplateFile([template, ...STARTER_TEMPLATES]));
+    const { templates, errors } = parseTemplateFile(file);
+    expect(errors).toEqual([]);
+    // Frames come first, as React Flow needs them before their notes.
+    const flowOrder = (nodes) => [...nodes.filter((node) => node.type === 'frame'), ...nodes.filter((node) => node.type !== 'frame')];
+    expect(templates).toMatchObject([template, ...STARTER_TEMPLATES].map(({ name, nodes, edges }) => ({ name, nodes: flowOrder(nodes), edges })));
+  });
+
+  it('rejects files that are not template files', () => {
+    expect(() => parseTemplateFile('{')).toThrow('File is not valid JSON.');
+    expect(() => parseTemplateFile(JSON.stringify({ type: 'something-else', templates: [] }))).toThrow('Not a Synapse template file.');
+    const file = toTemplateFile([]);
+    expect(() => parseTemplateFile(JSON.stringify({ ...file, version: undefined }))).toThrow('Template file has no version.');
+    expect(() => parseTemplateFile(JSON.stringify({ ...file, version: '1' }))).toThrow('Template file has no version.');
+    expect(() => parseTemplateFile(JSON.stringify({ ...file, version: file.version + 1 }))).toThrow(/newer than this app supports/);
+  });
+
+  it('skips broken templates and reports why', () => {
+    const file = toTemplateFile([
+      { name: 'No notes', nodes: 'nope', edges: [] },
+      { name: 'Bad notes', nodes: [{ id: 'a', type: 'sticky', position: { x: 'left' }, data: {} }], edges: [] },
+      { name: 'Good', nodes: [{ id: 'a', type: 'sticky', position: { x: 0, y: 0 }, data: { text: 'Hi' } }], edges: [] },
+    ]);
+    const { templates, errors } = parseTemplateFile(JSON.stringify(file));
+    expect(templates.map((template) => template.name)).toEqual(['Good']);
+    expect(errors).toContain('No notes: needs a list of notes.');
+    expect(errors).toContain('Bad notes: has no valid notes.');
+  });
+});
@@ -0,0 +1,231 @@
+import { MAX_NOTE_TEXT, VOICE_SEGMENT_MS } from './constants.js';
+import { useCanvasStore } from './store.js';
+
+// Phrases are matched whole once punctuation is dropped, so "New note." and
+// "new note" are the same command. Captures keep the speaker's casing.
+const VOICE_COMMANDS = [
+  { type: 'new-note', pattern: /^(?:new|create|add) note(?: (?:saying|that says) (.+))?$/i },
+  { type: 'branch', pattern: /^(?:branch|add (?:a )?child|new child)(?: note)?$/i },
+  { type: 'merge', pattern: /^merge(?: these| them| notes| these notes)?$/i },
+  { type: 'delete', pattern: /^(?:delete|remove)(?: this| these| it| them| notes?| this note| these notes)?$/i },
+  { type: 'search', pattern: /^(?:search|find|look) for (.+)$/i },
+  { type: 'stop', pattern: /^stop (?:listening|dictation|dictating)$/i },
+];
+
+export const parseVoiceCommand = (spoken) => {
+  const phrase = spoken.replace(/[.,!?;:"]+/g, ' ').replace(/\s+/g, ' ').trim();
+  for (const { type, pattern } of VOICE_COMMANDS) {
+    const match = phrase.match(pattern);
+    if (match) return { type, text: match[1] ?? '' };
+  }
+  return null;
+};
+
+// Splices a dictated phrase in at the caret; "new line" and "new paragraph"
+// are spoken line breaks.
+export const insertDictation = (before, after, spoken) => {
+  const chunk = spoken
+    .trim()
+    .replace(/\s*\bnew paragraph\b\s*/gi, '\n\n')
+    .replace(/\s*\bnew line\b\s*/gi, '\n');
+  const spacer = before && !/\s$/.test(before) && !chunk.startsWith('\n') ? ' ' : '';
+  const head = `${before}${spacer}${chunk}`.slice(0, MAX_NOTE_TEXT);
+  return { text: `${head}${after}`.slice(0, MAX_NOTE_TEXT), caret: head.length };
+};
+
+// Each backend turns microphone audio into `onResult({ text, isFinal })`
+// calls until `stop()`; another engine only needs another entry here.
+export const VOICE_BACKENDS = {
+  browser: {
+    label: 'Browser speech recognition',
+    isAvailable: () => Boolean(window.SpeechRecognition || window.webkitSpeechRecognition),
+    create: ({ lang, onResult, onError }) => {
+      const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+      const recognition = new Recognition();
+      recognition.continuous = true;
+      recognition.interimResults = true;
+      if (lang) recognition.lang = lang;
+      let stopped = false;
+
+      recognition.onresult = (event) => {
+        for (let index = event.resultIndex; index < event.results.length; index += 1) {
+          const result = event.results[index];
+          onResult({ text: result[0].transcript, isFinal: result.isFinal });
+        }
+      };
+      recognition.onerror = (event) => {
+        // A quiet stretch is not a failure; the restart below picks it up.
+        if (event.error === 'no-speech' || event.error === 'aborted') return;
+        stopped = true;
+        onError(new Error(event.error === 'not-allowed' ? 'Microphone access was denied.' : `Speech recognition failed (${event.error}).`));
+      };
+      // Browsers end continuous recognition after a while; keep listening
+      // until asked to stop.
+      recognition.onend = () => {
+        if (!stopped) recognition.start();
+      };
+      recognition.start();
+
+      return {
+        stop: () => {
+          stopped = true;
+          recognition.stop();
+        },
+      };
+    },
+  },
+  http: {
+    label: 'Local speech-to-text server',
+    isAvailable: () => Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder),
+    // Posts the audio in VOICE_SEGMENT_MS pieces to the endpoint, which
+    // answers each with `{ text }` (see scripts/mock-stt.js).
+    create: ({ endpoint, lang, onResult, onError }) => {
+      let stopped = false;
+      let stream = null;
+      let recorder = null;
+      let segmentTimer;
+
+      const stop = () => {
+        stopped = true;
+        window.clearTimeout(segmentTimer);
+        if (recorder && recorder.state !== 'inactive') recorder.stop();
+        stream?.getTracks().forEach((track) => track.stop());
+      };
+
+      const transcribe = async (blob) => {
+        if (!blob.size || stopped) return;
+        try {
+          const url = new URL(endpoint);
+          if (lang) url.searchParams.set('lang', lang);
+          const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': blob.type || 'application/octet-stream' },
+            body: blob,
+          });
+          if (!response.ok) throw new Error(`Speech server responded with ${response.status}.`);
+          const { text } = await response.json();
+          if (!stopped && text?.trim()) onResult({ text: text.trim(), isFinal: true });
+        } catch (error) {
+          if (stopped) return;
+          stop();
+          onError(new Error(`Speech server unavailable: ${error.message}`));
+        }
+      };
+
+      // Every segment is recorded as a complete file so the server never has
+      // to stitch container fragments together.
+      const record = () => {
+        recorder = new MediaRecorder(stream);
+        recorder.ondataavailable = (event) => transcribe(event.data);
+        recorder.onstop = () => {
+          if (!stopped) record();
+        };
+        recorder.start();
+        segmentTimer = window.setTimeout(() => recorder.stop(), VOICE_SEGMENT_MS);
+      };
+
+      navigator.mediaDevices
+        .getUserMedia({ audio: true })
+        .then((media) => {
+          stream = media;
+          if (stopped) {
+            stop();
+            return;
+          }
+          record();
+        })
+        .catch(() => {
+          if (stopped) return;
+          stopped = true;
+          onError(new Error('Microphone access was denied.'));
+        });
+
+      return { stop };
+    },
+  },
+};
+
+export let voiceSession = null;
+
+export const stopVoice = (error = '') => {
+  const session = voiceSession;
+  voiceSession = null;
+  session?.backend?.stop();
+  useCanvasStore.getState().setVoiceState({ voiceStatus: error ? 'error' : 'off', voiceInterim: '', voiceMessage: error });
+};
+
+// A focused note textarea takes dictation; everything else is a command.
+const getDictationTarget = () => {
+  const element = document.activeElement;
+  return element instanceof HTMLTextAreaElement && element.dataset.noteId ? element : null;
+};
+
+const handleTranscript = (session, { text, isFinal }) => {
+  const store = useCanvasStore.getState();
+  if (!isFinal) {
+    store.setVoiceState({ voiceInterim: text });
+    return;
+  }
+  store.setVoiceState({ voiceInterim: '' });
+  const command = parseVoiceCommand(text);
+  const target = getDictationTarget();
+
+  if (target) {
+    if (command?.type === 'stop') {
+      target.blur();
+      store.setVoiceState({ voiceMessage: 'Dictation stopped' });
+      return;
+    }
+    const { noteId } = target.dataset;
+    const next = insertDictation(
+      target.value.slice(0, target.selectionStart),
+      target.value.slice(target.selectionEnd),
+      text,
+    );
+    store.updateNoteData(noteId, { text: next.text }, { label: 'dictate text', coalesceKey: `text:${noteId}` });
+    session.lastNoteId = noteId;
+    window.requestAnimationFrame(() => target.setSelectionRange(next.caret, next.caret));
+    return;
+  }
+
+  if (!command) {
+    store.setVoiceState({ voiceMessage: `Not a command: "${text.trim()}"` });
+    return;
+  }
+  if (command.type === 'stop') {
+    stopVoice();
+    return;
+  }
+  store.setVoiceState({ voiceMessage: session.onCommand(command) });
+};
+
+// `onCommand(command)` carries out a parsed command and returns the feedback
+// line shown under the microphone button.
+export const startVoice = ({ onCommand }) => {
+  if (voiceSession) return;
+  const store = useCanvasStore.getState();
+  const { voice } = store;
+  const backend = VOICE_BACKENDS[voice.backend] ?? VOICE_BACKENDS.browser;
+  if (!backend.isAvailable()) {
+    store.setVoiceState({ voiceStatus: 'error', voiceMessage: `${backend.label} is not available in this browser.` });
+    return;
+  }
+
+  const session = { onCommand, lastNoteId: null, backend: null };
+  voiceSession = session;
+  store.setVoiceState({ voiceStatus: 'listening', voiceInterim: '', voiceMessage: '' });
+  try {
+    session.backend = backend.create({
+      endpoint: voice.endpoint,
+      lang: voice.lang,
+      onResult: (result) => {
+        if (voiceSession === session) handleTranscript(session, result);
+      },
+      onError: (error) => {
+        if (voiceSession === session) stopVoice(error.message);
+      },
+    });
+  } catch (error) {
+    stopVoice(`Could not start listening: ${error.message}`);
+  }
+};
@@ -0,0 +1,60 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startScript } from '../test/startScript.js';
+import { insertDictation, parseVoiceCommand } from './voice.js';
+
+describe('parseVoiceCommand', () => {
+  it('reads each command phrase', () => {
+    expect(parseVoiceCommand('new note')).toEqual({ type: 'new-note', text: '' });
+    expect(parseVoiceCommand('Create note saying buy milk')).toEqual({ type: 'new-note', text: 'buy milk' });
+    expect(parseVoiceCommand('add a child')).toEqual({ type: 'branch', text: '' });
+    expect(parseVoiceCommand('merge these notes')).toEqual({ type: 'merge', text: '' });
+    expect(parseVoiceCommand('delete this note')).toEqual({ type: 'delete', text: '' });
+    expect(parseVoiceCommand('search for quarterly plan')).toEqual({ type: 'search', text: 'quarterly plan' });
+    expect(parseVoiceCommand('stop listening')).toEqual({ type: 'stop', text: '' });
+  });
+
+  it('ignores punctuation, case and extra spaces', () => {
+    expect(parseVoiceCommand('  Merge   them. ')).toEqual({ type: 'merge', text: '' });
+    expect(parseVoiceCommand('Search for, "roadmap"!')).toEqual({ type: 'search', text: 'roadmap' });
+  });
+
+  it('returns null for anything else', () => {
+    expect(parseVoiceCommand('buy milk')).toBeNull();
+    expect(parseVoiceCommand('delete everything on the wall')).toBeNull();
+    expect(parseVoiceCommand('')).toBeNull();
+  });
+});
+
+describe('insertDictation', () => {
+  it('splices speech in at the caret with a space', () => {
+    expect(insertDictation('Hello', ' again', 'world')).toEqual({ text: 'Hello world again', caret: 11 });
+    expect(insertDictation('Hello ', '', 'world')).toEqual({ text: 'Hello world', caret: 11 });
+  });
+
+  it('turns spoken line breaks into newlines', () => {
+    expect(insertDictation('One', '', 'new line two new paragraph three').text).toBe('One\ntwo\n\nthree');
+  });
+});
+
+describe('mock STT server', () => {
+  const url = 'http://localhost:9187/transcribe';
+  let server;
+
+  beforeAll(async () => {
+    server = await startScript('mock-stt.js', { PORT: '9187', MOCK_STT_SCRIPT: 'new note|buy milk' });
+  });
+
+  afterAll(() => server?.stop());
+
+  const transcribe = async (body) => (await fetch(url, { method: 'POST', body })).json();
+
+  it('answers audio with the scripted phrases in turn', async () => {
+    expect(await transcribe(new Uint8Array([1, 2, 3]))).toEqual({ text: 'new note' });
+    expect(await transcribe(new Uint8Array([1]))).toEqual({ text: 'buy milk' });
+    expect(await transcribe(new Uint8Array([1]))).toEqual({ text: 'new note' });
+  });
+
+  it('answers silence with no text', async () => {
+    expect(await transcribe(new Uint8Array())).toEqual({ text: '' });
+  });
+});
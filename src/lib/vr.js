@@ -0,0 +1,550 @@
+import { shallow } from 'zustand/shallow';
+import {
+  DEFAULT_FRAME_COLOR,
+  DEFAULT_FRAME_TITLE,
+  DEFAULT_NOTE_COLOR,
+  DEFAULT_NOTE_SIZE,
+  FRAME_COLLAPSED_HEIGHT,
+  LONG_PRESS_MS,
+  NOTE_COLORS,
+} from './constants.js';
+import { EDGE_RELATIONS, getEdgeRelation } from './edges.js';
+import { SVG_FONT_SIZE, SVG_LINE_HEIGHT, wrapText } from './exporters.js';
+import { plainNoteLinks } from './links.js';
+import { describeMedia } from './media.js';
+import {
+  applyAbsolutePositions,
+  clamp,
+  getNodeBounds,
+  getNoteHeight,
+  getNoteRect,
+  getNoteWidth,
+  isFrame,
+  rectsOverlap,
+  toAbsoluteNodes,
+} from './nodes.js';
+import { snapshotWall } from './snapshots.js';
+import { findMergeTarget, getSpatialIndex } from './spatial.js';
+import { useCanvasStore } from './store.js';
+
+// Immersive mode draws the wall onto the inside of a curved panel and maps
+// controller rays onto it. It reads and writes the same store as the 2D
+// canvas; only the VR camera (`view`, in panel texture pixels) is its own.
+const VR_PANEL_RADIUS = 2.4;
+const VR_PANEL_HEIGHT = 1.6;
+const VR_PANEL_ARC = (2 * Math.PI) / 3;
+const VR_EYE_HEIGHT = 1.4;
+const VR_TEXTURE_WIDTH = 4096;
+const VR_TEXTURE_HEIGHT = Math.round((VR_TEXTURE_WIDTH * VR_PANEL_HEIGHT) / (VR_PANEL_RADIUS * VR_PANEL_ARC));
+const VR_DOUBLE_PRESS_MS = 400;
+const VR_DRAG_SLOP = 12;
+const VR_ZOOM_SPEED = 1.5;
+const VR_THUMBSTICK_DEADZONE = 0.2;
+const VR_MIN_ZOOM = 0.3;
+const VR_MAX_ZOOM = 4;
+const VR_ACTION_SIZE = { width: 120, height: 52, gap: 12 };
+// Overview in the panel's lower right corner, in texture pixels.
+const VR_MINIMAP = { width: 640, height: 400, margin: 48, padding: 16 };
+
+// Shown under a note after a long press, like the 2D context menu.
+const VR_NOTE_ACTIONS = [
+  { key: 'child', label: '+ Child' },
+  { key: 'color', label: 'Color' },
+  { key: 'delete', label: 'Delete' },
+  { key: 'close', label: 'Close' },
+];
+
+// xr-standard gamepad layout.
+const XR_BUTTON_A = 4;
+const XR_BUTTON_B = 5;
+const XR_THUMBSTICK_Y = 3;
+
+let vrSession = null;
+
+const toVrFlow = (view, px) => ({ x: (px.x - view.x) / view.zoom, y: (px.y - view.y) / view.zoom });
+
+// Frames are only scenery in VR: the wall shows and hit-tests notes, in wall
+// coordinates, minus those tucked into collapsed frames.
+const vrNoteLists = new WeakMap();
+
+const getVrNotes = (nodes) => {
+  if (vrNoteLists.has(nodes)) return vrNoteLists.get(nodes);
+  const collapsed = new Set(nodes.filter((node) => isFrame(node) && node.data?.collapsed).map((node) => node.id));
+  const notes = toAbsoluteNodes(nodes).filter((node) => !isFrame(node) && !collapsed.has(node.parentNode));
+  vrNoteLists.set(nodes, notes);
+  return notes;
+};
+
+const isShownInVr = (nodes, node) => !isFrame(node) && !getSpatialIndex(nodes).get(node.parentNode)?.data?.collapsed;
+
+export const findNoteAt = (nodes, point) =>
+  getSpatialIndex(nodes)
+    .query({ ...point, width: 0, height: 0 })
+    .filter((node) => isShownInVr(nodes, node))
+    .reduce((top, node) => (!top || (node.data?.zIndex ?? 0) > (top.data?.zIndex ?? 0) ? node : top), null);
+
+// Where the wall and the current view land inside the VR minimap. The map
+// always covers the view, so it can be found again after panning away.
+const getVrMinimapLayout = (vr, notes) => {
+  const { view } = vr;
+  const viewRect = {
+    x: -view.x / view.zoom,
+    y: -view.y / view.zoom,
+    width: VR_TEXTURE_WIDTH / view.zoom,
+    height: VR_TEXTURE_HEIGHT / view.zoom,
+  };
+  const noteBounds = getNodeBounds(notes);
+  const bounds = {
+    minX: Math.min(noteBounds?.minX ?? viewRect.x, viewRect.x),
+    minY: Math.min(noteBounds?.minY ?? viewRect.y, viewRect.y),
+    maxX: Math.max(noteBounds?.maxX ?? -Infinity, viewRect.x + viewRect.width),
+    maxY: Math.max(noteBounds?.maxY ?? -Infinity, viewRect.y + viewRect.height),
+  };
+  const box = {
+    x: VR_TEXTURE_WIDTH - VR_MINIMAP.width - VR_MINIMAP.margin,
+    y: VR_TEXTURE_HEIGHT - VR_MINIMAP.height - VR_MINIMAP.margin,
+    width: VR_MINIMAP.width,
+    height: VR_MINIMAP.height,
+  };
+  const inner = { width: box.width - VR_MINIMAP.padding * 2, height: box.height - VR_MINIMAP.padding * 2 };
+  const scale = Math.min(inner.width / (bounds.maxX - bounds.minX), inner.height / (bounds.maxY - bounds.minY));
+  return {
+    box,
+    viewRect,
+    scale,
+    x: box.x + VR_MINIMAP.padding + (inner.width - (bounds.maxX - bounds.minX) * scale) / 2 - bounds.minX * scale,
+    y: box.y + VR_MINIMAP.padding + (inner.height - (bounds.maxY - bounds.minY) * scale) / 2 - bounds.minY * scale,
+  };
+};
+
+const drawVrMinimap = (vr, notes) => {
+  const { context: ctx } = vr;
+  const layout = getVrMinimapLayout(vr, notes);
+  const { box, viewRect, scale } = layout;
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.92)';
+  ctx.strokeStyle = '#475569';
+  ctx.lineWidth = 4;
+  ctx.beginPath();
+  ctx.roundRect(box.x, box.y, box.width, box.height, 24);
+  ctx.fill();
+  ctx.stroke();
+  ctx.save();
+  ctx.clip();
+  notes.forEach((node) => {
+    const { x, y, width, height } = getNoteRect(node);
+    ctx.fillStyle = (NOTE_COLORS[node.data?.color] ?? NOTE_COLORS[DEFAULT_NOTE_COLOR]).fill;
+    ctx.fillRect(layout.x + x * scale, layout.y + y * scale, Math.max(width * scale, 3), Math.max(height * scale, 3));
+  });
+  ctx.strokeStyle = '#22d3ee';
+  ctx.lineWidth = 6;
+  ctx.strokeRect(layout.x + viewRect.x * scale, layout.y + viewRect.y * scale, viewRect.width * scale, viewRect.height * scale);
+  ctx.restore();
+  vr.minimap = layout;
+};
+
+const getVrActionRects = (note) =>
+  VR_NOTE_ACTIONS.map((action, index) => ({
+    ...action,
+    x: note.position.x + index * (VR_ACTION_SIZE.width + VR_ACTION_SIZE.gap),
+    y: note.position.y + getNoteHeight(note) + VR_ACTION_SIZE.gap,
+    width: VR_ACTION_SIZE.width,
+    height: VR_ACTION_SIZE.height,
+  }));
+
+const drawVrWall = (vr) => {
+  const { nodes: storeNodes, edges, mergePair } = useCanvasStore.getState();
+  const { context: ctx, view } = vr;
+  const nodes = getVrNotes(storeNodes);
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const center = (node) => [node.position.x + getNoteWidth(node) / 2, node.position.y + getNoteHeight(node) / 2];
+  const highlighted = new Set(vr.controllers.flatMap((controller) => (controller.press?.noteId ? [controller.press.noteId] : [])));
+
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.fillStyle = '#020617';
+  ctx.fillRect(0, 0, VR_TEXTURE_WIDTH, VR_TEXTURE_HEIGHT);
+  ctx.setTransform(view.zoom, 0, 0, view.zoom, view.x, view.y);
+
+  storeNodes.filter(isFrame).forEach((frame) => {
+    const fill = (NOTE_COLORS[frame.data?.color] ?? NOTE_COLORS[DEFAULT_FRAME_COLOR]).fill;
+    ctx.fillStyle = `${fill}26`;
+    ctx.strokeStyle = fill;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.roundRect(frame.position.x, frame.position.y, getNoteWidth(frame), frame.data?.collapsed ? FRAME_COLLAPSED_HEIGHT : getNoteHeight(frame), 24);
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = fill;
+    ctx.font = `700 ${SVG_FONT_SIZE * 1.5}px system-ui, sans-serif`;
+    ctx.fillText(frame.data?.title || DEFAULT_FRAME_TITLE, frame.position.x + 24, frame.position.y + 24 + SVG_FONT_SIZE * 1.5);
+  });
+
+  ctx.lineWidth = 3;
+  edges.forEach((edge) => {
+    const source = byId.get(edge.source);
+    const target = byId.get(edge.target);
+    if (!source || !target) return;
+    const relation = EDGE_RELATIONS[getEdgeRelation(edge)];
+    ctx.strokeStyle = relation.stroke;
+    ctx.setLineDash(relation.dash ? relation.dash.split(' ').map(Number) : []);
+    ctx.beginPath();
+    ctx.moveTo(...center(source));
+    ctx.lineTo(...center(target));
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+
+  [...nodes]
+    .sort((a, b) => (a.data?.zIndex ?? 0) - (b.data?.zIndex ?? 0))
+    .forEach((node) => {
+      const { x, y, width, height } = getNoteRect(node);
+      ctx.fillStyle = (NOTE_COLORS[node.data?.color] ?? NOTE_COLORS[DEFAULT_NOTE_COLOR]).fill;
+      ctx.beginPath();
+      ctx.roundRect(x, y, width, height, 18);
+      ctx.fill();
+      const ring = mergePair?.ids.includes(node.id) ? '#22d3ee' : highlighted.has(node.id) ? '#6ee7b7' : vr.hoveredIds.has(node.id) ? '#f8fafc' : null;
+      if (ring) {
+        ctx.lineWidth = 8;
+        ctx.strokeStyle = ring;
+        ctx.stroke();
+      }
+      ctx.fillStyle = '#0f172a';
+      ctx.font = `500 ${SVG_FONT_SIZE * 1.25}px system-ui, sans-serif`;
+      const lineHeight = SVG_LINE_HEIGHT * 1.25;
+      wrapText(plainNoteLinks(node.data?.text) || describeMedia(node.data), Math.floor((width - 32) / (SVG_FONT_SIZE * 0.7)))
+        .slice(0, Math.floor((height - 32) / lineHeight))
+        .forEach((line, index) => ctx.fillText(line, x + 16, y + 16 + SVG_FONT_SIZE * 1.25 + index * lineHeight));
+    });
+
+  const paletteNote = vr.palette && byId.get(vr.palette.noteId);
+  if (paletteNote) {
+    getVrActionRects(paletteNote).forEach((action) => {
+      ctx.fillStyle = action.key === 'delete' ? '#e11d48' : '#0f172a';
+      ctx.beginPath();
+      ctx.roundRect(action.x, action.y, action.width, action.height, 14);
+      ctx.fill();
+      ctx.fillStyle = '#f8fafc';
+      ctx.font = '600 22px system-ui, sans-serif';
+      ctx.fillText(action.label, action.x + 16, action.y + 34);
+    });
+  }
+
+  drawVrMinimap(vr, nodes);
+  vr.texture.needsUpdate = true;
+  vr.dirty = false;
+};
+
+const raycastVrPanel = (vr, object) => {
+  vr.rotation.identity().extractRotation(object.matrixWorld);
+  vr.raycaster.ray.origin.setFromMatrixPosition(object.matrixWorld);
+  vr.raycaster.ray.direction.set(0, 0, -1).applyMatrix4(vr.rotation);
+  const [hit] = vr.raycaster.intersectObject(vr.panel);
+  if (!hit?.uv) return null;
+  // The panel is seen from inside, so its texture runs right to left.
+  const px = { x: (1 - hit.uv.x) * VR_TEXTURE_WIDTH, y: (1 - hit.uv.y) * VR_TEXTURE_HEIGHT };
+  return { point: hit.point, distance: hit.distance, px, flow: toVrFlow(vr.view, px) };
+};
+
+const runVrNoteAction = (vr, key, noteId) => {
+  const store = useCanvasStore.getState();
+  const note = store.nodes.find((node) => node.id === noteId);
+  vr.palette = null;
+  vr.dirty = true;
+  if (!note) return;
+  if (key === 'child') {
+    store.addChildNotes(noteId, ['']);
+  } else if (key === 'color') {
+    const keys = Object.keys(NOTE_COLORS);
+    const next = keys[(keys.indexOf(note.data?.color ?? DEFAULT_NOTE_COLOR) + 1) % keys.length];
+    store.updateNoteData(noteId, { color: next }, { label: 'recolor note' });
+  } else if (key === 'delete') {
+    store.deleteNote(noteId);
+  }
+};
+
+export const handleVrSelectStart = (vr, controller, time) => {
+  const { hit } = controller;
+  if (!hit) return;
+  // Pointing into the minimap centers the wall on that spot.
+  const map = vr.minimap;
+  if (map && rectsOverlap(map.box, { ...hit.px, width: 0, height: 0 })) {
+    const target = { x: (hit.px.x - map.x) / map.scale, y: (hit.px.y - map.y) / map.scale };
+    vr.view = { ...vr.view, x: VR_TEXTURE_WIDTH / 2 - target.x * vr.view.zoom, y: VR_TEXTURE_HEIGHT / 2 - target.y * vr.view.zoom };
+    vr.dirty = true;
+    return;
+  }
+  const store = useCanvasStore.getState();
+  const paletteNote = vr.palette && getVrNotes(store.nodes).find((node) => node.id === vr.palette.noteId);
+  if (paletteNote) {
+    const action = getVrActionRects(paletteNote).find((rect) => rectsOverlap(rect, { ...hit.flow, width: 0, height: 0 }));
+    if (action) {
+      runVrNoteAction(vr, action.key, paletteNote.id);
+      return;
+    }
+  }
+  const note = findNoteAt(store.nodes, hit.flow);
+  controller.press = {
+    startAt: time,
+    startPx: hit.px,
+    noteId: note?.id ?? null,
+    offset: note ? { x: hit.flow.x - note.position.x, y: hit.flow.y - note.position.y } : null,
+    moved: false,
+    longPressed: false,
+  };
+  if (note) store.bringToFront(note.id);
+  vr.dirty = true;
+};
+
+export const handleVrSelectEnd = (vr, controller, time) => {
+  const { press } = controller;
+  controller.press = null;
+  vr.dirty = true;
+  if (!press) return;
+  const store = useCanvasStore.getState();
+
+  if (press.noteId && press.moved) {
+    store.dropNotesIntoFrames([press.noteId]);
+    store.endHistoryBatch();
+    const { nodes } = useCanvasStore.getState();
+    const dragged = getVrNotes(nodes).find((node) => node.id === press.noteId);
+    const target = dragged && findMergeTarget(nodes, dragged, (note) => isShownInVr(nodes, note));
+    if (target) {
+      store.setMergePair({ ids: [dragged.id, target.id], triggeredBy: dragged.id });
+    } else if (store.mergePair?.ids.includes(press.noteId)) {
+      store.clearMergePair();
+    }
+    return;
+  }
+  if (press.longPressed || press.moved) return;
+
+  if (press.noteId) {
+    // Tapping a note flagged for merging merges it; the dialog's plain
+    // combined text is used since there is no keyboard to edit it with.
+    if (store.mergePair?.ids.includes(press.noteId)) {
+      snapshotWall('merge');
+      store.mergeNotes();
+    }
+    return;
+  }
+
+  store.clearMergePair();
+  vr.palette = null;
+  if (time - vr.lastEmptyTapAt < VR_DOUBLE_PRESS_MS && controller.hit) {
+    const { flow } = controller.hit;
+    store.createNote({ x: flow.x - DEFAULT_NOTE_SIZE.width / 2, y: flow.y - DEFAULT_NOTE_SIZE.height / 2 });
+    vr.lastEmptyTapAt = 0;
+    return;
+  }
+  vr.lastEmptyTapAt = time;
+};
+
+// Points the controller's ray at the panel and keeps its hit on the controller.
+const aimVrController = (vr, controller) => {
+  const hit = raycastVrPanel(vr, controller.object);
+  controller.hit = hit;
+  controller.line.scale.z = hit?.distance ?? 5;
+  controller.dot.visible = Boolean(hit);
+  if (hit) controller.dot.position.copy(hit.point);
+};
+
+// Applies a frame of controller input at the ray's current hit.
+export const updateVrController = (vr, controller, time, delta) => {
+  const { hit, press } = controller;
+  const store = useCanvasStore.getState();
+  if (press && hit) {
+    if (!press.moved && Math.hypot(hit.px.x - press.startPx.x, hit.px.y - press.startPx.y) > VR_DRAG_SLOP) {
+      press.moved = true;
+      if (press.noteId) store.beginHistoryBatch('move notes');
+    }
+    if (press.moved && press.noteId) {
+      const position = { x: hit.flow.x - press.offset.x, y: hit.flow.y - press.offset.y };
+      store.setNodes(
+        (nodes) => applyAbsolutePositions(nodes, new Map([[press.noteId, position]])),
+        { label: 'move notes', coalesceKey: 'move' },
+      );
+    }
+    if (!press.moved && !press.longPressed && press.noteId && time - press.startAt >= LONG_PRESS_MS) {
+      press.longPressed = true;
+      vr.palette = { noteId: press.noteId };
+      vr.dirty = true;
+    }
+  }
+
+  // Grip keeps the wall point that was under the ray pinned to it.
+  if (controller.grip && hit) {
+    vr.view.x = hit.px.x - controller.grip.flow.x * vr.view.zoom;
+    vr.view.y = hit.px.y - controller.grip.flow.y * vr.view.zoom;
+    vr.dirty = true;
+  }
+
+  const gamepad = controller.inputSource?.gamepad;
+  if (!gamepad) return;
+  const pressed = (index) => Boolean(gamepad.buttons[index]?.pressed);
+  const justPressed = (index) => pressed(index) && !controller.buttons[index];
+
+  if (justPressed(XR_BUTTON_A) && hit) {
+    const note = findNoteAt(store.nodes, hit.flow);
+    if (note) store.addChildNotes(note.id, ['']);
+  }
+  if (justPressed(XR_BUTTON_B)) {
+    vr.palette = null;
+    store.clearMergePair();
+    vr.dirty = true;
+  }
+  controller.buttons = gamepad.buttons.map((button) => button.pressed);
+
+  const stick = gamepad.axes[XR_THUMBSTICK_Y] ?? 0;
+  if (Math.abs(stick) > VR_THUMBSTICK_DEADZONE && hit) {
+    const zoom = clamp(vr.view.zoom * Math.exp(-stick * VR_ZOOM_SPEED * delta), VR_MIN_ZOOM, VR_MAX_ZOOM);
+    vr.view = { x: hit.px.x - hit.flow.x * zoom, y: hit.px.y - hit.flow.y * zoom, zoom };
+    vr.dirty = true;
+  }
+};
+
+// Draws the wall into a running session and wires up its controllers.
+const startVrScene = async (session, viewport) => {
+  const THREE = await import('three');
+
+  const renderer = new THREE.WebGLRenderer({ antialias: true });
+  renderer.xr.enabled = true;
+  let eyeHeight = VR_EYE_HEIGHT;
+  try {
+    renderer.xr.setReferenceSpaceType('local-floor');
+    await renderer.xr.setSession(session);
+  } catch {
+    eyeHeight = 0;
+    renderer.xr.setReferenceSpaceType('local');
+    await renderer.xr.setSession(session);
+  }
+
+  const scene = new THREE.Scene();
+  scene.background = new THREE.Color('#0b1120');
+  const camera = new THREE.PerspectiveCamera(70, 1, 0.05, 50);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = VR_TEXTURE_WIDTH;
+  canvas.height = VR_TEXTURE_HEIGHT;
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.wrapS = THREE.RepeatWrapping;
+  texture.repeat.x = -1;
+  texture.offset.x = 1;
+  texture.anisotropy = renderer.capabilities.getMaxAnisotropy();
+
+  const panel = new THREE.Mesh(
+    new THREE.CylinderGeometry(VR_PANEL_RADIUS, VR_PANEL_RADIUS, VR_PANEL_HEIGHT, 64, 1, true, Math.PI - VR_PANEL_ARC / 2, VR_PANEL_ARC),
+    new THREE.MeshBasicMaterial({ map: texture, side: THREE.BackSide }),
+  );
+  panel.position.y = eyeHeight;
+  scene.add(panel);
+
+  // Start from the 2D camera, scaled from screen pixels to texture pixels.
+  const scale = VR_TEXTURE_WIDTH / window.innerWidth;
+  const vr = {
+    session,
+    renderer,
+    texture,
+    panel,
+    context: canvas.getContext('2d'),
+    raycaster: new THREE.Raycaster(),
+    rotation: new THREE.Matrix4(),
+    view: { x: viewport.x * scale, y: viewport.y * scale, zoom: clamp(viewport.zoom * scale, VR_MIN_ZOOM, VR_MAX_ZOOM) },
+    controllers: [],
+    hoveredIds: new Set(),
+    palette: null,
+    lastEmptyTapAt: 0,
+    lastFrameAt: null,
+    dirty: true,
+  };
+
+  [0, 1].forEach((index) => {
+    const object = renderer.xr.getController(index);
+    const line = new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(0, 0, 0), new THREE.Vector3(0, 0, -1)]),
+      new THREE.LineBasicMaterial({ color: 0x22d3ee }),
+    );
+    object.add(line);
+    const dot = new THREE.Mesh(new THREE.SphereGeometry(0.015), new THREE.MeshBasicMaterial({ color: 0x22d3ee }));
+    dot.visible = false;
+    scene.add(object, dot);
+
+    const controller = { object, line, dot, inputSource: null, hit: null, press: null, grip: null, buttons: [] };
+    object.addEventListener('connected', (event) => {
+      controller.inputSource = event.data;
+    });
+    object.addEventListener('disconnected', () => {
+      controller.inputSource = null;
+    });
+    object.addEventListener('selectstart', () => handleVrSelectStart(vr, controller, performance.now()));
+    object.addEventListener('selectend', () => handleVrSelectEnd(vr, controller, performance.now()));
+    object.addEventListener('squeezestart', () => {
+      controller.grip = controller.hit ? { flow: controller.hit.flow } : null;
+    });
+    object.addEventListener('squeezeend', () => {
+      controller.grip = null;
+    });
+    vr.controllers.push(controller);
+  });
+
+  const unsubscribe = useCanvasStore.subscribe(
+    (state) => ({ nodes: state.nodes, edges: state.edges, mergePair: state.mergePair }),
+    () => {
+      vr.dirty = true;
+    },
+    { equalityFn: shallow },
+  );
+
+  renderer.setAnimationLoop((time) => {
+    const delta = vr.lastFrameAt === null ? 0 : (time - vr.lastFrameAt) / 1000;
+    vr.lastFrameAt = time;
+    vr.controllers.forEach((controller) => {
+      aimVrController(vr, controller);
+      updateVrController(vr, controller, performance.now(), delta);
+    });
+
+    const { nodes } = useCanvasStore.getState();
+    const hoveredIds = new Set(
+      vr.controllers.flatMap((controller) => {
+        const note = controller.hit && findNoteAt(nodes, controller.hit.flow);
+        return note ? [note.id] : [];
+      }),
+    );
+    if (hoveredIds.size !== vr.hoveredIds.size || [...hoveredIds].some((id) => !vr.hoveredIds.has(id))) {
+      vr.hoveredIds = hoveredIds;
+      vr.dirty = true;
+    }
+    if (vr.dirty) drawVrWall(vr);
+    renderer.render(scene, camera);
+  });
+
+  session.addEventListener('end', () => {
+    renderer.setAnimationLoop(null);
+    unsubscribe();
+    if (vr.controllers.some((controller) => controller.press?.moved && controller.press.noteId)) {
+      useCanvasStore.getState().endHistoryBatch();
+    }
+    texture.dispose();
+    renderer.dispose();
+    vrSession = null;
+    useCanvasStore.getState().setVrActive(false);
+  });
+
+  vrSession = vr;
+  useCanvasStore.getState().setVrActive(true);
+};
+
+export const exitVr = () => vrSession?.session.end();
+
+// Must be called from a user gesture: the session is requested before three.js
+// is loaded so the gesture is still valid.
+export const enterVr = async (viewport) => {
+  if (vrSession || !navigator.xr) return;
+  const session = await navigator.xr.requestSession('immersive-vr', { optionalFeatures: ['local-floor'] });
+  try {
+    await startVrScene(session, viewport);
+  } catch (error) {
+    // With no render loop the headset would show nothing and offer no way out.
+    session.end().catch(() => {});
+    throw error;
+  }
+};
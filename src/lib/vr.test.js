@@ -0,0 +1,155 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { DEFAULT_NOTE_SIZE, LONG_PRESS_MS } from './constants.js';
+import { useCanvasStore } from './store.js';
+import { findNoteAt, handleVrSelectEnd, handleVrSelectStart, updateVrController } from './vr.js';
+
+describe('findNoteAt', () => {
+  const note = (id, x, y, zIndex, extra = {}) => ({ id, type: 'sticky', position: { x, y }, data: { width: 200, height: 100, zIndex }, ...extra });
+  const frame = (id, collapsed) => ({ id, type: 'frame', position: { x: 1000, y: 0 }, data: { width: 600, height: 400, collapsed } });
+
+  it('picks the topmost note under the pointer', () => {
+    const nodes = [note('low', 0, 0, 1), note('high', 50, 50, 3), note('mid', 100, 20, 2)];
+    expect(findNoteAt(nodes, { x: 120, y: 60 })?.id).toBe('high');
+    expect(findNoteAt(nodes, { x: 10, y: 10 })?.id).toBe('low');
+    expect(findNoteAt(nodes, { x: 900, y: 900 })).toBeNull();
+  });
+
+  it('skips frames and notes in collapsed frames', () => {
+    const child = note('child', 20, 20, 1, { parentNode: 'f' });
+    expect(findNoteAt([frame('f', false), child], { x: 1050, y: 50 })?.id).toBe('child');
+    expect(findNoteAt([frame('f', false), child], { x: 1500, y: 300 })).toBeNull();
+    expect(findNoteAt([frame('f', true), child], { x: 1050, y: 50 })).toBeNull();
+  });
+});
+
+describe('VR controllers', () => {
+  let vr;
+  let controller;
+
+  // The VR camera starts at the wall's origin at zoom 1, so texture pixels
+  // and wall coordinates are the same until a test pans or zooms.
+  beforeEach(() => {
+    useCanvasStore.setState(useCanvasStore.getInitialState(), true);
+    useCanvasStore.getState().setNodes([
+      { id: 'n-a', type: 'sticky', position: { x: 0, y: 0 }, data: { text: 'A' } },
+      { id: 'n-b', type: 'sticky', position: { x: 1000, y: 0 }, data: { text: 'B' } },
+    ]);
+    vr = { view: { x: 0, y: 0, zoom: 1 }, minimap: null, palette: null, lastEmptyTapAt: 0, dirty: false };
+    controller = { hit: null, press: null, grip: null, buttons: [], inputSource: null };
+  });
+
+  const aim = (x, y) => {
+    controller.hit = {
+      px: { x, y },
+      flow: { x: (x - vr.view.x) / vr.view.zoom, y: (y - vr.view.y) / vr.view.zoom },
+    };
+  };
+  const frame = (time, delta = 0) => updateVrController(vr, controller, time, delta);
+  const tap = (x, y, time) => {
+    aim(x, y);
+    handleVrSelectStart(vr, controller, time);
+    frame(time);
+    handleVrSelectEnd(vr, controller, time);
+  };
+  const note = (id) => useCanvasStore.getState().nodes.find((node) => node.id === id);
+  const gamepad = ({ pressed = [], stick = 0 } = {}) => ({
+    buttons: Array.from({ length: 6 }, (_, index) => ({ pressed: pressed.includes(index) })),
+    axes: [0, 0, 0, stick],
+  });
+
+  it('drags a note with the trigger as one undo step', () => {
+    aim(50, 50);
+    handleVrSelectStart(vr, controller, 0);
+    aim(150, 120);
+    frame(16);
+    aim(250, 170);
+    frame(32);
+    handleVrSelectEnd(vr, controller, 48);
+
+    const state = useCanvasStore.getState();
+    expect(note('n-a').position).toEqual({ x: 200, y: 120 });
+    expect(state.historyBatch).toBeNull();
+    expect(state.past.map((entry) => entry.label)).toEqual(['move notes']);
+  });
+
+  it('flags notes dragged onto each other for merging', () => {
+    aim(50, 50);
+    handleVrSelectStart(vr, controller, 0);
+    aim(1060, 60);
+    frame(16);
+    handleVrSelectEnd(vr, controller, 32);
+    expect(useCanvasStore.getState().mergePair?.ids).toEqual(['n-a', 'n-b']);
+  });
+
+  it('opens the note palette on a long press and runs its actions', () => {
+    aim(50, 50);
+    handleVrSelectStart(vr, controller, 0);
+    frame(LONG_PRESS_MS - 1);
+    expect(vr.palette).toBeNull();
+    frame(LONG_PRESS_MS);
+    expect(vr.palette).toEqual({ noteId: 'n-a' });
+    handleVrSelectEnd(vr, controller, LONG_PRESS_MS + 10);
+    expect(note('n-a')).toBeDefined();
+
+    // Delete is the third button in the row under the note.
+    tap(2 * 132 + 60, DEFAULT_NOTE_SIZE.height + 12 + 20, 2000);
+    expect(note('n-a')).toBeUndefined();
+    expect(vr.palette).toBeNull();
+  });
+
+  it('creates a note on a double press of empty wall', () => {
+    tap(600, 600, 10000);
+    expect(useCanvasStore.getState().nodes).toHaveLength(2);
+    tap(600, 600, 10200);
+    const { nodes } = useCanvasStore.getState();
+    expect(nodes).toHaveLength(3);
+    expect(nodes[2].position).toEqual({ x: 600 - DEFAULT_NOTE_SIZE.width / 2, y: 600 - DEFAULT_NOTE_SIZE.height / 2 });
+  });
+
+  it('does not treat slow presses as a double press', () => {
+    tap(600, 600, 10000);
+    tap(600, 600, 11000);
+    expect(useCanvasStore.getState().nodes).toHaveLength(2);
+  });
+
+  it('pans with the grip, keeping the gripped point under the ray', () => {
+    controller.grip = { flow: { x: 100, y: 100 } };
+    aim(300, 250);
+    frame(0);
+    expect(vr.view).toEqual({ x: 200, y: 150, zoom: 1 });
+  });
+
+  it('zooms around the pointed spot with the thumbstick', () => {
+    aim(400, 300);
+    controller.inputSource = { gamepad: gamepad({ stick: -0.5 }) };
+    frame(0, 0.5);
+    expect(vr.view.zoom).toBeCloseTo(Math.exp(0.375));
+    expect(vr.view.x + 400 * vr.view.zoom).toBeCloseTo(400);
+    expect(vr.view.y + 300 * vr.view.zoom).toBeCloseTo(300);
+
+    controller.inputSource = { gamepad: gamepad({ stick: 0.1 }) };
+    const before = { ...vr.view };
+    frame(16, 0.5);
+    expect(vr.view).toEqual(before);
+  });
+
+  it('adds one child per press of A', () => {
+    aim(50, 50);
+    controller.inputSource = { gamepad: gamepad({ pressed: [4] }) };
+    frame(0);
+    frame(16);
+    const { nodes, edges } = useCanvasStore.getState();
+    expect(nodes).toHaveLength(3);
+    expect(edges).toMatchObject([{ source: 'n-a', target: nodes[2].id }]);
+  });
+
+  it('merges the flagged pair when one of them is tapped', () => {
+    useCanvasStore.getState().setMergePair({ ids: ['n-a', 'n-b'], triggeredBy: 'n-a' });
+    tap(50, 50, 0);
+    const { nodes, mergePair } = useCanvasStore.getState();
+    expect(nodes).toHaveLength(1);
+    expect(nodes[0].data.text).toContain('A');
+    expect(nodes[0].data.text).toContain('B');
+    expect(mergePair).toBeNull();
+  });
+});
@@ -0,0 +1,574 @@
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+import { IndexeddbPersistence, clearDocument } from 'y-indexeddb';
+import { shallow } from 'zustand/shallow';
+import {
+  ATTACHMENT_PRUNE_GRACE_MS,
+  COLLAB_ROOM_PREFIX,
+  DEFAULT_VIEWPORT,
+  DEFAULT_WALL_NAME,
+  makeAttachmentId,
+  makeWallId,
+  MAX_ATTACHMENT_BYTES,
+  PRESENCE_COLORS,
+  RECOVERY_KEY_PREFIX,
+} from './constants.js';
+import { db } from './db.js';
+import { fetchLinkPreview, formatBytes, toLinkCard } from './media.js';
+import { ensureNodeShape, orderForFlow, sanitizeNodeForSave } from './nodes.js';
+import { useCanvasStore } from './store.js';
+
+// Identifies this tab in cross-tab save notifications.
+export const TAB_ID = `t-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+export const syncChannel = typeof BroadcastChannel === 'undefined' ? null : new BroadcastChannel('synapse-sync');
+
+class SaveConflictError extends Error {
+  constructor(wallId) {
+    super(`Wall ${wallId} was changed by another tab.`);
+    this.name = 'SaveConflictError';
+  }
+}
+
+export const refreshWalls = async () => {
+  const walls = await db.walls.orderBy('lastOpenedAt').reverse().toArray();
+  useCanvasStore.getState().setWalls(walls);
+  return walls;
+};
+
+// Bookmarks are named viewports kept on the wall row. `update` gets the
+// stored list and returns the new one, inside one transaction, so quick
+// changes in a row all land.
+export const saveWallBookmarks = async (wallId, update) => {
+  await db.transaction('rw', db.walls, async () => {
+    const wall = await db.walls.get(wallId);
+    if (wall) await db.walls.update(wallId, { bookmarks: update(wall.bookmarks ?? []) });
+  });
+  await refreshWalls();
+};
+
+const toNoteRows = (wallId, nodes) => nodes.map((node) => ({ wallId, id: node.id, node: sanitizeNodeForSave(node) }));
+
+// A wall's stored row with its notes, frames first and then in stacking
+// order, or null for an unknown wall.
+export const readWallState = async (wallId) => {
+  const [row, rows] = await Promise.all([db.canvasState.get(wallId), db.notes.where('wallId').equals(wallId).toArray()]);
+  if (!row) return null;
+  const nodes = rows.map((entry) => entry.node).sort((a, b) => (a.data?.zIndex ?? 0) - (b.data?.zIndex ?? 0));
+  return { ...row, nodes: orderForFlow(nodes) };
+};
+
+// Saves a dropped or pasted file and returns the reference kept in note data.
+export const storeAttachment = async (file) => {
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`"${file.name}" is larger than ${formatBytes(MAX_ATTACHMENT_BYTES)}.`);
+  }
+  const attachment = {
+    id: makeAttachmentId(),
+    name: file.name || 'Pasted file',
+    type: file.type || 'application/octet-stream',
+    size: file.size,
+  };
+  await db.blobs.put({ ...attachment, blob: file, createdAt: Date.now() });
+  return attachment;
+};
+
+// Shows a link card right away and fills in the page title once it arrives.
+export const attachLinkPreview = (noteId, url) => {
+  useCanvasStore.getState().updateNoteData(noteId, { link: toLinkCard(url) }, { label: 'add link card' });
+  fetchLinkPreview(url).then((link) => {
+    const note = useCanvasStore.getState().nodes.find((node) => node.id === noteId);
+    if (note?.data?.link?.url === url) useCanvasStore.getState().updateNoteData(noteId, { link });
+  });
+};
+
+// Drops attachment bytes that no wall, snapshot, crash-recovery copy or the
+// open wall refers to any more.
+export const pruneAttachments = async () => {
+  const referenced = new Set();
+  const collect = (nodes) =>
+    (nodes ?? []).forEach((node) => {
+      if (node.data?.attachment?.id) referenced.add(node.data.attachment.id);
+    });
+  await db.notes.each((row) => collect([row.node]));
+  await db.snapshots.each((row) => collect(row.nodes));
+  Object.keys(window.localStorage)
+    .filter((key) => key.startsWith(RECOVERY_KEY_PREFIX))
+    .forEach((key) => collect(readRecovery(key.slice(RECOVERY_KEY_PREFIX.length))?.nodes));
+  collect(useCanvasStore.getState().nodes);
+  const stale = await db.blobs.where('createdAt').below(Date.now() - ATTACHMENT_PRUNE_GRACE_MS).primaryKeys();
+  await db.blobs.bulkDelete(stale.filter((id) => !referenced.has(id)));
+};
+
+// Writes a wall and returns its new revision. With `baseRevision` the write
+// only happens if the stored row is still at that revision, so a tab never
+// silently overwrites another tab's save. Writes to deleted walls are dropped.
+// With `previousNodes` (what that revision stored) only notes whose objects
+// changed are written and removed ones deleted; otherwise every note is.
+const saveWallState = async (wallId, { nodes, edges }, { baseRevision = null, previousNodes = null } = {}) => {
+  const savedAt = Date.now();
+  let revision = null;
+  await db.transaction('rw', db.canvasState, db.walls, db.notes, async () => {
+    if (!(await db.walls.get(wallId))) return;
+    const current = await db.canvasState.get(wallId);
+    const currentRevision = current?.revision ?? 0;
+    if (baseRevision !== null && currentRevision !== baseRevision) {
+      throw new SaveConflictError(wallId);
+    }
+    revision = currentRevision + 1;
+    if (previousNodes && baseRevision !== null) {
+      const before = new Map(previousNodes.map((node) => [node.id, node]));
+      const kept = new Set(nodes.map((node) => node.id));
+      await db.notes.bulkDelete(previousNodes.filter((node) => !kept.has(node.id)).map((node) => [wallId, node.id]));
+      await db.notes.bulkPut(toNoteRows(wallId, nodes.filter((node) => before.get(node.id) !== node)));
+    } else {
+      await db.notes.where('wallId').equals(wallId).delete();
+      await db.notes.bulkPut(toNoteRows(wallId, nodes));
+    }
+    await db.canvasState.put({ id: wallId, edges, savedAt, revision });
+    await db.walls.update(wallId, { updatedAt: savedAt });
+  });
+  if (revision !== null) {
+    syncChannel?.postMessage({ type: 'saved', wallId, revision, tabId: TAB_ID });
+  }
+  return revision;
+};
+
+export const isWallDirty = (state) => state.nodes !== state.persisted.nodes || state.edges !== state.persisted.edges;
+
+const readRecovery = (wallId) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(`${RECOVERY_KEY_PREFIX}${wallId}`) ?? 'null');
+  } catch {
+    return null;
+  }
+};
+
+export const clearRecovery = (wallId) => {
+  try {
+    window.localStorage.removeItem(`${RECOVERY_KEY_PREFIX}${wallId}`);
+  } catch {
+    // Storage unavailable; nothing to clear.
+  }
+};
+
+// Synchronous last-resort copy of unsaved work, written when a save fails or
+// the page is going away before IndexedDB can finish.
+export const writeRecovery = () => {
+  const state = useCanvasStore.getState();
+  if (!state.activeWallId || !isWallDirty(state)) return;
+  try {
+    window.localStorage.setItem(
+      `${RECOVERY_KEY_PREFIX}${state.activeWallId}`,
+      JSON.stringify({
+        savedAt: Date.now(),
+        baseRevision: state.savedRevision,
+        nodes: state.nodes.map(sanitizeNodeForSave),
+        edges: state.edges,
+      }),
+    );
+  } catch (error) {
+    console.error('Failed to write recovery copy', error);
+  }
+};
+
+let saveQueue = Promise.resolve();
+
+// Saves run one at a time so each starts from the revision the previous one
+// produced. `force` overwrites whatever another tab stored.
+export const persistNow = ({ force = false } = {}) => {
+  saveQueue = saveQueue.then(async () => {
+    const state = useCanvasStore.getState();
+    const { activeWallId: wallId, nodes, edges } = state;
+    if (!wallId || (!force && (!isWallDirty(state) || state.saveStatus === 'conflict'))) return;
+    // Shared walls are reconciled by the Yjs document, not by revisions.
+    const isShared = collabSession?.wallId === wallId;
+
+    state.setSaveState({ saveStatus: 'saving' });
+    try {
+      const revision = await saveWallState(
+        wallId,
+        { nodes, edges },
+        { baseRevision: force || isShared ? null : state.savedRevision, previousNodes: state.persisted.nodes },
+      );
+      const latest = useCanvasStore.getState();
+      if (latest.activeWallId !== wallId) return;
+      latest.setSaveState({
+        savedRevision: revision ?? latest.savedRevision,
+        persisted: { nodes, edges },
+        saveStatus: isWallDirty({ ...latest, persisted: { nodes, edges } }) ? 'pending' : 'saved',
+        saveError: '',
+        lastSavedAt: Date.now(),
+      });
+      clearRecovery(wallId);
+    } catch (error) {
+      if (error instanceof SaveConflictError) {
+        useCanvasStore.getState().setSaveState({ saveStatus: 'conflict', saveError: error.message });
+        return;
+      }
+      console.error('Failed to persist Synapse state', error);
+      useCanvasStore.getState().setSaveState({ saveStatus: 'failed', saveError: error.message });
+      writeRecovery();
+    }
+  });
+  return saveQueue;
+};
+
+// Replaces local state with the stored row, e.g. after another tab saved.
+export const reloadActiveWall = async () => {
+  const { activeWallId } = useCanvasStore.getState();
+  if (!activeWallId) return;
+  const stored = await readWallState(activeWallId);
+  const store = useCanvasStore.getState();
+  store.replaceState({ nodes: stored?.nodes ?? [], edges: stored?.edges ?? [] });
+  const loaded = useCanvasStore.getState();
+  loaded.setSaveState({
+    savedRevision: stored?.revision ?? 0,
+    persisted: { nodes: loaded.nodes, edges: loaded.edges },
+    saveStatus: 'saved',
+    saveError: '',
+  });
+};
+
+export const createWall = async ({
+  id = makeWallId(),
+  name,
+  nodes = [],
+  edges = [],
+  viewport = DEFAULT_VIEWPORT,
+  bookmarks = [],
+  shared = false,
+} = {}) => {
+  const now = Date.now();
+  const wall = {
+    id,
+    name: name?.trim() || DEFAULT_WALL_NAME,
+    createdAt: now,
+    updatedAt: now,
+    lastOpenedAt: now,
+    viewport,
+    bookmarks,
+    shared,
+  };
+  await db.transaction('rw', db.canvasState, db.walls, db.notes, async () => {
+    await db.walls.add(wall);
+    await db.notes.bulkPut(toNoteRows(wall.id, nodes));
+    await db.canvasState.put({ id: wall.id, edges, savedAt: now, revision: 1 });
+  });
+  return wall;
+};
+
+// Runs in a single rw transaction so concurrent first loads (StrictMode, a
+// second tab) cannot both create a default wall.
+export const ensureWall = () =>
+  db.transaction('rw', db.canvasState, db.walls, db.notes, async () => {
+    const latest = await db.walls.orderBy('lastOpenedAt').last();
+    return latest ?? createWall({ name: 'My Wall' });
+  });
+
+// Loads a wall into the store and makes it the active one. History starts
+// fresh because replaceState is called without a history label.
+export const openWall = async (wallId) => {
+  const [wall, stored] = await Promise.all([db.walls.get(wallId), readWallState(wallId)]);
+  if (!wall) {
+    throw new Error(`Unknown wall ${wallId}`);
+  }
+  await db.walls.update(wallId, { lastOpenedAt: Date.now() });
+  await refreshWalls();
+  // A shared wall's session must not see the next wall's notes replace its own.
+  if (collabSession && collabSession.wallId !== wallId) stopCollab();
+  const store = useCanvasStore.getState();
+  store.replaceState({ nodes: stored?.nodes ?? [], edges: stored?.edges ?? [] });
+  const loaded = useCanvasStore.getState();
+  const recovery = readRecovery(wallId);
+  // Only offer copies newer than what made it into IndexedDB.
+  const hasNewerRecovery = Boolean(recovery) && recovery.savedAt > (stored?.savedAt ?? 0);
+  if (recovery && !hasNewerRecovery) {
+    clearRecovery(wallId);
+  }
+  loaded.setSaveState({
+    activeWallId: wallId,
+    savedRevision: stored?.revision ?? 0,
+    persisted: { nodes: loaded.nodes, edges: loaded.edges },
+    saveStatus: 'saved',
+    saveError: '',
+    lastSavedAt: stored?.savedAt ?? null,
+    recovery: hasNewerRecovery ? { ...recovery, wallId } : null,
+  });
+  return wall;
+};
+
+// Shared walls mirror their notes and edges into a Yjs document synced
+// through the relay (scripts/collab-relay.js) and kept in IndexedDB by
+// y-indexeddb, so edits made offline merge on reconnect. Each note is a
+// Y.Map of type/position/style plus a nested Y.Map of data fields, so two
+// people changing different fields of one note both keep their change.
+const COLLAB_ORIGIN = Symbol('synapse-local');
+export let collabSession = null;
+
+const getCollabRoom = (wallId) => `${COLLAB_ROOM_PREFIX}${wallId}`;
+
+// Only ws: and wss: addresses are accepted as relays. The text is kept as
+// typed, since the room name is appended to it.
+export const parseRelayUrl = (text) => {
+  const trimmed = (text ?? '').trim();
+  try {
+    return ['ws:', 'wss:'].includes(new URL(trimmed).protocol) ? trimmed : null;
+  } catch {
+    return null;
+  }
+};
+
+// A wall joined from an invite keeps the invite's relay; every other shared
+// wall uses the relay from settings.
+export const getWallRelayUrl = (state) =>
+  state.walls.find((wall) => wall.id === state.activeWallId)?.relayUrl ?? state.collab.relayUrl;
+
+const isSameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const setIfChanged = (yMap, key, value) => {
+  if (value === undefined) {
+    if (yMap.has(key)) yMap.delete(key);
+    return;
+  }
+  if (!isSameValue(yMap.get(key), value)) yMap.set(key, value);
+};
+
+const toSharedNode = (node) => {
+  const { id, type, position, data, style, parentNode } = sanitizeNodeForSave(node);
+  const shared = { ...data };
+  delete shared.dragging;
+  delete shared.autoFocus;
+  return { id, type, position, data: shared, style, parentNode };
+};
+
+const toSharedEdge = (edge) => {
+  const shared = { ...edge };
+  delete shared.selected;
+  return shared;
+};
+
+export const writeNodeToDoc = (yNodes, node) => {
+  const shared = toSharedNode(node);
+  let yNode = yNodes.get(node.id);
+  if (!yNode) {
+    yNode = new Y.Map();
+    yNodes.set(node.id, yNode);
+    yNode.set('data', new Y.Map());
+  }
+  setIfChanged(yNode, 'type', shared.type);
+  setIfChanged(yNode, 'position', shared.position);
+  setIfChanged(yNode, 'style', shared.style);
+  setIfChanged(yNode, 'parentNode', shared.parentNode);
+  const yData = yNode.get('data');
+  Object.entries(shared.data).forEach(([key, value]) => setIfChanged(yData, key, value));
+  [...yData.keys()].forEach((key) => {
+    if (!(key in shared.data)) yData.delete(key);
+  });
+};
+
+export const readNodeFromDoc = (id, yNode) => ({
+  id,
+  type: yNode.get('type'),
+  position: yNode.get('position'),
+  style: yNode.get('style'),
+  data: yNode.get('data')?.toJSON() ?? {},
+  ...(yNode.get('parentNode') ? { parentNode: yNode.get('parentNode') } : {}),
+});
+
+// Only notes and edges whose objects changed since the last push are
+// compared, and unchanged fields are not rewritten.
+const pushLocalChanges = (session, nodes, edges) => {
+  session.doc.transact(() => {
+    if (nodes !== session.nodes) {
+      const previous = new Map(session.nodes.map((node) => [node.id, node]));
+      nodes.forEach((node) => {
+        if (previous.get(node.id) !== node) writeNodeToDoc(session.yNodes, node);
+        previous.delete(node.id);
+      });
+      previous.forEach((_, id) => session.yNodes.delete(id));
+    }
+    if (edges !== session.edges) {
+      const previous = new Map(session.edges.map((edge) => [edge.id, edge]));
+      edges.forEach((edge) => {
+        if (previous.get(edge.id) !== edge) setIfChanged(session.yEdges, edge.id, toSharedEdge(edge));
+        previous.delete(edge.id);
+      });
+      previous.forEach((_, id) => session.yEdges.delete(id));
+    }
+  }, COLLAB_ORIGIN);
+  session.nodes = nodes;
+  session.edges = edges;
+};
+
+// Rebuilds the store from the document, reusing local objects that did not
+// change so React Flow only re-renders what another person touched.
+export const pullRemoteChanges = (session) => {
+  const state = useCanvasStore.getState();
+  const localNodes = new Map(state.nodes.map((node) => [node.id, node]));
+  const localEdges = new Map(state.edges.map((edge) => [edge.id, edge]));
+  const nodes = [];
+  session.yNodes.forEach((yNode, id) => {
+    const remote = readNodeFromDoc(id, yNode);
+    const local = localNodes.get(id);
+    if (local && isSameValue(toSharedNode(local), toSharedNode(remote))) {
+      nodes.push(local);
+      return;
+    }
+    nodes.push(ensureNodeShape({ ...remote, selected: local?.selected ?? false }));
+  });
+  const edges = [];
+  session.yEdges.forEach((edge, id) => {
+    const local = localEdges.get(id);
+    edges.push(local && isSameValue(toSharedEdge(local), edge) ? local : { ...edge, selected: local?.selected ?? false });
+  });
+  // A frame a peer created after its notes still has to come first.
+  const ordered = orderForFlow(nodes);
+  session.nodes = ordered;
+  session.edges = edges;
+  state.applyRemoteElements({ nodes: ordered, edges });
+};
+
+const updatePeers = (session) => {
+  const peers = [];
+  session.provider.awareness.getStates().forEach((presence, clientId) => {
+    if (clientId === session.doc.clientID || !presence.user) return;
+    peers.push({ clientId, ...presence.user, cursor: presence.cursor ?? null, editing: presence.editing ?? null });
+  });
+  // Keep unchanged entries so notes only re-render when their editor changes.
+  const previous = useCanvasStore.getState().noteEditors;
+  const noteEditors = {};
+  peers.forEach((peer) => {
+    if (!peer.editing) return;
+    const editor = { name: peer.name, color: peer.color };
+    noteEditors[peer.editing] = isSameValue(previous[peer.editing], editor) ? previous[peer.editing] : editor;
+  });
+  useCanvasStore.getState().setCollabState({ collabPeers: peers, noteEditors });
+};
+
+export const updatePresence = (patch) => {
+  const awareness = collabSession?.provider?.awareness;
+  if (!awareness) return;
+  awareness.setLocalState({ ...awareness.getLocalState(), ...patch });
+};
+
+export const stopCollab = () => {
+  const session = collabSession;
+  if (!session) return;
+  collabSession = null;
+  session.unsubscribe?.();
+  session.provider?.awareness.setLocalState(null);
+  session.provider?.destroy();
+  session.persistence.destroy();
+  session.doc.destroy();
+  useCanvasStore.getState().setCollabState({ collabStatus: 'off', collabPeers: [], noteEditors: {} });
+};
+
+// The local copy of the document loads first: an empty one is seeded from
+// the wall, otherwise the document wins, since every local edit made while
+// the wall was shared already went into it.
+export const startCollab = async (wallId) => {
+  stopCollab();
+  const doc = new Y.Doc();
+  const room = getCollabRoom(wallId);
+  const session = {
+    wallId,
+    doc,
+    yNodes: doc.getMap('nodes'),
+    yEdges: doc.getMap('edges'),
+    nodes: [],
+    edges: [],
+    persistence: new IndexeddbPersistence(room, doc),
+    provider: null,
+    unsubscribe: null,
+  };
+  collabSession = session;
+  useCanvasStore.getState().setCollabState({ collabStatus: 'connecting' });
+
+  await session.persistence.whenSynced;
+  const wall = await db.walls.get(wallId);
+  if (collabSession !== session) return;
+
+  const { nodes, edges, collab } = useCanvasStore.getState();
+  if (session.yNodes.size === 0 && session.yEdges.size === 0) {
+    pushLocalChanges(session, nodes, edges);
+  } else {
+    pullRemoteChanges(session);
+  }
+
+  doc.on('update', (_, origin) => {
+    if (origin !== COLLAB_ORIGIN) pullRemoteChanges(session);
+  });
+  session.unsubscribe = useCanvasStore.subscribe(
+    (state) => ({ nodes: state.nodes, edges: state.edges }),
+    (current) => pushLocalChanges(session, current.nodes, current.edges),
+    { equalityFn: shallow },
+  );
+
+  const provider = new WebsocketProvider(wall?.relayUrl ?? collab.relayUrl, room, doc);
+  session.provider = provider;
+  provider.on('status', ({ status }) => {
+    const collabStatus = { connected: 'connected', connecting: 'connecting' }[status] ?? 'offline';
+    useCanvasStore.getState().setCollabState({ collabStatus });
+  });
+  provider.awareness.setLocalState({
+    user: {
+      name: collab.userName.trim() || `Guest ${doc.clientID % 1000}`,
+      color: PRESENCE_COLORS[doc.clientID % PRESENCE_COLORS.length],
+    },
+    cursor: null,
+    editing: null,
+  });
+  provider.awareness.on('change', () => updatePeers(session));
+};
+
+export const setWallShared = async (wallId, shared) => {
+  if (!shared && collabSession?.wallId === wallId) stopCollab();
+  await db.walls.update(wallId, { shared });
+  if (!shared) {
+    // A later share starts again from the wall as it is then.
+    await clearDocument(getCollabRoom(wallId));
+  }
+  await refreshWalls();
+};
+
+// Opens a wall from an invite link, creating an empty local wall with the
+// shared id the first time; its notes arrive from the relay. The invite's
+// relay is kept on this wall only and never replaces the one in settings.
+export const joinSharedWall = async (wallId, relayUrl) => {
+  const existing = await db.walls.get(wallId);
+  if (existing) {
+    await db.walls.update(wallId, { shared: true, ...(relayUrl ? { relayUrl } : {}) });
+    return existing;
+  }
+  const wall = await createWall({ id: wallId, name: 'Shared Wall', shared: true });
+  if (relayUrl) await db.walls.update(wallId, { relayUrl });
+  return wall;
+};
+
+// Deletes a wall with its notes, snapshots and shared document, and returns
+// the walls that are left.
+export const removeWall = async (wall) => {
+  if (collabSession?.wallId === wall.id) stopCollab();
+  await db.transaction('rw', db.canvasState, db.walls, db.notes, db.snapshots, async () => {
+    await db.walls.delete(wall.id);
+    await db.canvasState.delete(wall.id);
+    await db.notes.where('wallId').equals(wall.id).delete();
+    await db.snapshots.where('wallId').equals(wall.id).delete();
+  });
+  if (wall.shared) {
+    await clearDocument(getCollabRoom(wall.id));
+  }
+  pruneAttachments().catch((error) => console.error('Failed to prune attachments', error));
+  return refreshWalls();
+};
+
+// Persists the wall being left before opening the next one so pending
+// edits are never lost to the autosave debounce.
+export const switchWall = async (wallId) => {
+  if (useCanvasStore.getState().activeWallId !== wallId) {
+    await persistNow();
+    // A failed or conflicting save still leaves a copy to recover from.
+    writeRecovery();
+  }
+  return openWall(wallId);
+};
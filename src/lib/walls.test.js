@@ -0,0 +1,110 @@
+import { afterAll, afterEach, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import WebSocket from 'ws';
+import { WebsocketProvider } from 'y-websocket';
+import * as Y from 'yjs';
+import { startScript } from '../test/startScript.js';
+import { useCanvasStore } from './store.js';
+import { pullRemoteChanges, readNodeFromDoc, writeNodeToDoc } from './walls.js';
+
+const makeSession = (doc = new Y.Doc()) => ({ doc, yNodes: doc.getMap('nodes'), yEdges: doc.getMap('edges'), nodes: [], edges: [] });
+
+describe('pullRemoteChanges', () => {
+  beforeEach(() => {
+    useCanvasStore.setState(useCanvasStore.getInitialState(), true);
+  });
+
+  it('puts frames a peer added after their notes first', () => {
+    const session = makeSession();
+    writeNodeToDoc(session.yNodes, { id: 'n-note', type: 'sticky', position: { x: 20, y: 90 }, parentNode: 'n-frame', data: { text: 'Inside' } });
+    writeNodeToDoc(session.yNodes, { id: 'n-frame', type: 'frame', position: { x: 400, y: 300 }, data: { title: 'Later' } });
+    pullRemoteChanges(session);
+
+    const { nodes } = useCanvasStore.getState();
+    expect(nodes.map((node) => node.id)).toEqual(['n-frame', 'n-note']);
+    expect(nodes[1]).toMatchObject({ parentNode: 'n-frame', position: { x: 20, y: 90 } });
+    expect(session.nodes).toBe(nodes);
+  });
+});
+
+describe('collab relay', () => {
+  const relayUrl = 'ws://localhost:9188';
+  let relay;
+  let clients = [];
+
+  beforeAll(async () => {
+    relay = await startScript('collab-relay.js', { PORT: '9188' });
+  });
+
+  afterEach(() => {
+    clients.forEach(({ provider, doc }) => {
+      provider.destroy();
+      doc.destroy();
+    });
+    clients = [];
+  });
+
+  afterAll(() => relay?.stop());
+
+  // A second browser, as far as the relay can tell.
+  const connect = async (room) => {
+    const session = makeSession();
+    session.provider = new WebsocketProvider(relayUrl, room, session.doc, { WebSocketPolyfill: WebSocket });
+    clients.push(session);
+    await vi.waitFor(() => expect(session.provider.synced).toBe(true));
+    return session;
+  };
+  const readNote = (session, id) => readNodeFromDoc(id, session.yNodes.get(id));
+
+  it('syncs notes and links between two clients', async () => {
+    const [a, b] = [await connect('sync'), await connect('sync')];
+    writeNodeToDoc(a.yNodes, { id: 'n-a', type: 'sticky', position: { x: 10, y: 20 }, data: { text: 'From A' } });
+    a.yEdges.set('e-1', { id: 'e-1', source: 'n-a', target: 'n-b', data: { relation: 'related' } });
+    writeNodeToDoc(b.yNodes, { id: 'n-b', type: 'sticky', position: { x: 400, y: 20 }, data: { text: 'From B' } });
+
+    await vi.waitFor(() => {
+      expect(readNote(b, 'n-a')).toMatchObject({ position: { x: 10, y: 20 }, data: { text: 'From A' } });
+      expect(b.yEdges.get('e-1')).toMatchObject({ source: 'n-a', target: 'n-b' });
+      expect(readNote(a, 'n-b')).toMatchObject({ data: { text: 'From B' } });
+    });
+
+    a.yNodes.delete('n-b');
+    await vi.waitFor(() => expect(b.yNodes.has('n-b')).toBe(false));
+  });
+
+  it('merges edits made offline when the client reconnects', async () => {
+    const [a, b] = [await connect('offline'), await connect('offline')];
+    writeNodeToDoc(a.yNodes, { id: 'n-a', type: 'sticky', position: { x: 0, y: 0 }, data: { text: 'Start', color: 'amber' } });
+    await vi.waitFor(() => expect(b.yNodes.has('n-a')).toBe(true));
+
+    b.provider.disconnect();
+    writeNodeToDoc(a.yNodes, { id: 'n-a', type: 'sticky', position: { x: 0, y: 0 }, data: { text: 'Edited online', color: 'amber' } });
+    writeNodeToDoc(b.yNodes, { id: 'n-a', type: 'sticky', position: { x: 0, y: 0 }, data: { text: 'Start', color: 'rose' } });
+    writeNodeToDoc(b.yNodes, { id: 'n-b', type: 'sticky', position: { x: 400, y: 0 }, data: { text: 'Written offline' } });
+    b.provider.connect();
+
+    const merged = { data: { text: 'Edited online', color: 'rose' } };
+    await vi.waitFor(() => {
+      expect(readNote(a, 'n-a')).toMatchObject(merged);
+      expect(readNote(b, 'n-a')).toMatchObject(merged);
+      expect(readNote(a, 'n-b')).toMatchObject({ data: { text: 'Written offline' } });
+    });
+  });
+
+  it('gives late joiners the current wall', async () => {
+    const a = await connect('late');
+    writeNodeToDoc(a.yNodes, { id: 'n-a', type: 'sticky', position: { x: 0, y: 0 }, data: { text: 'Already here' } });
+    const c = await connect('late');
+    await vi.waitFor(() => expect(readNote(c, 'n-a')).toMatchObject({ data: { text: 'Already here' } }));
+  });
+
+  it('shares presence between clients', async () => {
+    const [a, b] = [await connect('presence'), await connect('presence')];
+    a.provider.awareness.setLocalState({ user: { name: 'Ada', color: '#f97316' }, cursor: { x: 5, y: 6 }, editing: 'n-a' });
+    await vi.waitFor(() =>
+      expect(b.provider.awareness.getStates().get(a.doc.clientID)).toMatchObject({ user: { name: 'Ada' }, editing: 'n-a' }),
+    );
+
+    a.provider.awareness.setLocalState(null);
+    await vi.waitFor(() => expect(b.provider.awareness.getStates().has(a.doc.clientID)).toBe(false));
+  });
+});
@@ -0,0 +1,24 @@
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+// Runs one of the dev servers in scripts/ for a test and resolves once it
+// prints that it is listening. Call `stop()` when done.
+export const startScript = async (name, env = {}) => {
+  const child = spawn(process.execPath, [fileURLToPath(new URL(`../../scripts/${name}`, import.meta.url))], {
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  await new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('exit', (code) => reject(new Error(`${name} exited with ${code}`)));
+    child.stdout.once('data', resolve);
+  });
+  return {
+    stop: () =>
+      new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', resolve);
+        child.kill();
+      }),
+  };
+};